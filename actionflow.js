@@ -9,6 +9,7 @@ goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.events.Event');
 goog.require('goog.events.EventTarget');
+goog.require('goog.json');
 goog.require('goog.object');
 goog.require('goog.structs.Set');
 goog.require('goog.style');
@@ -35,7 +36,7 @@ goog.require('jsaction.event');
  * @param {Element} opt_node The node.
  * @param {Event} opt_event The event.
  * @param {number} opt_startTime The time at which the flow started,
- *     defaulting to the current time.
+ *     defaulting to the current time as returned by jsaction.ActionFlow.now().
  * @param {?string=} opt_eventType The jsaction event type, e.g. "click".
  * @constructor
  * @extends {goog.events.EventTarget}
@@ -108,7 +109,7 @@ jsaction.ActionFlow = function(flowType, opt_node, opt_event, opt_startTime,
    * @type {number}
    * @private
    */
-  this.start_ = opt_startTime || goog.now();
+  this.start_ = opt_startTime || jsaction.ActionFlow.now();
 
   /**
    * The maximum tick time in absolute time.
@@ -129,6 +130,15 @@ jsaction.ActionFlow = function(flowType, opt_node, opt_event, opt_startTime,
   this.branches_ = {};
   this.branches_[jsaction.Branch.MAIN] = 1;
 
+  /**
+   * The times at which the opened branches were opened, used for the User
+   * Timing measures of the branches. Only recorded if USER_TIMING_SUPPORT is
+   * enabled.
+   * @type {!Object.<string, !Array.<number>>}
+   * @private
+   */
+  this.branchStarts_ = {};
+
   /**
    * The set of duplicate ticks. They are reported in extra data in the
    * jsaction.Name.DUP key.
@@ -157,9 +167,9 @@ jsaction.ActionFlow = function(flowType, opt_node, opt_event, opt_startTime,
 
   /**
    * Collects additional data to be reported after action is done.
-   * The object contains string key-value pairs. Added by
-   * addExtraData().
-   * @type {!Object.<string, string>}
+   * The values are kept as they were added by addExtraData(), they are
+   * only folded into a string for the legacy cad parameter.
+   * @type {!Object.<string, jsaction.ActionFlow.ExtraDataValue>}
    * @private
    */
   this.extraData_ = {};
@@ -223,6 +233,40 @@ goog.inherits(jsaction.ActionFlow, goog.events.EventTarget);
 goog.define('jsaction.ActionFlow.ENABLE_GENERIC_EVENT_TRACKING', true);
 
 
+/**
+ * @define {number} The maximum size of the extra data of a flow, measured as
+ *     the length of its JSON serialization. Extra data that would exceed it
+ *     is rejected with an EXTRA_DATA_SIZE error.
+ */
+goog.define('jsaction.ActionFlow.MAX_EXTRA_DATA_SIZE', 4096);
+
+
+/**
+ * @define {boolean} Whether to emit the ticks and branches of flows as User
+ *     Timing entries, so that they show up in DevTools traces and can be
+ *     observed with a PerformanceObserver. Ticks are emitted as marks named
+ *     "<flowType>:<tick>", branches as measures named "<flowType>:<branch>"
+ *     and the whole flow as a measure named "<flowType>".
+ */
+goog.define('jsaction.ActionFlow.USER_TIMING_SUPPORT', false);
+
+
+/**
+ * The maximum nesting depth of arrays and objects in extra data values.
+ * @private @const {number}
+ */
+jsaction.ActionFlow.MAX_EXTRA_DATA_DEPTH_ = 8;
+
+
+/**
+ * A value of the extra data of a flow. Besides strings, numbers (except NaN
+ * and Infinity), booleans and null, it may be an array or a plain object of
+ * such values, i.e. anything that survives a round trip through JSON.
+ * @typedef {string|number|boolean|null|!Array|!Object}
+ */
+jsaction.ActionFlow.ExtraDataValue;
+
+
 /**
  * A registry of action flow instances. This makes it easy to find hung
  * ones.
@@ -314,6 +358,20 @@ jsaction.ActionFlow.Error = {
    */
   EXTRA_DATA: 'extradata',
 
+  /**
+   * Method addExtraData() was called with a value that is not a valid
+   * jsaction.ActionFlow.ExtraDataValue. The value is not added, it is attached
+   * to the ERROR event as its cause.
+   */
+  INVALID_EXTRA_DATA: 'invalidextradata',
+
+  /**
+   * Method addExtraData() was called with a value that would make the extra
+   * data exceed jsaction.ActionFlow.MAX_EXTRA_DATA_SIZE. The value is not
+   * added, it is attached to the ERROR event as its cause.
+   */
+  EXTRA_DATA_SIZE: 'extradatasize',
+
   /**
    * Method impression() was called after the flow finished.
    */
@@ -324,12 +382,24 @@ jsaction.ActionFlow.Error = {
    */
   TICK: 'tick',
 
+  /**
+   * A promise tracked by the flow was rejected. The rejection reason is
+   * attached to the ERROR event as its cause.
+   */
+  REJECTED: 'rejected',
+
+  /**
+   * An exception was thrown while handling the flow, e.g. by the jsaction
+   * handler. The exception is attached to the ERROR event as its cause.
+   */
+  EXCEPTION: 'exception',
+
   /**
    * Flow didn't have done() called within a time threshold.
    *
    * NOTE: There is no detection of this error within the ActionFlow itself.
    * It's up to the ActionFlow client to implement detection and define the
-   * time threshold.
+   * time threshold, e.g. by using jsaction.HungFlowMonitor.
    */
   HUNG: 'hung'
 };
@@ -393,9 +463,27 @@ jsaction.ActionFlow.prototype.id = function() {
 
 /**
  * Mark this flow as abandoned. No report will be sent when the flow completes.
+ * @param {boolean=} opt_finish Whether to complete the flow right away, even
+ *     though some of its branches are still pending.
  */
-jsaction.ActionFlow.prototype.abandon = function() {
+jsaction.ActionFlow.prototype.abandon = function(opt_finish) {
   this.abandoned_ = true;
+  if (opt_finish && !this.reportSent_) {
+    this.branches_ = {};
+    this.report_();
+    this.reportSent_ = true;
+    this.finish_();
+  }
+};
+
+
+/**
+ * Reports the flow as hung, i.e. fires an ERROR event with the HUNG error and
+ * the names of the branches that are still pending. See
+ * jsaction.HungFlowMonitor.
+ */
+jsaction.ActionFlow.prototype.reportHung = function() {
+  this.error_(jsaction.ActionFlow.Error.HUNG);
 };
 
 
@@ -523,7 +611,7 @@ jsaction.ActionFlow.prototype.setType = function(flowType) {
  * was recorded in the constructor.
  * @param {string} name The name of the tick.
  * @param {Object=} opt_opts Options with the following optional fields:
- *     time: The timestamp, if it's not goog.now().
+ *     time: The timestamp, if it's not jsaction.ActionFlow.now().
  *     doNotReportToServer: If true, do not report this tick to the
  *         server (e.g. csi or mfe).  The tick can still be used in puppet
  *         tests.
@@ -547,7 +635,7 @@ jsaction.ActionFlow.prototype.tick = function(name, opt_opts) {
     this.duplicateTicks_.add(name);
   }
 
-  var time = opt_opts.time || goog.now();
+  var time = opt_opts.time || jsaction.ActionFlow.now();
   if (!opt_opts.doNotReportToServer &&
       !opt_opts.doNotIncludeInMaxTime && time > this.maxTickTime_) {
     // Only ticks that are reported to the server should affect max tick time.
@@ -563,6 +651,11 @@ jsaction.ActionFlow.prototype.tick = function(name, opt_opts) {
 
   goog.array.insertAt(this.timers_, [name, t, opt_opts.doNotReportToServer], i);
   this.ticks_[name] = time;
+
+  if (jsaction.ActionFlow.USER_TIMING_SUPPORT &&
+      !opt_opts.doNotReportToServer) {
+    jsaction.ActionFlow.mark_(this.unobfuscatedFlowType_ + ':' + name, time);
+  }
 };
 
 
@@ -594,9 +687,15 @@ jsaction.ActionFlow.prototype.done = function(branch, opt_tick, opt_tickOpts) {
 
   this.branches_[branch]--;
 
+  if (jsaction.ActionFlow.USER_TIMING_SUPPORT && this.branchStarts_[branch]) {
+    jsaction.ActionFlow.measure_(this.unobfuscatedFlowType_ + ':' + branch,
+        this.branchStarts_[branch].shift(), jsaction.ActionFlow.now());
+  }
+
   if (this.branches_[branch] == 0) {
     // Branch is closed, remove it from the map.
     delete this.branches_[branch];
+    delete this.branchStarts_[branch];
   }
 
   if (goog.DEBUG) {
@@ -611,6 +710,10 @@ jsaction.ActionFlow.prototype.done = function(branch, opt_tick, opt_tickOpts) {
     // Method report_() returns true if the DONE event was actually
     // fired. Then we can finalize the instance.
     if (this.report_()) {
+      if (jsaction.ActionFlow.USER_TIMING_SUPPORT) {
+        jsaction.ActionFlow.measure_(this.unobfuscatedFlowType_, this.start_,
+            jsaction.ActionFlow.now());
+      }
       this.reportSent_ = true;
       this.finish_();
     }
@@ -618,6 +721,24 @@ jsaction.ActionFlow.prototype.done = function(branch, opt_tick, opt_tickOpts) {
 };
 
 
+/**
+ * Reports an exception that was thrown while handling the flow by firing an
+ * ERROR event with the exception as its cause, and closes the given branch,
+ * which the code that threw would otherwise have closed. The flow finishes
+ * as usual once its other pending branches are closed.
+ *
+ * @param {*} exception The exception.
+ * @param {string=} opt_branch The branch to close.
+ */
+jsaction.ActionFlow.prototype.fail = function(exception, opt_branch) {
+  this.error_(jsaction.ActionFlow.Error.EXCEPTION, opt_branch, undefined,
+      exception);
+  if (opt_branch && !this.reportSent_) {
+    this.done(opt_branch);
+  }
+};
+
+
 /**
  * Called when no more done() calls are outstanding and after the DONE
  * event was fired.
@@ -670,6 +791,100 @@ jsaction.ActionFlow.prototype.branch =
   } else {
     this.branches_[branch] = 1;
   }
+
+  if (jsaction.ActionFlow.USER_TIMING_SUPPORT) {
+    var starts = this.branchStarts_[branch] || [];
+    starts.push(jsaction.ActionFlow.now());
+    this.branchStarts_[branch] = starts;
+  }
+};
+
+
+/**
+ * Returns the current time in milliseconds since the epoch. Where the High
+ * Resolution Time API is available, this is based on performance.now(), so
+ * that it has sub-millisecond precision and is monotonic, and it converts to
+ * the time base of DevTools traces and Event Timing entries with
+ * jsaction.ActionFlow.toPerformanceTime(). Otherwise it is goog.now(). It's
+ * the clock the event contract time stamps event infos with, see
+ * jsaction.event.now().
+ *
+ * @return {number} The current time.
+ */
+jsaction.ActionFlow.now = function() {
+  return jsaction.event.now();
+};
+
+
+/**
+ * Converts a time in milliseconds since the epoch, e.g. as returned by
+ * jsaction.ActionFlow.now(), into the time base of the High Resolution Time
+ * API, i.e. relative to performance.timeOrigin.
+ *
+ * @param {number} time The time since the epoch.
+ * @return {?number} The time relative to the time origin, or null if the High
+ *     Resolution Time API is not available.
+ */
+jsaction.ActionFlow.toPerformanceTime = function(time) {
+  var origin = jsaction.event.getTimeOrigin();
+  return origin != null ? time - origin : null;
+};
+
+
+/**
+ * Converts a time relative to performance.timeOrigin, e.g. the startTime of a
+ * PerformanceEntry, into milliseconds since the epoch.
+ *
+ * @param {number} time The time relative to the time origin.
+ * @return {?number} The time since the epoch, or null if the High Resolution
+ *     Time API is not available.
+ */
+jsaction.ActionFlow.fromPerformanceTime = function(time) {
+  var origin = jsaction.event.getTimeOrigin();
+  return origin != null ? origin + time : null;
+};
+
+
+/**
+ * Creates a User Timing mark.
+ * @param {string} name The name of the mark.
+ * @param {number} time The time of the mark in milliseconds since the epoch.
+ * @private
+ */
+jsaction.ActionFlow.mark_ = function(name, time) {
+  var performance = goog.global['performance'];
+  var startTime = jsaction.ActionFlow.toPerformanceTime(time);
+  if (startTime == null || !performance['mark']) {
+    return;
+  }
+  try {
+    performance['mark'](name, {'startTime': startTime});
+  } catch (e) {
+    // Browsers without User Timing Level 3 reject the options.
+  }
+};
+
+
+/**
+ * Creates a User Timing measure.
+ * @param {string} name The name of the measure.
+ * @param {number} start The start of the measure in milliseconds since the
+ *     epoch.
+ * @param {number} end The end of the measure in milliseconds since the epoch.
+ * @private
+ */
+jsaction.ActionFlow.measure_ = function(name, start, end) {
+  var performance = goog.global['performance'];
+  var startTime = jsaction.ActionFlow.toPerformanceTime(start);
+  var endTime = jsaction.ActionFlow.toPerformanceTime(end);
+  if (startTime == null || endTime == null || !performance['measure']) {
+    return;
+  }
+  try {
+    performance['measure'](name, {'start': startTime, 'end': endTime});
+  } catch (e) {
+    // Browsers without User Timing Level 3 reject the options.
+  }
 };
 
 
@@ -738,7 +953,7 @@ jsaction.ActionFlow.prototype.report_ = function() {
 
   // Must come after the BEFOREDONE event fires because event handlers
   // can add additional data.
-  var cad = jsaction.ActionFlow.foldCadObject_(this.extraData_);
+  var cad = jsaction.ActionFlow.foldCadObject(this.extraData_);
   if (cad) {
     this.actionData_[jsaction.UrlParam.CLICK_ADDITIONAL_DATA] = cad;
   }
@@ -754,6 +969,8 @@ jsaction.ActionFlow.prototype.report_ = function() {
  *   addExtraData(), etc)
  * - branch/done are called after the flow finished
  * - done is called on a branch that is not open
+ * - a promise tracked by the flow is rejected
+ * - an exception is thrown while handling the flow
  * The error report will contain the timing data of the flow and the current
  * opened branches. If the error was triggered by an incorrect branch/done call
  * the name of the branch is passed in and included in the report as well.
@@ -764,9 +981,12 @@ jsaction.ActionFlow.prototype.report_ = function() {
  *     call to branch/done, this is the name of the branch.
  * @param {string=} opt_tick If the call that triggered the error has a tick
  *     (i.e. tick()/branch()/done()) this is the name of the tick.
+ * @param {*=} opt_cause The value that caused the error, e.g. the reason a
+ *     tracked promise was rejected with or an exception.
  * @private
  */
-jsaction.ActionFlow.prototype.error_ = function(error, opt_branch, opt_tick) {
+jsaction.ActionFlow.prototype.error_ = function(
+    error, opt_branch, opt_tick, opt_cause) {
   if (!jsaction.ActionFlow.report) {
     return;
   }
@@ -775,6 +995,8 @@ jsaction.ActionFlow.prototype.error_ = function(error, opt_branch, opt_tick) {
   event.error = error;
   event.branch = opt_branch;
   event.tick = opt_tick;
+  event.cause = opt_cause;
+  event.pendingBranches = goog.object.getKeys(this.branches_);
   event.finished = this.reportSent_;
   jsaction.ActionFlow.report.dispatchEvent(event);
 };
@@ -783,23 +1005,30 @@ jsaction.ActionFlow.prototype.error_ = function(error, opt_branch, opt_tick) {
 /**
  * Folds a key-value data object into a string to be used as "cad"
  * URL parameter value. Keys and values are separated by colons, and
- * key-value pairs are separated by commas. Both keys and values
- * are escaped with encodeURIComponent to prevent them from having
- * unescaped separator characters. Empty data object will produce
- * empty string.
+ * key-value pairs are separated by commas. Values that are not strings are
+ * converted to strings first, arrays and objects as JSON. The delimiters
+ * ':', ';' and ',' and white space in the values are replaced with
+ * underscores. Both keys and values are then escaped with encodeURIComponent
+ * to prevent them from having unescaped separator characters. Empty data
+ * object will produce empty string.
+ *
+ * This folding is lossy, it's only meant for the legacy "cad" format.
  *
  * Example:
  *   "key1:value1,key2:value2"
  *
- * @param {Object.<string, string>} object Data object containing of key-value
- *    pairs. Both key and value must be strings.
+ * @param {Object.<string, jsaction.ActionFlow.ExtraDataValue>} object Data
+ *    object containing of key-value pairs.
  * @return {string} The string representation of the object suitable
  *    for "cad" URL parameter value.
- * @private
  */
-jsaction.ActionFlow.foldCadObject_ = function(object) {
+jsaction.ActionFlow.foldCadObject = function(object) {
   var cadArray = [];
   goog.object.forEach(object, function(value, key) {
+    if (goog.isObject(value)) {
+      value = goog.json.serialize(value);
+    }
+    value = String(value).replace(/[:;,\s]/g, '_');
     var escKey = encodeURIComponent(key);
     // Don't escape '|' to make it a practical character to use as a separator
     // within the value.
@@ -936,32 +1165,92 @@ jsaction.ActionFlow.prototype.maybeSetEventId = function(ei) {
 
 
 /**
- * Adds custom key-value pair to the action log record within
- * the cad parameter value.  When the log record
- * is sent, the pairs are converted to a string of the form:
- * "key1:value1,key2:value2,...".
- * The key-value pairs will be added to the cad parameter value
- * in no particular order.
- * @see jsaction.ActionFlow#foldCadObject_
+ * Adds custom key-value pair to the extra data of the flow. The value is
+ * kept as it is, so that reporters that understand structured data, e.g.
+ * jsaction.reporting.JsonEncoder, get it back from getExtraData(). For the
+ * legacy cad parameter value, the pairs are converted to a string of the
+ * form: "key1:value1,key2:value2,...", in no particular order.
+ * @see jsaction.ActionFlow.foldCadObject
+ *
+ * Invalid values and values that would make the extra data exceed
+ * jsaction.ActionFlow.MAX_EXTRA_DATA_SIZE are not added, and an error is
+ * reported instead.
  *
  * @param {string} key Key.
- * @param {string} value Value.
+ * @param {jsaction.ActionFlow.ExtraDataValue} value Value. Arrays and
+ *     objects are copied, later changes to them are not reflected in the
+ *     extra data.
+ * @return {boolean} Whether the value was added.
  */
 jsaction.ActionFlow.prototype.addExtraData = function(key, value) {
   if (this.reportSent_) {
     this.error_(jsaction.ActionFlow.Error.EXTRA_DATA);
   }
 
-  // Replace all deliminators ':', ':', and '," used by CAD with
-  // underscores. Also replace white space with underscore.
-  this.extraData_[key] = value.toString().replace(/[:;,\s]/g, '_');
+  if (!jsaction.ActionFlow.isValidExtraData_(value, 0)) {
+    this.error_(jsaction.ActionFlow.Error.INVALID_EXTRA_DATA, undefined,
+        undefined, value);
+    return false;
+  }
+
+  var extraData = goog.object.clone(this.extraData_);
+  extraData[key] = value;
+  if (goog.json.serialize(extraData).length >
+      jsaction.ActionFlow.MAX_EXTRA_DATA_SIZE) {
+    this.error_(jsaction.ActionFlow.Error.EXTRA_DATA_SIZE, undefined,
+        undefined, value);
+    return false;
+  }
+
+  this.extraData_[key] = goog.isObject(value) ?
+      goog.object.unsafeClone(value) : value;
+  return true;
 };
 
 
 /**
- * Gets the extra data as set by addExtraData().
+ * Checks whether a value can be added as extra data.
+ * @param {*} value The value.
+ * @param {number} depth The nesting depth of the value.
+ * @return {boolean} Whether the value is a valid
+ *     jsaction.ActionFlow.ExtraDataValue.
+ * @private
+ */
+jsaction.ActionFlow.isValidExtraData_ = function(value, depth) {
+  if (value === null || goog.isString(value) || goog.isBoolean(value)) {
+    return true;
+  }
+  if (goog.isNumber(value)) {
+    return isFinite(value);
+  }
+  if (depth >= jsaction.ActionFlow.MAX_EXTRA_DATA_DEPTH_) {
+    return false;
+  }
+  if (goog.isArray(value)) {
+    return goog.array.every(value, function(item) {
+      return jsaction.ActionFlow.isValidExtraData_(item, depth + 1);
+    });
+  }
+  if (goog.isObject(value) && !goog.isFunction(value)) {
+    var proto = Object.getPrototypeOf(value);
+    if (proto != Object.prototype && proto != null) {
+      // Dates, DOM nodes, class instances, etc. don't survive JSON.
+      return false;
+    }
+    return goog.object.every(value, function(item) {
+      return jsaction.ActionFlow.isValidExtraData_(item, depth + 1);
+    });
+  }
+  return false;
+};
+
+
+/**
+ * Gets the extra data as set by addExtraData(), with the values as they
+ * were added.
  *
- * @return {Object!} The extra data object.
+ * @return {!Object.<string, jsaction.ActionFlow.ExtraDataValue>} The extra
+ *     data object.
  */
 jsaction.ActionFlow.prototype.getExtraData = function() {
   return this.extraData_;
@@ -1152,7 +1441,8 @@ jsaction.ActionFlow.getOi_ = function(node) {
  *
  * @param {jsaction.ActionFlow|undefined} flow The jsaction.ActionFlow object.
  * @param {string} tick The tick name.
- * @param {number=} opt_time The timestamp, if it's not goog.now().
+ * @param {number=} opt_time The timestamp, if it's not
+ *     jsaction.ActionFlow.now().
  * @param {Object=} opt_opts Options.  See ActionFlow.tick for details.
  */
 jsaction.ActionFlow.tick = function(flow, tick, opt_time, opt_opts) {
@@ -1232,7 +1522,8 @@ jsaction.ActionFlow.merge = function(flow, timers) {
  *
  * @param {jsaction.ActionFlow|undefined} flow The jsaction.ActionFlow object.
  * @param {string} key The key to add.
- * @param {string} value The value for the given key.
+ * @param {jsaction.ActionFlow.ExtraDataValue} value The value for the given
+ *     key.
  */
 jsaction.ActionFlow.addExtraData = function(flow, key, value) {
   if (flow) {
@@ -1298,6 +1589,42 @@ jsaction.ActionFlow.prototype.callback =
 };
 
 
+/**
+ * Returns a actionflow tracked promise that settles like the given promise
+ * and calls done() on the action flow when it does. Calls branch() with the
+ * given branch name. If the promise is rejected, an ERROR event with the
+ * rejection reason is fired before the branch is closed. If the optional
+ * ticks are supplied they will be called on branch() and done()
+ * respectively.
+ *
+ * Example:
+ * flow.promise(fetch(url), 'branchfoo', 'tick0', 'tick1').then(...);
+ *
+ * @param {!IThenable<T>} promise The promise that we want to track with the
+ *    current actionflow.
+ * @param {string} branchName The name of the branch to be opened before the
+ *    promise is tracked. The branch will be closed when the promise settles.
+ * @param {string=} opt_branchTick An optional tick to be called on branch.
+ * @param {string=} opt_doneTick An optional tick to be called on done.
+ * @return {!IThenable<T>} The tracked promise.
+ * @template T
+ */
+jsaction.ActionFlow.prototype.promise =
+    function(promise, branchName, opt_branchTick, opt_doneTick) {
+  this.branch(branchName, opt_branchTick);
+  var flow = this;
+  return promise.then(function(value) {
+    flow.done(branchName, opt_doneTick);
+    return value;
+  }, function(reason) {
+    flow.error_(jsaction.ActionFlow.Error.REJECTED, branchName, undefined,
+        reason);
+    flow.done(branchName, opt_doneTick);
+    throw reason;
+  });
+};
+
+
 /**
  * Returns the node associated with this jsaction.ActionFlow.
  *
@@ -1332,6 +1659,50 @@ jsaction.ActionFlow.prototype.event = function() {
 };
 
 
+/**
+ * Returns the DataTransfer of the drag event associated with this
+ * ActionFlow, which holds the data that is dragged.
+ *
+ * Browsers only allow the data to be set in dragstart handlers, and to be
+ * read in drop handlers, while the event is dispatched. A queued event that
+ * is replayed later has an empty DataTransfer.
+ *
+ * @return {DataTransfer} The DataTransfer, or null if the event is not a drag
+ *     event.
+ */
+jsaction.ActionFlow.prototype.dataTransfer = function() {
+  return this.event_ && this.event_.dataTransfer || null;
+};
+
+
+/**
+ * Returns the drag source of the drag event associated with this ActionFlow,
+ * i.e. the element with the dragstart action the drag started on, and that
+ * action. Only available if the event contract is compiled with
+ * jsaction.EventContract.DRAG_DROP_SUPPORT.
+ *
+ * @return {?jsaction.event.DragSource} The drag source, or null if there is
+ *     none.
+ */
+jsaction.ActionFlow.prototype.dragSource = function() {
+  return this.event_ ? jsaction.event.getDragSource(this.event_) : null;
+};
+
+
+/**
+ * Stops the event from being handled by the jsactions of the ancestors of
+ * the node of this flow. These are only triggered when the jsaction of the
+ * node was declared with the "bubble" modifier, e.g. "click:ns.track!bubble".
+ * Other jsactions of the node itself are still triggered.
+ */
+jsaction.ActionFlow.prototype.stopBubbling = function() {
+  if (this.event_ && this.node_) {
+    jsaction.event.getBubblingEvent(this.event_)[
+        jsaction.Property.STOP_BUBBLING] = this.node_;
+  }
+};
+
+
 /**
  * Returns the jsaction event type as specified in the jsaction attribute,
  * which may be different from the type obtained from the event.
@@ -1413,6 +1784,23 @@ jsaction.ActionFlow.Event.prototype.branch;
 jsaction.ActionFlow.Event.prototype.tick;
 
 
+/**
+ * If type is ERROR, optionally contains the value that caused the error
+ * condition, e.g. the reason a tracked promise was rejected with or the
+ * exception that was thrown.
+ * @type {*}
+ */
+jsaction.ActionFlow.Event.prototype.cause;
+
+
+/**
+ * If type is ERROR, contains the names of the branches that were pending when
+ * the error occurred.
+ * @type {(!Array.<string>|undefined)}
+ */
+jsaction.ActionFlow.Event.prototype.pendingBranches;
+
+
 /**
  * If type is error, includes whether the flow had finished when the error
  * occurred.
@@ -11,15 +11,19 @@ goog.require('goog.array');
 goog.require('goog.events');
 goog.require('goog.object');
 goog.require('goog.testing.MockClock');
+goog.require('goog.testing.PropertyReplacer');
 goog.require('goog.testing.jsunit');
 goog.require('jsaction.ActionFlow');
 goog.require('jsaction.Branch');
+goog.require('jsaction.Property');
 /** @suppress {extraRequire} */
 goog.require('jsaction.replayEvent');
 
 
 
 var mockClock_;
+var stubs_ = new goog.testing.PropertyReplacer();
+var performance_;
 var reportSent;
 var reportTimingData;
 var reportActionData;
@@ -45,6 +49,23 @@ function setUp() {
   mockClock_ = new goog.testing.MockClock;
   mockClock_.install();
 
+  // Flows use performance.now(), which must follow the mock clock.
+  performance_ = {
+    timeOrigin: 0,
+    fraction: 0,
+    now: function() {
+      return goog.now() + performance_.fraction;
+    },
+    entries: [],
+    mark: function(name, options) {
+      performance_.entries.push(['mark', name, options]);
+    },
+    measure: function(name, options) {
+      performance_.entries.push(['measure', name, options]);
+    }
+  };
+  stubs_.set(goog.global, 'performance', performance_);
+
   goog.events.listen(
       jsaction.ActionFlow.report,
       jsaction.ActionFlow.EventType.DONE, reportHandler);
@@ -60,6 +81,8 @@ function setUp() {
 
 function tearDown() {
   mockClock_.uninstall();
+  stubs_.reset();
+  jsaction.ActionFlow.USER_TIMING_SUPPORT = false;
 
   if (savedGlobal_) {
     goog.global = savedGlobal_;
@@ -461,6 +484,88 @@ function testTrackedCallbackThrows() {
 }
 
 
+/**
+ * Creates a thenable that records the callbacks passed to then(), so that
+ * tests can settle it synchronously.
+ * @return {!Object}
+ */
+function createThenable() {
+  var thenable = {
+    then: function(onFulfilled, onRejected) {
+      thenable.onFulfilled = onFulfilled;
+      thenable.onRejected = onRejected;
+      return 'chained';
+    }
+  };
+  return thenable;
+}
+
+
+function testTrackedPromise() {
+  var flow = new jsaction.ActionFlow('test');
+  var thenable = createThenable();
+
+  assertEquals('chained', flow.promise(thenable, 'testbranch', 't0', 't1'));
+  assertTrue(goog.isDef(flow.getTick('t0')));
+
+  jsaction.ActionFlow.done(flow, jsaction.Branch.MAIN);
+  assertFalse(reportSent);
+
+  assertEquals('value', thenable.onFulfilled('value'));
+  assertTrue(goog.isDef(flow.getTick('t1')));
+  assertTrue(reportSent);
+}
+
+
+function testTrackedPromiseRejected() {
+  var flow = new jsaction.ActionFlow('test');
+  var thenable = createThenable();
+  var errorEvent = null;
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvent = e;
+      });
+
+  flow.promise(thenable, 'testbranch');
+  jsaction.ActionFlow.done(flow, jsaction.Branch.MAIN);
+
+  var reason = new Error('rejected');
+  var e = assertThrows(function() {
+    thenable.onRejected(reason);
+  });
+  assertEquals(reason, e);
+  assertNotNull(errorEvent);
+  assertEquals(jsaction.ActionFlow.Error.REJECTED, errorEvent.error);
+  assertEquals('testbranch', errorEvent.branch);
+  assertEquals(reason, errorEvent.cause);
+  assertFalse(errorEvent.finished);
+  assertTrue(reportSent);
+
+  goog.events.unlistenByKey(key);
+}
+
+
+function testFail() {
+  var flow = new jsaction.ActionFlow('test');
+  var exception = new Error('handler');
+  var errorEvent = null;
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvent = e;
+      });
+
+  flow.fail(exception, jsaction.Branch.MAIN);
+
+  assertEquals(jsaction.ActionFlow.Error.EXCEPTION, errorEvent.error);
+  assertEquals(jsaction.Branch.MAIN, errorEvent.branch);
+  assertEquals(exception, errorEvent.cause);
+  assertFalse(errorEvent.finished);
+  assertTrue(reportSent);
+
+  goog.events.unlistenByKey(key);
+}
+
+
 function testIsOfType() {
   var flow = new jsaction.ActionFlow('foo');
   assertTrue(flow.isOfType('foo'));
@@ -674,6 +779,77 @@ function testAddActionData() {
 }
 
 
+function testAddStructuredExtraData() {
+  var flow = new jsaction.ActionFlow('test');
+  var list = [1, 'two', {three: 3}];
+  assertTrue(flow.addExtraData('count', 3));
+  assertTrue(flow.addExtraData('visible', false));
+  assertTrue(flow.addExtraData('list', list));
+  assertTrue(flow.addExtraData('text', 'a b:c'));
+
+  // Values are kept as they were added, arrays and objects are copied.
+  list.push(4);
+  var extraData = flow.getExtraData();
+  assertEquals(3, extraData['count']);
+  assertFalse(extraData['visible']);
+  assertObjectEquals([1, 'two', {three: 3}], extraData['list']);
+  assertEquals('a b:c', extraData['text']);
+
+  // Only the legacy cad parameter folds them.
+  flow.done(jsaction.Branch.MAIN);
+  assertEquals(
+      'count:3,visible:false,' +
+      'list:' + encodeURIComponent('[1_"two"_{"three"_3}]') + ',' +
+      'text:a_b_c',
+      reportActionData['cad']);
+}
+
+
+function testAddInvalidExtraData() {
+  var flow = new jsaction.ActionFlow('test');
+  var errorEvents = [];
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvents.push(e);
+      });
+
+  var date = new Date();
+  assertFalse(flow.addExtraData('nan', NaN));
+  assertFalse(flow.addExtraData('date', date));
+  assertFalse(flow.addExtraData('nested', {list: [undefined]}));
+  assertFalse(flow.addExtraData('fn', goog.nullFunction));
+  goog.events.unlistenByKey(key);
+
+  assertTrue(goog.object.isEmpty(flow.getExtraData()));
+  assertEquals(4, errorEvents.length);
+  assertEquals(
+      jsaction.ActionFlow.Error.INVALID_EXTRA_DATA, errorEvents[1].error);
+  assertEquals(date, errorEvents[1].cause);
+  assertFalse(errorEvents[1].finished);
+}
+
+
+function testAddExtraDataExceedingMaxSize() {
+  var flow = new jsaction.ActionFlow('test');
+  var errorEvent = null;
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvent = e;
+      });
+
+  var half = new Array(jsaction.ActionFlow.MAX_EXTRA_DATA_SIZE / 2).join('x');
+  assertTrue(flow.addExtraData('first', half));
+  // Replacing a value counts its new size only.
+  assertTrue(flow.addExtraData('first', half));
+  assertFalse(flow.addExtraData('second', half));
+  goog.events.unlistenByKey(key);
+
+  assertEquals(jsaction.ActionFlow.Error.EXTRA_DATA_SIZE, errorEvent.error);
+  assertEquals(half, errorEvent.cause);
+  assertObjectEquals({first: half}, flow.getExtraData());
+}
+
+
 function testImpressionWithTwoChildrenBothDisplayed() {
   var flow = new jsaction.ActionFlow('test');
   var target = document.getElementById('foo');
@@ -1069,3 +1245,81 @@ function testInstanceRegistry() {
   flow.done(jsaction.Branch.MAIN);
   assertFalse(goog.array.contains(jsaction.ActionFlow.instances, flow));
 }
+
+
+function testSubMillisecondTicks() {
+  mockClock_.tick(CONSTRUCTION_TIME);
+  var flow = new jsaction.ActionFlow('test');
+  assertEquals(CONSTRUCTION_TIME, flow.getStartTick());
+
+  mockClock_.tick(TICK_TIME);
+  performance_.fraction = 0.25;
+  flow.tick('foo');
+  assertEquals(TICK_TIME + 0.25, flow.timers()[0][1]);
+  assertEquals(CONSTRUCTION_TIME + TICK_TIME + 0.25, flow.getTick('foo'));
+}
+
+
+function testNowWithoutPerformance() {
+  stubs_.set(goog.global, 'performance', undefined);
+  mockClock_.tick(CONSTRUCTION_TIME);
+  assertEquals(CONSTRUCTION_TIME, jsaction.ActionFlow.now());
+  assertNull(jsaction.ActionFlow.toPerformanceTime(CONSTRUCTION_TIME));
+}
+
+
+function testPerformanceTime() {
+  performance_.timeOrigin = 1000;
+  mockClock_.tick(CONSTRUCTION_TIME);
+  assertEquals(1000 + CONSTRUCTION_TIME, jsaction.ActionFlow.now());
+  assertEquals(5, jsaction.ActionFlow.toPerformanceTime(1005));
+  assertEquals(1005, jsaction.ActionFlow.fromPerformanceTime(5));
+}
+
+
+function testUserTiming() {
+  jsaction.ActionFlow.USER_TIMING_SUPPORT = true;
+  var flow = new jsaction.ActionFlow('foo.bar');
+
+  mockClock_.tick(10);
+  flow.tick('tick1');
+  flow.tick('hidden', {doNotReportToServer: true});
+  flow.branch('load');
+  mockClock_.tick(20);
+  flow.done('load');
+  mockClock_.tick(5);
+  flow.done(jsaction.Branch.MAIN);
+
+  assertObjectEquals([
+    ['mark', 'foo.bar:tick1', {'startTime': 10}],
+    ['measure', 'foo.bar:load', {'start': 10, 'end': 30}],
+    ['measure', 'foo.bar', {'start': 0, 'end': 35}]
+  ], performance_.entries);
+}
+
+
+function testNoUserTimingByDefault() {
+  var flow = new jsaction.ActionFlow('foo.bar');
+  flow.tick('tick1');
+  flow.done(jsaction.Branch.MAIN);
+  assertEquals(0, performance_.entries.length);
+}
+
+
+function testDataTransferAndDragSource() {
+  var source = document.getElementById('bar2');
+  var dataTransfer = {};
+  var dragSource = {'element': source, 'action': 'list.drag'};
+  var event = /** @type {!Event} */ (
+      {type: 'drop', dataTransfer: dataTransfer});
+  event[jsaction.Property.DRAG_SOURCE] = dragSource;
+  var flow = new jsaction.ActionFlow('list.drop', null, event);
+  assertEquals(dataTransfer, flow.dataTransfer());
+  assertEquals(dragSource, flow.dragSource());
+
+  flow = new jsaction.ActionFlow(
+      'foo.bar', null, /** @type {!Event} */ ({type: 'click'}));
+  assertNull(flow.dataTransfer());
+  assertNull(flow.dragSource());
+  assertNull(new jsaction.ActionFlow('foo.bar').dataTransfer());
+}
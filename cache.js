@@ -12,12 +12,13 @@
 goog.provide('jsaction.Cache');
 
 
+goog.require('jsaction.ActionMap');
 goog.require('jsaction.Property');
 
 
 /**
  * Map from jsaction annotation to a parsed map from event name to action name.
- * @private @const {!Object<!Object<string, string>>}
+ * @private @const {!Object<!jsaction.ActionMap>}
  */
 jsaction.Cache.parseCache_ = {};
 
@@ -27,7 +28,7 @@ jsaction.Cache.parseCache_ = {};
  * Reads the jsaction parser cache from the given DOM Element.
  *
  * @param {!Element} element .
- * @return {!Object.<string, string>} Map from event to qualified name
+ * @return {!jsaction.ActionMap} Map from event to qualified name
  *     of the jsaction bound to it.
  */
 jsaction.Cache.get = function(element) {
@@ -39,7 +40,7 @@ jsaction.Cache.get = function(element) {
  * Writes the jsaction parser cache to the given DOM Element.
  *
  * @param {!Element} element .
- * @param {!Object.<string, string>} actionMap Map from event to
+ * @param {!jsaction.ActionMap} actionMap Map from event to
  *     qualified name of the jsaction bound to it.
  */
 jsaction.Cache.set = function(element, actionMap) {
@@ -51,7 +52,7 @@ jsaction.Cache.set = function(element, actionMap) {
  * Looks up the parsed action map from the source jsaction attribute value.
  *
  * @param {string} text Unparsed jsaction attribute value.
- * @return {!Object.<string, string>|undefined} Parsed jsaction attribute value,
+ * @return {!jsaction.ActionMap|undefined} Parsed jsaction attribute value,
  *      if already present in the cache.
  */
 jsaction.Cache.getParsed = function(text) {
@@ -63,7 +64,7 @@ jsaction.Cache.getParsed = function(text) {
  * Inserts the parse result for the given source jsaction value into the cache.
  *
  * @param {string} text Unparsed jsaction attribute value.
- * @param {!Object.<string, string>} parsed Attribute value parsed into the
+ * @param {!jsaction.ActionMap} parsed Attribute value parsed into the
  *   action map.
  */
 jsaction.Cache.setParsed = function(text, parsed) {
@@ -6,12 +6,16 @@ goog.provide('jsaction.Loader');
 
 goog.require('goog.array');
 goog.require('goog.async.run');
+goog.require('goog.async.throwException');
 goog.require('goog.functions');
 goog.require('goog.object');
 goog.require('jsaction.ActionFlow');
 goog.require('jsaction.Branch');
 goog.require('jsaction.Char');
+goog.require('jsaction.DroppedEventInfo');
+goog.require('jsaction.Property');
 goog.require('jsaction.event');
+goog.require('jsaction.pending');
 
 
 /**
@@ -29,9 +33,10 @@ jsaction.Loader;
  *       EventInfo immediately. If it returns false, the
  *       dispatcher will queue the events for later replaying, which
  *       can be triggered by calling replay().
- *   handle -- the actual handler for the namespace.
+ *   handle -- the actual handler for the namespace. Like the handlers
+ *       registered with registerHandlers(), it may return a promise.
  * @typedef {{accept: function(jsaction.EventInfo): boolean,
- *            handle: function(jsaction.ActionFlow)}}
+ *            handle: function(jsaction.ActionFlow):*}}
  */
 jsaction.NamespaceAction;
 
@@ -97,6 +102,13 @@ jsaction.Dispatcher = function(opt_flowFactory, opt_getHandler) {
    */
   this.queue_ = [];
 
+  /**
+   * The events the EventContract dropped from its queue, oldest first.
+   * @type {!Array.<!jsaction.DroppedEventInfo>}
+   * @private
+   */
+  this.dropped_ = [];
+
   /**
    * The ActionFlow factory.
    * @type {function(jsaction.EventInfo):jsaction.ActionFlow}
@@ -122,6 +134,13 @@ jsaction.Dispatcher = function(opt_flowFactory, opt_getHandler) {
    *     !Array.<jsaction.EventInfo>, !jsaction.Dispatcher):void}
    */
   this.eventReplayer_ = null;
+
+  /**
+   * The options of the feedback for the events the dispatcher queues, or
+   * null if their action elements are not marked.
+   * @private {?jsaction.pending.Options}
+   */
+  this.pendingFeedback_ = null;
 };
 
 
@@ -147,13 +166,18 @@ jsaction.Dispatcher = function(opt_flowFactory, opt_getHandler) {
  *    from EventContract.
  * @param {boolean=} opt_globalDispatch If true, dispatches a global event
  *    instead of a regular jsaction handler.
+ * @param {!Array.<!jsaction.DroppedEventInfo>=} opt_dropped The events that
+ *    the EventContract dropped from its queue, passed along with the queue.
  */
 jsaction.Dispatcher.prototype.dispatch = function(
-    eventInfo, opt_globalDispatch) {
+    eventInfo, opt_globalDispatch, opt_dropped) {
   if (goog.isArray(eventInfo)) {
     // We received the queued events from EventContract. Copy them and try to
     // replay.
     this.queue_ = goog.array.clone(eventInfo);
+    if (opt_dropped) {
+      goog.array.extend(this.dropped_, opt_dropped);
+    }
     this.replayQueuedEvents_();
     return;
   }
@@ -166,8 +190,13 @@ jsaction.Dispatcher.prototype.dispatch = function(
     if (eventTypeHandlers) {
       var shouldPreventDefault = false;
       for (var i = 0, handler; handler = eventTypeHandlers[i++];) {
-        if (handler(ev) === false) {
-          shouldPreventDefault = true;
+        try {
+          if (handler(ev) === false) {
+            shouldPreventDefault = true;
+          }
+        } catch (e) {
+          // Don't let a failing global handler keep the others from running.
+          goog.async.throwException(e);
         }
       }
     }
@@ -177,6 +206,15 @@ jsaction.Dispatcher.prototype.dispatch = function(
     return;
   }
 
+  // The event infos of jsactions the event bubbled to are dispatched inner to
+  // outer, so a handler of an inner jsaction may have stopped the event.
+  var event = eventInfo['event'];
+  var stoppedAt = event &&
+      jsaction.event.getBubblingEvent(event)[jsaction.Property.STOP_BUBBLING];
+  if (stoppedAt && stoppedAt != eventInfo['actionElement']) {
+    return;
+  }
+
   var action = eventInfo['action'];
   var namespace = jsaction.Dispatcher.getNamespace_(action);
   var namespaceAction = this.namespaceActions_[namespace];
@@ -191,9 +229,30 @@ jsaction.Dispatcher.prototype.dispatch = function(
   }
 
   if (handler) {
+    if (eventInfo['once'] && !jsaction.event.triggerOnce(eventInfo)) {
+      // The jsaction was already triggered, e.g. by an event that was queued
+      // along with this one.
+      return;
+    }
     var stats = this.flowFactory_(
         /** @type {jsaction.EventInfo} */ (eventInfo));
-    handler(stats);
+    try {
+      var result = handler(stats);
+    } catch (e) {
+      // Close the flow, which would otherwise never finish, and rethrow the
+      // exception in its own stack so that it still reaches the browser's
+      // error reporting.
+      stats.fail(e, jsaction.Branch.MAIN);
+      goog.async.throwException(e);
+      return;
+    }
+    if (jsaction.Dispatcher.isThenable_(result)) {
+      // The handler is asynchronous. Keep the main branch open until the
+      // promise it returned settles. The flow reports a rejection, so it
+      // isn't left unhandled as well.
+      stats.promise(/** @type {!IThenable} */ (result), jsaction.Branch.MAIN)
+          .then(undefined, goog.nullFunction);
+    }
     stats.done(jsaction.Branch.MAIN);
     return;
   }
@@ -203,6 +262,9 @@ jsaction.Dispatcher.prototype.dispatch = function(
   var eventCopy = jsaction.event.maybeCopyEvent(eventInfo['event']);
   eventInfo['event'] = eventCopy;
   this.queue_.push(eventInfo);
+  if (this.pendingFeedback_) {
+    jsaction.pending.mark(eventInfo, this.pendingFeedback_);
+  }
 
   if (!namespaceAction) {
     // If there is no handler, check if there is a loader available.
@@ -214,6 +276,16 @@ jsaction.Dispatcher.prototype.dispatch = function(
 };
 
 
+/**
+ * @param {*} value A value returned by a jsaction handler.
+ * @return {boolean} Whether the value is a promise or another thenable.
+ * @private
+ */
+jsaction.Dispatcher.isThenable_ = function(value) {
+  return !!value && goog.isFunction(value['then']);
+};
+
+
 /**
  * Registers a loader function to be called in case a jsaction is encountered
  * for which there is no handler registered.
@@ -330,11 +402,14 @@ jsaction.Dispatcher.createActionFlow_ = function(eventInfo) {
  *     is null, then the functions are not bound, but directly added
  *     under the public names.
  *
- * @param {!Object.<string, function(jsaction.ActionFlow):void>} methods
+ * @param {!Object.<string, function(jsaction.ActionFlow):*>} methods
  *     A map from public name to functions that will be bound
  *     to instance and registered as action under the public
  *     name. I.e. the property names are the public names. The
- *     property values are the methods of instance.
+ *     property values are the methods of instance. A method may return
+ *     a promise, in which case the main branch of the flow is kept
+ *     open until the promise settles, and the flow reports an error if
+ *     the promise is rejected.
  */
 jsaction.Dispatcher.prototype.registerHandlers = function(
     namespace, instance, methods) {
@@ -435,6 +510,33 @@ jsaction.Dispatcher.prototype.canDispatch = function(eventInfo) {
 };
 
 
+/**
+ * Enables or disables marking the action elements of the events this
+ * dispatcher queues because their handlers aren't loaded yet as pending, cf.
+ * jsaction.EventContract#setPendingFeedback. The marks of queued events are
+ * removed when the event replayer removes them from the queue, regardless of
+ * this setting.
+ *
+ * @param {?jsaction.pending.Options} options The options of the feedback,
+ *     or null to disable it.
+ */
+jsaction.Dispatcher.prototype.setPendingFeedback = function(options) {
+  this.pendingFeedback_ = options;
+};
+
+
+/**
+ * Returns the events the EventContract dropped from its queue before it
+ * passed the queue to this dispatcher, e.g. to report how many interactions
+ * were discarded. The jsaction.DropReason of each event tells why.
+ * @return {!Array.<!jsaction.DroppedEventInfo>} The dropped events, oldest
+ *     first.
+ */
+jsaction.Dispatcher.prototype.getDroppedEvents = function() {
+  return goog.array.clone(this.dropped_);
+};
+
+
 /**
  * Replays queued events, if any. The replaying will happen in its own
  * stack once the current flow cedes control. This is done to mimic
@@ -454,7 +556,7 @@ jsaction.Dispatcher.prototype.replayNow = function() {
   if (!this.eventReplayer_ || goog.array.isEmpty(this.queue_)) {
     return;
   }
-  this.eventReplayer_(this.queue_, this);
+  this.runEventReplayer_();
 };
 
 
@@ -467,9 +569,23 @@ jsaction.Dispatcher.prototype.replayQueuedEvents_ = function() {
   if (!this.eventReplayer_ || goog.array.isEmpty(this.queue_)) {
     return;
   }
-  goog.async.run(function() {
-    this.eventReplayer_(this.queue_, this);
-  }, this);
+  goog.async.run(this.runEventReplayer_, this);
+};
+
+
+/**
+ * Passes the queue to the event replayer, and removes the pending marks of
+ * the events it removed from the queue, i.e. replayed or dropped.
+ * @private
+ */
+jsaction.Dispatcher.prototype.runEventReplayer_ = function() {
+  var queued = goog.array.clone(this.queue_);
+  this.eventReplayer_(this.queue_, this);
+  for (var i = 0; i < queued.length; i++) {
+    if (!goog.array.contains(this.queue_, queued[i])) {
+      jsaction.pending.unmark(queued[i]);
+    }
+  }
 };
 
 
@@ -10,6 +10,12 @@ goog.require('jsaction.Dispatcher');
 
 
 goog.exportSymbol('jsaction.ActionFlow', jsaction.ActionFlow);
+goog.exportSymbol(
+    'jsaction.ActionFlow.prototype.dataTransfer',
+    jsaction.ActionFlow.prototype.dataTransfer);
+goog.exportSymbol(
+    'jsaction.ActionFlow.prototype.dragSource',
+    jsaction.ActionFlow.prototype.dragSource);
 goog.exportSymbol(
     'jsaction.ActionFlow.prototype.event', jsaction.ActionFlow.prototype.event);
 goog.exportSymbol(
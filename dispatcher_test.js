@@ -7,13 +7,17 @@
 goog.provide('jsaction.DispatcherTest');
 goog.setTestOnly('jsaction.DispatcherTest');
 
+goog.require('goog.array');
+goog.require('goog.events');
 goog.require('goog.testing.MockClock');
 goog.require('goog.testing.MockControl');
 goog.require('goog.testing.jsunit');
 goog.require('goog.testing.mockmatchers');
 goog.require('goog.testing.recordFunction');
 goog.require('jsaction.ActionFlow');
+goog.require('jsaction.Branch');
 goog.require('jsaction.Dispatcher');
+goog.require('jsaction.pending');
 /** @suppress {extraRequire} */
 goog.require('jsaction.replayEvent');
 
@@ -174,6 +178,58 @@ function testEventAreReplayedWhenQueuePassedIn() {
 }
 
 
+function testDroppedEventsPassedWithQueue() {
+  var d = new jsaction.Dispatcher;
+  var mockEvent = jsaction.createEvent({type: 'click'});
+  var dropped = {
+    'eventInfo': {action: 'foo.bar', event: mockEvent},
+    'reason': 'maxsize'
+  };
+  assertArrayEquals([], d.getDroppedEvents());
+
+  d.dispatch([], false, [dropped]);
+  assertArrayEquals([dropped], d.getDroppedEvents());
+
+  // The dropped events of later queues are appended.
+  d.dispatch([{action: 'foo.bar', event: mockEvent}]);
+  d.dispatch([], false, [dropped]);
+  assertArrayEquals([dropped, dropped], d.getDroppedEvents());
+}
+
+
+function testPendingFeedback() {
+  var d = new jsaction.Dispatcher;
+  d.setPendingFeedback({});
+  var actionElement = document.createElement('div');
+  var first = {
+    action: 'foo.bar',
+    actionElement: actionElement,
+    event: jsaction.createEvent({type: 'click'})
+  };
+  var second = {
+    action: 'foo.baz',
+    actionElement: actionElement,
+    event: jsaction.createEvent({type: 'click'})
+  };
+  d.dispatch(first);
+  d.dispatch(second);
+  assertTrue(jsaction.pending.isPending(actionElement));
+
+  // Replaying only the first event keeps the element marked for the second.
+  d.setEventReplayer(function(queue) {
+    goog.array.remove(queue, first);
+  });
+  d.replayNow();
+  assertTrue(jsaction.pending.isPending(actionElement));
+
+  d.setEventReplayer(function(queue) {
+    goog.array.clear(queue);
+  });
+  mockClock_.tick(0);
+  assertFalse(jsaction.pending.isPending(actionElement));
+}
+
+
 function testEventAreReplayedWhenHandlersAreRegistered() {
   var d = new jsaction.Dispatcher;
   var mockEventReplayer = mockControl_.createFunctionMock();
@@ -506,3 +562,240 @@ function testGlobalDispatchSkipsHandlersForDifferentEventType() {
 
   assertEquals(0, handler.getCallCount());
 }
+
+
+function testStopBubblingSkipsActionsOfOuterElements() {
+  var inner = document.createElement('div');
+  var outer = document.createElement('div');
+  var event = jsaction.createEvent({type: 'click'});
+  var other = goog.testing.recordFunction();
+  var outerAction = goog.testing.recordFunction();
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'inner': function(flow) {
+      flow.stopBubbling();
+    },
+    'other': other,
+    'outer': outerAction
+  });
+
+  d.dispatch({action: 'foo.inner', actionElement: inner, event: event});
+  d.dispatch({action: 'foo.other', actionElement: inner, event: event});
+  d.dispatch({action: 'foo.outer', actionElement: outer, event: event});
+
+  assertEquals(1, other.getCallCount());
+  assertEquals(0, outerAction.getCallCount());
+}
+
+
+function testDispatchWithoutEvent() {
+  var handler = goog.testing.recordFunction();
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {'bar': handler});
+  d.dispatch({action: 'foo.bar', actionElement: document.createElement('div')});
+  assertEquals(1, handler.getCallCount());
+}
+
+
+function testBubbledActionsAreDispatched() {
+  var inner = document.createElement('div');
+  var outer = document.createElement('div');
+  var event = jsaction.createEvent({type: 'click'});
+  var nodes = [];
+  var handler = function(flow) {
+    nodes.push(flow.node());
+  };
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {'inner': handler, 'outer': handler});
+
+  d.dispatch({action: 'foo.inner', actionElement: inner, event: event});
+  d.dispatch({action: 'foo.outer', actionElement: outer, event: event});
+
+  assertArrayEquals([inner, outer], nodes);
+}
+
+
+/**
+ * Creates a thenable that records the callbacks passed to then() and returns
+ * another such thenable, so that tests can inspect the chain built on it.
+ * @return {!Object}
+ */
+function createThenable() {
+  var thenable = {
+    then: function(onFulfilled, onRejected) {
+      thenable.onFulfilled = onFulfilled;
+      thenable.onRejected = onRejected;
+      thenable.next = createThenable();
+      return thenable.next;
+    }
+  };
+  return thenable;
+}
+
+
+function testAsyncHandlerKeepsMainBranchOpen() {
+  var thenable = createThenable();
+  var actionFlow = null;
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'bar': function(flow) {
+      actionFlow = flow;
+      return thenable;
+    }
+  });
+  d.dispatch({
+    action: 'foo.bar',
+    actionElement: document.createElement('div'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  assertEquals(1, actionFlow.branches()[jsaction.Branch.MAIN]);
+  thenable.onFulfilled();
+  assertUndefined(actionFlow.branches()[jsaction.Branch.MAIN]);
+}
+
+
+function testAsyncHandlerRejectionIsReported() {
+  var thenable = createThenable();
+  var errorEvent = null;
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvent = e;
+      });
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'bar': function(flow) {
+      return thenable;
+    }
+  });
+  d.dispatch({
+    action: 'foo.bar',
+    actionElement: document.createElement('div'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  var reason = new Error('rejected');
+  assertThrows(function() {
+    thenable.onRejected(reason);
+  });
+  assertEquals(jsaction.ActionFlow.Error.REJECTED, errorEvent.error);
+  assertEquals(jsaction.Branch.MAIN, errorEvent.branch);
+  assertEquals(reason, errorEvent.cause);
+  assertFalse(errorEvent.finished);
+
+  goog.events.unlistenByKey(key);
+}
+
+
+function testAsyncHandlerRejectionIsHandled() {
+  var thenable = createThenable();
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'bar': function(flow) {
+      return thenable;
+    }
+  });
+  d.dispatch({
+    action: 'foo.bar',
+    actionElement: document.createElement('div'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  // The tracked promise rethrows the rejection, and the end of the chain
+  // the dispatcher built handles it.
+  var reason = new Error('rejected');
+  var tracked = thenable.next;
+  assertThrows(function() {
+    thenable.onRejected(reason);
+  });
+  assertUndefined(tracked.onRejected(reason));
+  assertUndefined(tracked.next.onRejected);
+}
+
+
+function testHandlerExceptionClosesFlowAndIsRethrown() {
+  var exception = new Error('handler');
+  var actionFlow = null;
+  var errorEvent = null;
+  var key = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.ERROR, function(e) {
+        errorEvent = e;
+      });
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'bar': function(flow) {
+      actionFlow = flow;
+      throw exception;
+    }
+  });
+  d.dispatch({
+    action: 'foo.bar',
+    actionElement: document.createElement('div'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  assertEquals(jsaction.ActionFlow.Error.EXCEPTION, errorEvent.error);
+  assertEquals(jsaction.Branch.MAIN, errorEvent.branch);
+  assertEquals(exception, errorEvent.cause);
+  assertFalse(goog.array.contains(jsaction.ActionFlow.instances, actionFlow));
+
+  var e = assertThrows(function() {
+    mockClock_.tick();
+  });
+  assertEquals(exception, e);
+
+  goog.events.unlistenByKey(key);
+}
+
+
+function testHandlerExceptionWaitsForPendingBranches() {
+  var actionFlow = null;
+
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'bar': function(flow) {
+      actionFlow = flow;
+      flow.branch('pending');
+      throw new Error('handler');
+    }
+  });
+  d.dispatch({
+    action: 'foo.bar',
+    actionElement: document.createElement('div'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  assertTrue(goog.array.contains(jsaction.ActionFlow.instances, actionFlow));
+  actionFlow.done('pending');
+  assertFalse(goog.array.contains(jsaction.ActionFlow.instances, actionFlow));
+
+  assertThrows(function() {
+    mockClock_.tick();
+  });
+}
+
+
+function testGlobalHandlerExceptionIsIsolated() {
+  var exception = new Error('global');
+  var handler = goog.testing.recordFunction();
+
+  var d = new jsaction.Dispatcher;
+  d.registerGlobalHandler('click', function() {
+    throw exception;
+  });
+  d.registerGlobalHandler('click', handler);
+
+  var mockEvent = jsaction.createEvent({type: 'click'});
+  d.dispatch({event: mockEvent, eventType: 'click'}, true);
+  assertEquals(1, handler.getCallCount());
+
+  var e = assertThrows(function() {
+    mockClock_.tick();
+  });
+  assertEquals(exception, e);
+}
@@ -58,3 +58,39 @@ jsaction.dom.hasAncestorInNodeList = function(element, nodeList) {
   }
   return false;
 };
+
+
+/**
+ * Returns the parent of a node, stepping from a shadow root to its host
+ * element so that walks up the DOM tree continue across shadow boundaries.
+ * @param {!Node} node The node to get the parent of.
+ * @return {Node} The parent node or the shadow host, if any.
+ */
+jsaction.dom.getParentNode = function(node) {
+  var parent = node.parentNode;
+  if (!parent && node.nodeType == 11 /* DOCUMENT_FRAGMENT_NODE */ &&
+      node['host']) {
+    // Only shadow roots are document fragments with a host.
+    parent = /** @type {!Node} */ (node['host']);
+  }
+  return parent;
+};
+
+
+/**
+ * Determines whether a node is attached to a document, possibly through the
+ * host of a shadow root it belongs to.
+ * @param {!Node} node The node to check.
+ * @return {boolean} True if the node is attached to a document.
+ */
+jsaction.dom.isConnected = function(node) {
+  if (goog.isDef(node.isConnected)) {
+    return node.isConnected;
+  }
+  for (var n = node; n; n = jsaction.dom.getParentNode(n)) {
+    if (n.nodeType == 9 /* DOCUMENT_NODE */) {
+      return true;
+    }
+  }
+  return false;
+};
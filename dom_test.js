@@ -23,3 +23,43 @@ function testContains() {
   assertFalse(jsaction.dom.contains(subchild, root));
   assertFalse(jsaction.dom.contains(subchild, child));
 }
+
+
+function testGetParentNode() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  root.appendChild(child);
+
+  assertEquals(root, jsaction.dom.getParentNode(child));
+  assertNull(jsaction.dom.getParentNode(root));
+  assertNull(jsaction.dom.getParentNode(document.createDocumentFragment()));
+}
+
+
+function testGetParentNodeCrossesShadowRoot() {
+  var host = document.createElement('div');
+  if (!host.attachShadow) {
+    // Shadow DOM is not supported by this browser.
+    return;
+  }
+  var shadowRoot = host.attachShadow({mode: 'open'});
+  var child = document.createElement('div');
+  shadowRoot.appendChild(child);
+
+  assertEquals(shadowRoot, jsaction.dom.getParentNode(child));
+  assertEquals(host, jsaction.dom.getParentNode(shadowRoot));
+}
+
+
+function testIsConnected() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  root.appendChild(child);
+
+  assertFalse(jsaction.dom.isConnected(child));
+  document.body.appendChild(root);
+  assertTrue(jsaction.dom.isConnected(child));
+  assertTrue(jsaction.dom.isConnected(document));
+  document.body.removeChild(root);
+  assertFalse(jsaction.dom.isConnected(root));
+}
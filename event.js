@@ -10,15 +10,22 @@
  */
 
 goog.provide('jsaction.ActionInfo');
+goog.provide('jsaction.ActionMap');
+goog.provide('jsaction.ActionSpec');
 goog.provide('jsaction.ContainerInitializerFunction');
+goog.provide('jsaction.DroppedEventInfo');
 goog.provide('jsaction.EventHandlerFunction');
 goog.provide('jsaction.EventHandlerInfo');
 goog.provide('jsaction.EventInfo');
+goog.provide('jsaction.KeyCombo');
 goog.provide('jsaction.event');
 
+goog.require('jsaction.Char');
 goog.require('jsaction.EventType');
 goog.require('jsaction.KeyCodes');
+goog.require('jsaction.Property');
 goog.require('jsaction.dom');
+goog.require('jsaction.focus');
 
 
 /**
@@ -35,6 +42,14 @@ goog.require('jsaction.dom');
  * jsaction attribute.  This allows us to execute global event handlers with the
  * appropriate event type (including a11y clicks and custom events).
  *
+ * 'focusState' is the focused element and the selection at the time a
+ * keyboard, input or focus event was queued, if the EventContract captures
+ * them. See jsaction.EventContract.FOCUS_STATE_SUPPORT.
+ *
+ * 'once' is true if the jsaction was declared with the "once" modifier. The
+ * dispatcher records the jsaction as triggered on the action element when it
+ * runs the handler, see jsaction.event.triggerOnce().
+ *
  * TODO(user): Using literals to access properties makes type
  * checking partially ineffective. Accessing a wrongly spelled field
  * this way doesn't create a compiler error, and passing such an
@@ -49,12 +64,28 @@ goog.require('jsaction.dom');
  *   targetElement: !Element,
  *   action: string,
  *   actionElement: Element,
- *   timeStamp: number
+ *   timeStamp: number,
+ *   focusState: (!jsaction.focus.State|undefined),
+ *   once: (boolean|undefined)
  * }}
  */
 jsaction.EventInfo;
 
 
+/**
+ * An event that the EventContract dropped from its queue instead of handing
+ * it to the dispatcher, and the jsaction.DropReason why. Like
+ * jsaction.EventInfo, this type is passed between the eventcontract and the
+ * dispatcher jsbinary, so its fields are referenced by string literals.
+ *
+ * @typedef {{
+ *   eventInfo: jsaction.EventInfo,
+ *   reason: string
+ * }}
+ */
+jsaction.DroppedEventInfo;
+
+
 /**
  * Records action information for a given event.  Since this type is only used
  * internally by the EventContract, we don't need to reference fields with
@@ -67,16 +98,72 @@ jsaction.EventInfo;
  * ActionInfo can override the original event with the one provided here (field
  * "event"). If it's not provided, the original event is used.
  *
+ * 'modifiers' holds the event modifiers of the matched jsaction, if it was
+ * declared with any. If several jsactions on the node are bound to the event,
+ * 'action' is the first one and 'additionalActions' holds the others, in
+ * declared order.
+ *
  * @typedef {{
  *   eventType: string,
  *   action: string,
  *   event: (Event|undefined|null),
- *   ignore: boolean
+ *   ignore: boolean,
+ *   modifiers: (!Object.<string, boolean>|undefined),
+ *   additionalActions: (!Array.<!jsaction.ActionSpec>|undefined)
  * }}
  */
 jsaction.ActionInfo;
 
 
+/**
+ * A jsaction that was declared with event modifiers, e.g.
+ * "keydown.enter:ns.submit", with a key combination, e.g.
+ * "keydown[ctrl+s]:ns.save", or together with other jsactions for the same
+ * event, e.g. "click:a.x;click:b.y". The modifiers are stored as a set, i.e.
+ * as an Object whose property names are the modifiers. Since this type is
+ * only used internally by the EventContract, its fields are not quoted.
+ *
+ * @typedef {{
+ *   action: string,
+ *   modifiers: !Object.<string, boolean>,
+ *   keyCombo: (!jsaction.KeyCombo|undefined)
+ * }}
+ */
+jsaction.ActionSpec;
+
+
+/**
+ * A parsed key combination, see jsaction.event.parseKeyCombo(). 'key' is the
+ * KeyboardEvent#key value or KeyboardEvent#code value of the key, and the
+ * flags tell which modifier keys have to be pressed with it. 'mod' stands for
+ * the platform's command key, i.e. Meta on Mac and Control elsewhere. Since
+ * this type is only used internally by the EventContract, its fields are not
+ * quoted.
+ *
+ * @typedef {{
+ *   key: string,
+ *   ctrl: boolean,
+ *   alt: boolean,
+ *   shift: boolean,
+ *   meta: boolean,
+ *   mod: boolean
+ * }}
+ */
+jsaction.KeyCombo;
+
+
+/**
+ * The parsed value of a jsaction attribute. Maps event types to the name of
+ * the jsaction bound to them or, if the event has several jsactions or ones
+ * declared with event modifiers, to the list of their jsaction.ActionSpecs in
+ * declared order. A single plain action name is kept as a string so that the
+ * common case stays cheap.
+ *
+ * @typedef {!Object.<string, (string|!Array.<!jsaction.ActionSpec>)>}
+ */
+jsaction.ActionMap;
+
+
 /**
  * The type of a DOM event handler function.
  * @typedef {function(this: Element, !Event)}
@@ -86,24 +173,43 @@ jsaction.EventHandlerFunction;
 
 /**
  * Information about a registered event handler, which can be used to
- * deregister the event handler.
+ * deregister the event handler. 'eventType' is the type of the browser
+ * event the handler is registered for, and 'capture' and 'passive' are the
+ * options it was registered with.
  *
  * @typedef {{
  *   eventType: string,
  *   handler: jsaction.EventHandlerFunction,
- *   capture: boolean
+ *   capture: boolean,
+ *   passive: boolean
  * }}
  */
 jsaction.EventHandlerInfo;
 
 
+/**
+ * Options for registering an event handler. If 'capture' is not given, the
+ * handler is registered in the capture phase only for events that don't
+ * bubble, see jsaction.event.addEventListener(). A 'passive' handler can't
+ * cancel the event, which lets the browser scroll right away on touch and
+ * wheel events. It is ignored in browsers that don't support passive event
+ * listeners.
+ *
+ * @typedef {{
+ *   capture: (boolean|undefined),
+ *   passive: (boolean|undefined)
+ * }}
+ */
+jsaction.event.ListenerOptions;
+
+
 /**
  * A function used to initialize containers in
  * EventContract.addContainer(). Such a function is passed an HTML DOM
- * Element and registers a specific event handler on it. The
- * EventHandlerInfo that is needed to eventually deregister the event
+ * Element (or a shadow root) and registers a specific event handler on it.
+ * The EventHandlerInfo that is needed to eventually deregister the event
  * handler is returned by that function.
- * @typedef {function(!Element):jsaction.EventHandlerInfo}
+ * @typedef {function((!Element|!ShadowRoot)):jsaction.EventHandlerInfo}
  */
 jsaction.ContainerInitializerFunction;
 
@@ -118,10 +224,13 @@ jsaction.ContainerInitializerFunction;
  * @param {string} eventType The event type.
  * @param {jsaction.EventHandlerFunction} handler The handler function
  *     to install.
+ * @param {jsaction.event.ListenerOptions=} opt_options The options to
+ *     register the handler with.
  * @return {jsaction.EventHandlerInfo} Information needed to uninstall
  *     the event handler eventually.
  */
-jsaction.event.addEventListener = function(element, eventType, handler) {
+jsaction.event.addEventListener = function(
+    element, eventType, handler, opt_options) {
   // In the W3C DOM, all event handlers are registered in the bubbling
   // phase for compatibility with the IE event model, which only has a
   // bubbling phase. (IE's event API has event capture, but that's
@@ -153,28 +262,48 @@ jsaction.event.addEventListener = function(element, eventType, handler) {
   // Error and load events (i.e. on images) do not bubble so they are also
   // handled in the capture phase. These errors are also not supported in IE8
   // but we set them up here to be used in newer browsers.
+  //
+  // Explicit options override this.
+  var options = opt_options || {};
   var capture = false;
+  var passive = !!options.passive &&
+      jsaction.event.isPassiveListenerSupported_();
 
   // Mouseenter and mouseleave events are not handled directly because they
   // are not available everywhere. In browsers where they are available, they
   // don't bubble and aren't visible at the container boundary. Instead, we
   // synthesize the mouseenter and mouseleave events from mouseover and
-  // mouseout events, respectively. Cf. eventcontract.js.
+  // mouseout events, respectively. The same goes for pointerenter and
+  // pointerleave, and for focuswithin and focusoutside, which are synthesized
+  // from focusin and focusout. Cf. eventcontract.js.
   if (eventType == jsaction.EventType.MOUSEENTER) {
     eventType = jsaction.EventType.MOUSEOVER;
   } else if (eventType == jsaction.EventType.MOUSELEAVE) {
     eventType = jsaction.EventType.MOUSEOUT;
+  } else if (eventType == jsaction.EventType.POINTERENTER) {
+    eventType = jsaction.EventType.POINTEROVER;
+  } else if (eventType == jsaction.EventType.POINTERLEAVE) {
+    eventType = jsaction.EventType.POINTEROUT;
+  } else if (eventType == jsaction.EventType.FOCUSWITHIN) {
+    eventType = jsaction.EventType.FOCUSIN;
+  } else if (eventType == jsaction.EventType.FOCUSOUTSIDE) {
+    eventType = jsaction.EventType.FOCUSOUT;
   }
 
   if (element.addEventListener) {
-    if (eventType == jsaction.EventType.FOCUS ||
+    if (goog.isDef(options.capture)) {
+      capture = options.capture;
+    } else if (eventType == jsaction.EventType.FOCUS ||
         eventType == jsaction.EventType.BLUR ||
         eventType == jsaction.EventType.ERROR ||
         eventType == jsaction.EventType.LOAD) {
       capture = true;
     }
+    // Browsers that don't support an options object take it for a truthy
+    // capture flag, so it's only passed when needed.
     element.addEventListener(
-        eventType, /** @type {EventListener} */(handler), capture);
+        eventType, /** @type {EventListener} */(handler),
+        passive ? {'capture': capture, 'passive': true} : capture);
 
   } else if (element.attachEvent) {
     if (eventType == jsaction.EventType.FOCUS) {
@@ -197,7 +326,46 @@ jsaction.event.addEventListener = function(element, eventType, handler) {
     handler = jsaction.event.attachEventAdapter_(element, handler);
     element.attachEvent('on' + eventType, handler);
   }
-  return {eventType: eventType, handler: handler, capture: capture};
+  return {
+    eventType: eventType,
+    handler: handler,
+    capture: capture,
+    passive: passive
+  };
+};
+
+
+/**
+ * Whether the browser supports passive event listeners, or null if not
+ * detected yet.
+ * @private {?boolean}
+ */
+jsaction.event.passiveListenerSupported_ = null;
+
+
+/**
+ * Detects whether the browser supports an options object with the passive
+ * flag in addEventListener().
+ * @return {boolean}
+ * @private
+ */
+jsaction.event.isPassiveListenerSupported_ = function() {
+  if (jsaction.event.passiveListenerSupported_ == null) {
+    var supported = false;
+    try {
+      var options = Object.defineProperty({}, 'passive', {
+        get: function() {
+          supported = true;
+        }
+      });
+      goog.global.addEventListener('test', goog.nullFunction, options);
+      goog.global.removeEventListener('test', goog.nullFunction, options);
+    } catch (e) {
+      // Browsers without addEventListener() or Object.defineProperty().
+    }
+    jsaction.event.passiveListenerSupported_ = supported;
+  }
+  return jsaction.event.passiveListenerSupported_;
 };
 
 
@@ -246,6 +414,7 @@ jsaction.event.attachEventAdapter_ = function(target, handler) {
  */
 jsaction.event.removeEventListener = function(element, info) {
   if (element.removeEventListener) {
+    // Only the capture flag identifies a listener, the passive flag doesn't.
     element.removeEventListener(
         info.eventType,
         /** @type {EventListener} */(info.handler),
@@ -308,6 +477,115 @@ jsaction.event.isMac_ = typeof navigator != 'undefined' &&
     /Macintosh/.test(navigator.userAgent);
 
 
+/**
+ * Maps the names of the modifier keys that can be used in a key combination
+ * to the flag of jsaction.KeyCombo they set.
+ * @private @const {!Object<string, string>}
+ */
+jsaction.event.KEY_COMBO_MODIFIERS_ = {
+  'ctrl': 'ctrl',
+  'control': 'ctrl',
+  'alt': 'alt',
+  'option': 'alt',
+  'shift': 'shift',
+  'meta': 'meta',
+  'cmd': 'meta',
+  'command': 'meta',
+  'mod': 'mod'
+};
+
+
+/**
+ * Maps the short names of keys that can be used in a key combination to
+ * their KeyboardEvent#key value. Keys that would otherwise end the key
+ * combination or the jsaction, like "+" and ";", have to be written by name.
+ * @private @const {!Object<string, string>}
+ */
+jsaction.event.KEY_COMBO_KEYS_ = {
+  'esc': 'Escape',
+  'space': ' ',
+  'del': 'Delete',
+  'up': 'ArrowUp',
+  'down': 'ArrowDown',
+  'left': 'ArrowLeft',
+  'right': 'ArrowRight',
+  'plus': '+',
+  'colon': ':',
+  'semicolon': ';'
+};
+
+
+/**
+ * Parses a key combination of a jsaction attribute value, i.e. the text
+ * between the brackets of "keydown[ctrl+shift+z]:editor.redo". The last part
+ * is the key, as its KeyboardEvent#key value, e.g. "z" or "Escape", its
+ * KeyboardEvent#code value, e.g. "KeyZ", or its short name, e.g. "esc". The
+ * parts before it are modifier keys: ctrl, alt, shift, meta and mod, which
+ * is Meta on Mac and Control elsewhere.
+ * @param {string} text The key combination.
+ * @return {?jsaction.KeyCombo} The parsed key combination, or null if it
+ *     has no key or an unknown modifier key.
+ */
+jsaction.event.parseKeyCombo = function(text) {
+  var parts = text.split(jsaction.Char.KEY_COMBO_SEPARATOR);
+  var key = parts.pop().replace(/^\s+|\s+$/g, '');
+  if (!key) {
+    return null;
+  }
+  var combo = {
+    key: jsaction.event.KEY_COMBO_KEYS_[key.toLowerCase()] || key,
+    ctrl: false,
+    alt: false,
+    shift: false,
+    meta: false,
+    mod: false
+  };
+  for (var i = 0; i < parts.length; i++) {
+    var flag = jsaction.event.KEY_COMBO_MODIFIERS_[
+        parts[i].replace(/^\s+|\s+$/g, '').toLowerCase()];
+    if (!flag) {
+      return null;
+    }
+    combo[flag] = true;
+  }
+  return /** @type {!jsaction.KeyCombo} */ (combo);
+};
+
+
+/**
+ * Determines whether a keyboard event was triggered by a key combination.
+ * The key is compared case-insensitively to the key of the event, so that
+ * "ctrl+shift+z" matches although the key of the event is "Z", and
+ * case-sensitively to its code. The pressed modifier keys have to be exactly
+ * the ones of the key combination, except that Shift may be pressed for keys
+ * like "?", which are typed with Shift on some keyboard layouts.
+ * @param {!Event} e The keyboard event.
+ * @param {!jsaction.KeyCombo} combo The key combination.
+ * @return {boolean} Whether the event matches the key combination.
+ */
+jsaction.event.matchesKeyCombo = function(e, combo) {
+  var ctrl = combo.ctrl || (combo.mod && !jsaction.event.isMac_);
+  var meta = combo.meta || (combo.mod && jsaction.event.isMac_);
+  if (!!e.ctrlKey != ctrl || !!e.altKey != combo.alt ||
+      !!e.metaKey != meta) {
+    return false;
+  }
+  var key = combo.key;
+  var isSymbol = key.length == 1 && key.toLowerCase() == key.toUpperCase() &&
+      key != ' ';
+  if (!!e.shiftKey != combo.shift && !(isSymbol && !combo.shift)) {
+    return false;
+  }
+  if (e.key) {
+    return e.key.toLowerCase() == key.toLowerCase() || e.code == key;
+  }
+  // Browsers that don't support KeyboardEvent#key can only match letters and
+  // digits, by their key code.
+  return key.length == 1 && /[a-z0-9]/i.test(key) &&
+      e.keyCode == key.toUpperCase().charCodeAt(0);
+};
+
+
 /**
  * Determines and returns whether the given event (which is assumed to be a
  * click event) is a middle click.
@@ -379,16 +657,43 @@ jsaction.event.isGecko = typeof navigator != 'undefined' &&
  * Determines and returns whether the given element is a valid target for
  * keypress/keydown DOM events that act like regular DOM clicks.
  * @param {!Element} el The element.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     to use instead of the built-in ones.
  * @return {boolean} Whether the given element is a valid action key target.
  * @private
  */
-jsaction.event.isValidActionKeyTarget_ = function(el) {
+jsaction.event.isValidActionKeyTarget_ = function(el, opt_registry) {
   if (!('getAttribute' in el)) {
     return false;
   }
   var tagName = (el.getAttribute('role') || el.tagName).toUpperCase();
-  return !jsaction.event.isTextControl_(el) &&
-      (tagName != 'COMBOBOX' || tagName != 'INPUT') && !el.isContentEditable;
+  return !jsaction.event.isTextControl_(el, opt_registry) &&
+      (tagName != 'COMBOBOX' || tagName != 'INPUT') &&
+      !jsaction.event.isContentEditable_(el) &&
+      el.getAttribute('aria-disabled') != 'true';
+};
+
+
+/**
+ * Determines whether an element is editable, i.e. it's a contenteditable
+ * host or inside of one. Unlike Element#isContentEditable, this works for
+ * elements that aren't rendered.
+ * @param {!Element} el The element.
+ * @return {boolean} Whether the element is editable.
+ * @private
+ */
+jsaction.event.isContentEditable_ = function(el) {
+  if (el.isContentEditable) {
+    return true;
+  }
+  for (var node = el; node && node.nodeType == 1 /* ELEMENT_NODE */;
+       node = node.parentNode) {
+    var value = node.getAttribute('contenteditable');
+    if (value != null) {
+      return value.toLowerCase() != 'false';
+    }
+  }
+  return false;
 };
 
 
@@ -408,13 +713,17 @@ jsaction.event.hasModifierKey_ = function(e) {
  * has event handlers attached because it is a native HTML control. Used to
  * determine if preventDefault should be called when isActionKeyEvent is true.
  * @param {!Event} e The event.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     to use instead of the built-in ones.
  * @return {boolean} If preventDefault should be called.
  */
-jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl = function(e) {
+jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl = function(
+    e, opt_registry) {
   var el = jsaction.event.getTarget(e);
   var tagName = (el.getAttribute('role') || el.tagName).toUpperCase();
-  return jsaction.event.isNativeHTMLControl(el) && tagName != 'A' &&
-      !jsaction.event.processSpace_(el) && !jsaction.event.isTextControl_(el) ||
+  return jsaction.event.isNativeHTMLControl(el, opt_registry) &&
+      tagName != 'A' && !jsaction.event.processSpace_(el, opt_registry) &&
+      !jsaction.event.isTextControl_(el, opt_registry) ||
       tagName == 'BUTTON';
 };
 
@@ -424,11 +733,15 @@ jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl = function(e) {
  * and should be handled instead of the click.  If this returns true, the caller
  * will call preventDefault() to prevent a possible duplicate event.
  * This is represented by a keypress (keydown on Gecko browsers) on Enter or
- * Space key.
+ * Space key. Keys on editable and aria-disabled elements are ignored.
  * @param {!Event} e The event.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     that decide which keys activate which elements, the built-in ones by
+ *     default.
  * @return {boolean} True, if the event emulates a DOM click.
  */
-jsaction.event.isActionKeyEvent = function(e) {
+jsaction.event.isActionKeyEvent = function(e, opt_registry) {
+  var registry = opt_registry || jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
   var key = e.which || e.keyCode || e.key;
   if (jsaction.event.isWebKit && key == jsaction.KeyCodes.MAC_ENTER) {
     key = jsaction.KeyCodes.ENTER;
@@ -439,14 +752,15 @@ jsaction.event.isActionKeyEvent = function(e) {
   var el = jsaction.event.getTarget(e);
   var type = (el.getAttribute('role') || el.type || el.tagName).toUpperCase();
   if (e.type != jsaction.EventType.KEYDOWN ||
-      !jsaction.event.isValidActionKeyTarget_(el) ||
+      !jsaction.event.isValidActionKeyTarget_(el, registry) ||
       jsaction.event.hasModifierKey_(e)) {
     return false;
   }
 
   // For <input type="checkbox">, we must only handle the browser's native click
   // event, so that the browser can toggle the checkbox.
-  if (jsaction.event.processSpace_(el) && key == jsaction.KeyCodes.SPACE) {
+  if (jsaction.event.processSpace_(el, registry) &&
+      key == jsaction.KeyCodes.SPACE) {
     return false;
   }
 
@@ -458,15 +772,38 @@ jsaction.event.isActionKeyEvent = function(e) {
   }
 
   var hasType = el.tagName.toUpperCase() != 'INPUT' || el.type;
-  var isSpecificTriggerKey =
-      jsaction.event.IDENTIFIER_TO_KEY_TRIGGER_MAPPING[type] % key == 0;
+  type = jsaction.event.getTriggerKeyIdentifier_(el, type, registry);
+  var isSpecificTriggerKey = registry.triggerKeys[type] % key == 0;
   var isDefaultTriggerKey =
-      !(type in jsaction.event.IDENTIFIER_TO_KEY_TRIGGER_MAPPING) &&
-      key == jsaction.KeyCodes.ENTER;
+      !(type in registry.triggerKeys) && key == jsaction.KeyCodes.ENTER;
   return (isSpecificTriggerKey || isDefaultTriggerKey) && !!hasType;
 };
 
 
+/**
+ * Returns the identifier under which the trigger keys of an element are
+ * looked up. It's the role of the closest ancestor followed by the identifier
+ * of the element, e.g. 'LISTBOX OPTION', for which the registry has trigger
+ * keys, or the identifier of the element if there is none.
+ * @param {!Element} el The element.
+ * @param {string} type The ARIA role, input type or tag name of the element.
+ * @param {!jsaction.event.KeyActivationRegistry} registry The tables.
+ * @return {string} The identifier.
+ * @private
+ */
+jsaction.event.getTriggerKeyIdentifier_ = function(el, type, registry) {
+  for (var node = el.parentNode; node && node.nodeType == 1 /* ELEMENT_NODE */;
+       node = node.parentNode) {
+    var role = node.getAttribute('role');
+    var identifier = role && role.toUpperCase() + ' ' + type;
+    if (identifier && identifier in registry.triggerKeys) {
+      return identifier;
+    }
+  }
+  return type;
+};
+
+
 /**
  * Checks whether a DOM element can receive keyboard focus.
  * This code is based on goog.dom.isFocusable, but simplified since we shouldn't
@@ -522,53 +859,160 @@ jsaction.event.isSpaceKeyEvent = function(e) {
 
 
 /**
- * Determines whether the event corresponds to a non-bubbling mouse
- * event type (mouseenter and mouseleave).
+ * Maps the bubbling mouse, pointer and focus events to the non-bubbling events
+ * that are synthesized from them.
+ * @private @const {!Object<string, string>}
+ */
+jsaction.event.SPECIAL_EVENT_TYPES_ = {
+  'mouseover': 'mouseenter',
+  'mouseout': 'mouseleave',
+  'pointerover': 'pointerenter',
+  'pointerout': 'pointerleave',
+  'focusin': 'focuswithin',
+  'focusout': 'focusoutside'
+};
+
+
+/**
+ * @param {string} type An event type.
+ * @return {boolean} Whether the type is a non-bubbling mouse or pointer
+ *     event type (mouseenter, mouseleave, pointerenter and pointerleave),
+ *     which the event contract synthesizes from the bubbling events.
+ */
+jsaction.event.isMouseSpecialEventType = function(type) {
+  return type == jsaction.EventType.MOUSEENTER ||
+      type == jsaction.EventType.MOUSELEAVE ||
+      type == jsaction.EventType.POINTERENTER ||
+      type == jsaction.EventType.POINTERLEAVE;
+};
+
+
+/**
+ * Determines whether the event corresponds to a non-bubbling mouse or
+ * pointer event type (mouseenter, mouseleave, pointerenter and
+ * pointerleave).
  *
  * During mouseover (mouseenter), the relatedTarget is the element being
  * entered from. During mouseout (mouseleave), the relatedTarget is the
- * element being exited to.
+ * element being exited to. Likewise for pointerover and pointerout.
  *
  * In both cases, if relatedTarget is outside target, then the corresponding
  * special event has occurred, otherwise it hasn't.
  *
- * @param {!Event} e The mouseover/mouseout event.
+ * @param {!Event} e The mouseover/mouseout or pointerover/pointerout event.
  * @param {string} type The type of the mouse special event.
  * @param {!Element} element The element on which the jsaction for the
- *     mouseenter/mouseleave event is defined.
- * @return {boolean} True if the event is a mouseenter/mouseleave event.
+ *     mouseenter/mouseleave or pointerenter/pointerleave event is defined.
+ * @return {boolean} True if the event is a mouseenter/mouseleave or
+ *     pointerenter/pointerleave event.
  */
 jsaction.event.isMouseSpecialEvent = function(e, type, element) {
+  return jsaction.event.SPECIAL_EVENT_TYPES_[e.type] == type &&
+      jsaction.event.isRelatedTargetOutside_(e, element);
+};
+
+
+/**
+ * @param {!Event} e An event with a relatedTarget.
+ * @param {!Element} element An element.
+ * @return {boolean} Whether the related target of the event is outside of
+ *     the element, or missing.
+ * @private
+ */
+jsaction.event.isRelatedTargetOutside_ = function(e, element) {
   var related = /** @type {!Node} */ (e.relatedTarget);
+  return !related ||
+      (related !== element && !jsaction.dom.contains(element, related));
+};
 
-  return ((e.type == jsaction.EventType.MOUSEOVER &&
-           type == jsaction.EventType.MOUSEENTER) ||
-          (e.type == jsaction.EventType.MOUSEOUT &&
-           type == jsaction.EventType.MOUSELEAVE)) &&
-      (!related || (related !== element &&
-          !jsaction.dom.contains(element, related)));
+
+/**
+ * @param {string} type An event type.
+ * @return {boolean} Whether the type is focuswithin or focusoutside, which
+ *     the event contract synthesizes from focusin and focusout.
+ */
+jsaction.event.isFocusSpecialEventType = function(type) {
+  return type == jsaction.EventType.FOCUSWITHIN ||
+      type == jsaction.EventType.FOCUSOUTSIDE;
 };
 
 
 /**
- * Creates a new EventLike object for a mouseenter/mouseleave event that's
- * derived from the original corresponding mouseover/mouseout event.
+ * Determines whether the event corresponds to a focuswithin or focusoutside
+ * event, i.e. whether the focus moved into or out of the element.
+ *
+ * During focusin (focuswithin), the relatedTarget is the element that lost
+ * the focus. During focusout (focusoutside), the relatedTarget is the
+ * element that receives the focus. It's null if the focus comes from or goes
+ * to outside of the document, or to nothing.
+ *
+ * In both cases, if relatedTarget is outside element, then the corresponding
+ * special event has occurred, otherwise the focus only moved within the
+ * element.
+ *
+ * @param {!Event} e The focusin/focusout event.
+ * @param {string} type The type of the focus special event.
+ * @param {!Element} element The element on which the jsaction for the
+ *     focuswithin/focusoutside event is defined.
+ * @return {boolean} True if the event is a focuswithin/focusoutside event.
+ */
+jsaction.event.isFocusSpecialEvent = function(e, type, element) {
+  return jsaction.event.SPECIAL_EVENT_TYPES_[e.type] == type &&
+      jsaction.event.isRelatedTargetOutside_(e, element);
+};
+
+
+/**
+ * Creates a new EventLike object for a mouseenter/mouseleave or
+ * pointerenter/pointerleave event that's derived from the original
+ * corresponding mouseover/mouseout or pointerover/pointerout event.
  * @param {!Event} e The event.
  * @param {!Element} target The element on which the jsaction for the
- *     mouseenter/mouseleave event is defined.
+ *     mouseenter/mouseleave or pointerenter/pointerleave event is defined.
  * @return {!Object} A modified event-like object copied from the event object
  *     passed into this function.
  */
 jsaction.event.createMouseSpecialEvent = function(e, target) {
+  return jsaction.event.createSpecialEvent_(
+      e, target, jsaction.EventType.MOUSELEAVE);
+};
+
+
+/**
+ * Creates a new EventLike object for a focuswithin/focusoutside event that's
+ * derived from the original corresponding focusin/focusout event.
+ * @param {!Event} e The event.
+ * @param {!Element} target The element on which the jsaction for the
+ *     focuswithin/focusoutside event is defined.
+ * @return {!Object} A modified event-like object copied from the event object
+ *     passed into this function.
+ */
+jsaction.event.createFocusSpecialEvent = function(e, target) {
+  return jsaction.event.createSpecialEvent_(
+      e, target, jsaction.EventType.FOCUSOUTSIDE);
+};
+
+
+/**
+ * @param {!Event} e The event.
+ * @param {!Element} target The element on which the jsaction for the special
+ *     event is defined.
+ * @param {string} defaultType The type of the copy if the type of the event
+ *     isn't one that special events are synthesized from.
+ * @return {!Object} A modified event-like object copied from the event object
+ *     passed into this function.
+ * @private
+ */
+jsaction.event.createSpecialEvent_ = function(e, target, defaultType) {
   // We have to create a copy of the event object because we need to mutate
-  // its fields. We do this for the special mouse events because the event
-  // target needs to be retargeted to the action element rather than the real
-  // element (since we are simulating the special mouse events with mouseover/
+  // its fields. We do this for the special events because the event target
+  // needs to be retargeted to the action element rather than the real element
+  // (since we are simulating e.g. the special mouse events with mouseover/
   // mouseout).
   //
   // Since we're making a copy anyways, we might as well attempt to convert
-  // this event into a pseudo-real mouseenter/mouseleave event by adjusting
-  // its type.
+  // this event into a pseudo-real mouseenter/mouseleave event (or the like) by
+  // adjusting its type.
   var copy = {};
   for (var i in e) {
     if (typeof e[i] === 'function' || i === 'srcElement' || i === 'target') {
@@ -576,11 +1020,7 @@ jsaction.event.createMouseSpecialEvent = function(e, target) {
     }
     copy[i] = e[i];
   }
-  if (e.type == jsaction.EventType.MOUSEOVER) {
-    copy['type'] = jsaction.EventType.MOUSEENTER;
-  } else {
-    copy['type'] = jsaction.EventType.MOUSELEAVE;
-  }
+  copy['type'] = jsaction.event.SPECIAL_EVENT_TYPES_[e.type] || defaultType;
   copy['target'] = copy['srcElement'] = target;
   copy['bubbles'] = false;
   return copy;
@@ -589,18 +1029,19 @@ jsaction.event.createMouseSpecialEvent = function(e, target) {
 
 /**
  * Returns touch data extracted from the touch event: clientX, clientY, screenX
- * and screenY. If the event has no touch information at all, the returned
- * value is null.
+ * and screenY. For pointer events, these are the coordinates of the pointer.
+ * If the event has no touch information at all, the returned value is null.
  *
  * The fields of this Object are unquoted.
  *
- * @param {!Event} event A touch event.
+ * @param {!Event} event A touch or pointer event.
  * @return {?{clientX: number, clientY: number, screenX: number,
  *     screenY: number}}
  */
 jsaction.event.getTouchData = function(event) {
   var touch = (event.changedTouches && event.changedTouches[0]) ||
-      (event.touches && event.touches[0]);
+      (event.touches && event.touches[0]) ||
+      (event.pointerType ? event : null);
   if (!touch) {
     return null;
   }
@@ -613,6 +1054,44 @@ jsaction.event.getTouchData = function(event) {
 };
 
 
+/**
+ * Returns the current time in milliseconds since the epoch. Where the High
+ * Resolution Time API is available, this is based on performance.now(), so
+ * that it has sub-millisecond precision and is monotonic. Otherwise it is
+ * goog.now().
+ *
+ * The time stamps of event infos are taken from this clock, so that the
+ * action flows that start at them are timed with the same clock as their
+ * ticks, see jsaction.ActionFlow.now().
+ *
+ * @return {number} The current time.
+ */
+jsaction.event.now = function() {
+  var origin = jsaction.event.getTimeOrigin();
+  return origin != null ?
+      origin + goog.global['performance']['now']() : goog.now();
+};
+
+
+/**
+ * @return {?number} The time origin of performance.now() in milliseconds since
+ *     the epoch, or null if performance.now() is not available.
+ * @package
+ */
+jsaction.event.getTimeOrigin = function() {
+  var performance = goog.global['performance'];
+  if (!performance || !performance['now']) {
+    return null;
+  }
+  var origin = performance['timeOrigin'];
+  if (!goog.isNumber(origin) && performance['timing']) {
+    // Browsers that don't support timeOrigin yet.
+    origin = performance['timing']['navigationStart'];
+  }
+  return goog.isNumber(origin) ? origin : null;
+};
+
+
 /**
  * Creates a new EventLike object for a "click" event that's derived from the
  * original corresponding "touchend" event for a fast-click implementation.
@@ -639,7 +1118,7 @@ jsaction.event.recreateTouchEventAsClick = function(event) {
   // TODO(ruilopes): b/18978823 - refactor constants in a enum
   // Ensure that the event has the most recent timestamp. This timestamp
   // may be used in the future to validate or cancel subsequent click events.
-  click['timeStamp'] = goog.now();
+  click['timeStamp'] = jsaction.event.now();
 
   // Emulate preventDefault and stopPropagation behavior
   click['defaultPrevented'] = false;
@@ -659,6 +1138,120 @@ jsaction.event.recreateTouchEventAsClick = function(event) {
 };
 
 
+/**
+ * The data of a gesture the event contract recognized from touch or pointer
+ * events. It's the detail of the gesture event, e.g. a longpress.
+ *
+ * - direction is 'left' or 'right' for swipes, and empty otherwise.
+ * - duration is the time in milliseconds from the first touch of the gesture
+ *   until it was recognized.
+ * - distance is the distance in pixels between where the touch of the
+ *   gesture started and where it ended, or where it is when a long press is
+ *   recognized.
+ * - clientX and clientY are where the touch of the gesture started.
+ *
+ * The fields are accessed with quoted names, since handlers may live in a
+ * different compilation unit than the event contract.
+ *
+ * @typedef {{
+ *   direction: string,
+ *   duration: number,
+ *   distance: number,
+ *   clientX: number,
+ *   clientY: number
+ * }}
+ */
+jsaction.event.GestureData;
+
+
+/**
+ * Creates the event of a gesture, a bubbling CustomEvent with the gesture
+ * data as its detail.
+ * @param {string} type The type of the gesture, e.g. 'longpress'.
+ * @param {!jsaction.event.GestureData} data The gesture data.
+ * @return {!Event} The gesture event.
+ */
+jsaction.event.createGestureEvent = function(type, data) {
+  var event;
+  if (typeof goog.global['CustomEvent'] == 'function') {
+    // The event is composed, so that it leaves the shadow tree of the
+    // element the gesture happened on, like the touch events do.
+    event = new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      detail: data
+    });
+  } else {
+    // IE 9 to 11 don't support the CustomEvent constructor.
+    event = document.createEvent('CustomEvent');
+    event.initCustomEvent(type, true, true, data);
+  }
+  return event;
+};
+
+
+/**
+ * Returns the event on which jsaction.Property.STOP_BUBBLING is kept for
+ * all the jsactions an event bubbles to.
+ * @param {!Event} e The event of a jsaction.
+ * @return {!Event} The event of the innermost jsaction.
+ */
+jsaction.event.getBubblingEvent = function(e) {
+  return e[jsaction.Property.BUBBLING_EVENT] || e;
+};
+
+
+/**
+ * Records that the jsaction of an event info, which was declared with the
+ * "once" modifier, is triggered on its action element. It's recorded when the
+ * event is dispatched rather than when it's received, so that queued events
+ * which are dropped or never replayed don't use up the jsaction.
+ * @param {!jsaction.EventInfo} eventInfo The event info.
+ * @return {boolean} Whether the jsaction may be triggered, i.e. wasn't
+ *     triggered on the element before.
+ */
+jsaction.event.triggerOnce = function(eventInfo) {
+  var node = eventInfo['actionElement'];
+  var key = eventInfo['eventType'] + ':' + eventInfo['action'];
+  var triggered = node[jsaction.Property.ONCE] ||
+      (node[jsaction.Property.ONCE] = {});
+  if (triggered[key]) {
+    return false;
+  }
+  triggered[key] = true;
+  return true;
+};
+
+
+/**
+ * The drag source of a drag operation, i.e. the element with the action the
+ * dragstart event was mapped to, and that action.
+ *
+ * The fields are accessed with quoted names, since handlers may live in a
+ * different compilation unit than the event contract.
+ *
+ * @typedef {{
+ *   element: !Element,
+ *   action: string
+ * }}
+ */
+jsaction.event.DragSource;
+
+
+/**
+ * Returns the drag source of a drag event, which the event contract
+ * resolved, see jsaction.Property.DRAG_SOURCE.
+ * @param {!Event} e A dragstart, dragover, drop or dragend event.
+ * @return {?jsaction.event.DragSource} The drag source, or null if the drag
+ *     didn't start on an element with a dragstart action, e.g. because a
+ *     file is dragged into the page.
+ */
+jsaction.event.getDragSource = function(e) {
+  return e[jsaction.Property.DRAG_SOURCE] || null;
+};
+
+
 /**
  * Returns whether the mouse-event canceling has been requested for this
  * event. Currently only defined for "touchend" event.
@@ -775,7 +1368,7 @@ jsaction.event.maybeCopyEvent = function(e) {
 /**
  * Mapping of HTML element identifiers (ARIA role, type, or tagName) to the
  * keys (enter and/or space) that should activate them. A value of zero means
- * that both should activate them.
+ * that both should activate them, see jsaction.event.ActivationKeys.
  * @const {!Object.<string, number>}
  */
 jsaction.event.IDENTIFIER_TO_KEY_TRIGGER_MAPPING = {
@@ -806,34 +1399,43 @@ jsaction.event.IDENTIFIER_TO_KEY_TRIGGER_MAPPING = {
  * Returns whether or not to process space based on the type of the element;
  * checks to make sure that type is not null.
  * @param {!Element} element The element.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     to use instead of the built-in ones.
  * @return {boolean} Whether or not to process space based on type.
  * @private
  */
-jsaction.event.processSpace_ = function(element) {
+jsaction.event.processSpace_ = function(element, opt_registry) {
+  var registry = opt_registry || jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
   var type = (element.getAttribute('type') || element.tagName).toUpperCase();
-  return type in jsaction.event.PROCESS_SPACE_;
+  return type in registry.processSpace;
 };
 
 
 /**
  * Returns whether or not the given element is a text control.
  * @param {!Element} el The element.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     to use instead of the built-in ones.
  * @return {boolean} Whether or not the given element is a text control.
  * @private
  */
-jsaction.event.isTextControl_ = function(el) {
+jsaction.event.isTextControl_ = function(el, opt_registry) {
+  var registry = opt_registry || jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
   var type = (el.getAttribute('type') || el.tagName).toUpperCase();
-  return type in jsaction.event.TEXT_CONTROLS_;
+  return type in registry.textControls;
 };
 
 
 /**
  * Returns if the given element is a native HTML control.
  * @param {!Element} el The element.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_registry The tables
+ *     to use instead of the built-in ones.
  * @return {boolean} If the given element is a native HTML control.
  */
-jsaction.event.isNativeHTMLControl = function(el) {
-  return el.tagName.toUpperCase() in jsaction.event.NATIVE_HTML_CONTROLS_;
+jsaction.event.isNativeHTMLControl = function(el, opt_registry) {
+  var registry = opt_registry || jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
+  return el.tagName.toUpperCase() in registry.nativeHtmlControls;
 };
 
 
@@ -893,3 +1495,126 @@ jsaction.event.NATIVE_HTML_CONTROLS_ = {
   'SELECT': true,
   'TEXTAREA': true
 };
+
+
+/**
+ * The values of the trigger key table of a key activation registry, i.e. the
+ * keys that activate an element like a click.
+ * @enum {number}
+ */
+jsaction.event.ActivationKeys = {
+  ENTER_AND_SPACE: 0,
+  ENTER: jsaction.KeyCodes.ENTER,
+  SPACE: jsaction.KeyCodes.SPACE,
+  // No key code is a divisor of -1, see isActionKeyEvent().
+  NONE: -1
+};
+
+
+/**
+ * The tables that decide which Enter and Space keydowns act like clicks, see
+ * isActionKeyEvent(). The keys of the tables are upper case.
+ *
+ * - triggerKeys maps ARIA roles, input types and tag names to the keys that
+ *   activate the elements. Other elements are activated by Enter. An entry
+ *   for a role and an identifier, separated by a space, e.g. 'LISTBOX OPTION',
+ *   applies to the elements inside an element with that role, and takes
+ *   precedence over the entry for the identifier alone. The entry of the
+ *   closest such ancestor applies.
+ * - processSpace holds the input types and tag names for which the browser
+ *   handles Space itself, e.g. to toggle a checkbox.
+ * - textControls holds the input types and tag names of text controls, which
+ *   are never activated by keys.
+ * - nativeHtmlControls holds the tag names of the native HTML controls, whose
+ *   default action is prevented when they are activated.
+ *
+ * @typedef {{
+ *   triggerKeys: !Object<string, number>,
+ *   processSpace: !Object<string, boolean>,
+ *   textControls: !Object<string, boolean>,
+ *   nativeHtmlControls: !Object<string, boolean>
+ * }}
+ */
+jsaction.event.KeyActivationRegistry;
+
+
+/**
+ * The built-in key activation registry, which is used unless an event
+ * contract is given a registry of its own with
+ * jsaction.EventContract#setKeyActivationRegistry().
+ * @const {!jsaction.event.KeyActivationRegistry}
+ */
+jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY = {
+  triggerKeys: jsaction.event.IDENTIFIER_TO_KEY_TRIGGER_MAPPING,
+  processSpace: jsaction.event.PROCESS_SPACE_,
+  textControls: jsaction.event.TEXT_CONTROLS_,
+  nativeHtmlControls: jsaction.event.NATIVE_HTML_CONTROLS_
+};
+
+
+/**
+ * Creates a key activation registry from a base registry, the built-in one
+ * by default, and entries that extend or override its tables. An entry of
+ * null in the trigger keys, or of false in the other tables, removes the
+ * entry of the base registry. The base registry isn't changed.
+ *
+ * Example:
+ *
+ *   contract.setKeyActivationRegistry(
+ *       jsaction.event.createKeyActivationRegistry({
+ *         triggerKeys: {
+ *           'switch': jsaction.event.ActivationKeys.ENTER_AND_SPACE,
+ *           'slider': jsaction.event.ActivationKeys.NONE,
+ *           'listbox option': jsaction.event.ActivationKeys.ENTER
+ *         }
+ *       }));
+ *
+ * @param {{
+ *   triggerKeys: (!Object<string, ?number>|undefined),
+ *   processSpace: (!Object<string, boolean>|undefined),
+ *   textControls: (!Object<string, boolean>|undefined),
+ *   nativeHtmlControls: (!Object<string, boolean>|undefined)
+ * }} entries The entries to add, keyed by case-insensitive identifiers.
+ * @param {!jsaction.event.KeyActivationRegistry=} opt_base The registry to
+ *     extend.
+ * @return {!jsaction.event.KeyActivationRegistry} The new registry.
+ */
+jsaction.event.createKeyActivationRegistry = function(entries, opt_base) {
+  var base = opt_base || jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
+  return {
+    triggerKeys: /** @type {!Object<string, number>} */ (
+        jsaction.event.extendTable_(base.triggerKeys, entries.triggerKeys)),
+    processSpace: /** @type {!Object<string, boolean>} */ (
+        jsaction.event.extendTable_(base.processSpace, entries.processSpace)),
+    textControls: /** @type {!Object<string, boolean>} */ (
+        jsaction.event.extendTable_(base.textControls, entries.textControls)),
+    nativeHtmlControls: /** @type {!Object<string, boolean>} */ (
+        jsaction.event.extendTable_(
+            base.nativeHtmlControls, entries.nativeHtmlControls))
+  };
+};
+
+
+/**
+ * @param {!Object<string, *>} table A table of a key activation registry.
+ * @param {Object<string, *>|undefined} entries The entries to add to it. Null
+ *     and false remove the entry.
+ * @return {!Object<string, *>} A copy of the table with the entries.
+ * @private
+ */
+jsaction.event.extendTable_ = function(table, entries) {
+  var copy = {};
+  for (var key in table) {
+    copy[key] = table[key];
+  }
+  for (var key in entries) {
+    var identifier = key.toUpperCase();
+    var value = entries[key];
+    if (value === null || value === false) {
+      delete copy[identifier];
+    } else {
+      copy[identifier] = value;
+    }
+  }
+  return copy;
+};
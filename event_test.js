@@ -109,6 +109,80 @@ function testAddEventListenerLoadW3C() {
 }
 
 
+function testAddEventListenerPointerenterW3C() {
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'pointerenter', goog.nullFunction);
+  assertEquals('pointerover', eventInfo.eventType);
+  assertFalse(eventInfo.capture);
+
+  eventInfo = jsaction.event.addEventListener(
+      div_, 'pointerleave', goog.nullFunction);
+  assertEquals('pointerout', eventInfo.eventType);
+}
+
+
+function testAddEventListenerFocuswithinW3C() {
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'focuswithin', goog.nullFunction);
+  assertEquals('focusin', eventInfo.eventType);
+  assertFalse(eventInfo.capture);
+
+  eventInfo = jsaction.event.addEventListener(
+      div_, 'focusoutside', goog.nullFunction);
+  assertEquals('focusout', eventInfo.eventType);
+  assertFalse(eventInfo.capture);
+}
+
+
+function testAddEventListenerCaptureOption() {
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'click', goog.nullFunction, {capture: true});
+  assertTrue(eventInfo.capture);
+  assertFalse(eventInfo.passive);
+  assertTrue(div_.listeners[0][3]);
+
+  eventInfo = jsaction.event.addEventListener(
+      div_, 'focus', goog.nullFunction, {capture: false});
+  assertFalse(eventInfo.capture);
+  assertFalse(div_.listeners[1][3]);
+}
+
+
+function testAddEventListenerPassiveOption() {
+  stubs.set(jsaction.event, 'passiveListenerSupported_', true);
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'touchstart', goog.nullFunction, {passive: true});
+  assertEquals('touchstart', eventInfo.eventType);
+  assertFalse(eventInfo.capture);
+  assertTrue(eventInfo.passive);
+  assertObjectEquals({'capture': false, 'passive': true},
+      div_.listeners[0][3]);
+}
+
+
+function testAddEventListenerPassiveOptionNotSupported() {
+  stubs.set(jsaction.event, 'passiveListenerSupported_', false);
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'touchstart', goog.nullFunction, {passive: true});
+  assertFalse(eventInfo.passive);
+  // The options object would be taken for a truthy capture flag.
+  assertFalse(div_.listeners[0][3]);
+}
+
+
+function testRemoveEventListenerUsesCaptureOption() {
+  stubs.set(jsaction.event, 'passiveListenerSupported_', true);
+  var removed = [];
+  div_.removeEventListener = function(event, handler, capture) {
+    removed.push([event, handler, capture]);
+  };
+  var eventInfo = jsaction.event.addEventListener(
+      div_, 'wheel', goog.nullFunction, {capture: true, passive: true});
+  jsaction.event.removeEventListener(div_, eventInfo);
+  assertObjectEquals([['wheel', goog.nullFunction, true]], removed);
+}
+
+
 function testAddEventListenerFocusIE() {
   div_.addEventListener = null;
   var eventInfo = jsaction.event.addEventListener(
@@ -139,6 +213,91 @@ function testIsModifiedClickEventNonMacCtrlKey() {
 }
 
 
+function testParseKeyCombo() {
+  assertObjectEquals(
+      {key: 's', ctrl: true, alt: false, shift: true, meta: false, mod: false},
+      jsaction.event.parseKeyCombo('ctrl+Shift+s'));
+  assertObjectEquals(
+      {key: 'Escape', ctrl: false, alt: false, shift: false, meta: false,
+       mod: false},
+      jsaction.event.parseKeyCombo('Escape'));
+  assertEquals('Escape', jsaction.event.parseKeyCombo('esc').key);
+  assertEquals('+', jsaction.event.parseKeyCombo('mod+plus').key);
+  assertTrue(jsaction.event.parseKeyCombo('mod+plus').mod);
+  assertEquals('KeyZ', jsaction.event.parseKeyCombo('cmd + KeyZ').key);
+  assertTrue(jsaction.event.parseKeyCombo('cmd + KeyZ').meta);
+}
+
+
+function testParseKeyComboInvalid() {
+  assertNull(jsaction.event.parseKeyCombo(''));
+  assertNull(jsaction.event.parseKeyCombo('ctrl+'));
+  assertNull(jsaction.event.parseKeyCombo('ctlr+s'));
+}
+
+
+function testMatchesKeyCombo() {
+  var combo = jsaction.event.parseKeyCombo('ctrl+s');
+  assertTrue(jsaction.event.matchesKeyCombo({key: 's', ctrlKey: true}, combo));
+  assertTrue(jsaction.event.matchesKeyCombo({key: 'S', ctrlKey: true,
+      shiftKey: false}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo({key: 's'}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo(
+      {key: 's', ctrlKey: true, shiftKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo(
+      {key: 's', ctrlKey: true, altKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo({key: 'd', ctrlKey: true}, combo));
+}
+
+
+function testMatchesKeyComboCode() {
+  var combo = jsaction.event.parseKeyCombo('alt+KeyS');
+  // Alt changes the key on Mac, but not the code.
+  assertTrue(jsaction.event.matchesKeyCombo(
+      {key: '\u00df', code: 'KeyS', altKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo(
+      {key: 's', code: 'KeyS'}, combo));
+}
+
+
+function testMatchesKeyComboShiftedSymbol() {
+  var combo = jsaction.event.parseKeyCombo('?');
+  assertTrue(jsaction.event.matchesKeyCombo({key: '?', shiftKey: true}, combo));
+  assertTrue(jsaction.event.matchesKeyCombo({key: '?'}, combo));
+
+  // Letters don't match with Shift unless it's part of the combination.
+  combo = jsaction.event.parseKeyCombo('z');
+  assertFalse(
+      jsaction.event.matchesKeyCombo({key: 'Z', shiftKey: true}, combo));
+  combo = jsaction.event.parseKeyCombo('shift+z');
+  assertTrue(jsaction.event.matchesKeyCombo({key: 'Z', shiftKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo({key: 'z'}, combo));
+}
+
+
+function testMatchesKeyComboMod() {
+  var combo = jsaction.event.parseKeyCombo('mod+s');
+  stubs.set(jsaction.event, 'isMac_', true);
+  assertTrue(jsaction.event.matchesKeyCombo({key: 's', metaKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo({key: 's', ctrlKey: true}, combo));
+
+  stubs.set(jsaction.event, 'isMac_', false);
+  assertTrue(jsaction.event.matchesKeyCombo({key: 's', ctrlKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo({key: 's', metaKey: true}, combo));
+}
+
+
+function testMatchesKeyComboWithoutKey() {
+  var combo = jsaction.event.parseKeyCombo('ctrl+s');
+  assertTrue(jsaction.event.matchesKeyCombo(
+      {keyCode: 83, ctrlKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo(
+      {keyCode: 68, ctrlKey: true}, combo));
+  assertFalse(jsaction.event.matchesKeyCombo(
+      {keyCode: 27}, jsaction.event.parseKeyCombo('Escape')));
+}
+
+
 function testIsModifiedClickEventMiddleClick() {
   var event = {which: 2};
   assertTrue(jsaction.event.isModifiedClickEvent(event));
@@ -202,7 +361,8 @@ function testIsActionKeyEventFailsOnClick() {
 }
 
 
-function baseIsActionKeyEvent(keyCode, opt_target, opt_originalTarget) {
+function baseIsActionKeyEvent(
+    keyCode, opt_target, opt_originalTarget, opt_registry) {
   var event = {
     type: jsaction.EventType.KEYDOWN,
     which: keyCode,
@@ -210,15 +370,21 @@ function baseIsActionKeyEvent(keyCode, opt_target, opt_originalTarget) {
     originalTarget: opt_originalTarget || opt_target || validTarget
   };
 
+  // The target may be inside of other elements, e.g. an option in a listbox.
+  var root = event.target;
+  while (root.parentNode) {
+    root = root.parentNode;
+  }
+
   stubs.set(jsaction.event, 'isValidActionKeyTarget_', goog.functions.TRUE);
   try {
     // isFocusable() in IE calls getBoundingClientRect(), which fails on orphans
-    document.body.appendChild(event.target);
+    document.body.appendChild(root);
     event.target.style.height = '4px';   // Make sure we don't report as hidden.
     event.target.style.width = '4px';
-    return jsaction.event.isActionKeyEvent(event);
+    return jsaction.event.isActionKeyEvent(event, opt_registry);
   } finally {
-    document.body.removeChild(event.target);
+    document.body.removeChild(root);
   }
 }
 
@@ -291,6 +457,217 @@ function testIsActionKeyEventNotInMap() {
   assertFalse(baseIsActionKeyEvent(jsaction.KeyCodes.SPACE, control));
 }
 
+
+/**
+ * Creates a focusable div with the given ARIA role.
+ * @param {string} role
+ * @return {!Element}
+ */
+function createRoleControl(role) {
+  var control = goog.dom.createDom(goog.dom.TagName.DIV, {tabIndex: 0});
+  control.setAttribute('role', role);
+  return control;
+}
+
+
+function testIsActionKeyEventBuiltInRoles() {
+  // The keys that activate the elements with the built-in ARIA roles, as
+  // [Enter, Space].
+  var roles = {
+    'button': [true, true],
+    'checkbox': [false, true],
+    'combobox': [true, false],
+    'gridcell': [true, false],
+    'link': [true, false],
+    'listbox': [true, false],
+    'menu': [true, true],
+    'menubar': [true, true],
+    'menuitem': [true, true],
+    'menuitemcheckbox': [true, true],
+    'menuitemradio': [true, true],
+    'option': [true, true],
+    'radio': [false, true],
+    'radiogroup': [false, true],
+    'tab': [true, true],
+    'tree': [true, false],
+    'treeitem': [true, false]
+  };
+  for (var role in roles) {
+    assertEquals(role + ' on Enter', roles[role][0], baseIsActionKeyEvent(
+        jsaction.KeyCodes.ENTER, createRoleControl(role)));
+    assertEquals(role + ' on Space', roles[role][1], baseIsActionKeyEvent(
+        jsaction.KeyCodes.SPACE, createRoleControl(role)));
+  }
+}
+
+
+function testIsActionKeyEventCustomRoles() {
+  var registry = jsaction.event.createKeyActivationRegistry({
+    triggerKeys: {
+      'switch': jsaction.event.ActivationKeys.ENTER_AND_SPACE,
+      'slider': jsaction.event.ActivationKeys.NONE,
+      'spinbutton': jsaction.event.ActivationKeys.NONE,
+      'option': jsaction.event.ActivationKeys.ENTER
+    }
+  });
+  var keys = [jsaction.KeyCodes.ENTER, jsaction.KeyCodes.SPACE];
+  for (var i = 0; i < keys.length; ++i) {
+    assertTrue(baseIsActionKeyEvent(
+        keys[i], createRoleControl('switch'), undefined, registry));
+    assertFalse(baseIsActionKeyEvent(
+        keys[i], createRoleControl('slider'), undefined, registry));
+    assertFalse(baseIsActionKeyEvent(
+        keys[i], createRoleControl('spinbutton'), undefined, registry));
+  }
+  // An option in a listbox selects itself on Space, so only Enter activates
+  // it.
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.ENTER, createRoleControl('option'), undefined,
+      registry));
+  assertFalse(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, createRoleControl('option'), undefined,
+      registry));
+  // The built-in registry is unchanged.
+  assertFalse(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, createRoleControl('switch')));
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, createRoleControl('option')));
+}
+
+
+function testIsActionKeyEventRoleInContext() {
+  var registry = jsaction.event.createKeyActivationRegistry({
+    triggerKeys: {'listbox option': jsaction.event.ActivationKeys.ENTER}
+  });
+  var listbox = createRoleControl('listbox');
+  var option = createRoleControl('option');
+  listbox.appendChild(option);
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.ENTER, option, undefined, registry));
+  assertFalse(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, option, undefined, registry));
+
+  // The ancestors are searched for the closest one with an entry.
+  var group = createRoleControl('group');
+  listbox.appendChild(group);
+  group.appendChild(option);
+  assertFalse(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, option, undefined, registry));
+  registry = jsaction.event.createKeyActivationRegistry({
+    triggerKeys: {'group option': jsaction.event.ActivationKeys.SPACE}
+  }, registry);
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, option, undefined, registry));
+  assertFalse(baseIsActionKeyEvent(
+      jsaction.KeyCodes.ENTER, option, undefined, registry));
+
+  // Elsewhere, and without a registry, the entry for the role applies.
+  var menu = createRoleControl('menu');
+  menu.appendChild(option);
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, option, undefined, registry));
+  listbox.appendChild(option);
+  assertTrue(baseIsActionKeyEvent(jsaction.KeyCodes.SPACE, option));
+}
+
+
+function testCreateKeyActivationRegistry() {
+  var base = jsaction.event.DEFAULT_KEY_ACTIVATION_REGISTRY;
+  var registry = jsaction.event.createKeyActivationRegistry({
+    triggerKeys: {'Switch': jsaction.event.ActivationKeys.SPACE, 'link': null},
+    processSpace: {'radio': false},
+    textControls: {'x-editor': true},
+    nativeHtmlControls: {'details': true}
+  });
+  assertEquals(jsaction.KeyCodes.SPACE, registry.triggerKeys['SWITCH']);
+  assertFalse('LINK' in registry.triggerKeys);
+  assertEquals(0, registry.triggerKeys['BUTTON']);
+  assertFalse('RADIO' in registry.processSpace);
+  assertTrue('CHECKBOX' in registry.processSpace);
+  assertTrue('X-EDITOR' in registry.textControls);
+  assertTrue('DETAILS' in registry.nativeHtmlControls);
+
+  assertTrue('LINK' in base.triggerKeys);
+  assertFalse('SWITCH' in base.triggerKeys);
+  assertTrue('RADIO' in base.processSpace);
+
+  var extended = jsaction.event.createKeyActivationRegistry(
+      {triggerKeys: {'link': jsaction.event.ActivationKeys.ENTER}}, registry);
+  assertEquals(jsaction.KeyCodes.ENTER, extended.triggerKeys['LINK']);
+  assertEquals(jsaction.KeyCodes.SPACE, extended.triggerKeys['SWITCH']);
+}
+
+
+function testIsActionKeyEventRegistryTables() {
+  var registry = jsaction.event.createKeyActivationRegistry({
+    processSpace: {'checkbox': false}
+  });
+  var checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  assertTrue(baseIsActionKeyEvent(
+      jsaction.KeyCodes.SPACE, checkbox, undefined, registry));
+
+  registry = jsaction.event.createKeyActivationRegistry({
+    textControls: {'div': true}
+  });
+  var div = createRoleControl('button');
+  div.removeAttribute('role');
+  assertTrue(jsaction.event.isValidActionKeyTarget_(div));
+  assertFalse(jsaction.event.isValidActionKeyTarget_(div, registry));
+}
+
+
+function testIsValidActionKeyTargetContentEditable() {
+  var host = document.createElement('div');
+  host.setAttribute('contenteditable', '');
+  var control = createRoleControl('button');
+  host.appendChild(control);
+  assertFalse(jsaction.event.isValidActionKeyTarget_(host));
+  assertFalse(jsaction.event.isValidActionKeyTarget_(control));
+
+  control.setAttribute('contenteditable', 'false');
+  assertTrue(jsaction.event.isValidActionKeyTarget_(control));
+  control.removeAttribute('contenteditable');
+  host.setAttribute('contenteditable', 'false');
+  assertTrue(jsaction.event.isValidActionKeyTarget_(control));
+}
+
+
+function testIsValidActionKeyTargetAriaDisabled() {
+  var control = createRoleControl('button');
+  control.setAttribute('aria-disabled', 'true');
+  assertFalse(jsaction.event.isValidActionKeyTarget_(control));
+  control.setAttribute('aria-disabled', 'false');
+  assertTrue(jsaction.event.isValidActionKeyTarget_(control));
+}
+
+
+function testIsActionKeyEventIgnoresEditableAndDisabledElements() {
+  var host = document.createElement('div');
+  host.setAttribute('contenteditable', 'true');
+  var control = createRoleControl('button');
+  host.appendChild(control);
+  var disabled = createRoleControl('button');
+  disabled.setAttribute('aria-disabled', 'true');
+  document.body.appendChild(host);
+  document.body.appendChild(disabled);
+  try {
+    assertFalse(jsaction.event.isActionKeyEvent(
+        {type: jsaction.EventType.KEYDOWN, which: jsaction.KeyCodes.ENTER,
+         target: control}));
+    assertFalse(jsaction.event.isActionKeyEvent(
+        {type: jsaction.EventType.KEYDOWN, which: jsaction.KeyCodes.ENTER,
+         target: disabled}));
+    disabled.removeAttribute('aria-disabled');
+    assertTrue(jsaction.event.isActionKeyEvent(
+        {type: jsaction.EventType.KEYDOWN, which: jsaction.KeyCodes.ENTER,
+         target: disabled}));
+  } finally {
+    document.body.removeChild(host);
+    document.body.removeChild(disabled);
+  }
+}
+
 function testIsMouseSpecialEventMouseenter() {
   var root = document.createElement('div');
   var child = document.createElement('div');
@@ -432,6 +809,172 @@ function testCreateMouseSpecialEventMouseleave() {
   assertEquals(false, copiedEvent['bubbles']);
 }
 
+function testIsMouseSpecialEventType() {
+  assertTrue(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.MOUSEENTER));
+  assertTrue(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.MOUSELEAVE));
+  assertTrue(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.POINTERENTER));
+  assertTrue(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.POINTERLEAVE));
+  assertFalse(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.POINTEROVER));
+}
+
+function testIsFocusSpecialEventType() {
+  assertTrue(jsaction.event.isFocusSpecialEventType(
+      jsaction.EventType.FOCUSWITHIN));
+  assertTrue(jsaction.event.isFocusSpecialEventType(
+      jsaction.EventType.FOCUSOUTSIDE));
+  assertFalse(jsaction.event.isFocusSpecialEventType(
+      jsaction.EventType.FOCUSIN));
+  assertFalse(jsaction.event.isMouseSpecialEventType(
+      jsaction.EventType.FOCUSWITHIN));
+}
+
+function testIsFocusSpecialEventFocuswithin() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  var outside = document.createElement('div');
+  root.appendChild(child);
+
+  var event = {
+    relatedTarget: outside,
+    type: jsaction.EventType.FOCUSIN,
+    target: child
+  };
+  assertTrue(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSWITHIN, root));
+  assertFalse(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSOUTSIDE, root));
+
+  // The focus moves within the element.
+  event.relatedTarget = root;
+  assertFalse(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSWITHIN, root));
+  assertTrue(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSWITHIN, child));
+
+  // The focus comes from outside of the document.
+  event.relatedTarget = null;
+  assertTrue(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSWITHIN, root));
+}
+
+function testIsFocusSpecialEventFocusoutside() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  var sibling = document.createElement('div');
+  root.appendChild(child);
+  root.appendChild(sibling);
+
+  var event = {
+    relatedTarget: sibling,
+    type: jsaction.EventType.FOCUSOUT,
+    target: child
+  };
+  assertFalse(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSOUTSIDE, root));
+  assertTrue(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSOUTSIDE, child));
+  assertFalse(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSWITHIN, child));
+
+  event.relatedTarget = null;
+  assertTrue(jsaction.event.isFocusSpecialEvent(event,
+      jsaction.EventType.FOCUSOUTSIDE, root));
+}
+
+function testCreateFocusSpecialEvent() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  root.appendChild(child);
+  var event = new goog.testing.events.Event(jsaction.EventType.FOCUSIN, child);
+  event.relatedTarget = null;
+  var copiedEvent = jsaction.event.createFocusSpecialEvent(event, root);
+  assertEquals(jsaction.EventType.FOCUSWITHIN, copiedEvent['type']);
+  assertEquals(root, copiedEvent['target']);
+  assertEquals(false, copiedEvent['bubbles']);
+
+  event = new goog.testing.events.Event(jsaction.EventType.FOCUSOUT, child);
+  copiedEvent = jsaction.event.createFocusSpecialEvent(event, root);
+  assertEquals(jsaction.EventType.FOCUSOUTSIDE, copiedEvent['type']);
+}
+
+function testIsMouseSpecialEventPointerenter() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  root.appendChild(child);
+
+  var event = {
+    relatedTarget: root,
+    type: jsaction.EventType.POINTEROVER,
+    target: child
+  };
+
+  assertTrue(jsaction.event.isMouseSpecialEvent(event,
+      jsaction.EventType.POINTERENTER, child));
+  assertFalse(jsaction.event.isMouseSpecialEvent(event,
+      jsaction.EventType.MOUSEENTER, child));
+  assertFalse(jsaction.event.isMouseSpecialEvent(event,
+      jsaction.EventType.POINTERLEAVE, child));
+}
+
+function testIsMouseSpecialEventPointerleave() {
+  var root = document.createElement('div');
+  var child = document.createElement('div');
+  root.appendChild(child);
+
+  var event = {
+    relatedTarget: child,
+    type: jsaction.EventType.POINTEROUT,
+    target: root
+  };
+  assertFalse(jsaction.event.isMouseSpecialEvent(event,
+      jsaction.EventType.POINTERLEAVE, root));
+
+  event.relatedTarget = root;
+  event.target = child;
+  assertTrue(jsaction.event.isMouseSpecialEvent(event,
+      jsaction.EventType.POINTERLEAVE, child));
+}
+
+function testCreateMouseSpecialEventPointerenter() {
+  var div = document.createElement('div');
+  var event = new goog.testing.events.Event(
+      jsaction.EventType.POINTEROVER, div);
+  event.pointerType = 'pen';
+  var copiedEvent = jsaction.event.createMouseSpecialEvent(event, div);
+  assertEquals(jsaction.EventType.POINTERENTER, copiedEvent['type']);
+  assertEquals('pen', copiedEvent['pointerType']);
+  assertEquals(div, copiedEvent['target']);
+  assertEquals(false, copiedEvent['bubbles']);
+}
+
+function testCreateMouseSpecialEventPointerleave() {
+  var div = document.createElement('div');
+  var event = new goog.testing.events.Event(
+      jsaction.EventType.POINTEROUT, div);
+  var copiedEvent = jsaction.event.createMouseSpecialEvent(event, div);
+  assertEquals(jsaction.EventType.POINTERLEAVE, copiedEvent['type']);
+  assertEquals(false, copiedEvent['bubbles']);
+}
+
+function testGetTouchDataPointerEvent() {
+  var div = document.createElement('div');
+  var event = new goog.testing.events.Event(jsaction.EventType.POINTERUP, div);
+  assertNull(jsaction.event.getTouchData(event));
+
+  event.pointerType = 'touch';
+  event.clientX = 1;
+  event.clientY = 2;
+  event.screenX = 3;
+  event.screenY = 4;
+  assertObjectEquals({clientX: 1, clientY: 2, screenX: 3, screenY: 4},
+      jsaction.event.getTouchData(event));
+}
+
 function testRecreateTouchEventAsClick() {
   var div = document.createElement('div');
   var origEvent = new goog.testing.events.Event('touchend', div);
@@ -680,3 +1223,18 @@ function testShouldCallPreventDefaultOnNativeHtmlControl() {
   };
   assertFalse(jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl(ev));
 }
+
+
+function testShouldCallPreventDefaultOnNativeHtmlControlWithRegistry() {
+  var registry = jsaction.event.createKeyActivationRegistry({
+    processSpace: {'checkbox': false}
+  });
+  var checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  var ev = {
+    target: checkbox
+  };
+  assertFalse(jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl(ev));
+  assertTrue(jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl(
+      ev, registry));
+}
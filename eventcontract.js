@@ -32,11 +32,18 @@ goog.require('goog.dom.TagName');
 goog.require('jsaction.Attribute');
 goog.require('jsaction.Cache');
 goog.require('jsaction.Char');
+goog.require('jsaction.DropReason');
 goog.require('jsaction.EventType');
+goog.require('jsaction.KeyCodes');
+goog.require('jsaction.Modifier');
+goog.require('jsaction.PointerType');
 goog.require('jsaction.Property');
 goog.require('jsaction.createMouseEvent');
+goog.require('jsaction.dom');
 goog.require('jsaction.domGenerator');
 goog.require('jsaction.event');
+goog.require('jsaction.focus');
+goog.require('jsaction.pending');
 
 
 
@@ -98,6 +105,43 @@ jsaction.EventContract = function() {
    */
   this.events_ = {};
 
+  /**
+   * The installers of the DOM events which this contract covers, by event
+   * name. Used to uninstall the handlers of an event. See removeEvent().
+   *
+   * @type {!Object.<string, !jsaction.ContainerInitializerFunction>}
+   * @private
+   */
+  this.eventInstallers_ = {};
+
+  /**
+   * The events that were added explicitly with addEvent(), as opposed to the
+   * events that are only added implicitly as companions of other events, e.g.
+   * keydown for click if A11Y_CLICK_SUPPORT is on.
+   *
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.explicitEvents_ = {};
+
+  /**
+   * The companion events added implicitly for each event. See addEvent().
+   *
+   * @type {!Object.<string, !Array.<string>>}
+   * @private
+   */
+  this.companions_ = {};
+
+  /**
+   * The number of events each companion event was added for. A companion
+   * event is removed once it is no longer needed by any event, unless it was
+   * also added explicitly.
+   *
+   * @type {!Object.<string, number>}
+   * @private
+   */
+  this.companionRefs_ = {};
+
   /**
    * The dispatcher function. Events are passed to this function for
    * handling once it was set using the dispatchTo() method. Usually
@@ -108,7 +152,7 @@ jsaction.EventContract = function() {
    * unobfuscated.
    *
    * @type {?function((!jsaction.EventInfo|!Array.<!jsaction.EventInfo>),
-   *                  boolean=)}
+   *                  boolean=, !Array.<!jsaction.DroppedEventInfo>=)}
    * @private
    */
   this.dispatcher_ = null;
@@ -121,6 +165,138 @@ jsaction.EventContract = function() {
    */
   this.queue_ = [];
 
+  /**
+   * The policies of the queue. See setQueueOptions().
+   * @private {!jsaction.EventContract.QueueOptions}
+   */
+  this.queueOptions_ = {};
+
+  /**
+   * The event types of which only the last queued event per action is kept,
+   * as a set. See setQueueOptions().
+   * @private {!Object.<string, boolean>}
+   */
+  this.coalescedTypes_ = {};
+
+  /**
+   * The events dropped from the queue, oldest first. They are passed to the
+   * dispatcher together with the queue.
+   * @private {!Array.<!jsaction.DroppedEventInfo>}
+   */
+  this.dropped_ = [];
+
+  /**
+   * The options of the feedback for queued events, or null if the action
+   * elements of queued events are not marked. See setPendingFeedback().
+   * @private {?jsaction.pending.Options}
+   */
+  this.pendingFeedback_ = null;
+
+  /**
+   * The observer that tracks changes of the jsaction and jsnamespace
+   * attributes in the containers, as well as removals of containers from the
+   * document. Only set while mutations are observed, see observeMutations().
+   * @private {MutationObserver}
+   */
+  this.mutationObserver_ = null;
+
+  /**
+   * Information about an element that received a touchstart event
+   * that we might want to translate into a click event once a touchend
+   * event arrives.
+   *
+   * - node is the target element of the event.
+   * - x and y are clientX and clientY of the event, respectively.
+   *
+   * The fields of this Object are unquoted.
+   *
+   * This object is reset when either touchend arrives within a short period
+   * of time or when "fast click" is canceled due to touchmove or expiration.
+   * See "resetFastClickNode_" method for more detail.
+   *
+   * @private {?{node: !Element, x: number, y: number}}
+   */
+  this.fastClickNode_ = null;
+
+  /**
+   * The last emitted touchend event. It's used to ignore subsequent mouse
+   * events when requested by "_preventMouseEvents".
+   * @private {?Event}
+   */
+  this.preventingMouseEvents_ = null;
+
+  /**
+   * A timer that we schedule after a touchstart. If the timer fires before
+   * the touchend event, the press is considered a long-press that does not
+   * get translated into a click.
+   * @private {number}
+   */
+  this.fastClickTimeout_ = 0;
+
+  /**
+   * The document level capture listener that cancels the mouse events
+   * following a fast click, while it is installed. See initializeFastClick_().
+   * @private {?function(!Event)}
+   */
+  this.sweepupListener_ = null;
+
+  /**
+   * The tables that decide which keydowns act like clicks on which elements,
+   * if they differ from the built-in ones. See setKeyActivationRegistry().
+   * @private {?jsaction.event.KeyActivationRegistry}
+   */
+  this.keyActivationRegistry_ = null;
+
+  /**
+   * The thresholds of the gestures, see setGestureOptions().
+   * @private {!jsaction.EventContract.GestureOptions}
+   */
+  this.gestureOptions_ = jsaction.EventContract.DEFAULT_GESTURE_OPTIONS_;
+
+  /**
+   * Information about the touch that may become a gesture, much like
+   * fastClickNode_.
+   *
+   * - node is the innermost element with a gesture action that was touched.
+   * - target is the element that was touched. The gesture events are
+   *   dispatched to it.
+   * - start is the event that started the touch.
+   * - x and y are clientX and clientY where the touch started, respectively.
+   * - lastX and lastY are clientX and clientY where the touch was last seen.
+   * - time is when the touch started.
+   * - moved is whether the touch moved farther than a tap may.
+   * - longPressed is whether the touch was recognized as a long press.
+   *
+   * The fields of this Object are unquoted.
+   *
+   * @private {?{node: !Element, target: !Element, start: !Event, x: number,
+   *     y: number, lastX: number, lastY: number, time: number,
+   *     moved: boolean, longPressed: boolean}}
+   */
+  this.gesture_ = null;
+
+  /**
+   * The last tap, which a double tap may follow.
+   * @private {?{node: !Element, x: number, y: number, time: number}}
+   */
+  this.lastTap_ = null;
+
+  /**
+   * A timer that we schedule after a touchstart on an element with a gesture
+   * action. If it fires before the touch ends or moves, the touch is a long
+   * press.
+   * @private {number}
+   */
+  this.longPressTimeout_ = 0;
+
+  /**
+   * The drag source of the current drag operation until it's dropped, if it
+   * started on an element with a dragstart action in a container of this
+   * contract. See trackDrag_().
+   * @private {?jsaction.event.DragSource}
+   */
+  this.dragSource_ = null;
+
   if (jsaction.EventContract.CUSTOM_EVENT_SUPPORT) {
     this.addEvent(jsaction.EventType.CUSTOM);
   }
@@ -158,12 +334,21 @@ goog.define('jsaction.EventContract.A11Y_CLICK_SUPPORT', false);
 
 
 /**
- * @define {boolean} Support for the non-bubbling mouseenter and mouseleave
- *     events.  This flag can be overridden in a build rule.
+ * @define {boolean} Support for the non-bubbling mouseenter, mouseleave,
+ *     pointerenter and pointerleave events.  This flag can be overridden in a
+ *     build rule.
  */
 goog.define('jsaction.EventContract.MOUSE_SPECIAL_SUPPORT', false);
 
 
+/**
+ * @define {boolean} Support for the focuswithin and focusoutside events,
+ *     which fire when the focus moves into and out of an element.  This flag
+ *     can be overridden in a build rule.
+ */
+goog.define('jsaction.EventContract.FOCUS_SPECIAL_SUPPORT', false);
+
+
 /**
  * @define {boolean} Simulate click events based on touch events for browsers
  *     that have a 300ms delay before they send the click event. This is
@@ -172,6 +357,35 @@ goog.define('jsaction.EventContract.MOUSE_SPECIAL_SUPPORT', false);
 goog.define('jsaction.EventContract.FAST_CLICK_SUPPORT', false);
 
 
+/**
+ * @define {boolean} Simulate the fast click events based on pointer events
+ *     instead of touch events, i.e. a click is simulated for a pointerup that
+ *     follows a pointerdown on the same element. Mouse pointers are left
+ *     alone, since their clicks aren't delayed. Only used if
+ *     FAST_CLICK_SUPPORT is on.
+ */
+goog.define('jsaction.EventContract.FAST_CLICK_POINTER_EVENTS', false);
+
+
+/**
+ * @define {boolean} Support for the longpress, swipeleft, swiperight and
+ *     doubletap gesture events, which are recognized from the same touch
+ *     events as fast clicks, or pointer events with FAST_CLICK_POINTER_EVENTS.
+ *     See setGestureOptions() for the thresholds.
+ */
+goog.define('jsaction.EventContract.GESTURE_SUPPORT', false);
+
+
+/**
+ * @define {boolean} Support for drag and drop actions. The element with the
+ *     dragstart action is remembered as the drag source of the later drag
+ *     events, see jsaction.event.getDragSource(), and dragover events are
+ *     canceled over elements with a drop action, so that the browser allows
+ *     the drop.
+ */
+goog.define('jsaction.EventContract.DRAG_DROP_SUPPORT', false);
+
+
 /**
  * @define {boolean} Call stopPropagation on handled events. When integrating
  *      with non-jsaction event handler based code, you will likely want to turn
@@ -190,6 +404,14 @@ goog.define('jsaction.EventContract.STOP_PROPAGATION', true);
 goog.define('jsaction.EventContract.CUSTOM_EVENT_SUPPORT', false);
 
 
+/**
+ * @define {boolean} Capture the focused element and the selection when
+ *      keyboard, input and focus events are queued, so that they can be
+ *      restored when the events are replayed. See jsaction.focus.
+ */
+goog.define('jsaction.EventContract.FOCUS_STATE_SUPPORT', false);
+
+
 /**
  * Specifies a click jsaction event type triggered by an Enter/Space DOM
  * keypress.
@@ -236,39 +458,30 @@ jsaction.EventContract.defaultEventType_ = jsaction.EventType.CLICK;
 
 
 /**
- * Information about an element that received a touchstart event
- * that we might want to translate into a click event once a touchend
- * event arrives.
- *
- * - node is the target element of the event.
- * - x and y are clientX and clientY of the event, respectively.
- *
- * The fields of this Object are unquoted.
- *
- * This object is reset when either touchend arrives within a short period of
- * time or when "fast click" is canceled due to touchmove or expiration. See
- * "resetFastClickNode_" method for more detail.
- *
- * @private {?{node: !Element, x: number, y: number}}
- */
-jsaction.EventContract.fastClickNode_;
-
-
-/**
- * The last emitted touchend event. It's used to ignore subsequent mouse
- * events when requested by "_preventMouseEvents".
- * @private {?Event}
+ * Maps the key modifiers that can be used in the jsaction attribute value,
+ * e.g. "keydown.enter:ns.submit", to the KeyboardEvent#key value and the
+ * legacy key code of the key they match.
+ * @private @const {!Object.<string, !Array.<string|number>>}
  */
-jsaction.EventContract.preventingMouseEvents_ = null;
+jsaction.EventContract.KEY_MODIFIERS_ = {
+  'enter': ['Enter', jsaction.KeyCodes.ENTER],
+  'esc': ['Escape', jsaction.KeyCodes.ESC],
+  'space': [' ', jsaction.KeyCodes.SPACE],
+  'tab': ['Tab', jsaction.KeyCodes.TAB],
+  'delete': ['Delete', jsaction.KeyCodes.DELETE],
+  'up': ['ArrowUp', jsaction.KeyCodes.UP],
+  'down': ['ArrowDown', jsaction.KeyCodes.DOWN],
+  'left': ['ArrowLeft', jsaction.KeyCodes.LEFT],
+  'right': ['ArrowRight', jsaction.KeyCodes.RIGHT]
+};
 
 
 /**
- * A timer that we schedule after a touchstart. If the timer fires before the
- * touchend event, the press is considered a long-press that does not get
- * translated into a click.
- * @private {number}
+ * The function that is notified of unknown event modifiers in jsaction
+ * attribute values.
+ * @private {?function(string, string)}
  */
-jsaction.EventContract.fastClickTimeout_;
+jsaction.EventContract.unknownModifierHandler_ = null;
 
 
 /**
@@ -289,6 +502,20 @@ jsaction.EventContract.setDefaultEventType = function(eventType) {
 };
 
 
+/**
+ * Sets the function that is notified whenever a jsaction attribute value
+ * containing an unknown event modifier is parsed, e.g. for a misspelled
+ * "click.prvent:ns.save". The function is called with the unknown modifier
+ * and the attribute value. The action is still bound, the unknown modifier is
+ * ignored.
+ * @param {?function(string, string)} handler The function to notify, or null
+ *     to stop reporting unknown modifiers.
+ */
+jsaction.EventContract.setUnknownModifierHandler = function(handler) {
+  jsaction.EventContract.unknownModifierHandler_ = handler;
+};
+
+
 /**
  * Returns a function that handles events on a container and invokes a local
  * event handler (bound using the actions map) on the source node or any of
@@ -316,6 +543,12 @@ jsaction.EventContract.eventHandler_ = function(eventContract, eventType) {
    * @this {!Element}
    */
   var handler = function(e) {
+    if (jsaction.EventContract.FOCUS_STATE_SUPPORT &&
+        jsaction.focus.isRestoring()) {
+      // The focus events fired while a replayed event restores the focus
+      // state it was queued with aren't interactions of the user.
+      return;
+    }
     var container = this;
     // Store eventType's value in a local variable so that multiple calls do not
     // modify the shared eventType variable.
@@ -332,8 +565,14 @@ jsaction.EventContract.eventHandler_ = function(eventContract, eventType) {
       eventTypeForDispatch = detail['_type'];
     }
 
+    var additionalEventInfos = [];
     var eventInfo = jsaction.EventContract.createEventInfo_(
-        eventTypeForDispatch, e, container);
+        eventTypeForDispatch, e, container, additionalEventInfos,
+        eventContract);
+
+    if (jsaction.EventContract.DRAG_DROP_SUPPORT) {
+      eventContract.trackDrag_(e, eventInfo, container);
+    }
 
     if (eventContract.dispatcher_) {
       var globalEventInfo = jsaction.EventContract.createEventInfoInternal_(
@@ -372,43 +611,65 @@ jsaction.EventContract.eventHandler_ = function(eventContract, eventType) {
       }
     }
 
-    // Prevent browser from following <a> node links if a jsaction is
-    // present. Note that the targetElement may be a child of an anchor that has
-    // a jsaction attached. For that reason, we need to check the actionElement
-    // rather than the targetElement.
-    if (eventInfo['actionElement'].tagName == goog.dom.TagName.A &&
-        (eventInfo['eventType'] == jsaction.EventType.CLICK ||
-            eventInfo['eventType'] == jsaction.EventType.CLICKMOD)) {
-      jsaction.event.preventDefault(e);
-    }
-
+    // If the action element binds several jsactions to the event, each of
+    // them is dispatched or queued separately, in declared order.
     if (eventContract.dispatcher_) {
       eventContract.dispatcher_(eventInfo);
+      for (var i = 0; i < additionalEventInfos.length; i++) {
+        eventContract.dispatcher_(additionalEventInfos[i]);
+      }
     } else {
       var copiedEvent = jsaction.event.maybeCopyEvent(e);
       // The event is queued since there is no dispatcher registered
       // yet. Potentially make a copy of the event in order to extend its
       // life. The copy will later be used when attempting to replay.
+      // Likewise, the focus may have moved by the time the event is
+      // replayed, so remember where the user typed.
+      var focusState = jsaction.EventContract.FOCUS_STATE_SUPPORT &&
+          jsaction.EventContract.isFocusSensitive_(e.type) ?
+          jsaction.focus.capture() : undefined;
       eventInfo['event'] = copiedEvent;
-      eventContract.queue_.push(eventInfo);
+      eventInfo['focusState'] = focusState;
+      eventContract.enqueue_(eventInfo);
+      for (var i = 0; i < additionalEventInfos.length; i++) {
+        additionalEventInfos[i]['event'] = copiedEvent;
+        additionalEventInfos[i]['focusState'] = focusState;
+        eventContract.enqueue_(additionalEventInfos[i]);
+      }
     }
 
-    jsaction.EventContract.afterEventHandler_(eventInfo);
+    eventContract.afterEventHandler_(eventInfo);
   };
   return handler;
 };
 
 
+/**
+ * @param {string} type The type of a DOM event.
+ * @return {boolean} Whether the event acts on the focused element or its
+ *     selection, so that the focus state is captured when it's queued.
+ * @private
+ */
+jsaction.EventContract.isFocusSensitive_ = function(type) {
+  return type == jsaction.EventType.KEYDOWN ||
+      type == jsaction.EventType.KEYPRESS ||
+      type == jsaction.EventType.KEYUP ||
+      type == jsaction.EventType.INPUT ||
+      type == jsaction.EventType.FOCUS ||
+      type == jsaction.EventType.FOCUSIN;
+};
+
+
 /**
  * Post-processes event. Called after event has been sent to the handler.
  * @param {!jsaction.EventInfo} eventInfo
  * @private
  */
-jsaction.EventContract.afterEventHandler_ = function(eventInfo) {
+jsaction.EventContract.prototype.afterEventHandler_ = function(eventInfo) {
   // Setup sweeper if mouse events have been canceled.
   if (eventInfo.event.type == jsaction.EventType.TOUCHEND &&
      jsaction.event.isMouseEventsPrevented(eventInfo.event)) {
-    jsaction.EventContract.preventingMouseEvents_ = /** @type {!Event} */ (
+    this.preventingMouseEvents_ = /** @type {!Event} */ (
         jsaction.event.recreateTouchEventAsClick(eventInfo.event));
   }
 };
@@ -431,12 +692,23 @@ jsaction.EventContract.afterEventHandler_ = function(eventInfo) {
  *     the DOM.
  * @param {!Node} container The container which limits the search for
  *     jsactions which can handle the event.
+ * @param {!Array.<!jsaction.EventInfo>=} opt_additionalEventInfos If given,
+ *     the event infos for the further jsactions that handle the event are
+ *     appended to it, in the order in which they should be dispatched: first
+ *     the other jsactions the found jsaction element binds to the event, in
+ *     declared order, then, if they all bubble, those of its ancestors.
+ * @param {jsaction.EventContract=} opt_eventContract The contract that
+ *     received the event. Fast clicks are only recognized with a contract,
+ *     which keeps track of the touch events that may lead to them, and so are
+ *     gestures. Its key activation registry, if any, decides which keydowns
+ *     act like clicks.
  * @return {jsaction.EventInfo} The event info object.  If its actionElement
  *     property is null, no jsaction was found above the target Node of the
  *     event.
  * @private
  */
-jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
+jsaction.EventContract.createEventInfo_ = function(
+    eventType, e, container, opt_additionalEventInfos, opt_eventContract) {
   // We distinguish modified and plain clicks in order to support the
   // default browser behavior of modified clicks on links; usually to
   // open the URL of the link in new tab or new window on ctrl/cmd
@@ -474,11 +746,30 @@ jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
       jsaction.event.isModifiedClickEvent(e)) {
     eventType = jsaction.EventType.CLICKMOD;
   } else if (jsaction.EventContract.A11Y_CLICK_SUPPORT &&
-             jsaction.event.isActionKeyEvent(e)) {
+             jsaction.event.isActionKeyEvent(
+                 e, jsaction.EventContract.getKeyActivationRegistry_(
+                     opt_eventContract))) {
     eventType = jsaction.EventContract.CLICKKEY_;
   }
 
   var target = /** @type {!Element} */(e.srcElement || e.target);
+
+  // Events that originate inside of an open shadow tree are retargeted to the
+  // shadow host once they leave the shadow tree. The composed path still
+  // contains the element the event originated at, as well as all the nodes of
+  // the shadow tree, so we use it to find the real target and the jsaction.
+  var shadowPath = jsaction.domGenerator.getShadowPath(e);
+  if (shadowPath) {
+    target = shadowPath[0];
+  }
+
+  // Gestures are recognized independently of the jsaction the event is
+  // mapped to, since the touch events that make them up are usually not
+  // handled themselves.
+  if (jsaction.EventContract.GESTURE_SUPPORT && opt_eventContract) {
+    opt_eventContract.recognizeGesture_(e, target, container);
+  }
+
   var eventInfo = jsaction.EventContract.createEventInfoInternal_(
       eventType, e, target, '', null);
 
@@ -492,13 +783,13 @@ jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
   var actionInfo;
   // NOTE(user): This is a work around some issues with custom dispatchers.
   var element;
-  if (jsaction.EventContract.USE_EVENT_PATH) {
+  if (jsaction.EventContract.USE_EVENT_PATH || shadowPath) {
     var generator = jsaction.domGenerator.getGenerator(
         e, target, /** @type {!Element} */(container));
     for (var node; node = generator.next();) {
       element = node;
       actionInfo = jsaction.EventContract.getAction_(
-          element, eventType, e, container);
+          element, eventType, e, container, opt_eventContract);
       eventInfo = jsaction.EventContract.createEventInfoInternal_(
           actionInfo.eventType, actionInfo.event || e, target,
           actionInfo.action || '', element,
@@ -524,7 +815,7 @@ jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
       node = node[jsaction.Property.OWNER] || node.parentNode) {
       element = node;
       actionInfo = jsaction.EventContract.getAction_(
-          element, eventType, e, container);
+          element, eventType, e, container, opt_eventContract);
 
       // Stop walking the DOM prematurely if we will ignore this event.  This is
       // used solely for fastbutton's implementation.
@@ -549,41 +840,17 @@ jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
     jsaction.event.addPreventMouseEventsSupport(eventInfo['event']);
   }
 
-  if (actionInfo && actionInfo.action) {
-    // Prevent scrolling if the Space key was pressed and prevent the browser's
-    // default action for native HTML controls.
-    if (jsaction.EventContract.A11Y_CLICK_SUPPORT &&
-        eventType == jsaction.EventContract.CLICKKEY_ &&
-        (jsaction.event.isSpaceKeyEvent(e) ||
-         jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl(e))) {
-      jsaction.event.preventDefault(e);
-    }
-
-    // We attempt to handle the mouseenter/mouseleave events here by
-    // detecting whether the mouseover/mouseout events correspond to
-    // entering/leaving an element.
-    if (jsaction.EventContract.MOUSE_SPECIAL_SUPPORT &&
-        (eventType == jsaction.EventType.MOUSEENTER ||
-         eventType == jsaction.EventType.MOUSELEAVE)) {
-      // We attempt to handle the mouseenter/mouseleave events here by
-      // detecting whether the mouseover/mouseout events correspond to
-      // entering/leaving an element.
-      if (jsaction.event.isMouseSpecialEvent(e, eventType, element)) {
-        // If both mouseover/mouseout and mouseenter/mouseleave events are
-        // enabled, two separate handlers for mouseover/mouseout are
-        // registered. Both handlers will see the same event instance
-        // so we create a copy to avoid interfering with the dispatching of
-        // the mouseover/mouseout event.
-        var copiedEvent = jsaction.event.createMouseSpecialEvent(
-            e, /** @type {!Element} */ (element));
-        eventInfo['event'] = /** @type {!Event} */ (copiedEvent);
-        // Since the mouseenter/mouseleave events do not bubble, the target
-        // of the event is technically the node on which the jsaction is
-        // specified (the actionElement).
-        eventInfo['targetElement'] = element;
-      } else {
-        eventInfo['action'] = '';
-        eventInfo['actionElement'] = null;
+  if (actionInfo && actionInfo.action &&
+      jsaction.EventContract.processAction_(eventType, e, eventInfo,
+          actionInfo, opt_eventContract)) {
+    if (opt_additionalEventInfos) {
+      jsaction.EventContract.addAdditionalEventInfos_(
+          e, eventInfo, actionInfo, opt_additionalEventInfos);
+      if (jsaction.EventContract.allHaveModifier_(
+              actionInfo, jsaction.Modifier.BUBBLE)) {
+        jsaction.EventContract.bubble_(
+            eventType, e, eventInfo, container, generator || null,
+            opt_additionalEventInfos, opt_eventContract);
       }
     }
     return eventInfo;
@@ -596,6 +863,253 @@ jsaction.EventContract.createEventInfo_ = function(eventType, e, container) {
 };
 
 
+/**
+ * Applies the behavior of event contract that depends on the jsaction found
+ * for an event, i.e. preventing the default action of the event where needed,
+ * the special handling of mouseenter, mouseleave, focuswithin and
+ * focusoutside, and the event modifiers of the jsaction.
+ *
+ * @param {string} eventType The type of the event as specified by event
+ *     contract.
+ * @param {!Event} e The browser event.
+ * @param {!jsaction.EventInfo} eventInfo The event info of the jsaction. Its
+ *     event and target element may be replaced.
+ * @param {!jsaction.ActionInfo} actionInfo The action info of the jsaction.
+ * @param {jsaction.EventContract=} opt_eventContract The contract that
+ *     received the event.
+ * @return {boolean} Whether the jsaction handles the event.
+ * @private
+ */
+jsaction.EventContract.processAction_ = function(
+    eventType, e, eventInfo, actionInfo, opt_eventContract) {
+  var element = eventInfo['actionElement'];
+  var passive = jsaction.EventContract.allHaveModifier_(
+      actionInfo, jsaction.Modifier.PASSIVE);
+
+  // Prevent scrolling if the Space key was pressed and prevent the browser's
+  // default action for native HTML controls.
+  if (!passive && jsaction.EventContract.A11Y_CLICK_SUPPORT &&
+      eventType == jsaction.EventContract.CLICKKEY_ &&
+      (jsaction.event.isSpaceKeyEvent(e) ||
+       jsaction.event.shouldCallPreventDefaultOnNativeHtmlControl(
+           e, jsaction.EventContract.getKeyActivationRegistry_(
+               opt_eventContract)))) {
+    jsaction.event.preventDefault(e);
+  }
+
+  // We attempt to handle the mouseenter/mouseleave events here by
+  // detecting whether the mouseover/mouseout events correspond to
+  // entering/leaving an element. Likewise for pointerenter/pointerleave.
+  if (jsaction.EventContract.MOUSE_SPECIAL_SUPPORT &&
+      jsaction.event.isMouseSpecialEventType(eventType)) {
+    if (jsaction.event.isMouseSpecialEvent(e, eventType, element)) {
+      // If both mouseover/mouseout and mouseenter/mouseleave events are
+      // enabled, two separate handlers for mouseover/mouseout are
+      // registered. Both handlers will see the same event instance
+      // so we create a copy to avoid interfering with the dispatching of
+      // the mouseover/mouseout event.
+      var copiedEvent = jsaction.event.createMouseSpecialEvent(e, element);
+      eventInfo['event'] = /** @type {!Event} */ (copiedEvent);
+      // Since the mouseenter/mouseleave events do not bubble, the target
+      // of the event is technically the node on which the jsaction is
+      // specified (the actionElement).
+      eventInfo['targetElement'] = element;
+    } else {
+      return false;
+    }
+  }
+
+  // Likewise, focuswithin/focusoutside are derived from focusin/focusout
+  // that move the focus into or out of the action element.
+  if (jsaction.EventContract.FOCUS_SPECIAL_SUPPORT &&
+      jsaction.event.isFocusSpecialEventType(eventType)) {
+    if (jsaction.event.isFocusSpecialEvent(e, eventType, element)) {
+      eventInfo['event'] = /** @type {!Event} */ (
+          jsaction.event.createFocusSpecialEvent(e, element));
+      eventInfo['targetElement'] = element;
+    } else {
+      return false;
+    }
+  }
+
+  // Prevent browser from following <a> node links if a jsaction is
+  // present. Note that the targetElement may be a child of an anchor that has
+  // a jsaction attached. For that reason, we need to check the actionElement
+  // rather than the targetElement.
+  if (!passive && element.tagName == goog.dom.TagName.A &&
+      (eventInfo['eventType'] == jsaction.EventType.CLICK ||
+          eventInfo['eventType'] == jsaction.EventType.CLICKMOD)) {
+    jsaction.event.preventDefault(e);
+  }
+
+  if (actionInfo.modifiers) {
+    jsaction.EventContract.applyModifiers_(actionInfo.modifiers, e, eventInfo);
+  }
+  return true;
+};
+
+
+/**
+ * Creates the event infos for the further jsactions an action element binds
+ * to an event, see jsaction.ActionInfo.
+ *
+ * @param {!Event} e The browser event.
+ * @param {!jsaction.EventInfo} eventInfo The event info of the first jsaction.
+ * @param {!jsaction.ActionInfo} actionInfo The action info of the element.
+ * @param {!Array.<!jsaction.EventInfo>} eventInfos The list to append the
+ *     event infos to.
+ * @private
+ */
+jsaction.EventContract.addAdditionalEventInfos_ = function(
+    e, eventInfo, actionInfo, eventInfos) {
+  var additionalActions = actionInfo.additionalActions || [];
+  for (var i = 0; i < additionalActions.length; i++) {
+    var additionalEventInfo = jsaction.EventContract.createEventInfoInternal_(
+        eventInfo['eventType'], eventInfo['event'],
+        eventInfo['targetElement'], additionalActions[i].action,
+        eventInfo['actionElement'], eventInfo['timeStamp']);
+    jsaction.EventContract.applyModifiers_(
+        additionalActions[i].modifiers, e, additionalEventInfo);
+    eventInfos.push(additionalEventInfo);
+  }
+};
+
+
+/**
+ * Continues the search for jsactions above an action element whose jsactions
+ * were all declared with the "bubble" modifier. The event infos of the
+ * jsactions found are appended in the order in which they are found, i.e.
+ * inner to outer, until a jsaction is found that doesn't bubble.
+ *
+ * @param {string} eventType The type of the event as specified by event
+ *     contract.
+ * @param {!Event} e The browser event.
+ * @param {!jsaction.EventInfo} eventInfo The event info of the innermost
+ *     jsaction.
+ * @param {!Node} container The container which limits the search.
+ * @param {?jsaction.domGenerator.Generator} generator The generator that was
+ *     used to find the innermost jsaction, or null if the DOM was walked.
+ * @param {!Array.<!jsaction.EventInfo>} eventInfos The list to append the
+ *     event infos to.
+ * @param {jsaction.EventContract=} opt_eventContract The contract that
+ *     received the event.
+ * @private
+ */
+jsaction.EventContract.bubble_ = function(
+    eventType, e, eventInfo, container, generator, eventInfos,
+    opt_eventContract) {
+  var node = eventInfo['actionElement'];
+  while (true) {
+    if (generator) {
+      node = generator.next();
+    } else {
+      node = node[jsaction.Property.OWNER] || node.parentNode;
+      if (node == container) {
+        node = null;
+      }
+    }
+    if (!node) {
+      return;
+    }
+    var actionInfo = jsaction.EventContract.getAction_(
+        node, eventType, e, container, opt_eventContract);
+    if (actionInfo.ignore) {
+      return;
+    }
+    if (!actionInfo.action) {
+      continue;
+    }
+    var outerEventInfo = jsaction.EventContract.createEventInfoInternal_(
+        actionInfo.eventType, actionInfo.event || e, eventInfo['targetElement'],
+        actionInfo.action, node, eventInfo['timeStamp']);
+    if (!jsaction.EventContract.processAction_(
+            eventType, e, outerEventInfo, actionInfo, opt_eventContract)) {
+      continue;
+    }
+    if (outerEventInfo['event'] != eventInfo['event']) {
+      // The action element has its own copy of a special event, which must
+      // still see whether the bubbling was stopped, see
+      // jsaction.ActionFlow#stopBubbling.
+      outerEventInfo['event'][jsaction.Property.BUBBLING_EVENT] =
+          eventInfo['event'];
+    }
+    eventInfos.push(outerEventInfo);
+    jsaction.EventContract.addAdditionalEventInfos_(
+        e, outerEventInfo, actionInfo, eventInfos);
+    if (!jsaction.EventContract.allHaveModifier_(
+            actionInfo, jsaction.Modifier.BUBBLE)) {
+      return;
+    }
+  }
+};
+
+
+/**
+ * Resolves the jsactions a queued event is mapped to in the current DOM, the
+ * way the contract resolved them when it received the event: from the target
+ * element up, following owners and shadow hosts, with the event modifiers and
+ * key combinations of the jsactions matched against the event, and on to the
+ * ancestors while all the jsactions found bubble. Unlike when the event is
+ * received, the modifiers aren't applied, and whether mouseenter and similar
+ * special events still enter the ancestors isn't checked. Used by
+ * jsaction.replayStrategies.reResolveAction().
+ *
+ * @param {!jsaction.EventInfo} eventInfo The event info of the queued event.
+ * @return {!Array.<{eventType: string, action: string,
+ *     actionElement: !Element}>} The jsactions in the order in which they
+ *     would be dispatched. Empty if the event isn't mapped to any.
+ * @package
+ */
+jsaction.EventContract.resolveActions = function(eventInfo) {
+  var e = eventInfo['event'];
+  var eventType = eventInfo['eventType'];
+  if (eventType == jsaction.EventType.CLICKONLY) {
+    // Like for the clicks the contract receives, getAction_() falls back to
+    // clickonly jsactions on elements without a click jsaction.
+    eventType = jsaction.EventType.CLICK;
+  }
+  if (jsaction.EventContract.A11Y_CLICK_SUPPORT &&
+      eventType == jsaction.EventType.CLICK &&
+      e.type != jsaction.EventType.CLICK) {
+    // The click was triggered by a key, see createEventInfo_().
+    eventType = jsaction.EventContract.CLICKKEY_;
+  }
+
+  var resolved = [];
+  for (var node = eventInfo['targetElement']; node;
+       node = node[jsaction.Property.OWNER] ||
+           jsaction.dom.getParentNode(node)) {
+    if (node.nodeType != 1 /* ELEMENT_NODE */) {
+      continue;
+    }
+    var element = /** @type {!Element} */ (node);
+    var actionInfo = jsaction.EventContract.getAction_(
+        element, eventType, e, /** @type {!Node} */ (document));
+    if (!actionInfo.action) {
+      continue;
+    }
+    resolved.push({
+      eventType: actionInfo.eventType,
+      action: actionInfo.action,
+      actionElement: element
+    });
+    var additionalActions = actionInfo.additionalActions || [];
+    for (var i = 0; i < additionalActions.length; i++) {
+      resolved.push({
+        eventType: actionInfo.eventType,
+        action: additionalActions[i].action,
+        actionElement: element
+      });
+    }
+    if (!jsaction.EventContract.allHaveModifier_(
+            actionInfo, jsaction.Modifier.BUBBLE)) {
+      break;
+    }
+  }
+  return resolved;
+};
+
+
 /**
  * @param {string} eventType
  * @param {!Event} e
@@ -619,7 +1133,7 @@ jsaction.EventContract.createEventInfoInternal_ = function(
     'targetElement': targetElement,
     'action': action,
     'actionElement': actionElement,
-    'timeStamp': opt_timeStamp || goog.now()
+    'timeStamp': opt_timeStamp || jsaction.event.now()
   });
 };
 
@@ -654,34 +1168,27 @@ jsaction.EventContract.getAttr_ = function(node, attribute) {
 /**
  * Since maps from event to action are immutable we can use a single map
  * to represent the empty map.
- * @private @const {!Object.<string, string>}
+ * @private @const {!jsaction.ActionMap}
  */
 jsaction.EventContract.EMPTY_ACTION_MAP_ = {};
 
 
 /**
- * Accesses the jsaction map on a node and retrieves the name of the
- * action the given event is mapped to, if any. It parses the
- * attribute value and stores it in a property on the node for
- * subsequent retrieval without re-parsing and re-accessing the
- * attribute. In order to fully qualify jsaction names using a
- * namespace, the DOM is searched starting at the current node and
- * going through ancestor nodes until a jsnamespace attribute is
- * found.
+ * Returns the jsaction map of a node. It parses the attribute value and
+ * stores it in a property on the node for subsequent retrieval without
+ * re-parsing and re-accessing the attribute. In order to fully qualify
+ * jsaction names using a namespace, the DOM is searched starting at the
+ * current node and going through ancestor nodes until a jsnamespace attribute
+ * is found.
  *
- * @param {!Element} node The DOM node to retrieve the jsaction map
- *     from.
- * @param {string} eventType The type of the event for which to
- *     retrieve the action.
- * @param {!Event} event The current browser event.
+ * @param {!Element} node The DOM node to retrieve the jsaction map from.
  * @param {!Node} container The node which limits the namespace lookup
  *     for a jsaction name. The container node itself will not be
  *     searched.
- * @return {jsaction.ActionInfo} The action info.
+ * @return {!jsaction.ActionMap} The jsaction map of the node.
  * @private
  */
-jsaction.EventContract.getAction_ = function(node, eventType, event,
-    container) {
+jsaction.EventContract.getActionMap_ = function(node, container) {
   var actionMap = jsaction.Cache.get(node);
   if (!actionMap) {
     var attvalue = jsaction.EventContract.getAttr_(
@@ -706,7 +1213,48 @@ jsaction.EventContract.getAction_ = function(node, eventType, event,
               jsaction.EventContract.defaultEventType_;
           var action = hasColon ? jsaction.EventContract.stringTrim_(
               value.substr(colon + 1)) : value;
-          actionMap[type] = action;
+          // A key combination follows the event name in brackets, e.g.
+          // "keydown[ctrl+s]:ns.save". It's taken out before the event
+          // modifiers are split off, since it may contain dots.
+          var keyCombo = undefined;
+          var comboStart = hasColon ?
+              type.indexOf(jsaction.Char.KEY_COMBO_START) : -1;
+          var comboEnd = comboStart != -1 ?
+              type.indexOf(jsaction.Char.KEY_COMBO_END, comboStart) : -1;
+          if (comboEnd != -1) {
+            var comboText = type.substring(comboStart + 1, comboEnd);
+            keyCombo = jsaction.event.parseKeyCombo(comboText);
+            if (!keyCombo) {
+              // An action with an invalid key combination would otherwise
+              // handle every key.
+              jsaction.EventContract.reportUnknownModifier_(
+                  jsaction.Char.KEY_COMBO_START + comboText +
+                  jsaction.Char.KEY_COMBO_END, attvalue);
+              continue;
+            }
+            type = type.substr(0, comboStart) + type.substr(comboEnd + 1);
+          }
+          // Event modifiers are only recognized in front of a colon, since
+          // the dot otherwise separates the namespace from the action name.
+          // Modifiers that concern the action rather than the event follow
+          // the action name, e.g. "click:ns.track!bubble".
+          var eventParts = hasColon ?
+              type.split(jsaction.Char.EVENT_MODIFIER_SEPARATOR) : [type];
+          var actionParts = action.split(jsaction.Char.ACTION_FLAG_SEPARATOR);
+          if (eventParts.length > 1 || actionParts.length > 1 || keyCombo) {
+            jsaction.EventContract.addActionSpec_(
+                actionMap, eventParts[0], actionParts[0],
+                jsaction.EventContract.parseModifiers_(
+                    eventParts.slice(1).concat(actionParts.slice(1)),
+                    attvalue),
+                keyCombo);
+          } else if (actionMap.hasOwnProperty(type)) {
+            // Several jsactions are bound to the same event. They are all
+            // triggered, in the order in which they are declared.
+            jsaction.EventContract.addActionSpec_(actionMap, type, action, {});
+          } else {
+            actionMap[type] = action;
+          }
         }
         jsaction.Cache.setParsed(attvalue, actionMap);
       }
@@ -716,13 +1264,51 @@ jsaction.EventContract.getAction_ = function(node, eventType, event,
         var noNs = actionMap;
         actionMap = {};
         for (var type in noNs) {
-          actionMap[type] = jsaction.EventContract.getQualifiedName_(
-              noNs[type], node, container);
+          var entry = noNs[type];
+          if (typeof entry == 'string') {
+            actionMap[type] = jsaction.EventContract.getQualifiedName_(
+                entry, node, container);
+          } else {
+            var specs = [];
+            for (var i = 0; i < entry.length; i++) {
+              specs.push({
+                action: jsaction.EventContract.getQualifiedName_(
+                    entry[i].action, node, container),
+                modifiers: entry[i].modifiers,
+                keyCombo: entry[i].keyCombo
+              });
+            }
+            actionMap[type] = specs;
+          }
         }
       }
       jsaction.Cache.set(node, actionMap);
     }
   }
+  return actionMap;
+};
+
+
+/**
+ * Accesses the jsaction map on a node, see getActionMap_(), and retrieves
+ * the name of the action the given event is mapped to, if any.
+ *
+ * @param {!Element} node The DOM node to retrieve the jsaction map
+ *     from.
+ * @param {string} eventType The type of the event for which to
+ *     retrieve the action.
+ * @param {!Event} event The current browser event.
+ * @param {!Node} container The node which limits the namespace lookup
+ *     for a jsaction name. The container node itself will not be
+ *     searched.
+ * @param {jsaction.EventContract=} opt_eventContract The contract that
+ *     received the event, which tracks the state of fast clicks.
+ * @return {jsaction.ActionInfo} The action info.
+ * @private
+ */
+jsaction.EventContract.getAction_ = function(node, eventType, event,
+    container, opt_eventContract) {
+  var actionMap = jsaction.EventContract.getActionMap_(node, container);
 
   if (jsaction.EventContract.A11Y_CLICK_SUPPORT) {
     if (eventType == jsaction.EventContract.CLICKKEY_) {
@@ -740,10 +1326,10 @@ jsaction.EventContract.getAction_ = function(node, eventType, event,
   }
 
   var overrideEvent = null;
-  if (jsaction.EventContract.FAST_CLICK_SUPPORT &&
+  if (jsaction.EventContract.FAST_CLICK_SUPPORT && opt_eventContract &&
       // Don't want fast click behavior? Just bind clickonly instead.
       actionMap[jsaction.EventType.CLICK]) {
-    var fastEvent = jsaction.EventContract.getFastClickEvent_(node,
+    var fastEvent = opt_eventContract.getFastClickEvent_(node,
         event, actionMap);
     if (!fastEvent) {
       // Null means to stop looking for further events, as the logic event
@@ -764,47 +1350,281 @@ jsaction.EventContract.getAction_ = function(node, eventType, event,
   // An empty action indicates that no jsaction attribute was found in the given
   // DOM node.
   var actionName = actionMap[eventType] || '';
+  var modifiers = undefined;
+  var additionalActions = undefined;
+  if (typeof actionName != 'string') {
+    // Several jsactions are bound to the event, or jsactions that were
+    // declared with event modifiers which may prevent them from matching this
+    // event. The first matching one is the action of the returned info.
+    var specs = actionName;
+    actionName = '';
+    for (var i = 0; i < specs.length; i++) {
+      var spec = specs[i];
+      if (!jsaction.EventContract.matchesModifiers_(
+              spec, node, eventType, overrideEvent || event)) {
+        continue;
+      }
+      if (!actionName) {
+        actionName = spec.action;
+        modifiers = spec.modifiers;
+      } else {
+        (additionalActions = additionalActions || []).push(spec);
+      }
+    }
+  }
 
   return {
     eventType: eventType,
     action: actionName,
     event: overrideEvent,
-    ignore: false
+    ignore: false,
+    modifiers: modifiers,
+    additionalActions: additionalActions
   };
 };
 
 
 /**
- * Returns the qualified jsaction name, i.e. the name of the jsaction
- * including the namespace part before the dot. If the given jsaction
- * name doesn't already contain the namespace, the function iterates
- * over ancestor nodes until a jsnamespace attribute is found, and
- * uses the value of that attribute as the namespace.
+ * Adds a jsaction to the list of jsactions bound to an event in a parsed
+ * jsaction attribute value, turning a plain action name that is already bound
+ * to the event into a list first.
  *
- * @param {string} name The jsaction name to resolve the namespace of.
- * @param {Element} start The node from which to start searching for a
- *     jsnamespace attribute.
- * @param {Node} container The node which limits the search for a
- *     jsnamespace attribute. This node will be searched.
- * @return {string} The qualified name of the jsaction. If no
- *     namespace is found, returns the unqualified name in case it
- *     exists in the global namespace.
+ * @param {!jsaction.ActionMap} actionMap The parsed attribute value.
+ * @param {string} type The event type.
+ * @param {string} action The action name.
+ * @param {!Object.<string, boolean>} modifiers The event modifiers of the
+ *     jsaction.
+ * @param {jsaction.KeyCombo=} opt_keyCombo The key combination of the
+ *     jsaction, if it was declared with one.
  * @private
  */
-jsaction.EventContract.getQualifiedName_ = function(name, start, container) {
-  if (jsaction.EventContract.JSNAMESPACE_SUPPORT) {
-    if (jsaction.EventContract.isQualifiedName_(name)) {
-      return name;
-    }
+jsaction.EventContract.addActionSpec_ = function(
+    actionMap, type, action, modifiers, opt_keyCombo) {
+  var specs = actionMap.hasOwnProperty(type) ? actionMap[type] : [];
+  if (typeof specs == 'string') {
+    specs = [{action: specs, modifiers: {}, keyCombo: undefined}];
+  }
+  specs.push({action: action, modifiers: modifiers, keyCombo: opt_keyCombo});
+  actionMap[type] = specs;
+};
 
-    for (var node = start; node; node = node.parentNode) {
-      var ns = jsaction.EventContract.getNamespace_(
-          /** @type {!Element} */(node));
-      if (ns) {
-        return ns + jsaction.Char.NAMESPACE_ACTION_SEPARATOR + name;
-      }
 
-      // If this node is the container, stop.
+/**
+ * Parses the event modifiers of a jsaction attribute value entry into a set.
+ * Unknown modifiers are reported and otherwise ignored.
+ *
+ * @param {!Array.<string>} parts The modifiers.
+ * @param {string} attvalue The jsaction attribute value the modifiers were
+ *     found in, for reporting.
+ * @return {!Object.<string, boolean>} The set of modifiers.
+ * @private
+ */
+jsaction.EventContract.parseModifiers_ = function(parts, attvalue) {
+  var modifiers = {};
+  for (var i = 0; i < parts.length; i++) {
+    var modifier = parts[i];
+    if (jsaction.EventContract.isKnownModifier_(modifier)) {
+      modifiers[modifier] = true;
+    } else {
+      jsaction.EventContract.reportUnknownModifier_(modifier, attvalue);
+    }
+  }
+  return modifiers;
+};
+
+
+/**
+ * @param {string} modifier An event modifier.
+ * @return {boolean} Whether the modifier is a jsaction.Modifier, a key
+ *     modifier or a jsaction.PointerType.
+ * @private
+ */
+jsaction.EventContract.isKnownModifier_ = function(modifier) {
+  if (jsaction.EventContract.KEY_MODIFIERS_.hasOwnProperty(modifier) ||
+      jsaction.EventContract.isPointerType_(modifier)) {
+    return true;
+  }
+  for (var name in jsaction.Modifier) {
+    if (jsaction.Modifier[name] == modifier) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {string} modifier An event modifier.
+ * @return {boolean} Whether the modifier is a jsaction.PointerType.
+ * @private
+ */
+jsaction.EventContract.isPointerType_ = function(modifier) {
+  for (var name in jsaction.PointerType) {
+    if (jsaction.PointerType[name] == modifier) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Notifies the unknown modifier handler of an unknown event modifier, if one
+ * is set.
+ *
+ * @param {string} modifier The unknown modifier.
+ * @param {string} attvalue The jsaction attribute value it was found in.
+ * @private
+ */
+jsaction.EventContract.reportUnknownModifier_ = function(modifier, attvalue) {
+  if (jsaction.EventContract.unknownModifierHandler_) {
+    jsaction.EventContract.unknownModifierHandler_(modifier, attvalue);
+  }
+};
+
+
+/**
+ * Checks whether an event satisfies the event modifiers of a jsaction, i.e.
+ * the "self" modifier, the key modifiers, the pointer types and the "once"
+ * modifier, and its key combination.
+ *
+ * @param {!jsaction.ActionSpec} spec The jsaction declared with modifiers.
+ * @param {!Element} node The node the jsaction is declared on.
+ * @param {string} eventType The jsaction event type.
+ * @param {!Event} event The current browser event.
+ * @return {boolean} Whether the jsaction should handle the event.
+ * @private
+ */
+jsaction.EventContract.matchesModifiers_ = function(
+    spec, node, eventType, event) {
+  var modifiers = spec.modifiers;
+  if (spec.keyCombo &&
+      !jsaction.event.matchesKeyCombo(event, spec.keyCombo)) {
+    return false;
+  }
+  if (modifiers[jsaction.Modifier.SELF] &&
+      jsaction.EventContract.getTarget_(event) != node) {
+    return false;
+  }
+  if (modifiers[jsaction.Modifier.ONCE]) {
+    var triggered = node[jsaction.Property.ONCE];
+    if (triggered && triggered[eventType + ':' + spec.action]) {
+      return false;
+    }
+  }
+  var hasKeyModifier = false;
+  var hasPointerType = false;
+  var matchesKey = false;
+  var matchesPointerType = false;
+  for (var modifier in modifiers) {
+    var key = jsaction.EventContract.KEY_MODIFIERS_[modifier];
+    if (key) {
+      hasKeyModifier = true;
+      matchesKey = matchesKey ||
+          event.key == key[0] || event.keyCode == key[1];
+    } else if (jsaction.EventContract.isPointerType_(modifier)) {
+      hasPointerType = true;
+      matchesPointerType = matchesPointerType ||
+          event.pointerType == modifier;
+    }
+  }
+  return (!hasKeyModifier || matchesKey) &&
+      (!hasPointerType || matchesPointerType);
+};
+
+
+/**
+ * Applies the event modifiers of the jsaction that was found for an event.
+ *
+ * @param {!Object.<string, boolean>} modifiers The modifiers of the jsaction.
+ * @param {!Event} e The browser event.
+ * @param {!jsaction.EventInfo} eventInfo The event info of the jsaction.
+ * @private
+ */
+jsaction.EventContract.applyModifiers_ = function(modifiers, e, eventInfo) {
+  if (modifiers[jsaction.Modifier.PREVENT] &&
+      !modifiers[jsaction.Modifier.PASSIVE]) {
+    jsaction.event.preventDefault(e);
+  }
+  if (modifiers[jsaction.Modifier.STOP]) {
+    jsaction.event.stopPropagation(e);
+  }
+  if (modifiers[jsaction.Modifier.ONCE]) {
+    // The jsaction is only used up when the event is dispatched, see
+    // jsaction.event.triggerOnce().
+    eventInfo['once'] = true;
+  }
+};
+
+
+/**
+ * @param {!jsaction.ActionInfo} actionInfo The action info of a matched
+ *     jsaction.
+ * @param {jsaction.Modifier} modifier An event modifier.
+ * @return {boolean} Whether all the jsactions the action info matched were
+ *     declared with the modifier.
+ * @private
+ */
+jsaction.EventContract.allHaveModifier_ = function(actionInfo, modifier) {
+  if (!actionInfo.modifiers || !actionInfo.modifiers[modifier]) {
+    return false;
+  }
+  var additionalActions = actionInfo.additionalActions || [];
+  for (var i = 0; i < additionalActions.length; i++) {
+    if (!additionalActions[i].modifiers[modifier]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Returns the element an event originated at. For events that were
+ * retargeted at a shadow boundary this is the node inside the shadow tree.
+ *
+ * @param {!Event} e The browser event.
+ * @return {!Element} The target element.
+ * @private
+ */
+jsaction.EventContract.getTarget_ = function(e) {
+  var shadowPath = jsaction.domGenerator.getShadowPath(e);
+  return /** @type {!Element} */ (
+      shadowPath ? shadowPath[0] : e.srcElement || e.target);
+};
+
+
+/**
+ * Returns the qualified jsaction name, i.e. the name of the jsaction
+ * including the namespace part before the dot. If the given jsaction
+ * name doesn't already contain the namespace, the function iterates
+ * over ancestor nodes until a jsnamespace attribute is found, and
+ * uses the value of that attribute as the namespace.
+ *
+ * @param {string} name The jsaction name to resolve the namespace of.
+ * @param {Element} start The node from which to start searching for a
+ *     jsnamespace attribute.
+ * @param {Node} container The node which limits the search for a
+ *     jsnamespace attribute. This node will be searched.
+ * @return {string} The qualified name of the jsaction. If no
+ *     namespace is found, returns the unqualified name in case it
+ *     exists in the global namespace.
+ * @private
+ */
+jsaction.EventContract.getQualifiedName_ = function(name, start, container) {
+  if (jsaction.EventContract.JSNAMESPACE_SUPPORT) {
+    if (jsaction.EventContract.isQualifiedName_(name)) {
+      return name;
+    }
+
+    for (var node = start; node; node = jsaction.dom.getParentNode(node)) {
+      var ns = jsaction.EventContract.getNamespace_(
+          /** @type {!Element} */(node));
+      if (ns) {
+        return ns + jsaction.Char.NAMESPACE_ACTION_SEPARATOR + name;
+      }
+
+      // If this node is the container, stop.
       if (node == container) {
         break;
       }
@@ -815,9 +1635,59 @@ jsaction.EventContract.getQualifiedName_ = function(name, start, container) {
 };
 
 
+/**
+ * The events fast clicks are simulated from. A click is simulated for an end
+ * event that follows a start event on the same element, unless the pointer
+ * moved too far in between or the sequence was canceled. Gestures are
+ * recognized from the same events.
+ * @typedef {{start: string, end: string, move: string, cancel: ?string}}
+ * @private
+ */
+jsaction.EventContract.FastClickEvents_;
+
+
+/**
+ * The touch events fast clicks are simulated from by default.
+ * @private @const {!jsaction.EventContract.FastClickEvents_}
+ */
+jsaction.EventContract.TOUCH_FAST_CLICK_EVENTS_ = {
+  start: jsaction.EventType.TOUCHSTART,
+  end: jsaction.EventType.TOUCHEND,
+  move: jsaction.EventType.TOUCHMOVE,
+  cancel: null
+};
+
+
+/**
+ * The pointer events fast clicks are simulated from if
+ * FAST_CLICK_POINTER_EVENTS is on.
+ * @private @const {!jsaction.EventContract.FastClickEvents_}
+ */
+jsaction.EventContract.POINTER_FAST_CLICK_EVENTS_ = {
+  start: jsaction.EventType.POINTERDOWN,
+  end: jsaction.EventType.POINTERUP,
+  move: jsaction.EventType.POINTERMOVE,
+  cancel: jsaction.EventType.POINTERCANCEL
+};
+
+
+/**
+ * @return {!jsaction.EventContract.FastClickEvents_} The events fast clicks
+ *     are simulated from.
+ * @private
+ */
+jsaction.EventContract.getFastClickEvents_ = function() {
+  return jsaction.EventContract.FAST_CLICK_POINTER_EVENTS ?
+      jsaction.EventContract.POINTER_FAST_CLICK_EVENTS_ :
+      jsaction.EventContract.TOUCH_FAST_CLICK_EVENTS_;
+};
+
+
 /**
  * Converts a sequence of touchstart and touchend events into a click event
- * and ignores a subsequent click event (within 400ms).
+ * and ignores a subsequent click event (within 400ms). With
+ * FAST_CLICK_POINTER_EVENTS, a sequence of pointerdown and pointerup events
+ * of a touch or pen pointer is converted instead.
  *
  * This method returns the original or a synthesized event instance, or null if
  * the event should be ignored. The original event indicates that the original
@@ -833,20 +1703,27 @@ jsaction.EventContract.getQualifiedName_ = function(name, start, container) {
  *
  * @param {!Element} node The current node with a jsaction annotation.
  * @param {!Event} event The current browser event.
- * @param {!Object.<string, string>} actionMap
+ * @param {!jsaction.ActionMap} actionMap
  * @return {Event}
  * @private
  */
-jsaction.EventContract.getFastClickEvent_ = function(node, event, actionMap) {
+jsaction.EventContract.prototype.getFastClickEvent_ = function(
+    node, event, actionMap) {
   if (event.type == jsaction.EventType.CLICK) {
     return event;
   }
-  if (event.targetTouches && event.targetTouches.length > 1) {
+  if ((event.targetTouches && event.targetTouches.length > 1) ||
+      event.isPrimary === false) {
     // Click emulation does not make sense for multi touch.
     return event;
   }
+  if (event.pointerType == jsaction.PointerType.MOUSE) {
+    // Mouse clicks aren't delayed.
+    return event;
+  }
+  var types = jsaction.EventContract.getFastClickEvents_();
 
-  var fastClickNode = jsaction.EventContract.fastClickNode_;
+  var fastClickNode = this.fastClickNode_;
   var target = event.target;
   if (target) {
     // Don't do anything special for clicks on elements with elaborate built in
@@ -858,31 +1735,32 @@ jsaction.EventContract.getFastClickEvent_ = function(node, event, actionMap) {
 
   var touch = jsaction.event.getTouchData(event);
 
-  // When a touchstart is fired, remember the action node in a global variable.
+  // When a touchstart is fired, remember the action node in the contract.
   // When a subsequent touchend arrives, it'll be interpreted as a click.
-  if (event.type == jsaction.EventType.TOUCHSTART &&
+  if (event.type == types.start &&
       // If the jsaction binds touchstart or touchend explicitly, we don't do
       // anything special with it.
-      !actionMap[jsaction.EventType.TOUCHSTART] &&
-      !actionMap[jsaction.EventType.TOUCHEND]) {
-    jsaction.EventContract.fastClickNode_ = {
+      !actionMap[types.start] && !actionMap[types.end]) {
+    this.fastClickNode_ = {
             node: node,
             x: touch ? touch.clientX : 0,
             y: touch ? touch.clientY : 0};
-    jsaction.EventContract.preventingMouseEvents_ = null;
-    clearTimeout(jsaction.EventContract.fastClickTimeout_);
+    this.preventingMouseEvents_ = null;
+    clearTimeout(this.fastClickTimeout_);
 
     // If touchend doesn't arrive within a reasonable amount of time, this is
     // a long click and not a click, so we throw away and will ignore
     // a later touchend.
-    jsaction.EventContract.fastClickTimeout_ = setTimeout(
-        jsaction.EventContract.resetFastClickNode_, 400);
+    var self = this;
+    this.fastClickTimeout_ = setTimeout(function() {
+      self.resetFastClickNode_();
+    }, 400);
     return null;
   }
 
   // If a touchend was fired on what had a previous touchstart, count the event
   // as a click.
-  else if (event.type == jsaction.EventType.TOUCHEND &&
+  else if (event.type == types.end &&
               fastClickNode && fastClickNode.node == node) {
     // If the touchend is more than 4px Manhattan away from the touchstart event
     // don't consider this a click even when on the same element. This is
@@ -892,7 +1770,7 @@ jsaction.EventContract.getFastClickEvent_ = function(node, event, actionMap) {
             Math.abs(touch.clientY - fastClickNode.y)) > 4)) {
       var newEvent = /** @type {!Event} */ (jsaction.event.
               recreateTouchEventAsClick(event));
-      jsaction.EventContract.preventingMouseEvents_ = newEvent;
+      this.preventingMouseEvents_ = newEvent;
 
       // Cancel "touchend" and send the emulated "click" event.
       event.stopPropagation();
@@ -922,20 +1800,25 @@ jsaction.EventContract.getFastClickEvent_ = function(node, event, actionMap) {
       }
       return null;
     } else {
-      jsaction.EventContract.resetFastClickNode_();
+      this.resetFastClickNode_();
     }
   }
 
   // Touchmove is fired when the user scrolls. In this case a previous
   // touchstart is ignored.
-  else if (event.type == jsaction.EventType.TOUCHMOVE && fastClickNode) {
+  else if (event.type == types.move && fastClickNode) {
     // Ignore jitters: iOS often sends +/- 2px touchmove events. Thus we will
     // ignore any moves with the Manhattan distance 4 pixels or less.
     if (touch && (Math.abs(touch.clientX - fastClickNode.x) +
             Math.abs(touch.clientY - fastClickNode.y)) > 4) {
-      jsaction.EventContract.resetFastClickNode_();
+      this.resetFastClickNode_();
     }
   }
+
+  // The browser took over the pointer, e.g. to scroll.
+  else if (event.type == types.cancel) {
+    this.resetFastClickNode_();
+  }
   return event;
 };
 
@@ -958,8 +1841,263 @@ jsaction.EventContract.isInput_ = function(target) {
  * touchstart, so we can synthesize a click.
  * @private
  */
-jsaction.EventContract.resetFastClickNode_ = function() {
-  jsaction.EventContract.fastClickNode_ = null;
+jsaction.EventContract.prototype.resetFastClickNode_ = function() {
+  this.fastClickNode_ = null;
+};
+
+
+/**
+ * The gesture event types.
+ * @private @const {!Array.<string>}
+ */
+jsaction.EventContract.GESTURE_EVENTS_ = [
+  jsaction.EventType.LONGPRESS,
+  jsaction.EventType.SWIPELEFT,
+  jsaction.EventType.SWIPERIGHT,
+  jsaction.EventType.DOUBLETAP
+];
+
+
+/**
+ * @param {string} type An event type.
+ * @return {boolean} Whether the type is a gesture event type.
+ * @private
+ */
+jsaction.EventContract.isGestureEventType_ = function(type) {
+  for (var i = 0; i < jsaction.EventContract.GESTURE_EVENTS_.length; ++i) {
+    if (jsaction.EventContract.GESTURE_EVENTS_[i] == type) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @return {boolean} Whether any gesture event is registered.
+ * @private
+ */
+jsaction.EventContract.prototype.hasGestureEvents_ = function() {
+  var types = jsaction.EventContract.GESTURE_EVENTS_;
+  for (var i = 0; i < types.length; ++i) {
+    if (this.events_.hasOwnProperty(types[i])) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Finds the innermost element above the target of an event that has an
+ * action for one of the given event types.
+ * @param {!Event} e The event.
+ * @param {!Element} target The target of the event.
+ * @param {!Node} container The container that received the event.
+ * @param {!Array.<string>} types The event types.
+ * @return {Element} The element, or null if there is none.
+ * @private
+ */
+jsaction.EventContract.findActionNode_ = function(
+    e, target, container, types) {
+  var generator = jsaction.domGenerator.getGenerator(
+      e, target, /** @type {!Element} */ (container));
+  for (var node; node = generator.next();) {
+    var actionMap = jsaction.EventContract.getActionMap_(node, container);
+    for (var i = 0; i < types.length; ++i) {
+      if (actionMap[types[i]]) {
+        return node;
+      }
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Recognizes the gestures in a sequence of touchstart, touchmove and touchend
+ * events, or the corresponding pointer events of a touch or pen pointer, on
+ * an element with a gesture action. A recognized gesture is dispatched as a
+ * gesture event to the element that was touched, see
+ * jsaction.event.createGestureEvent(), where the contract handles it like any
+ * other event.
+ *
+ * - longpress is recognized once a touch stays in place for the long press
+ *   duration. The touch then doesn't end in a click, see
+ *   preventClickAfterLongPress_().
+ * - swipeleft and swiperight are recognized when a touch ends after moving
+ *   at least the swipe distance horizontally, and at most half as far
+ *   vertically, within the swipe duration.
+ * - doubletap is recognized when a tap, i.e. a short touch that stays in
+ *   place, follows another on the same element within the double tap
+ *   interval and distance.
+ *
+ * @param {!Event} e The browser event.
+ * @param {!Element} target The target of the event.
+ * @param {!Node} container The container that received the event.
+ * @private
+ */
+jsaction.EventContract.prototype.recognizeGesture_ = function(
+    e, target, container) {
+  var types = jsaction.EventContract.getFastClickEvents_();
+  if (e.type != types.start && e.type != types.move && e.type != types.end &&
+      e.type != types.cancel || !this.hasGestureEvents_() ||
+      e.pointerType == jsaction.PointerType.MOUSE || e.isPrimary === false) {
+    return;
+  }
+  if (e.touches && e.touches.length > 1) {
+    // Gestures are made with a single finger.
+    this.resetGesture_();
+    return;
+  }
+  var touch = jsaction.event.getTouchData(e);
+  var x = touch ? touch.clientX : 0;
+  var y = touch ? touch.clientY : 0;
+  var gesture = this.gesture_;
+
+  if (e.type == types.start) {
+    if (gesture && gesture.start == e) {
+      // The event was already seen by another container.
+      return;
+    }
+    this.resetGesture_();
+    var node = jsaction.EventContract.findActionNode_(
+        e, target, container, jsaction.EventContract.GESTURE_EVENTS_);
+    if (!node) {
+      return;
+    }
+    gesture = this.gesture_ = {
+      node: node,
+      target: target,
+      start: e,
+      x: x,
+      y: y,
+      lastX: x,
+      lastY: y,
+      time: jsaction.event.now(),
+      moved: false,
+      longPressed: false
+    };
+    if (this.events_.hasOwnProperty(jsaction.EventType.LONGPRESS)) {
+      var self = this;
+      this.longPressTimeout_ = setTimeout(function() {
+        gesture.longPressed = true;
+        self.dispatchGesture_(jsaction.EventType.LONGPRESS, gesture, '',
+            gesture.lastX, gesture.lastY);
+      }, this.gestureOptions_.longPressDuration);
+    }
+    return;
+  }
+  if (!gesture) {
+    return;
+  }
+
+  // Like for fast clicks, moves of 4px Manhattan distance or less are
+  // jitter.
+  var dx = x - gesture.x;
+  var dy = y - gesture.y;
+  if (touch) {
+    gesture.lastX = x;
+    gesture.lastY = y;
+    if (Math.abs(dx) + Math.abs(dy) > 4) {
+      gesture.moved = true;
+      clearTimeout(this.longPressTimeout_);
+    }
+  }
+
+  if (e.type == types.end) {
+    this.resetGesture_();
+    if (gesture.longPressed) {
+      this.preventClickAfterLongPress_(e);
+      return;
+    }
+    if (!touch) {
+      return;
+    }
+    var options = this.gestureOptions_;
+    var now = jsaction.event.now();
+    if (Math.abs(dx) >= options.swipeDistance &&
+        Math.abs(dy) <= Math.abs(dx) / 2 &&
+        now - gesture.time <= options.swipeDuration) {
+      this.lastTap_ = null;
+      this.dispatchGesture_(
+          dx < 0 ? jsaction.EventType.SWIPELEFT : jsaction.EventType.SWIPERIGHT,
+          gesture, dx < 0 ? 'left' : 'right', x, y);
+    } else if (!gesture.moved) {
+      var lastTap = this.lastTap_;
+      if (lastTap && lastTap.node == gesture.node &&
+          gesture.time - lastTap.time <= options.doubleTapInterval &&
+          Math.abs(x - lastTap.x) + Math.abs(y - lastTap.y) <=
+              options.doubleTapDistance) {
+        this.lastTap_ = null;
+        this.dispatchGesture_(jsaction.EventType.DOUBLETAP, gesture, '', x, y);
+      } else {
+        this.lastTap_ = {node: gesture.node, x: x, y: y, time: now};
+      }
+    }
+  } else if (e.type == types.cancel) {
+    // The browser took over the pointer, e.g. to scroll.
+    this.resetGesture_();
+  }
+};
+
+
+/**
+ * A long press isn't a click as well. Cancels the touchend that ends it, so
+ * that the browser doesn't emulate the mouse events and the click, and forgets
+ * the touchstart a fast click would be made of. Canceling a pointerup doesn't
+ * prevent the click, so with fast clicks the click is swept up like the one
+ * that follows a fast click. Without them, the click that follows the
+ * pointerup of a long press still reaches the page.
+ * @param {!Event} e The event that ends the long press.
+ * @private
+ */
+jsaction.EventContract.prototype.preventClickAfterLongPress_ = function(e) {
+  e.preventDefault();
+  if (jsaction.EventContract.FAST_CLICK_SUPPORT) {
+    this.resetFastClickNode_();
+    if (this.sweepupListener_) {
+      this.preventingMouseEvents_ = /** @type {!Event} */ (
+          jsaction.event.recreateTouchEventAsClick(e));
+    }
+  }
+};
+
+
+/**
+ * Dispatches the event of a recognized gesture to the element that was
+ * touched.
+ * @param {string} type The type of the gesture.
+ * @param {{target: !Element, x: number, y: number, time: number}} gesture
+ *     The touch the gesture was recognized from.
+ * @param {string} direction The direction of the gesture, if any.
+ * @param {number} x Where the touch is now, as clientX.
+ * @param {number} y Where the touch is now, as clientY.
+ * @private
+ */
+jsaction.EventContract.prototype.dispatchGesture_ = function(
+    type, gesture, direction, x, y) {
+  var dx = x - gesture.x;
+  var dy = y - gesture.y;
+  var data = {
+    'direction': direction,
+    'duration': jsaction.event.now() - gesture.time,
+    'distance': Math.sqrt(dx * dx + dy * dy),
+    'clientX': gesture.x,
+    'clientY': gesture.y
+  };
+  gesture.target.dispatchEvent(jsaction.event.createGestureEvent(type, data));
+};
+
+
+/**
+ * Forgets about the current touch, so that it isn't recognized as a gesture.
+ * @private
+ */
+jsaction.EventContract.prototype.resetGesture_ = function() {
+  clearTimeout(this.longPressTimeout_);
+  this.longPressTimeout_ = 0;
+  this.gesture_ = null;
 };
 
 
@@ -972,13 +2110,14 @@ jsaction.EventContract.resetFastClickNode_ = function() {
  * @param {!Event} event
  * @private
  */
-jsaction.EventContract.sweepupPreventedMouseEvents_ = function(event) {
+jsaction.EventContract.prototype.sweepupPreventedMouseEvents_ = function(
+    event) {
   if (event['_fastclick']) {
     // It's the "fastclick" we issued - proceed uninterrupted.
     return;
   }
 
-  var fastClickEvent = jsaction.EventContract.preventingMouseEvents_;
+  var fastClickEvent = this.preventingMouseEvents_;
   if (!fastClickEvent) {
     // No recent "fastclick" - proceed uninterrupted.
     return;
@@ -997,8 +2136,8 @@ jsaction.EventContract.sweepupPreventedMouseEvents_ = function(event) {
   //
   // Increasing this value is benign. It will not prevent double clicks since
   // any subsequent TOUCHSTART will cancel this sweep.
-  if (goog.now() - fastClickEvent.timeStamp > 800) {
-    jsaction.EventContract.preventingMouseEvents_ = null;
+  if (jsaction.event.now() - fastClickEvent.timeStamp > 800) {
+    this.preventingMouseEvents_ = null;
     return;
   }
 
@@ -1017,7 +2156,7 @@ jsaction.EventContract.sweepupPreventedMouseEvents_ = function(event) {
   // If neither condition is true all mouse-events canceling for all subsequent
   // mouse events is canceled.
   if (!isSameTarget && !isNear) {
-    jsaction.EventContract.preventingMouseEvents_ = null;
+    this.preventingMouseEvents_ = null;
     return;
   }
 
@@ -1028,7 +2167,7 @@ jsaction.EventContract.sweepupPreventedMouseEvents_ = function(event) {
 
   // No mouse events expected after click - stop monitoring.
   if (event.type == jsaction.EventType.CLICK) {
-    jsaction.EventContract.preventingMouseEvents_ = null;
+    this.preventingMouseEvents_ = null;
   }
 };
 
@@ -1080,57 +2219,123 @@ if (jsaction.EventContract.JSNAMESPACE_SUPPORT) {
  *
  * @param {string} name The name of the event.
  * @param {jsaction.EventHandlerFunction} handler An event handler.
+ * @param {jsaction.event.ListenerOptions=} opt_options The options to install
+ *     the event handler with.
  * @return {jsaction.ContainerInitializerFunction} A function that, when
  *     applied to an Element, installs the given event handler for the
  *     event type given by name.
  * @private
  */
-jsaction.EventContract.containerHandlerInstaller_ = function(name, handler) {
+jsaction.EventContract.containerHandlerInstaller_ = function(
+    name, handler, opt_options) {
   /**
-   * @param {!Element} div The container to install this handler on.
+   * @param {!Element|!ShadowRoot} div The container to install this handler
+   *    on.
    * @return {jsaction.EventHandlerInfo} The event name and the
    *    handler installed by the function.
    */
   var installer = function(div) {
-    return jsaction.event.addEventListener(div, name, handler);
+    var element = /** @type {!Element} */ (div);
+    return opt_options ?
+        jsaction.event.addEventListener(element, name, handler, opt_options) :
+        jsaction.event.addEventListener(element, name, handler);
   };
   return installer;
 };
 
 
+/**
+ * Options for the registration of an event type in addEvent().
+ *
+ * browserEventName: If supplied, this event is used in the actual browser
+ *     event registration instead of the name that is exposed to jsaction.
+ *     Use this if you e.g. want users to be able to subscribe to
+ *     jsaction="transitionEnd:foo" while the underlying event is
+ *     webkitTransitionEnd in one browser and mozTransitionEnd in another.
+ * capture: Whether to handle the event in the capture phase. By default,
+ *     only events that don't bubble are, see jsaction.event.addEventListener.
+ * passive: Whether to install passive event handlers, e.g. for touchstart
+ *     and wheel events, so that the browser doesn't wait for them before it
+ *     scrolls. Passive handlers can't prevent the default action of the
+ *     event, neither for the preventDefault() calls of the jsaction handlers
+ *     nor for the prevent modifier.
+ *
+ * @typedef {{
+ *   browserEventName: (string|undefined),
+ *   capture: (boolean|undefined),
+ *   passive: (boolean|undefined)
+ * }}
+ */
+jsaction.EventContract.EventOptions;
+
+
 /**
  * Enables jsaction handlers to be called for the event type given by
  * name.
  *
- * If the event is already registered, this does nothing.
+ * If the event is already registered, this does nothing. In particular, the
+ * options of the first registration stay in effect, so e.g. touch events
+ * registered as passive before click stay passive when fast click support
+ * registers them again. However, an event that was registered implicitly as
+ * a companion of another event, e.g. keydown for click, is kept after that
+ * event is removed once it was also added explicitly. See removeEvent().
+ *
+ * Example:
+ *
+ *   contract.addEvent('touchstart', {passive: true});
+ *   contract.addEvent('transitionEnd', {
+ *     browserEventName: 'webkitTransitionEnd'
+ *   });
  *
  * @param {string} name Event name.
- * @param {string=} opt_prefixedName If supplied, this event is used in
- *     the actual browser event registration instead of the name that is
- *     exposed to jsaction. Use this if you e.g. want users to be able
- *     to subscribe to jsaction="transitionEnd:foo" while the underlying
- *     event is webkitTransitionEnd in one browser and mozTransitionEnd
- *     in another.
- */
-jsaction.EventContract.prototype.addEvent = function(name, opt_prefixedName) {
-  if (this.events_.hasOwnProperty(name)) {
+ * @param {(jsaction.EventContract.EventOptions|string)=} opt_options The
+ *     options for the event. For backwards compatibility, a string is taken
+ *     as the browserEventName option.
+ */
+jsaction.EventContract.prototype.addEvent = function(name, opt_options) {
+  if (!jsaction.EventContract.MOUSE_SPECIAL_SUPPORT &&
+      jsaction.event.isMouseSpecialEventType(name) ||
+      !jsaction.EventContract.FOCUS_SPECIAL_SUPPORT &&
+      jsaction.event.isFocusSpecialEventType(name) ||
+      !jsaction.EventContract.GESTURE_SUPPORT &&
+      jsaction.EventContract.isGestureEventType_(name)) {
     return;
   }
 
-  if (!jsaction.EventContract.MOUSE_SPECIAL_SUPPORT &&
-      (name == jsaction.EventType.MOUSEENTER ||
-       name == jsaction.EventType.MOUSELEAVE)) {
+  this.explicitEvents_[name] = true;
+  this.installEvent_(name, opt_options);
+};
+
+
+/**
+ * Installs the handlers for an event type on all containers, along with its
+ * companion events, unless the event is already registered.
+ *
+ * @param {string} name Event name.
+ * @param {(jsaction.EventContract.EventOptions|string)=} opt_options The
+ *     options for the event, see addEvent().
+ * @private
+ */
+jsaction.EventContract.prototype.installEvent_ = function(name, opt_options) {
+  if (this.events_.hasOwnProperty(name)) {
     return;
   }
 
+  var options = goog.isString(opt_options) ?
+      {browserEventName: opt_options} : opt_options || {};
+
   var handler = jsaction.EventContract.eventHandler_(this, name);
 
   // Install the callback which handles events on the container.
+  var listenerOptions =
+      goog.isDef(options.capture) || goog.isDef(options.passive) ?
+      {capture: options.capture, passive: options.passive} : undefined;
   var installer = jsaction.EventContract.containerHandlerInstaller_(
-      opt_prefixedName || name, handler);
+      options.browserEventName || name, handler, listenerOptions);
 
   // Store the callback to allow us to replay events.
   this.events_[name] = handler;
+  this.eventInstallers_[name] = installer;
 
   this.installers_.push(installer);
   for (var i = 0; i < this.containers_.length; ++i) {
@@ -1141,36 +2346,252 @@ jsaction.EventContract.prototype.addEvent = function(name, opt_prefixedName) {
   // accessible clicks is turned on.
   if (jsaction.EventContract.A11Y_CLICK_SUPPORT &&
       name == jsaction.EventType.CLICK) {
-    this.addEvent(jsaction.EventType.KEYDOWN);
+    this.addCompanionEvent_(name, jsaction.EventType.KEYDOWN);
   }
 
   if (jsaction.EventContract.FAST_CLICK_SUPPORT &&
       name == jsaction.EventType.CLICK) {
     this.initializeFastClick_();
   }
+
+  // Gestures are recognized from the touch events.
+  if (jsaction.EventContract.GESTURE_SUPPORT &&
+      jsaction.EventContract.isGestureEventType_(name)) {
+    this.addTouchEvents_(name);
+  }
+
+  // The drag source is forgotten when the drag ends, and the drop is only
+  // allowed if the dragover events are canceled.
+  if (jsaction.EventContract.DRAG_DROP_SUPPORT) {
+    if (name == jsaction.EventType.DRAGSTART) {
+      this.addCompanionEvent_(name, jsaction.EventType.DRAGEND);
+    } else if (name == jsaction.EventType.DROP) {
+      this.addCompanionEvent_(name, jsaction.EventType.DRAGOVER);
+    }
+  }
 };
 
 
 /**
- * Add events needed for fast-click support.
+ * Adds an event that is needed by another event.
+ * @param {string} owner The event that needs the companion event.
+ * @param {string} name The companion event.
  * @private
  */
-jsaction.EventContract.prototype.initializeFastClick_ = function() {
-  this.addEvent(jsaction.EventType.TOUCHSTART);
-  this.addEvent(jsaction.EventType.TOUCHEND);
-  this.addEvent(jsaction.EventType.TOUCHMOVE);
-  // We need to capture CLICK events to cancel clicks that were already
-  // issued based on TOUCHEND. The only reason for this handler is to work
-  // around an issue with iOS Safari where a CLICK event sometimes is issued
-  // even though the TOUCHEND has been canceled.
-  // This is ignored on IE8 which doesn't have touch support.
-  if (document.addEventListener) {
-    document.addEventListener(jsaction.EventType.CLICK,
-        jsaction.EventContract.sweepupPreventedMouseEvents_, true);
-    document.addEventListener(jsaction.EventType.MOUSEUP,
-        jsaction.EventContract.sweepupPreventedMouseEvents_, true);
-    document.addEventListener(jsaction.EventType.MOUSEDOWN,
-        jsaction.EventContract.sweepupPreventedMouseEvents_, true);
+jsaction.EventContract.prototype.addCompanionEvent_ = function(owner, name) {
+  var companions = this.companions_[owner] || [];
+  companions.push(name);
+  this.companions_[owner] = companions;
+  this.companionRefs_[name] = (this.companionRefs_[name] || 0) + 1;
+  this.installEvent_(name);
+};
+
+
+/**
+ * Disables jsaction handlers for the event type given by name, and
+ * uninstalls its DOM event handlers from all containers. The companion
+ * events that addEvent() added implicitly for it are removed as well, unless
+ * they are still needed by other events or were added explicitly.
+ *
+ * An event that is itself still needed as a companion of another event, e.g.
+ * keydown for click if A11Y_CLICK_SUPPORT is on, stays registered until that
+ * event is removed.
+ *
+ * @param {string} name Event name.
+ */
+jsaction.EventContract.prototype.removeEvent = function(name) {
+  delete this.explicitEvents_[name];
+  this.maybeUninstallEvent_(name);
+};
+
+
+/**
+ * Uninstalls the handlers for an event type from all containers if the event
+ * is neither added explicitly nor needed as a companion anymore, and
+ * releases its companion events.
+ *
+ * @param {string} name Event name.
+ * @private
+ */
+jsaction.EventContract.prototype.maybeUninstallEvent_ = function(name) {
+  if (!this.events_.hasOwnProperty(name) || this.explicitEvents_[name] ||
+      this.companionRefs_[name]) {
+    return;
+  }
+
+  var installer = this.eventInstallers_[name];
+  for (var i = 0; i < this.installers_.length; ++i) {
+    if (this.installers_[i] === installer) {
+      this.installers_.splice(i, 1);
+      break;
+    }
+  }
+  var containers = this.containers_.concat(this.nestedContainers_);
+  for (var i = 0; i < containers.length; ++i) {
+    containers[i].uninstallHandler(installer);
+  }
+  delete this.events_[name];
+  delete this.eventInstallers_[name];
+
+  if (jsaction.EventContract.FAST_CLICK_SUPPORT &&
+      name == jsaction.EventType.CLICK) {
+    this.disposeFastClick_();
+  }
+  if (jsaction.EventContract.GESTURE_SUPPORT && !this.hasGestureEvents_()) {
+    this.disposeGestures_();
+  }
+  if (jsaction.EventContract.DRAG_DROP_SUPPORT &&
+      name == jsaction.EventType.DRAGSTART) {
+    this.dragSource_ = null;
+  }
+
+  var companions = this.companions_[name] || [];
+  delete this.companions_[name];
+  for (var i = 0; i < companions.length; ++i) {
+    var companion = companions[i];
+    if (--this.companionRefs_[companion] == 0) {
+      delete this.companionRefs_[companion];
+    }
+    this.maybeUninstallEvent_(companion);
+  }
+};
+
+
+/**
+ * Add events needed for fast-click support.
+ * @private
+ */
+jsaction.EventContract.prototype.initializeFastClick_ = function() {
+  this.addTouchEvents_(jsaction.EventType.CLICK);
+  // We need to capture CLICK events to cancel clicks that were already
+  // issued based on TOUCHEND. The only reason for this handler is to work
+  // around an issue with iOS Safari where a CLICK event sometimes is issued
+  // even though the TOUCHEND has been canceled.
+  // This is ignored on IE8 which doesn't have touch support.
+  if (document.addEventListener && !this.sweepupListener_) {
+    var self = this;
+    this.sweepupListener_ = function(e) {
+      self.sweepupPreventedMouseEvents_(e);
+    };
+    for (var i = 0; i < jsaction.EventContract.SWEEPUP_EVENTS_.length; ++i) {
+      document.addEventListener(jsaction.EventContract.SWEEPUP_EVENTS_[i],
+          this.sweepupListener_, true);
+    }
+  }
+};
+
+
+/**
+ * Adds the touch events, or the pointer events with
+ * FAST_CLICK_POINTER_EVENTS, that fast clicks and gestures are recognized
+ * from as companion events of an event.
+ * @param {string} owner The event that needs the touch events.
+ * @private
+ */
+jsaction.EventContract.prototype.addTouchEvents_ = function(owner) {
+  var types = jsaction.EventContract.getFastClickEvents_();
+  this.addCompanionEvent_(owner, types.start);
+  this.addCompanionEvent_(owner, types.end);
+  this.addCompanionEvent_(owner, types.move);
+  if (types.cancel) {
+    this.addCompanionEvent_(owner, types.cancel);
+  }
+};
+
+
+/**
+ * The mouse events that are canceled after a fast click.
+ * @private @const {!Array.<string>}
+ */
+jsaction.EventContract.SWEEPUP_EVENTS_ = [
+  jsaction.EventType.CLICK,
+  jsaction.EventType.MOUSEUP,
+  jsaction.EventType.MOUSEDOWN
+];
+
+
+/**
+ * Removes the document level listeners installed by initializeFastClick_(),
+ * and forgets about the touch events that may lead to a fast click.
+ * @private
+ */
+jsaction.EventContract.prototype.disposeFastClick_ = function() {
+  if (this.sweepupListener_) {
+    for (var i = 0; i < jsaction.EventContract.SWEEPUP_EVENTS_.length; ++i) {
+      document.removeEventListener(jsaction.EventContract.SWEEPUP_EVENTS_[i],
+          this.sweepupListener_, true);
+    }
+    this.sweepupListener_ = null;
+  }
+  clearTimeout(this.fastClickTimeout_);
+  this.fastClickTimeout_ = 0;
+  this.resetFastClickNode_();
+  this.preventingMouseEvents_ = null;
+};
+
+
+/**
+ * Cancels the pending long press timer and forgets about the touches that
+ * may lead to gestures.
+ * @private
+ */
+jsaction.EventContract.prototype.disposeGestures_ = function() {
+  this.resetGesture_();
+  this.lastTap_ = null;
+};
+
+
+/**
+ * Resolves the drag source of the drag events, and allows drops on the
+ * elements with a drop action.
+ *
+ * The action element of a dragstart event is the drag source until it's
+ * dropped or the drag ends. It's set on the dragstart event and the later
+ * dragover, drop and dragend events as jsaction.Property.DRAG_SOURCE, so
+ * that the handlers of the drop target know what is dropped on them. A
+ * dragover event over an element with a drop action is canceled, since the
+ * browser doesn't fire the drop event otherwise.
+ *
+ * @param {!Event} e The browser event.
+ * @param {!jsaction.EventInfo} eventInfo The event info of the event.
+ * @param {!Node} container The container that received the event.
+ * @private
+ */
+jsaction.EventContract.prototype.trackDrag_ = function(
+    e, eventInfo, container) {
+  var type = e.type;
+  if (type == jsaction.EventType.DRAGSTART) {
+    // The contract of an inner container may have resolved the drag source
+    // already.
+    var actionElement = eventInfo['actionElement'];
+    this.dragSource_ = e[jsaction.Property.DRAG_SOURCE] ||
+        (actionElement ?
+            {'element': actionElement, 'action': eventInfo['action']} :
+            null);
+  } else if (type != jsaction.EventType.DRAGOVER &&
+      type != jsaction.EventType.DROP &&
+      type != jsaction.EventType.DRAGEND) {
+    return;
+  }
+
+  // The dragend event of a drag source that was removed from the document,
+  // e.g. by a drop handler that renders the list again, doesn't reach the
+  // container.
+  if (this.dragSource_ &&
+      !jsaction.dom.isConnected(this.dragSource_['element'])) {
+    this.dragSource_ = null;
+  }
+  if (this.dragSource_) {
+    e[jsaction.Property.DRAG_SOURCE] = this.dragSource_;
+  }
+  if (type == jsaction.EventType.DROP || type == jsaction.EventType.DRAGEND) {
+    this.dragSource_ = null;
+  } else if (type == jsaction.EventType.DRAGOVER &&
+      this.events_.hasOwnProperty(jsaction.EventType.DROP) &&
+      jsaction.EventContract.findActionNode_(
+          e, eventInfo['targetElement'], container,
+          [jsaction.EventType.DROP])) {
+    jsaction.event.preventDefault(e);
   }
 };
 
@@ -1192,11 +2613,15 @@ jsaction.EventContract.prototype.handler = function(name) {
  * so if the newly added container is a parent/child of existing containers,
  * they will be merged.
  *
+ * The container may also be a shadow root, in which case the jsaction
+ * attributes in the shadow tree are handled without relying on the events
+ * leaving the shadow tree.
+ *
  * The caller of addContainer can keep a reference to this if it desires
  * to remove the container later.
  *
- * @param {!Element} div The container element. Usually a DIV, but not
- *     constrained to.
+ * @param {!Element|!ShadowRoot} div The container element. Usually a DIV, but
+ *     not constrained to.
  * @return {!jsaction.EventContractContainer} The container object that was
  *     created.
  */
@@ -1210,6 +2635,9 @@ jsaction.EventContract.prototype.addContainer = function(div) {
       // still want to keep track of it in order to be able to correctly
       // add/remove containers.
       this.nestedContainers_.push(container);
+      if (this.mutationObserver_) {
+        this.observeContainers_();
+      }
       return container;
     }
     this.setUpContainer_(container);
@@ -1220,6 +2648,9 @@ jsaction.EventContract.prototype.addContainer = function(div) {
     this.containers_.push(container);
   }
 
+  if (this.mutationObserver_) {
+    this.observeContainers_();
+  }
   return container;
 };
 
@@ -1284,7 +2715,7 @@ jsaction.EventContract.prototype.setUpContainer_ = function(container) {
   //
   // We use a navigator.userAgent check here as this problem is present both on
   // Mobile Safari and thin WebKit wrappers, such as Chrome for iOS.
-  if (jsaction.EventContract.isIos_) {
+  if (jsaction.EventContract.isIos_ && div.style) {
     div.style.cursor = 'pointer';
   }
 
@@ -1297,8 +2728,8 @@ jsaction.EventContract.prototype.setUpContainer_ = function(container) {
 /**
  * Tests whether this EventContract already has a container that is a parent of
  * the div sent as a parameter.
- * @param {Element} div The element for which we need to test if there already
- *     is a container for it.
+ * @param {Element|ShadowRoot} div The element for which we need to test if
+ *     there already is a container for it.
  * @return {boolean} True if there already is such a registered container,
  *     false otherwise.
  * @private
@@ -1342,6 +2773,453 @@ jsaction.EventContract.prototype.removeContainer = function(container) {
   if (!jsaction.EventContract.STOP_PROPAGATION) {
     this.updateNestedContainers_();
   }
+
+  if (this.mutationObserver_) {
+    this.observeContainers_();
+  }
+};
+
+
+/**
+ * Starts to observe the containers of this contract for changes in the DOM.
+ * When a jsaction or jsnamespace attribute changes, or when nodes are removed
+ * from a container, the parsed jsaction and jsnamespace values cached on the
+ * affected nodes are cleared, so that the new values take effect without
+ * calling jsaction.Cache.clear() manually. Containers that are detached from
+ * the document are removed from the contract.
+ *
+ * Does nothing in browsers without MutationObserver support.
+ */
+jsaction.EventContract.prototype.observeMutations = function() {
+  if (this.mutationObserver_ || typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var eventContract = this;
+  this.mutationObserver_ = new MutationObserver(function(records) {
+    eventContract.handleMutations_(records);
+  });
+  this.observeContainers_();
+};
+
+
+/**
+ * Stops observing the containers of this contract for changes in the DOM.
+ * Changes made after this call again require clearing jsaction.Cache
+ * manually.
+ */
+jsaction.EventContract.prototype.stopObservingMutations = function() {
+  if (this.mutationObserver_) {
+    this.mutationObserver_.disconnect();
+    this.mutationObserver_ = null;
+  }
+};
+
+
+/**
+ * (Re-)registers all current containers with the mutation observer. The
+ * removal of a container from the document is not visible in the subtree of
+ * the container itself, so the children of its ancestors are observed as
+ * well, but not their subtrees. Their records are only used to detect removed
+ * containers, see handleMutations_().
+ * @private
+ */
+jsaction.EventContract.prototype.observeContainers_ = function() {
+  var observer = this.mutationObserver_;
+  observer.disconnect();
+  var containers = this.containers_.concat(this.nestedContainers_);
+  // The ancestors are observed first, so that a container inside another
+  // container keeps the options of a container.
+  for (var i = 0; i < containers.length; ++i) {
+    var div = containers[i].div;
+    for (var node = (div.host || div).parentNode; node;
+         node = node.parentNode || node.host) {
+      observer.observe(node, {childList: true});
+    }
+  }
+  for (var i = 0; i < containers.length; ++i) {
+    observer.observe(containers[i].div, {
+      attributes: true,
+      attributeFilter: [
+        jsaction.Attribute.JSACTION,
+        jsaction.Attribute.JSNAMESPACE
+      ],
+      childList: true,
+      subtree: true
+    });
+  }
+};
+
+
+/**
+ * Handles the mutation records delivered by the mutation observer.
+ * @param {!Array.<!MutationRecord>} records The mutation records.
+ * @private
+ */
+jsaction.EventContract.prototype.handleMutations_ = function(records) {
+  var containerRemoved = false;
+  for (var i = 0; i < records.length; ++i) {
+    var record = records[i];
+    if (record.type == 'attributes') {
+      // The qualified names of the jsactions below a jsnamespace attribute
+      // depend on its value, so they are cleared as well.
+      jsaction.EventContract.clearCache_(
+          /** @type {!Element} */ (record.target),
+          record.attributeName == jsaction.Attribute.JSNAMESPACE);
+    } else {
+      // Since the ancestors of the containers are observed, nodes may be
+      // removed outside of all containers, where nothing is cached.
+      var inContainer = this.isInContainer_(record.target);
+      var removedNodes = record.removedNodes;
+      for (var j = 0; j < removedNodes.length; ++j) {
+        var node = removedNodes[j];
+        if (node.nodeType != 1 /* ELEMENT_NODE */) {
+          continue;
+        }
+        if (inContainer) {
+          // The removed nodes may be inserted again elsewhere, below a
+          // different jsnamespace.
+          jsaction.EventContract.clearCache_(
+              /** @type {!Element} */ (node), true);
+        }
+        containerRemoved = containerRemoved || this.containsContainer_(node);
+      }
+    }
+  }
+
+  if (!containerRemoved) {
+    return;
+  }
+  var containers = this.containers_.concat(this.nestedContainers_);
+  for (var i = 0; i < containers.length; ++i) {
+    if (!jsaction.dom.isConnected(containers[i].div)) {
+      this.removeContainer(containers[i]);
+    }
+  }
+  // A container that was moved elsewhere has new ancestors.
+  if (this.mutationObserver_) {
+    this.observeContainers_();
+  }
+};
+
+
+/**
+ * @param {!Node} node A node.
+ * @return {boolean} Whether the node is a container of this contract, or
+ *     inside of one.
+ * @private
+ */
+jsaction.EventContract.prototype.isInContainer_ = function(node) {
+  var containers = this.containers_.concat(this.nestedContainers_);
+  for (var i = 0; i < containers.length; ++i) {
+    if (containers[i].div.contains(node)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {!Element} element An element.
+ * @return {boolean} Whether the element is a container of this contract, or
+ *     contains one. A shadow root container is contained in the element if
+ *     its host is.
+ * @private
+ */
+jsaction.EventContract.prototype.containsContainer_ = function(element) {
+  var containers = this.containers_.concat(this.nestedContainers_);
+  for (var i = 0; i < containers.length; ++i) {
+    var div = containers[i].div;
+    if (element.contains(div.host || div)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Clears the cached jsaction and jsnamespace values of an element.
+ * @param {!Element} element The element.
+ * @param {boolean} deep Whether to also clear the cached jsaction values of
+ *     all the descendants of the element.
+ * @private
+ */
+jsaction.EventContract.clearCache_ = function(element, deep) {
+  jsaction.Cache.clear(element);
+  jsaction.Cache.clearNamespace(element);
+  if (deep) {
+    jsaction.EventContract.clearDescendantCaches_(element);
+  }
+};
+
+
+/**
+ * Clears the cached jsaction values of the descendants of a node, including
+ * the ones in the open shadow roots below it, since jsactions are resolved
+ * across shadow roots as well.
+ * @param {!Element|!ShadowRoot} root The node.
+ * @private
+ */
+jsaction.EventContract.clearDescendantCaches_ = function(root) {
+  if (root.shadowRoot) {
+    jsaction.EventContract.clearDescendantCaches_(root.shadowRoot);
+  }
+  if (!root.querySelectorAll) {
+    return;
+  }
+  // The hosts of shadow roots can't be selected, so all the elements are
+  // visited.
+  var descendants = root.querySelectorAll('*');
+  for (var i = 0; i < descendants.length; ++i) {
+    var descendant = descendants[i];
+    jsaction.Cache.clear(descendant);
+    if (descendant.shadowRoot) {
+      jsaction.EventContract.clearDescendantCaches_(descendant.shadowRoot);
+    }
+  }
+};
+
+
+/**
+ * The policies of the queue of events that are received before a dispatcher
+ * is registered. See setQueueOptions().
+ *
+ * - maxSize is the maximum number of queued events. When the queue is full,
+ *   the oldest event of a coalesced event type is dropped to make room for a
+ *   new event, or else the oldest event.
+ * - maxAge is the time in milliseconds after which a queued event is
+ *   dropped, based on the timeStamp of its event info.
+ * - coalesce lists the event types of which only the last event per action
+ *   is kept, e.g. input or mousemove.
+ *
+ * The fields of this Object are unquoted.
+ *
+ * @typedef {{
+ *   maxSize: (number|undefined),
+ *   maxAge: (number|undefined),
+ *   coalesce: (!Array.<string>|undefined)
+ * }}
+ */
+jsaction.EventContract.QueueOptions;
+
+
+/**
+ * Sets the policies of the queue of events that are received before a
+ * dispatcher is registered. By default, all events are queued. The events
+ * dropped by the policies are passed to the dispatcher together with the
+ * queue, along with the jsaction.DropReason why they were dropped.
+ *
+ * @param {!jsaction.EventContract.QueueOptions} options The queue policies.
+ */
+jsaction.EventContract.prototype.setQueueOptions = function(options) {
+  this.queueOptions_ = options;
+  this.coalescedTypes_ = {};
+  var coalesce = options.coalesce || [];
+  for (var i = 0; i < coalesce.length; ++i) {
+    this.coalescedTypes_[coalesce[i]] = true;
+  }
+  if (this.queue_) {
+    this.dropExpiredEvents_();
+    this.dropExcessEvents_();
+  }
+};
+
+
+/**
+ * Enables or disables marking the action elements of queued events as
+ * pending, with a CSS class and aria-busy="true" by default. The mark is
+ * removed when the event is dropped from the queue, when it times out, or,
+ * once the queue is passed to the dispatcher, when the event replayer
+ * removes the event from the queue of the dispatcher.
+ *
+ * @param {?jsaction.pending.Options} options The options of the feedback,
+ *     or null to disable it. The marks of the events queued so far are
+ *     kept when it is disabled.
+ */
+jsaction.EventContract.prototype.setPendingFeedback = function(options) {
+  this.pendingFeedback_ = options;
+  if (options && this.queue_) {
+    for (var i = 0; i < this.queue_.length; ++i) {
+      jsaction.pending.mark(this.queue_[i], options);
+    }
+  }
+};
+
+
+/**
+ * Sets the tables that decide which Enter and Space keydowns act like clicks
+ * on which elements, e.g. to activate elements with custom ARIA roles. Only
+ * has an effect with A11Y_CLICK_SUPPORT. See
+ * jsaction.event.createKeyActivationRegistry().
+ *
+ * @param {?jsaction.event.KeyActivationRegistry} registry The registry, or
+ *     null to use the built-in one.
+ */
+jsaction.EventContract.prototype.setKeyActivationRegistry = function(
+    registry) {
+  this.keyActivationRegistry_ = registry;
+};
+
+
+/**
+ * @param {jsaction.EventContract|undefined} eventContract The contract that
+ *     received an event, if any.
+ * @return {!jsaction.event.KeyActivationRegistry|undefined} The key
+ *     activation registry of the contract, or undefined for the built-in
+ *     one.
+ * @private
+ */
+jsaction.EventContract.getKeyActivationRegistry_ = function(eventContract) {
+  return (eventContract && eventContract.keyActivationRegistry_) || undefined;
+};
+
+
+/**
+ * The thresholds of the gestures, see recognizeGesture_().
+ *
+ * - longPressDuration is how long in milliseconds a touch must stay in place
+ *   to be a long press. Defaults to 500.
+ * - swipeDistance is how far in pixels a touch must move horizontally to be
+ *   a swipe. Defaults to 50.
+ * - swipeDuration is how long in milliseconds a swipe may take at most.
+ *   Defaults to 500.
+ * - doubleTapInterval is how long in milliseconds a double tap may pause
+ *   between its taps at most. Defaults to 300.
+ * - doubleTapDistance is how far in pixels, as Manhattan distance, the taps
+ *   of a double tap may be apart at most. Defaults to 20.
+ *
+ * The fields of this Object are unquoted.
+ *
+ * @typedef {{
+ *   longPressDuration: (number|undefined),
+ *   swipeDistance: (number|undefined),
+ *   swipeDuration: (number|undefined),
+ *   doubleTapInterval: (number|undefined),
+ *   doubleTapDistance: (number|undefined)
+ * }}
+ */
+jsaction.EventContract.GestureOptions;
+
+
+/**
+ * The default gesture thresholds.
+ * @private @const {!jsaction.EventContract.GestureOptions}
+ */
+jsaction.EventContract.DEFAULT_GESTURE_OPTIONS_ = {
+  longPressDuration: 500,
+  swipeDistance: 50,
+  swipeDuration: 500,
+  doubleTapInterval: 300,
+  doubleTapDistance: 20
+};
+
+
+/**
+ * Sets the thresholds of the gestures. Thresholds that aren't given keep
+ * their default values. Only has an effect with GESTURE_SUPPORT.
+ *
+ * @param {!jsaction.EventContract.GestureOptions} options The thresholds.
+ */
+jsaction.EventContract.prototype.setGestureOptions = function(options) {
+  var defaults = jsaction.EventContract.DEFAULT_GESTURE_OPTIONS_;
+  this.gestureOptions_ = {
+    longPressDuration: goog.isDef(options.longPressDuration) ?
+        options.longPressDuration : defaults.longPressDuration,
+    swipeDistance: goog.isDef(options.swipeDistance) ?
+        options.swipeDistance : defaults.swipeDistance,
+    swipeDuration: goog.isDef(options.swipeDuration) ?
+        options.swipeDuration : defaults.swipeDuration,
+    doubleTapInterval: goog.isDef(options.doubleTapInterval) ?
+        options.doubleTapInterval : defaults.doubleTapInterval,
+    doubleTapDistance: goog.isDef(options.doubleTapDistance) ?
+        options.doubleTapDistance : defaults.doubleTapDistance
+  };
+};
+
+
+/**
+ * Adds an event to the queue and drops the events the queue policies
+ * don't keep.
+ * @param {!jsaction.EventInfo} eventInfo The event info to queue.
+ * @private
+ */
+jsaction.EventContract.prototype.enqueue_ = function(eventInfo) {
+  this.dropExpiredEvents_();
+  if (this.coalescedTypes_[eventInfo['eventType']]) {
+    for (var i = 0; i < this.queue_.length; ++i) {
+      var queued = this.queue_[i];
+      if (queued['eventType'] == eventInfo['eventType'] &&
+          queued['action'] == eventInfo['action']) {
+        this.dropEvent_(i, jsaction.DropReason.COALESCED);
+        break;
+      }
+    }
+  }
+  this.queue_.push(eventInfo);
+  if (this.pendingFeedback_) {
+    jsaction.pending.mark(eventInfo, this.pendingFeedback_);
+  }
+  this.dropExcessEvents_();
+};
+
+
+/**
+ * Drops the queued events that are older than the maximum age.
+ * @private
+ */
+jsaction.EventContract.prototype.dropExpiredEvents_ = function() {
+  var maxAge = this.queueOptions_.maxAge;
+  if (maxAge == null) {
+    return;
+  }
+  var now = jsaction.event.now();
+  for (var i = 0; i < this.queue_.length;) {
+    if (now - this.queue_[i]['timeStamp'] > maxAge) {
+      this.dropEvent_(i, jsaction.DropReason.MAX_AGE);
+    } else {
+      ++i;
+    }
+  }
+};
+
+
+/**
+ * Drops events while the queue is larger than its maximum size. Events of
+ * coalesced types describe continuous interactions and are dropped first.
+ * @private
+ */
+jsaction.EventContract.prototype.dropExcessEvents_ = function() {
+  var maxSize = this.queueOptions_.maxSize;
+  if (maxSize == null) {
+    return;
+  }
+  while (this.queue_.length > maxSize) {
+    var index = 0;
+    for (var i = 0; i < this.queue_.length; ++i) {
+      if (this.coalescedTypes_[this.queue_[i]['eventType']]) {
+        index = i;
+        break;
+      }
+    }
+    this.dropEvent_(index, jsaction.DropReason.MAX_SIZE);
+  }
+};
+
+
+/**
+ * Removes an event from the queue and records why.
+ * @param {number} index The index of the event in the queue.
+ * @param {jsaction.DropReason} reason Why the event is dropped.
+ * @private
+ */
+jsaction.EventContract.prototype.dropEvent_ = function(index, reason) {
+  var eventInfo = this.queue_.splice(index, 1)[0];
+  jsaction.pending.unmark(eventInfo);
+  this.dropped_.push(/** @type {!jsaction.DroppedEventInfo} */ ({
+    'eventInfo': eventInfo,
+    'reason': reason
+  }));
 };
 
 
@@ -1349,21 +3227,30 @@ jsaction.EventContract.prototype.removeContainer = function(container) {
  * Register a dispatcher function. Event info of each event mapped to
  * a jsaction is passed for handling to this callback. The queued
  * events are passed as well to the dispatcher for later replaying
- * once the dispatcher is registered. Clears the event queue to null.
+ * once the dispatcher is registered, along with the events the queue
+ * policies dropped, if any. Clears the event queue to null.
  *
  * @param {function((!jsaction.EventInfo|!Array.<!jsaction.EventInfo>),
- *                  boolean=):void} dispatcher The dispatcher function.
+ *                  boolean=, !Array.<!jsaction.DroppedEventInfo>=):void}
+ *     dispatcher The dispatcher function.
  */
 jsaction.EventContract.prototype.dispatchTo = function(dispatcher) {
   this.dispatcher_ = dispatcher;
   if (this.queue_) {
-    if (this.queue_.length > 0) {
-      // TODO(user): Consider to call dispatcher repeatedly and to
-      // pass the fields of event info as separate arguments. This
-      // gets rid of the requirement to keep the fields of EventInfo
-      // unobfuscated because they are accessed from separate
-      // jsbinaries. It would also resolve the issue whether
-      // dispatcher may take ownership of the queue object.
+    // TODO(user): Consider to call dispatcher repeatedly and to
+    // pass the fields of event info as separate arguments. This
+    // gets rid of the requirement to keep the fields of EventInfo
+    // unobfuscated because they are accessed from separate
+    // jsbinaries. It would also resolve the issue whether
+    // dispatcher may take ownership of the queue object.
+    this.dropExpiredEvents_();
+    var dropped = this.dropped_;
+    this.dropped_ = [];
+    if (dropped.length > 0) {
+      // The dropped events are only passed if there are any, so that
+      // dispatchers that don't know about them see the same call as before.
+      dispatcher(this.queue_, false, dropped);
+    } else if (this.queue_.length > 0) {
       dispatcher(this.queue_);
     }
     this.queue_ = null;
@@ -1371,27 +3258,71 @@ jsaction.EventContract.prototype.dispatchTo = function(dispatcher) {
 };
 
 
+/**
+ * Releases all resources of the contract: uninstalls the DOM event handlers
+ * from all containers and the document, stops observing mutations, cancels
+ * pending fast click and long press timers and drops queued events and the
+ * dispatcher.
+ * Other contracts on the same page are not affected. The contract must not
+ * be used anymore afterwards.
+ */
+jsaction.EventContract.prototype.dispose = function() {
+  var containers = this.containers_.concat(this.nestedContainers_);
+  for (var i = 0; i < containers.length; ++i) {
+    containers[i].cleanUp();
+  }
+  this.containers_ = [];
+  this.nestedContainers_ = [];
+  this.stopObservingMutations();
+  if (jsaction.EventContract.FAST_CLICK_SUPPORT) {
+    this.disposeFastClick_();
+  }
+  if (jsaction.EventContract.GESTURE_SUPPORT) {
+    this.disposeGestures_();
+  }
+  this.dragSource_ = null;
+
+  this.installers_ = [];
+  this.events_ = {};
+  this.eventInstallers_ = {};
+  this.explicitEvents_ = {};
+  this.companions_ = {};
+  this.companionRefs_ = {};
+  for (var i = 0; this.queue_ && i < this.queue_.length; ++i) {
+    jsaction.pending.unmark(this.queue_[i]);
+  }
+  this.dispatcher_ = null;
+  this.queue_ = [];
+  this.dropped_ = [];
+  this.pendingFeedback_ = null;
+};
+
+
 
 /**
  * A class representing a container node and all the event handlers
  * installed on it. Used so that handlers can be cleaned up if the
  * container is removed from the contract.
  *
- * @param {!Element} div The container node. Usually a div but not
+ * @param {!Element|!ShadowRoot} div The container node. Usually a div but not
  *     constrained to be.
  * @constructor
  */
 jsaction.EventContractContainer = function(div) {
   /**
-   * @type {!Element}
+   * @type {!Element|!ShadowRoot}
    */
   this.div = div;
 
   /**
    * Array of event handlers and their corresponding event types that are
-   * installed on this container.
+   * installed on this container, along with the installers that installed
+   * them.
    *
-   * @type {!Array.<jsaction.EventHandlerInfo>}
+   * @type {!Array.<{
+   *   installer: jsaction.ContainerInitializerFunction,
+   *   info: jsaction.EventHandlerInfo
+   * }>}
    * @private
    */
   this.handlers_ = [];
@@ -1432,15 +3363,16 @@ jsaction.EventContractContainer.isNested_ = function(container, list) {
 
 
 /**
- * Determines whether one node is the parent of the other.
+ * Determines whether one node is the parent of the other. A shadow root is
+ * considered to be a child of its host element.
  * @param {Node} parent The parent node.
  * @param {Node} child The node to look for in parent.
  * @return {boolean} parent recursively contains child.
  * @private
  */
 jsaction.EventContractContainer.containsNode_ = function(parent, child) {
-  while (parent != child && child.parentNode) {
-    child = child.parentNode;
+  while (parent != child && jsaction.dom.getParentNode(child)) {
+    child = jsaction.dom.getParentNode(child);
   }
   return parent == child;
 };
@@ -1456,7 +3388,30 @@ jsaction.EventContractContainer.containsNode_ = function(parent, child) {
  *     jsaction.EventContract.containerHandlerInstaller_.
  */
 jsaction.EventContractContainer.prototype.installHandler = function(installer) {
-  this.handlers_.push(installer.call(null, this.div));
+  this.handlers_.push({
+    installer: installer,
+    info: installer.call(null, this.div)
+  });
+};
+
+
+/**
+ * Removes the handler installed by the provided installer from the div owned
+ * by this container, if any.
+ *
+ * @param {jsaction.ContainerInitializerFunction} installer The installer
+ *     that installed the handler.
+ */
+jsaction.EventContractContainer.prototype.uninstallHandler = function(
+    installer) {
+  for (var i = 0; i < this.handlers_.length; ++i) {
+    if (this.handlers_[i].installer === installer) {
+      jsaction.event.removeEventListener(
+          /** @type {!Element} */ (this.div), this.handlers_[i].info);
+      this.handlers_.splice(i, 1);
+      return;
+    }
+  }
 };
 
 
@@ -1465,8 +3420,8 @@ jsaction.EventContractContainer.prototype.installHandler = function(installer) {
  */
 jsaction.EventContractContainer.prototype.cleanUp = function() {
   for (var i = 0; i < this.handlers_.length; ++i) {
-    var handlerInfo = this.handlers_[i];
-    jsaction.event.removeEventListener(this.div, handlerInfo);
+    jsaction.event.removeEventListener(
+        /** @type {!Element} */ (this.div), this.handlers_[i].info);
   }
 
   this.handlers_ = [];
@@ -18,3 +18,30 @@ goog.exportSymbol(
 goog.exportSymbol(
     'jsaction.EventContract.prototype.dispatchTo',
     jsaction.EventContract.prototype.dispatchTo);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.dispose',
+    jsaction.EventContract.prototype.dispose);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.observeMutations',
+    jsaction.EventContract.prototype.observeMutations);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.removeEvent',
+    jsaction.EventContract.prototype.removeEvent);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.setGestureOptions',
+    jsaction.EventContract.prototype.setGestureOptions);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.setKeyActivationRegistry',
+    jsaction.EventContract.prototype.setKeyActivationRegistry);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.setPendingFeedback',
+    jsaction.EventContract.prototype.setPendingFeedback);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.setQueueOptions',
+    jsaction.EventContract.prototype.setQueueOptions);
+goog.exportSymbol(
+    'jsaction.EventContract.prototype.stopObservingMutations',
+    jsaction.EventContract.prototype.stopObservingMutations);
+goog.exportSymbol(
+    'jsaction.EventContract.setUnknownModifierHandler',
+    jsaction.EventContract.setUnknownModifierHandler);
@@ -7,6 +7,9 @@
 goog.provide('jsaction.EventContractTest');
 goog.setTestOnly('jsaction.EventContractTest');
 
+goog.require('goog.dom.classlist');
+goog.require('goog.functions');
+goog.require('goog.math.Coordinate');
 goog.require('goog.testing.MockClock');
 goog.require('goog.testing.MockControl');
 goog.require('goog.testing.PropertyReplacer');
@@ -20,16 +23,24 @@ goog.require('goog.userAgent');
 goog.require('jsaction');
 goog.require('jsaction.Attribute');
 goog.require('jsaction.EventContract');
+goog.require('jsaction.Cache');
+goog.require('jsaction.Dispatcher');
+goog.require('jsaction.DropReason');
 goog.require('jsaction.EventType');
+goog.require('jsaction.KeyCodes');
 goog.require('jsaction.Property');
 goog.require('jsaction.event');
+goog.require('jsaction.pending');
 goog.require('jsaction.replayEvent');
+goog.require('jsaction.testing.nativeEvents');
 
 
 
 var mockClock_;
 var mockControl_;
 var propertyReplacer_;
+var performance_;
+var contract_;
 var isFunction_ = goog.testing.mockmatchers.isFunction;
 var SaveArgument_ = goog.testing.mockmatchers.SaveArgument;
 
@@ -37,11 +48,22 @@ function setUp() {
   mockControl_ = new goog.testing.MockControl;
   mockClock_ = new goog.testing.MockClock(true);
   propertyReplacer_ = new goog.testing.PropertyReplacer();
+  // Event infos are time stamped with performance.now(), which must follow
+  // the mock clock.
+  performance_ = {
+    timeOrigin: 0,
+    fraction: 0,
+    now: function() {
+      return goog.now() - performance_.timeOrigin + performance_.fraction;
+    }
+  };
+  propertyReplacer_.set(goog.global, 'performance', performance_);
   jsaction.EventContract.USE_EVENT_PATH = true;
   jsaction.EventContract.A11Y_CLICK_SUPPORT = true;
   jsaction.EventContract.MOUSE_SPECIAL_SUPPORT = true;
   jsaction.EventContract.STOP_PROPAGATION = true;
   jsaction.EventContract.FAST_CLICK_SUPPORT = true;
+  contract_ = new jsaction.EventContract;
 }
 
 
@@ -49,8 +71,14 @@ function tearDown() {
   mockControl_.$tearDown();
   mockClock_.dispose();
   propertyReplacer_.reset();
-  jsaction.EventContract.resetFastClickNode_();
+  contract_.dispose();
   jsaction.EventContract.CUSTOM_EVENT_SUPPORT = false;
+  jsaction.EventContract.FOCUS_STATE_SUPPORT = false;
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = false;
+  jsaction.EventContract.FOCUS_SPECIAL_SUPPORT = false;
+  jsaction.EventContract.GESTURE_SUPPORT = false;
+  jsaction.EventContract.DRAG_DROP_SUPPORT = false;
+  jsaction.EventContract.setUnknownModifierHandler(null);
 }
 
 
@@ -111,6 +139,272 @@ function testAddEventInstallsHandlersOnExistingContainers() {
 }
 
 
+function testAddEventWithOptions() {
+  var container = elem('container2');
+  var mockAddEvent = mockControl_.createMethodMock(
+      jsaction.event, 'addEventListener');
+
+  mockAddEvent(container, jsaction.EventType.TOUCHSTART, isFunction_,
+      {capture: undefined, passive: true});
+  mockAddEvent(container, 'webkitTransitionEnd', isFunction_,
+      {capture: true, passive: undefined});
+
+  mockControl_.$replayAll();
+
+  var e = new jsaction.EventContract;
+  e.addEvent(jsaction.EventType.TOUCHSTART, {passive: true});
+  e.addEvent('transitionEnd', {
+    browserEventName: 'webkitTransitionEnd',
+    capture: true
+  });
+  e.addContainer(container);
+
+  mockControl_.$verifyAll();
+}
+
+
+function testRemoveContainerRemovesHandlersWithTheirOptions() {
+  var container = elem('container2');
+  var removed = [];
+  propertyReplacer_.set(container, 'removeEventListener',
+      function(type, handler, capture) {
+        removed.push([type, capture]);
+      });
+
+  var e = new jsaction.EventContract;
+  var contractContainer = e.addContainer(container);
+  e.addEvent('mousemove', {capture: true});
+  e.addEvent('wheel', {passive: true});
+  e.removeContainer(contractContainer);
+
+  assertObjectEquals([['mousemove', true], ['wheel', false]], removed);
+}
+
+
+/**
+ * Records the types of the events whose handlers are removed from an
+ * element.
+ * @param {!EventTarget} element
+ * @return {!Array.<string>} The event types, in the order of removal.
+ */
+function recordRemovedEvents(element) {
+  var removed = [];
+  propertyReplacer_.set(element, 'removeEventListener', function(type) {
+    removed.push(type);
+  });
+  return removed;
+}
+
+
+function testRemoveEvent() {
+  var container = elem('container2');
+  var removed = recordRemovedEvents(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent('mousemove');
+  e.addEvent('scroll');
+  e.removeEvent('mousemove');
+
+  assertArrayEquals(['mousemove'], removed);
+  assertUndefined(e.handler('mousemove'));
+  assertNotUndefined(e.handler('scroll'));
+
+  // Containers added later don't get the handler either.
+  var installed = [];
+  propertyReplacer_.set(jsaction.event, 'addEventListener',
+      function(element, type) {
+        installed.push(type);
+        return {eventType: type, handler: null, capture: false,
+                passive: false};
+      });
+  e.addContainer(elem('container'));
+  assertArrayEquals(['scroll'], installed);
+
+  // Removing an event that isn't registered does nothing.
+  e.removeEvent('mousemove');
+  e.removeEvent('wheel');
+  assertArrayEquals(['mousemove'], removed);
+}
+
+
+function testRemoveEventRemovesCompanionEvents() {
+  var container = elem('container2');
+  var removed = recordRemovedEvents(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.removeEvent(jsaction.EventType.CLICK);
+
+  assertSameElements([
+    jsaction.EventType.CLICK,
+    jsaction.EventType.KEYDOWN,
+    jsaction.EventType.TOUCHSTART,
+    jsaction.EventType.TOUCHEND,
+    jsaction.EventType.TOUCHMOVE
+  ], removed);
+  assertUndefined(e.handler(jsaction.EventType.KEYDOWN));
+  assertUndefined(e.handler(jsaction.EventType.TOUCHSTART));
+}
+
+
+function testRemoveEventKeepsExplicitCompanionEvents() {
+  var container = elem('container2');
+  var removed = recordRemovedEvents(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.addEvent(jsaction.EventType.KEYDOWN);
+  e.addEvent(jsaction.EventType.TOUCHSTART);
+  e.removeEvent(jsaction.EventType.CLICK);
+
+  assertSameElements([
+    jsaction.EventType.CLICK,
+    jsaction.EventType.TOUCHEND,
+    jsaction.EventType.TOUCHMOVE
+  ], removed);
+  assertNotUndefined(e.handler(jsaction.EventType.KEYDOWN));
+  assertNotUndefined(e.handler(jsaction.EventType.TOUCHSTART));
+
+  e.removeEvent(jsaction.EventType.KEYDOWN);
+  assertUndefined(e.handler(jsaction.EventType.KEYDOWN));
+}
+
+
+function testRemoveCompanionEventKeepsItWhileNeeded() {
+  var e = new jsaction.EventContract;
+  e.addContainer(elem('container2'));
+  e.addEvent(jsaction.EventType.CLICK);
+
+  // Keydown is still needed for accessible clicks.
+  e.removeEvent(jsaction.EventType.KEYDOWN);
+  assertNotUndefined(e.handler(jsaction.EventType.KEYDOWN));
+
+  e.removeEvent(jsaction.EventType.CLICK);
+  assertUndefined(e.handler(jsaction.EventType.KEYDOWN));
+}
+
+
+function testRemoveEventFromNestedContainers() {
+  jsaction.EventContract.STOP_PROPAGATION = true;
+  var outerContainer = elem('outercontainer11');
+  var innerContainer = elem('innercontainer11');
+  var outerRemoved = recordRemovedEvents(outerContainer);
+  var innerRemoved = recordRemovedEvents(innerContainer);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(outerContainer);
+  e.addContainer(innerContainer);
+  e.addEvent('mousemove');
+  e.removeEvent('mousemove');
+
+  assertArrayEquals(['mousemove'], outerRemoved);
+  assertArrayEquals(['mousemove'], innerRemoved);
+}
+
+
+function testRemoveClickEventRemovesDocumentListeners() {
+  var removed = recordRemovedEvents(document);
+
+  var e = new jsaction.EventContract;
+  e.addEvent(jsaction.EventType.CLICK);
+  e.removeEvent(jsaction.EventType.CLICK);
+
+  assertSameElements([
+    jsaction.EventType.CLICK,
+    jsaction.EventType.MOUSEUP,
+    jsaction.EventType.MOUSEDOWN
+  ], removed);
+}
+
+
+function testDispose() {
+  var container = elem('container12');
+  var element = elem('action12-1');
+  var removed = recordRemovedEvents(container);
+  var documentRemoved = recordRemovedEvents(document);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.addEvent('mousemove');
+  jsaction.EventContract.createEventInfo_(jsaction.EventType.TOUCHSTART,
+      createEvent(jsaction.EventType.TOUCHSTART, element), container,
+      undefined, e);
+  assertEquals(element.parentNode, e.fastClickNode_.node);
+
+  e.dispose();
+  assertSameElements([
+    jsaction.EventType.CLICK,
+    jsaction.EventType.KEYDOWN,
+    jsaction.EventType.TOUCHSTART,
+    jsaction.EventType.TOUCHEND,
+    jsaction.EventType.TOUCHMOVE,
+    'mousemove'
+  ], removed);
+  assertSameElements([
+    jsaction.EventType.CLICK,
+    jsaction.EventType.MOUSEUP,
+    jsaction.EventType.MOUSEDOWN
+  ], documentRemoved);
+  assertUndefined(e.handler(jsaction.EventType.CLICK));
+  assertUndefined(e.handler('mousemove'));
+  assertNull(e.fastClickNode_);
+  assertEquals(0, e.fastClickTimeout_);
+}
+
+
+function testDisposeDoesNotAffectOtherContracts() {
+  var container = elem('container2');
+  var removed = recordRemovedEvents(container);
+
+  var e1 = new jsaction.EventContract;
+  var e2 = new jsaction.EventContract;
+  e1.addContainer(container);
+  e2.addContainer(container);
+  e1.addEvent('mousemove');
+  e2.addEvent('scroll');
+
+  e1.dispose();
+  assertArrayEquals(['mousemove'], removed);
+  assertNotUndefined(e2.handler('scroll'));
+  e2.dispose();
+  assertArrayEquals(['mousemove', 'scroll'], removed);
+}
+
+
+function testFastClickStateIsPerContract() {
+  var container = elem('container12');
+  var element = elem('action12-1');
+  var clicks = 0;
+  element.dispatchEvent = function(event) {
+    if (event.type == 'click') {
+      clicks++;
+    }
+  };
+
+  var other = new jsaction.EventContract;
+  assertNull(sendEvent(
+      jsaction.EventType.TOUCHSTART, element, container).actionElement);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
+  assertNull(other.fastClickNode_);
+
+  // The touchend doesn't complete a fast click in the other contract.
+  var touchend = createEvent(jsaction.EventType.TOUCHEND, element);
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.TOUCHEND, touchend, container, undefined, other);
+  assertFalse(eventInfo.event.defaultPrevented);
+  assertEquals(0, clicks);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
+
+  sendEvent(jsaction.EventType.TOUCHEND, element, container);
+  assertEquals(1, clicks);
+  other.dispose();
+}
+
+
 function testGetEventHandler() {
   var container = elem('container2');
   var mockAddEvent = mockControl_.createMethodMock(
@@ -141,6 +435,307 @@ function testGetEventHandler() {
 }
 
 
+/**
+ * Adds an event info to the queue of a contract.
+ * @param {!jsaction.EventContract} contract
+ * @param {string} eventType
+ * @param {string} action
+ * @return {!jsaction.EventInfo} The queued event info.
+ */
+function queueEvent(contract, eventType, action) {
+  var element = elem('host2');
+  var eventInfo = jsaction.EventContract.createEventInfoInternal_(
+      eventType, createEvent(eventType, element), element, action, element);
+  contract.enqueue_(eventInfo);
+  return eventInfo;
+}
+
+
+/**
+ * @param {!Array.<!jsaction.EventInfo>} queue
+ * @return {!Array.<string>} The actions of the queued events.
+ */
+function getQueuedActions(queue) {
+  var actions = [];
+  for (var i = 0; i < queue.length; i++) {
+    actions.push(queue[i]['action']);
+  }
+  return actions;
+}
+
+
+function testQueueMaxSize() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxSize: 2});
+  var first = queueEvent(e, 'click', 'a');
+  queueEvent(e, 'click', 'b');
+  queueEvent(e, 'click', 'c');
+
+  var queue = null;
+  var dropped = null;
+  e.dispatchTo(function(q, globalDispatch, d) {
+    queue = q;
+    dropped = d;
+  });
+  assertArrayEquals(['b', 'c'], getQueuedActions(queue));
+  assertEquals(1, dropped.length);
+  assertEquals(first, dropped[0]['eventInfo']);
+  assertEquals(jsaction.DropReason.MAX_SIZE, dropped[0]['reason']);
+}
+
+
+function testQueueMaxSizeDropsCoalescedTypesFirst() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxSize: 2, coalesce: ['mousemove']});
+  queueEvent(e, 'click', 'a');
+  queueEvent(e, 'mousemove', 'b');
+  queueEvent(e, 'click', 'c');
+  assertArrayEquals(['a', 'c'], getQueuedActions(e.queue_));
+}
+
+
+function testQueueCoalescesEventsPerAction() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({coalesce: ['input']});
+  var first = queueEvent(e, 'input', 'a');
+  queueEvent(e, 'input', 'b');
+  var last = queueEvent(e, 'input', 'a');
+  queueEvent(e, 'click', 'a');
+  queueEvent(e, 'click', 'a');
+
+  assertArrayEquals(['b', 'a', 'a', 'a'], getQueuedActions(e.queue_));
+  assertEquals(last, e.queue_[1]);
+  assertEquals(1, e.dropped_.length);
+  assertEquals(first, e.dropped_[0]['eventInfo']);
+  assertEquals(jsaction.DropReason.COALESCED, e.dropped_[0]['reason']);
+}
+
+
+function testQueueMaxAge() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxAge: 1000});
+  queueEvent(e, 'click', 'a');
+  mockClock_.tick(600);
+  queueEvent(e, 'click', 'b');
+  mockClock_.tick(600);
+
+  var queue = null;
+  var dropped = null;
+  e.dispatchTo(function(q, globalDispatch, d) {
+    queue = q;
+    dropped = d;
+  });
+  assertArrayEquals(['b'], getQueuedActions(queue));
+  assertEquals(1, dropped.length);
+  assertEquals('a', dropped[0]['eventInfo']['action']);
+  assertEquals(jsaction.DropReason.MAX_AGE, dropped[0]['reason']);
+}
+
+
+function testTimeStampsUsePerformanceClock() {
+  performance_.timeOrigin = 1000;
+  performance_.fraction = 0.25;
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxAge: 1000});
+  queueEvent(e, 'click', 'a');
+  var queue = null;
+  e.dispatchTo(function(q) {
+    queue = q;
+  });
+  // The time stamp has the sub-millisecond precision of performance.now().
+  assertEquals(goog.now() + 0.25, queue[0]['timeStamp']);
+  assertEquals(queue[0]['timeStamp'], jsaction.event.now());
+
+  // The queue is aged by the same clock, not by the wall clock.
+  var e2 = new jsaction.EventContract;
+  e2.setQueueOptions({maxAge: 1000});
+  queueEvent(e2, 'click', 'b');
+  performance_.fraction = 1000.25;
+  var dropped = null;
+  e2.dispatchTo(function(q, globalDispatch, d) {
+    dropped = d;
+  });
+  assertEquals(1, dropped.length);
+  assertEquals('b', dropped[0]['eventInfo']['action']);
+}
+
+
+function testDispatchToWithoutDroppedEvents() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxSize: 5});
+  queueEvent(e, 'click', 'a');
+
+  var dispatcher = goog.testing.recordFunction();
+  e.dispatchTo(dispatcher);
+  assertEquals(1, dispatcher.getCallCount());
+  assertEquals(1, dispatcher.getLastCall().getArguments().length);
+}
+
+
+function testDispatchToPassesDroppedEventsOfEmptyQueue() {
+  var e = new jsaction.EventContract;
+  e.setQueueOptions({maxAge: 100});
+  queueEvent(e, 'click', 'a');
+  mockClock_.tick(200);
+
+  var dispatcher = goog.testing.recordFunction();
+  e.dispatchTo(dispatcher);
+  assertEquals(1, dispatcher.getCallCount());
+  var args = dispatcher.getLastCall().getArguments();
+  assertArrayEquals([], args[0]);
+  assertEquals(jsaction.DropReason.MAX_AGE, args[2][0]['reason']);
+}
+
+
+function testQueuedEventsAreDroppedByPolicies() {
+  var container = elem('container2');
+  var targetElement = elem('target2');
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent('click');
+  e.setQueueOptions({maxSize: 1});
+
+  for (var i = 0; i < 3; i++) {
+    jsaction.replayEvent({
+      targetElement: targetElement,
+      event: jsaction.createEvent({type: 'click'})
+    });
+  }
+
+  var queue = null;
+  var dropped = null;
+  e.dispatchTo(function(q, globalDispatch, d) {
+    queue = q;
+    dropped = d;
+  });
+  assertEquals(1, queue.length);
+  assertEquals('clickaction', queue[0]['action']);
+  assertEquals(2, dropped.length);
+  e.dispose();
+}
+
+
+function testPendingFeedback() {
+  var e = new jsaction.EventContract;
+  var actionElement = elem('host2');
+  e.setQueueOptions({coalesce: ['input']});
+  e.setPendingFeedback({});
+  var first = queueEvent(e, 'input', 'a');
+  assertTrue(jsaction.pending.isPending(actionElement));
+
+  // The element stays marked while its later event is queued.
+  var second = queueEvent(e, 'input', 'a');
+  assertTrue(jsaction.pending.isPending(actionElement));
+
+  // The marks stay when the queue is passed to the dispatcher.
+  e.dispatchTo(function() {});
+  assertTrue(jsaction.pending.isPending(actionElement));
+  jsaction.pending.unmark(second);
+  assertFalse(jsaction.pending.isPending(actionElement));
+}
+
+
+function testPendingFeedbackMarksQueuedEvents() {
+  var e = new jsaction.EventContract;
+  var actionElement = elem('host2');
+  queueEvent(e, 'click', 'a');
+  assertFalse(jsaction.pending.isPending(actionElement));
+
+  e.setPendingFeedback({className: 'loading'});
+  assertTrue(jsaction.pending.isPending(actionElement));
+  assertTrue(goog.dom.classlist.contains(actionElement, 'loading'));
+
+  e.dispose();
+  assertFalse(jsaction.pending.isPending(actionElement));
+  assertFalse(goog.dom.classlist.contains(actionElement, 'loading'));
+}
+
+
+function testPendingFeedbackRemovedFromDroppedEvents() {
+  var e = new jsaction.EventContract;
+  var actionElement = elem('host2');
+  e.setPendingFeedback({});
+  e.setQueueOptions({maxSize: 1});
+  queueEvent(e, 'click', 'a');
+  queueEvent(e, 'click', 'b');
+  assertTrue(jsaction.pending.isPending(actionElement));
+
+  e.setQueueOptions({maxSize: 0});
+  assertFalse(jsaction.pending.isPending(actionElement));
+}
+
+
+function testQueuedKeyboardEventsCaptureFocusState() {
+  jsaction.EventContract.FOCUS_STATE_SUPPORT = true;
+  var input = elem('input18');
+  var e = new jsaction.EventContract;
+  e.addContainer(elem('container18'));
+  e.addEvent(jsaction.EventType.KEYDOWN);
+
+  input.focus();
+  input.setSelectionRange(2, 4);
+  jsaction.triggerEvent(input, jsaction.createEvent(
+      {type: 'keydown', keyCode: 65}));
+  elem('other18').focus();
+
+  assertEquals(1, e.queue_.length);
+  var focusState = e.queue_[0]['focusState'];
+  assertEquals(input, focusState['element']);
+  assertEquals(2, focusState['selectionStart']);
+  assertEquals(4, focusState['selectionEnd']);
+  e.dispose();
+}
+
+
+function testQueuedClickEventsDontCaptureFocusState() {
+  jsaction.EventContract.FOCUS_STATE_SUPPORT = true;
+  var e = new jsaction.EventContract;
+  e.addContainer(elem('container2'));
+  e.addEvent(jsaction.EventType.CLICK);
+  jsaction.replayEvent({
+    targetElement: elem('target2'),
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  assertEquals(1, e.queue_.length);
+  assertUndefined(e.queue_[0]['focusState']);
+  e.dispose();
+}
+
+
+function testFocusEventsOfReplayAreIgnored() {
+  jsaction.EventContract.FOCUS_STATE_SUPPORT = true;
+  var input = elem('input18');
+  var e = new jsaction.EventContract;
+  e.addContainer(elem('container18'));
+  e.addEvent(jsaction.EventType.KEYDOWN);
+  e.addEvent(jsaction.EventType.FOCUSIN);
+  e.addEvent(jsaction.EventType.FOCUSOUT);
+
+  input.focus();
+  jsaction.triggerEvent(input, jsaction.createEvent(
+      {type: 'keydown', keyCode: 65}));
+  elem('other18').focus();
+  var queued = e.queue_[0];
+
+  // Every event the contract handles is dispatched globally.
+  var eventTypes = [];
+  e.dispatchTo(function(eventInfo, globalDispatch) {
+    if (globalDispatch) {
+      eventTypes.push(eventInfo['eventType']);
+    }
+  });
+  jsaction.replayEvent(queued);
+
+  // Moving the focus to the input and back to the other input isn't
+  // handled, only the replayed keydown is.
+  assertArrayEquals(['keydown'], eventTypes);
+  assertEquals(elem('other18'), document.activeElement);
+  e.dispose();
+}
+
+
 function testDispatchCallbackGetsEventInfo() {
   var container = elem('container2');
   var targetElement = elem('target2');
@@ -750,7 +1345,7 @@ function testEventContractMaybeCreateEventInfoAddsTimestamp() {
   mockControl_.createMethodMock(jsaction.event, 'isModifiedClickEvent');
   jsaction.event.isModifiedClickEvent(event).$returns(false);
   mockControl_.createMethodMock(jsaction.event, 'isActionKeyEvent');
-  jsaction.event.isActionKeyEvent(event).$returns(false);
+  jsaction.event.isActionKeyEvent(event, undefined).$returns(false);
   mockControl_.createMethodMock(goog, 'now');
   goog.now().$returns(1234);
 
@@ -775,7 +1370,7 @@ function testEventContractMaybeCreateEventInfoClick() {
   mockControl_.createMethodMock(jsaction.event, 'isModifiedClickEvent');
   jsaction.event.isModifiedClickEvent(event).$returns(false);
   mockControl_.createMethodMock(jsaction.event, 'isActionKeyEvent');
-  jsaction.event.isActionKeyEvent(event).$returns(false);
+  jsaction.event.isActionKeyEvent(event, undefined).$returns(false);
 
   mockControl_.$replayAll();
   var eventInfo = jsaction.EventContract.createEventInfo_(
@@ -817,7 +1412,7 @@ function testEventContractMaybeCreateEventInfoClickKey() {
   };
 
   mockControl_.createMethodMock(jsaction.event, 'isActionKeyEvent');
-  jsaction.event.isActionKeyEvent(event).$returns(true);
+  jsaction.event.isActionKeyEvent(event, undefined).$returns(true);
 
   mockControl_.$replayAll();
   var eventInfo = jsaction.EventContract.createEventInfo_(
@@ -838,7 +1433,7 @@ function testEventContractMaybeCreateEventInfoKeypress() {
   };
 
   mockControl_.createMethodMock(jsaction.event, 'isActionKeyEvent');
-  jsaction.event.isActionKeyEvent(event).$returns(false);
+  jsaction.event.isActionKeyEvent(event, undefined).$returns(false);
 
   mockControl_.$replayAll();
   var eventInfo = jsaction.EventContract.createEventInfo_(
@@ -915,12 +1510,12 @@ function testEventContractMaybeCreateEventInfoFastClick() {
   assertNull(sendEvent(
       jsaction.EventType.TOUCHSTART, otherElement, container).actionElement);
   assertEquals(otherElement.parentNode,
-      jsaction.EventContract.fastClickNode_.node);
+      contract_.fastClickNode_.node);
 
   // Touch an element.
   assertNull(sendEvent(
       jsaction.EventType.TOUCHSTART, element, container).actionElement);
-  assertEquals(actionNode, jsaction.EventContract.fastClickNode_.node);
+  assertEquals(actionNode, contract_.fastClickNode_.node);
   var eventInfo = sendEvent(jsaction.EventType.TOUCHEND, element, container);
   // TOUCHEND arrives, but it's canceled.
   assertEquals(jsaction.EventType.TOUCHEND, eventInfo.eventType);
@@ -945,12 +1540,13 @@ function testEventContractPreventDefaultCancelFastClick() {
   // Touch an element.
   assertNull(sendEvent(
       jsaction.EventType.TOUCHSTART, element, container).actionElement);
-  assertEquals(actionNode, jsaction.EventContract.fastClickNode_.node);
+  assertEquals(actionNode, contract_.fastClickNode_.node);
 
   var touchendEvent = createEvent(jsaction.EventType.TOUCHEND, element);
   touchendEvent.preventDefault();
   var eventInfo = jsaction.EventContract.createEventInfo_(
-      jsaction.EventType.TOUCHEND, touchendEvent, container);
+      jsaction.EventType.TOUCHEND, touchendEvent, container, undefined,
+      contract_);
 
   // TOUCHEND arrives, but prevent default on touchend event.
   assertEquals(jsaction.EventType.TOUCHEND, eventInfo.eventType);
@@ -958,7 +1554,7 @@ function testEventContractPreventDefaultCancelFastClick() {
   assertTrue(eventInfo.event.defaultPrevented);
   // CLICK event is not issued.
   assertFalse(clickDispatched);
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
 }
 
 function testEventContractMaybeCreateEventInfoFastClick_touchstartStopsMagic() {
@@ -966,7 +1562,7 @@ function testEventContractMaybeCreateEventInfoFastClick_touchstartStopsMagic() {
   var element = elem('action12-3');
   assertNotNull(sendEvent(
       jsaction.EventType.TOUCHSTART, element, container).actionElement);
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
 }
 
 function testEventContractMaybeCreateEventInfoFastClick_needsClickEvent() {
@@ -974,7 +1570,7 @@ function testEventContractMaybeCreateEventInfoFastClick_needsClickEvent() {
   var element = elem('action12-4');
   assertNull(sendEvent(
       jsaction.EventType.TOUCHSTART, element, container).actionElement);
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
 }
 
 function testEventContractMaybeCreateEventInfoFastClick_touchmoveTolerates() {
@@ -987,8 +1583,9 @@ function testEventContractMaybeCreateEventInfoFastClick_touchmoveTolerates() {
     clientX: 100,
     clientY: 100
   }, {}];
-  jsaction.EventContract.createEventInfo_(event.type, event, container);
-  assertEquals(element.parentNode, jsaction.EventContract.fastClickNode_.node);
+  jsaction.EventContract.createEventInfo_(
+      event.type, event, container, undefined, contract_);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
 
   // touchmove: less than 4px Manhattan move is tolerated
   var event = new goog.testing.events.Event('touchmove', element);
@@ -996,8 +1593,9 @@ function testEventContractMaybeCreateEventInfoFastClick_touchmoveTolerates() {
     clientX: 102,
     clientY: 102
   }, {}];
-  jsaction.EventContract.createEventInfo_(event.type, event, container);
-  assertNotNull(jsaction.EventContract.fastClickNode_);
+  jsaction.EventContract.createEventInfo_(
+      event.type, event, container, undefined, contract_);
+  assertNotNull(contract_.fastClickNode_);
 }
 
 function testEventContractMaybeCreateEventInfoFastClick_touchmoveCancels() {
@@ -1010,8 +1608,9 @@ function testEventContractMaybeCreateEventInfoFastClick_touchmoveCancels() {
     clientX: 100,
     clientY: 100
   }, {}];
-  jsaction.EventContract.createEventInfo_(event.type, event, container);
-  assertEquals(element.parentNode, jsaction.EventContract.fastClickNode_.node);
+  jsaction.EventContract.createEventInfo_(
+      event.type, event, container, undefined, contract_);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
 
   // touchmove: over 4px Manhattan move cancels fast click
   var event = new goog.testing.events.Event('touchmove', element);
@@ -1019,17 +1618,18 @@ function testEventContractMaybeCreateEventInfoFastClick_touchmoveCancels() {
     clientX: 103,
     clientY: 102
   }, {}];
-  jsaction.EventContract.createEventInfo_(event.type, event, container);
-  assertNull(jsaction.EventContract.fastClickNode_);
+  jsaction.EventContract.createEventInfo_(
+      event.type, event, container, undefined, contract_);
+  assertNull(contract_.fastClickNode_);
 }
 
 function testEventContractMaybeCreateEventInfoFastClick_timesout() {
   var container = elem('container12');
   var element = elem('action12-1');
   sendEvent(jsaction.EventType.TOUCHSTART, element, container);
-  assertEquals(element.parentNode, jsaction.EventContract.fastClickNode_.node);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
   mockClock_.tick(400);
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
   assertNull(sendEvent(
       jsaction.EventType.TOUCHEND, element, container).actionElement);
 }
@@ -1037,61 +1637,166 @@ function testEventContractMaybeCreateEventInfoFastClick_timesout() {
 function testEventContractMaybeCreateEventInfoFastClick_specialElements() {
   assertNotNull(
       sendEvent(jsaction.EventType.TOUCHSTART, elem('text12'), container));
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
   assertNotNull(
       sendEvent(jsaction.EventType.TOUCHSTART, elem('textarea12'), container));
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
   assertNotNull(
       sendEvent(jsaction.EventType.TOUCHSTART, elem('search12'), container));
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
   assertNotNull(
       sendEvent(jsaction.EventType.TOUCHSTART, elem('password12'), container));
-  assertNull(jsaction.EventContract.fastClickNode_);
+  assertNull(contract_.fastClickNode_);
 }
 
-function testFastClick_distanceCancelsFastClick() {
+/**
+ * @param {string} type The pointer event type.
+ * @param {!Element} target
+ * @param {string} pointerType
+ * @param {{clientX: number, clientY: number}=} opt_template
+ * @return {!goog.testing.events.Event}
+ */
+function createPointerEvent(type, target, pointerType, opt_template) {
+  var event = createEvent(type, target, opt_template);
+  event.pointerType = pointerType;
+  event.isPrimary = true;
+  return event;
+}
+
+function sendPointerEvent(type, target, container, pointerType, opt_template) {
+  return jsaction.EventContract.createEventInfo_(
+      type, createPointerEvent(type, target, pointerType, opt_template),
+      container, undefined, contract_);
+}
+
+function testFastClickPointerEvents() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
   var container = elem('container12');
   var element = elem('action12-1');
-  var otherElement = elem('action12-2');
-  var actionNode = element.parentNode;
 
   var clickDispatched = false;
-  var clickEvent = null;
   element.dispatchEvent = function(event) {
     if (event.type == 'click') {
       clickDispatched = true;
-      clickEvent = event;
     }
   };
 
-  sendEvent(jsaction.EventType.TOUCHSTART, element, container,
-      {clientX: 100, clientY: 100});
-  var eventInfo = sendEvent(jsaction.EventType.TOUCHEND, element, container,
-      {clientX: 105, clientY: 105});
+  // Touch events are left alone.
+  sendEvent(jsaction.EventType.TOUCHSTART, element, container);
+  assertNull(contract_.fastClickNode_);
+
+  assertNull(sendPointerEvent(jsaction.EventType.POINTERDOWN, element,
+      container, 'touch').actionElement);
+  assertEquals(element.parentNode, contract_.fastClickNode_.node);
+  var eventInfo = sendPointerEvent(
+      jsaction.EventType.POINTERUP, element, container, 'touch');
+  assertEquals(jsaction.EventType.POINTERUP, eventInfo.eventType);
+  assertTrue(eventInfo.event.defaultPrevented);
+  assertTrue(clickDispatched);
+}
 
-  // TOUCHEND arrives, and is not canceled.
-  assertEquals(jsaction.EventType.TOUCHEND, eventInfo.eventType);
-  assertEquals(jsaction.EventType.TOUCHEND, eventInfo.event.type);
-  assertFalse(eventInfo.event.defaultPrevented);
-  // CLICK event is not issued.
-  assertFalse(clickDispatched);
-  assertNull(clickEvent);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+function testFastClickPointerEvents_ignoresMouse() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
+  var container = elem('container12');
+  var element = elem('action12-1');
+  sendPointerEvent(jsaction.EventType.POINTERDOWN, element, container, 'mouse');
+  assertNull(contract_.fastClickNode_);
 }
 
-function testFastClick_allowFastClick() {
+function testFastClickPointerEvents_ignoresSecondaryPointers() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
   var container = elem('container12');
   var element = elem('action12-1');
-  var otherElement = elem('action12-2');
-  var actionNode = element.parentNode;
+  var event = createPointerEvent(
+      jsaction.EventType.POINTERDOWN, element, 'touch');
+  event.isPrimary = false;
+  jsaction.EventContract.createEventInfo_(
+      event.type, event, container, undefined, contract_);
+  assertNull(contract_.fastClickNode_);
+}
 
-  var clickDispatched = false;
-  var clickEvent = null;
-  element.dispatchEvent = function(event) {
-    if (event.type == 'click') {
-      clickDispatched = true;
-      clickEvent = event;
-    }
+function testFastClickPointerEvents_pointermoveCancels() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
+  var container = elem('container12');
+  var element = elem('action12-1');
+  sendPointerEvent(jsaction.EventType.POINTERDOWN, element, container, 'pen',
+      {clientX: 100, clientY: 100});
+  sendPointerEvent(jsaction.EventType.POINTERMOVE, element, container, 'pen',
+      {clientX: 102, clientY: 102});
+  assertNotNull(contract_.fastClickNode_);
+  sendPointerEvent(jsaction.EventType.POINTERMOVE, element, container, 'pen',
+      {clientX: 103, clientY: 102});
+  assertNull(contract_.fastClickNode_);
+}
+
+function testFastClickPointerEvents_pointercancelCancels() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
+  var container = elem('container12');
+  var element = elem('action12-1');
+  sendPointerEvent(jsaction.EventType.POINTERDOWN, element, container, 'touch');
+  assertNotNull(contract_.fastClickNode_);
+  sendPointerEvent(
+      jsaction.EventType.POINTERCANCEL, element, container, 'touch');
+  assertNull(contract_.fastClickNode_);
+}
+
+function testFastClickPointerEventsInstallsPointerEvents() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
+  contract_.addEvent(jsaction.EventType.CLICK);
+  assertNotUndefined(contract_.handler(jsaction.EventType.POINTERDOWN));
+  assertNotUndefined(contract_.handler(jsaction.EventType.POINTERUP));
+  assertNotUndefined(contract_.handler(jsaction.EventType.POINTERMOVE));
+  assertNotUndefined(contract_.handler(jsaction.EventType.POINTERCANCEL));
+  assertUndefined(contract_.handler(jsaction.EventType.TOUCHSTART));
+
+  contract_.removeEvent(jsaction.EventType.CLICK);
+  assertUndefined(contract_.handler(jsaction.EventType.POINTERDOWN));
+  assertUndefined(contract_.handler(jsaction.EventType.POINTERCANCEL));
+}
+
+function testFastClick_distanceCancelsFastClick() {
+  var container = elem('container12');
+  var element = elem('action12-1');
+  var otherElement = elem('action12-2');
+  var actionNode = element.parentNode;
+
+  var clickDispatched = false;
+  var clickEvent = null;
+  element.dispatchEvent = function(event) {
+    if (event.type == 'click') {
+      clickDispatched = true;
+      clickEvent = event;
+    }
+  };
+
+  sendEvent(jsaction.EventType.TOUCHSTART, element, container,
+      {clientX: 100, clientY: 100});
+  var eventInfo = sendEvent(jsaction.EventType.TOUCHEND, element, container,
+      {clientX: 105, clientY: 105});
+
+  // TOUCHEND arrives, and is not canceled.
+  assertEquals(jsaction.EventType.TOUCHEND, eventInfo.eventType);
+  assertEquals(jsaction.EventType.TOUCHEND, eventInfo.event.type);
+  assertFalse(eventInfo.event.defaultPrevented);
+  // CLICK event is not issued.
+  assertFalse(clickDispatched);
+  assertNull(clickEvent);
+  assertNull(contract_.preventingMouseEvents_);
+}
+
+function testFastClick_allowFastClick() {
+  var container = elem('container12');
+  var element = elem('action12-1');
+  var otherElement = elem('action12-2');
+  var actionNode = element.parentNode;
+
+  var clickDispatched = false;
+  var clickEvent = null;
+  element.dispatchEvent = function(event) {
+    if (event.type == 'click') {
+      clickDispatched = true;
+      clickEvent = event;
+    }
   };
 
   sendEvent(jsaction.EventType.TOUCHSTART, element, container);
@@ -1106,9 +1811,9 @@ function testFastClick_allowFastClick() {
 
   // The "fastclick" event will be allowed to proceed, "fastclick" is still
   // pending.
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   assertFalse(clickEvent.defaultPrevented);
-  assertNotNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNotNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_cancelFollowingClick() {
@@ -1137,10 +1842,10 @@ function testFastClick_cancelFollowingClick() {
   // Quick follow with a subsequent CLICK event, e.g. as iOS sometimes does.
   var clickEvent = new goog.testing.events.Event(jsaction.EventType.CLICK,
       element);
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   // Event matched and stopped from propagating, but not canceled.
   assertTrue(clickEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_cancelFollowingClick_wrongElement() {
@@ -1170,10 +1875,10 @@ function testFastClick_cancelFollowingClick_wrongElement() {
   // However, the target is a different element!
   var clickEvent = new goog.testing.events.Event(jsaction.EventType.CLICK,
       otherElement);
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   // Event didn't match.
   assertFalse(clickEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_cancelFollowingClick_oldTimestamp() {
@@ -1203,11 +1908,11 @@ function testFastClick_cancelFollowingClick_oldTimestamp() {
   // However, the new event is further in the future!
   var clickEvent = new goog.testing.events.Event(jsaction.EventType.CLICK,
       element);
-  jsaction.EventContract.preventingMouseEvents_.timeStamp = goog.now() - 10000;
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.preventingMouseEvents_.timeStamp = goog.now() - 10000;
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   // Event didn't match.
   assertFalse(clickEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_cancelFollowingClick_touchstartElsewhere() {
@@ -1237,10 +1942,10 @@ function testFastClick_cancelFollowingClick_touchstartElsewhere() {
   sendEvent(jsaction.EventType.TOUCHSTART, otherElement, container);
   var clickEvent = new goog.testing.events.Event(jsaction.EventType.CLICK,
       element);
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   // Event didn't match.
   assertFalse(clickEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_retargetClickWithWrongTarget() {
@@ -1283,10 +1988,10 @@ function testFastClick_retargetClickWithWrongTarget() {
       otherElement);
   clickEvent.clientX = 101;
   clickEvent.clientY = 101;
-  jsaction.EventContract.sweepupPreventedMouseEvents_(clickEvent);
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
   // Event matched, stopped AND canceled since the target doesn't match.
   assertTrue(clickEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function testFastClick_clearSelection() {
@@ -1383,20 +2088,20 @@ function testPreventMouseEvents_notPrevented() {
   assertEquals(jsaction.EventType.TOUCHEND, eventInfo.eventType);
   assertEquals(jsaction.EventType.TOUCHEND, eventInfo.event.type);
   assertFalse(eventInfo.event.defaultPrevented);
-  jsaction.EventContract.afterEventHandler_(eventInfo);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  contract_.afterEventHandler_(eventInfo);
+  assertNull(contract_.preventingMouseEvents_);
 
   var otherEvent;
   otherEvent = createEvent('mouseup', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertFalse(otherEvent.defaultPrevented);
 
   otherEvent = createEvent('mousedown', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertFalse(otherEvent.defaultPrevented);
 
   otherEvent = createEvent('click', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertFalse(otherEvent.defaultPrevented);
 }
 
@@ -1413,24 +2118,24 @@ function testPreventMouseEvents_prevented() {
   assertEquals(jsaction.EventType.TOUCHEND, eventInfo.event.type);
   assertFalse(eventInfo.event.defaultPrevented);
   eventInfo.event._preventMouseEvents();
-  jsaction.EventContract.afterEventHandler_(eventInfo);
-  assertNotNull(jsaction.EventContract.preventingMouseEvents_);
+  contract_.afterEventHandler_(eventInfo);
+  assertNotNull(contract_.preventingMouseEvents_);
 
   var otherEvent;
   otherEvent = createEvent('mouseup', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertTrue(otherEvent.defaultPrevented);
-  assertNotNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNotNull(contract_.preventingMouseEvents_);
 
   otherEvent = createEvent('mousedown', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertTrue(otherEvent.defaultPrevented);
-  assertNotNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNotNull(contract_.preventingMouseEvents_);
 
   otherEvent = createEvent('click', element, {clientX: 0, clientY: 0});
-  jsaction.EventContract.sweepupPreventedMouseEvents_(otherEvent);
+  contract_.sweepupPreventedMouseEvents_(otherEvent);
   assertTrue(otherEvent.defaultPrevented);
-  assertNull(jsaction.EventContract.preventingMouseEvents_);
+  assertNull(contract_.preventingMouseEvents_);
 }
 
 function createEvent(type, target, opt_template) {
@@ -1450,7 +2155,8 @@ function createEvent(type, target, opt_template) {
 
 function sendEvent(type, target, container, opt_template) {
   var event = createEvent(type, target, opt_template);
-  return jsaction.EventContract.createEventInfo_(type, event, container);
+  return jsaction.EventContract.createEventInfo_(
+      type, event, container, undefined, contract_);
 }
 
 function testEventContractGetAction() {
@@ -1682,3 +2388,1516 @@ function testCustomEvents_DispatchedCorrectly() {
   assertEquals(actionElement, eventInfo.actionElement);
   mockControl_.$verifyAll();
 }
+
+
+/**
+ * Creates a container with a shadow host in the document, and renders the
+ * given html into an open shadow root of the host.
+ * @param {string} html The content of the shadow tree.
+ * @return {?{container: !Element, host: !Element, shadowRoot: !ShadowRoot}}
+ *     The created nodes, or null if shadow DOM is not supported.
+ */
+function createShadowTree(html) {
+  var container = createElement('div');
+  var host = createElement('div');
+  if (!host.attachShadow) {
+    return null;
+  }
+  container.appendChild(host);
+  document.body.appendChild(container);
+  var shadowRoot = host.attachShadow({mode: 'open'});
+  shadowRoot.innerHTML = html;
+  return {container: container, host: host, shadowRoot: shadowRoot};
+}
+
+
+/**
+ * Dispatches a click event that is able to leave the shadow tree it was
+ * dispatched in.
+ * @param {!Element} target
+ */
+function dispatchComposedClick(target) {
+  // Browsers that support shadow DOM also support event constructors.
+  target.dispatchEvent(
+      new MouseEvent('click', {bubbles: true, composed: true}));
+}
+
+
+function testShadowDomActionInsideShadowTree() {
+  jsaction.EventContract.USE_EVENT_PATH = false;
+  var tree = createShadowTree(
+      '<div id="shadowhost" jsaction="shadowaction">' +
+      '<span id="shadowtarget"></span></div>');
+  if (!tree) {
+    return;
+  }
+  var target = tree.shadowRoot.getElementById('shadowtarget');
+  var dispatchCallback = goog.testing.recordFunction();
+
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.dispatchTo(dispatchCallback);
+
+  dispatchComposedClick(target);
+
+  var eventInfo = dispatchCallback.getLastCall().getArgument(0);
+  assertEquals('shadowaction', eventInfo.action);
+  assertEquals(target, eventInfo.targetElement);
+  assertEquals(tree.shadowRoot.getElementById('shadowhost'),
+      eventInfo.actionElement);
+  document.body.removeChild(tree.container);
+}
+
+
+function testShadowDomActionOutsideShadowTree() {
+  jsaction.EventContract.USE_EVENT_PATH = false;
+  var tree = createShadowTree('<span id="shadowtarget"></span>');
+  if (!tree) {
+    return;
+  }
+  tree.host.setAttribute('jsaction', 'hostaction');
+  var dispatchCallback = goog.testing.recordFunction();
+
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.dispatchTo(dispatchCallback);
+
+  dispatchComposedClick(tree.shadowRoot.getElementById('shadowtarget'));
+
+  var eventInfo = dispatchCallback.getLastCall().getArgument(0);
+  assertEquals('hostaction', eventInfo.action);
+  assertEquals(tree.host, eventInfo.actionElement);
+  document.body.removeChild(tree.container);
+}
+
+
+function testShadowDomNamespaceAcrossShadowBoundary() {
+  var tree = createShadowTree(
+      '<div id="shadowhost" jsaction="shadowaction"></div>');
+  if (!tree) {
+    return;
+  }
+  tree.container.setAttribute('jsnamespace', 'outerns');
+  var actionElement = tree.shadowRoot.getElementById('shadowhost');
+
+  var qualifiedName = jsaction.EventContract.getQualifiedName_(
+      'shadowaction', actionElement, tree.container);
+  assertEquals('outerns.shadowaction', qualifiedName);
+  document.body.removeChild(tree.container);
+}
+
+
+function testShadowRootAsContainer() {
+  var tree = createShadowTree(
+      '<div id="shadowhost" jsaction="shadowaction">' +
+      '<span id="shadowtarget"></span></div>');
+  if (!tree) {
+    return;
+  }
+  var dispatchCallback = goog.testing.recordFunction();
+
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.shadowRoot);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.dispatchTo(dispatchCallback);
+
+  // The event is not composed, so it never leaves the shadow tree.
+  jsaction.triggerEvent(tree.shadowRoot.getElementById('shadowtarget'),
+      jsaction.createEvent({type: 'click'}));
+
+  var eventInfo = dispatchCallback.getLastCall().getArgument(0);
+  assertEquals('shadowaction', eventInfo.action);
+  document.body.removeChild(tree.container);
+}
+
+
+function testShadowRootContainerIsNestedInHostContainer() {
+  jsaction.EventContract.STOP_PROPAGATION = false;
+  var tree = createShadowTree('<span></span>');
+  if (!tree) {
+    return;
+  }
+  var mockAddEvent = mockControl_.createMethodMock(
+      jsaction.event, 'addEventListener');
+  mockAddEvent(tree.container, 'mousemove', isFunction_);
+  mockControl_.$replayAll();
+
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.container);
+  var container = e.addContainer(tree.shadowRoot);
+  e.addEvent('mousemove');
+
+  assertTrue(jsaction.EventContractContainer.containsNode_(
+      tree.container, tree.shadowRoot));
+  assertEquals(tree.shadowRoot, container.div);
+  mockControl_.$verifyAll();
+  document.body.removeChild(tree.container);
+}
+
+
+/**
+ * Delivers the pending mutation records of the contract synchronously.
+ * @param {!jsaction.EventContract} contract
+ */
+function flushMutations(contract) {
+  contract.handleMutations_(contract.mutationObserver_.takeRecords());
+}
+
+
+function testObserveMutationsClearsCacheOnJsactionChange() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var container = createElement('div');
+  var actionElement = createElement('div');
+  actionElement.setAttribute('jsaction', 'oldaction');
+  container.appendChild(actionElement);
+  document.body.appendChild(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.observeMutations();
+  assertEquals('oldaction', jsaction.EventContract.getAction_(
+      actionElement, 'click', {}, container).action);
+
+  actionElement.setAttribute('jsaction', 'newaction');
+  flushMutations(e);
+  assertUndefined(jsaction.Cache.get(actionElement));
+  assertEquals('newaction', jsaction.EventContract.getAction_(
+      actionElement, 'click', {}, container).action);
+
+  e.stopObservingMutations();
+  document.body.removeChild(container);
+}
+
+
+function testObserveMutationsClearsCacheOnJsnamespaceChange() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var container = createElement('div');
+  var namespaceElement = createElement('div');
+  namespaceElement.setAttribute('jsnamespace', 'oldns');
+  var actionElement = createElement('div');
+  actionElement.setAttribute('jsaction', 'action');
+  namespaceElement.appendChild(actionElement);
+  container.appendChild(namespaceElement);
+  document.body.appendChild(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.observeMutations();
+  assertEquals('oldns.action', jsaction.EventContract.getAction_(
+      actionElement, 'click', {}, container).action);
+
+  namespaceElement.setAttribute('jsnamespace', 'newns');
+  flushMutations(e);
+  assertUndefined(jsaction.Cache.getNamespace(namespaceElement));
+  assertEquals('newns.action', jsaction.EventContract.getAction_(
+      actionElement, 'click', {}, container).action);
+
+  e.stopObservingMutations();
+  document.body.removeChild(container);
+}
+
+
+function testObserveMutationsClearsCacheOnRemoval() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var container = createElement('div');
+  container.setAttribute('jsnamespace', 'oldns');
+  var child = createElement('div');
+  var actionElement = createElement('div');
+  actionElement.setAttribute('jsaction', 'action');
+  child.appendChild(actionElement);
+  container.appendChild(child);
+  document.body.appendChild(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.observeMutations();
+  assertEquals('oldns.action', jsaction.EventContract.getAction_(
+      actionElement, 'click', {}, container).action);
+
+  container.removeChild(child);
+  flushMutations(e);
+  assertUndefined(jsaction.Cache.get(actionElement));
+
+  e.stopObservingMutations();
+  document.body.removeChild(container);
+}
+
+
+function testObserveMutationsRemovesDetachedContainers() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var outer = createElement('div');
+  var container = createElement('div');
+  outer.appendChild(container);
+  document.body.appendChild(outer);
+
+  var e = new jsaction.EventContract;
+  var eventContractContainer = e.addContainer(container);
+  var cleanUp = goog.testing.recordFunction();
+  eventContractContainer.cleanUp = cleanUp;
+  e.observeMutations();
+
+  document.body.removeChild(outer);
+  flushMutations(e);
+  assertEquals(1, cleanUp.getCallCount());
+  assertEquals(0, e.containers_.length);
+
+  e.stopObservingMutations();
+}
+
+
+function testObserveMutationsIgnoresRemovalsOutsideContainers() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var container = createElement('div');
+  var other = createElement('div');
+  var child = createElement('div');
+  child.setAttribute('jsaction', 'action');
+  other.appendChild(child);
+  document.body.appendChild(container);
+  document.body.appendChild(other);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.observeMutations();
+  var clearCache = goog.testing.recordFunction();
+  var isConnected = goog.testing.recordFunction(goog.functions.TRUE);
+  propertyReplacer_.set(jsaction.EventContract, 'clearCache_', clearCache);
+  propertyReplacer_.set(jsaction.dom, 'isConnected', isConnected);
+
+  // Only the children of the ancestors of the container are observed, not
+  // their subtrees.
+  other.removeChild(child);
+  document.body.removeChild(other);
+  var records = e.mutationObserver_.takeRecords();
+  assertEquals(1, records.length);
+  assertEquals(other, records[0].removedNodes[0]);
+  e.handleMutations_(records);
+  assertEquals(0, clearCache.getCallCount());
+  assertEquals(0, isConnected.getCallCount());
+  assertEquals(1, e.containers_.length);
+
+  e.stopObservingMutations();
+  document.body.removeChild(container);
+}
+
+
+function testObserveMutationsClearsCacheInShadowTreeOnRemoval() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var tree = createShadowTree(
+      '<div><span id="shadowaction" jsaction="action"></span></div>');
+  if (!tree) {
+    return;
+  }
+  var actionElement = tree.shadowRoot.getElementById('shadowaction');
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.container);
+  e.observeMutations();
+  jsaction.Cache.set(actionElement, {});
+
+  tree.container.removeChild(tree.host);
+  flushMutations(e);
+  assertUndefined(jsaction.Cache.get(actionElement));
+
+  e.stopObservingMutations();
+  document.body.removeChild(tree.container);
+}
+
+
+function testObserveMutationsFollowsMovedContainers() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var first = createElement('div');
+  var second = createElement('div');
+  var container = createElement('div');
+  first.appendChild(container);
+  document.body.appendChild(first);
+  document.body.appendChild(second);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.observeMutations();
+
+  second.appendChild(container);
+  flushMutations(e);
+  assertEquals(1, e.containers_.length);
+
+  document.body.removeChild(second);
+  flushMutations(e);
+  assertEquals(0, e.containers_.length);
+
+  e.stopObservingMutations();
+  document.body.removeChild(first);
+}
+
+
+function testStopObservingMutations() {
+  if (typeof MutationObserver == 'undefined') {
+    return;
+  }
+  var e = new jsaction.EventContract;
+  e.observeMutations();
+  assertNotNull(e.mutationObserver_);
+  e.stopObservingMutations();
+  assertNull(e.mutationObserver_);
+}
+
+
+/**
+ * Creates a container with a child that has the given jsaction attribute
+ * value, which in turn has a child to dispatch events at.
+ * @param {string} jsaction
+ * @return {{container: !Element, actionElement: !Element, target: !Element}}
+ */
+function createModifierTree(jsaction) {
+  var container = createElement('div');
+  var actionElement = createElement('div');
+  var target = createElement('span');
+  actionElement.setAttribute('jsaction', jsaction);
+  actionElement.appendChild(target);
+  container.appendChild(actionElement);
+  return {container: container, actionElement: actionElement, target: target};
+}
+
+
+function testEventContractGetActionParsesModifiers() {
+  var element = createElement('div');
+  var attvalue = 'keydown.enter.prevent:foo;click:bar';
+  element.setAttribute('jsaction', attvalue);
+  var event = createEvent('keydown', element);
+  event.key = 'Enter';
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', event, element);
+  assertEquals('foo', actionInfo.action);
+  assertTrue(actionInfo.modifiers['enter']);
+  assertTrue(actionInfo.modifiers['prevent']);
+
+  var parsed = jsaction.Cache.getParsed(attvalue);
+  assertEquals('foo', parsed['keydown'][0].action);
+  assertEquals('bar', parsed['click']);
+}
+
+
+function testEventContractGetActionModifiersWithNamespace() {
+  var container = createElement('div');
+  container.setAttribute('jsnamespace', 'ns');
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'click.stop:foo;keydown.esc:other.bar');
+  container.appendChild(element);
+
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'click', createEvent('click', element), container);
+  assertEquals('ns.foo', actionInfo.action);
+
+  var event = createEvent('keydown', element);
+  event.key = 'Escape';
+  actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', event, container);
+  assertEquals('other.bar', actionInfo.action);
+}
+
+
+function testEventContractGetActionKeyModifiers() {
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'keydown.enter.space:foo');
+
+  var event = createEvent('keydown', element);
+  event.key = 'Enter';
+  assertEquals('foo', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+
+  event.key = ' ';
+  assertEquals('foo', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+
+  event.key = 'a';
+  assertEquals('', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+
+  // Browsers that don't support KeyboardEvent#key.
+  event.key = undefined;
+  event.keyCode = jsaction.KeyCodes.ENTER;
+  assertEquals('foo', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+}
+
+
+function testEventContractKeyActivationRegistry() {
+  var container = createElement('div');
+  var element = createElement('div');
+  element.setAttribute('role', 'switch');
+  element.setAttribute('tabindex', '0');
+  element.setAttribute('jsaction', 'toggle');
+  container.appendChild(element);
+  var event = createEvent('keydown', element);
+  event.which = jsaction.KeyCodes.SPACE;
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'keydown', event, container, undefined, contract_);
+  assertEquals('keydown', eventInfo['eventType']);
+  assertEquals('', eventInfo['action']);
+
+  contract_.setKeyActivationRegistry(
+      jsaction.event.createKeyActivationRegistry({
+        triggerKeys: {'switch': jsaction.event.ActivationKeys.ENTER_AND_SPACE}
+      }));
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      'keydown', event, container, undefined, contract_);
+  assertEquals('click', eventInfo['eventType']);
+  assertEquals('toggle', eventInfo['action']);
+  assertTrue(event.defaultPrevented);
+
+  // Other contracts use the built-in registry.
+  event = createEvent('keydown', element);
+  event.which = jsaction.KeyCodes.SPACE;
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      'keydown', event, container);
+  assertEquals('keydown', eventInfo['eventType']);
+
+  contract_.setKeyActivationRegistry(null);
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      'keydown', event, container, undefined, contract_);
+  assertEquals('keydown', eventInfo['eventType']);
+}
+
+
+function testEventContractGetActionPointerTypeModifiers() {
+  var handler = goog.testing.recordFunction();
+  jsaction.EventContract.setUnknownModifierHandler(handler);
+  var element = createElement('div');
+  element.setAttribute(
+      'jsaction', 'pointerdown.pen.touch:draw;pointerdown:press');
+
+  var event = createEvent('pointerdown', element);
+  event.pointerType = 'touch';
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'pointerdown', event, element);
+  assertEquals('draw', actionInfo.action);
+  assertEquals('press', actionInfo.additionalActions[0].action);
+
+  event.pointerType = 'pen';
+  assertEquals('draw', jsaction.EventContract.getAction_(
+      element, 'pointerdown', event, element).action);
+
+  event.pointerType = 'mouse';
+  actionInfo = jsaction.EventContract.getAction_(
+      element, 'pointerdown', event, element);
+  assertEquals('press', actionInfo.action);
+  assertUndefined(actionInfo.additionalActions);
+  assertEquals(0, handler.getCallCount());
+}
+
+
+function testEventContractGetActionPointerTypeAndKeyModifiers() {
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'keydown.enter.touch:foo');
+  var event = createEvent('keydown', element);
+  event.key = 'Enter';
+  assertEquals('', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+}
+
+
+function testPointerenterAndPointerleave() {
+  var tree = createModifierTree('pointerenter:enter;pointerleave:leave');
+
+  var event = createPointerEvent(
+      jsaction.EventType.POINTEROVER, tree.target, 'touch');
+  event.relatedTarget = tree.container;
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.POINTERENTER, event, tree.container);
+  assertEquals(jsaction.EventType.POINTERENTER, eventInfo.eventType);
+  assertEquals('enter', eventInfo.action);
+  assertEquals(tree.actionElement, eventInfo.targetElement);
+  assertEquals(jsaction.EventType.POINTERENTER, eventInfo.event.type);
+  assertEquals('touch', eventInfo.event.pointerType);
+  assertFalse(eventInfo.event.bubbles);
+
+  // Moving within the action element doesn't enter it.
+  event.relatedTarget = tree.actionElement;
+  assertNull(jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.POINTERENTER, event, tree.container).actionElement);
+
+  event = createPointerEvent(
+      jsaction.EventType.POINTEROUT, tree.target, 'mouse');
+  event.relatedTarget = tree.container;
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.POINTERLEAVE, event, tree.container);
+  assertEquals('leave', eventInfo.action);
+}
+
+
+function testAddPointerenterEventRequiresMouseSpecialSupport() {
+  jsaction.EventContract.MOUSE_SPECIAL_SUPPORT = false;
+  contract_.addEvent(jsaction.EventType.POINTERENTER);
+  assertUndefined(contract_.handler(jsaction.EventType.POINTERENTER));
+
+  jsaction.EventContract.MOUSE_SPECIAL_SUPPORT = true;
+  contract_.addEvent(jsaction.EventType.POINTERENTER);
+  assertNotUndefined(contract_.handler(jsaction.EventType.POINTERENTER));
+}
+
+
+function testFocuswithinAndFocusoutside() {
+  jsaction.EventContract.FOCUS_SPECIAL_SUPPORT = true;
+  var tree = createModifierTree('focuswithin:enter;focusoutside:leave');
+  var input = createElement('input');
+  tree.actionElement.appendChild(input);
+
+  var event = createEvent(jsaction.EventType.FOCUSIN, tree.target);
+  event.relatedTarget = tree.container;
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSWITHIN, event, tree.container);
+  assertEquals(jsaction.EventType.FOCUSWITHIN, eventInfo.eventType);
+  assertEquals('enter', eventInfo.action);
+  assertEquals(tree.actionElement, eventInfo.targetElement);
+  assertEquals(jsaction.EventType.FOCUSWITHIN, eventInfo.event.type);
+  assertEquals(tree.container, eventInfo.event.relatedTarget);
+  assertFalse(eventInfo.event.bubbles);
+
+  // Moving the focus within the action element neither enters nor leaves it.
+  event = createEvent(jsaction.EventType.FOCUSIN, input);
+  event.relatedTarget = tree.target;
+  assertNull(jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSWITHIN, event, tree.container).actionElement);
+  event = createEvent(jsaction.EventType.FOCUSOUT, tree.target);
+  event.relatedTarget = input;
+  assertNull(jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSOUTSIDE, event, tree.container).actionElement);
+
+  event = createEvent(jsaction.EventType.FOCUSOUT, input);
+  event.relatedTarget = null;
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSOUTSIDE, event, tree.container);
+  assertEquals('leave', eventInfo.action);
+  assertEquals(tree.actionElement, eventInfo.targetElement);
+}
+
+
+function testFocuswithinBubblesToOuterWidgets() {
+  jsaction.EventContract.FOCUS_SPECIAL_SUPPORT = true;
+  var container = createElement('div');
+  var menu = createElement('div');
+  var submenu = createElement('div');
+  var outerItem = createElement('div');
+  var innerItem = createElement('div');
+  menu.setAttribute('jsaction', 'focuswithin:menu.open!bubble');
+  submenu.setAttribute('jsaction', 'focuswithin:submenu.open!bubble');
+  container.appendChild(menu);
+  menu.appendChild(outerItem);
+  menu.appendChild(submenu);
+  submenu.appendChild(innerItem);
+
+  // Focus moves from outside into the submenu, entering both widgets.
+  var event = createEvent(jsaction.EventType.FOCUSIN, innerItem);
+  event.relatedTarget = null;
+  var eventInfos = [];
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSWITHIN, event, container, eventInfos);
+  assertEquals('submenu.open', eventInfo.action);
+  assertEquals(1, eventInfos.length);
+  assertEquals('menu.open', eventInfos[0]['action']);
+  assertEquals(menu, eventInfos[0]['targetElement']);
+
+  // Focus moves from the menu into the submenu, entering only the submenu.
+  event.relatedTarget = outerItem;
+  eventInfos = [];
+  eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.FOCUSWITHIN, event, container, eventInfos);
+  assertEquals('submenu.open', eventInfo.action);
+  assertEquals(0, eventInfos.length);
+}
+
+
+function testAddFocuswithinEventRequiresFocusSpecialSupport() {
+  contract_.addEvent(jsaction.EventType.FOCUSWITHIN);
+  assertUndefined(contract_.handler(jsaction.EventType.FOCUSWITHIN));
+
+  jsaction.EventContract.FOCUS_SPECIAL_SUPPORT = true;
+  contract_.addEvent(jsaction.EventType.FOCUSWITHIN);
+  assertNotUndefined(contract_.handler(jsaction.EventType.FOCUSWITHIN));
+}
+
+
+/**
+ * Creates an action element with the given jsaction in a container in the
+ * document, and sets up the contract to dispatch the gestures on it.
+ * @param {string} jsaction The jsaction attribute value.
+ * @return {{container: !Element, actionElement: !Element, target: !Element,
+ *     dispatched: !Array.<!jsaction.EventInfo>}} The created nodes, and the
+ *     event infos the contract dispatches.
+ */
+function createGestureTree(jsaction) {
+  jsaction.EventContract.GESTURE_SUPPORT = true;
+  var tree = createModifierTree(jsaction);
+  document.body.appendChild(tree.container);
+  contract_.addContainer(tree.container);
+  var types = jsaction.EventContract.GESTURE_EVENTS_;
+  for (var i = 0; i < types.length; i++) {
+    contract_.addEvent(types[i]);
+  }
+  var dispatched = [];
+  contract_.dispatchTo(function(eventInfo, globalDispatch) {
+    if (!globalDispatch && eventInfo['action']) {
+      dispatched.push(eventInfo);
+    }
+  });
+  return {
+    container: tree.container,
+    actionElement: tree.actionElement,
+    target: tree.target,
+    dispatched: dispatched
+  };
+}
+
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @return {!goog.math.Coordinate}
+ */
+function coords(x, y) {
+  return new goog.math.Coordinate(x, y);
+}
+
+
+function testGestureLongpress() {
+  var tree = createGestureTree('longpress:menu.open');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 20));
+  mockClock_.tick(499);
+  assertEquals(0, tree.dispatched.length);
+  mockClock_.tick(1);
+  assertEquals(1, tree.dispatched.length);
+  var eventInfo = tree.dispatched[0];
+  assertEquals(jsaction.EventType.LONGPRESS, eventInfo.eventType);
+  assertEquals('menu.open', eventInfo.action);
+  assertEquals(tree.target, eventInfo.targetElement);
+  assertEquals(tree.actionElement, eventInfo.actionElement);
+  var detail = eventInfo.event.detail;
+  assertEquals('', detail['direction']);
+  assertEquals(500, detail['duration']);
+  assertEquals(0, detail['distance']);
+  assertEquals(10, detail['clientX']);
+  assertEquals(20, detail['clientY']);
+
+  // Ending the long press doesn't recognize another gesture, and the touchend
+  // is canceled, so that no click follows.
+  assertFalse(nativeEvents.fireTouchEndEvent(tree.target, coords(10, 20)));
+  assertEquals(1, tree.dispatched.length);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureLongpressDistance() {
+  var tree = createGestureTree('longpress:menu.open');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 20));
+  nativeEvents.fireTouchMoveEvent(tree.target, coords(13, 20));
+  mockClock_.tick(500);
+  assertEquals(1, tree.dispatched.length);
+  var detail = tree.dispatched[0].event.detail;
+  assertEquals(3, detail['distance']);
+  assertEquals(10, detail['clientX']);
+  assertEquals(20, detail['clientY']);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(13, 20));
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureLongpressIsNoFastClick() {
+  var tree = createGestureTree('longpress:menu.open;click:menu.select');
+  contract_.addEvent(jsaction.EventType.CLICK);
+  contract_.setGestureOptions({longPressDuration: 300});
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 10));
+  mockClock_.tick(300);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(10, 10));
+  assertEquals(1, tree.dispatched.length);
+  assertEquals('menu.open', tree.dispatched[0].action);
+
+  // The click the browser may emulate anyway is swept up.
+  var clickEvent = jsaction.createMouseEvent(
+      {type: 'click', clientX: 10, clientY: 10});
+  contract_.sweepupPreventedMouseEvents_(clickEvent);
+  assertTrue(clickEvent.defaultPrevented);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureLongpressCanceledByMoveAndEnd() {
+  var tree = createGestureTree('longpress:menu.open');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  // Jitter is tolerated.
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 10));
+  nativeEvents.fireTouchMoveEvent(tree.target, coords(12, 12));
+  mockClock_.tick(500);
+  assertEquals(1, tree.dispatched.length);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(12, 12));
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 10));
+  nativeEvents.fireTouchMoveEvent(tree.target, coords(13, 12));
+  mockClock_.tick(500);
+  assertEquals(1, tree.dispatched.length);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(13, 12));
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(10, 10));
+  mockClock_.tick(100);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(10, 10));
+  mockClock_.tick(500);
+  assertEquals(1, tree.dispatched.length);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureSwipe() {
+  var tree = createGestureTree(
+      'swipeleft:gallery.next;swiperight:gallery.prev');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(100, 10));
+  mockClock_.tick(50);
+  nativeEvents.fireTouchMoveEvent(tree.target, coords(80, 12));
+  mockClock_.tick(50);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(40, 10));
+  assertEquals(1, tree.dispatched.length);
+  var eventInfo = tree.dispatched[0];
+  assertEquals(jsaction.EventType.SWIPELEFT, eventInfo.eventType);
+  assertEquals('gallery.next', eventInfo.action);
+  var detail = eventInfo.event.detail;
+  assertEquals('left', detail['direction']);
+  assertEquals(100, detail['duration']);
+  assertEquals(60, detail['distance']);
+  assertEquals(100, detail['clientX']);
+
+  nativeEvents.fireTouchStartEvent(tree.target, coords(40, 10));
+  nativeEvents.fireTouchEndEvent(tree.target, coords(120, 40));
+  assertEquals(2, tree.dispatched.length);
+  assertEquals('gallery.prev', tree.dispatched[1].action);
+  assertEquals('right', tree.dispatched[1].event.detail['direction']);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureSwipeThresholds() {
+  var tree = createGestureTree('swipeleft:gallery.next');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  // Too short.
+  nativeEvents.fireTouchStartEvent(tree.target, coords(100, 10));
+  nativeEvents.fireTouchEndEvent(tree.target, coords(51, 10));
+  // Too slow.
+  nativeEvents.fireTouchStartEvent(tree.target, coords(100, 10));
+  mockClock_.tick(501);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(0, 10));
+  // Too vertical.
+  nativeEvents.fireTouchStartEvent(tree.target, coords(100, 10));
+  nativeEvents.fireTouchEndEvent(tree.target, coords(0, 61));
+  assertEquals(0, tree.dispatched.length);
+
+  contract_.setGestureOptions({swipeDistance: 20, swipeDuration: 1000});
+  nativeEvents.fireTouchStartEvent(tree.target, coords(100, 10));
+  mockClock_.tick(900);
+  nativeEvents.fireTouchEndEvent(tree.target, coords(80, 10));
+  assertEquals(1, tree.dispatched.length);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureDoubletap() {
+  var tree = createGestureTree('doubletap:map.zoom');
+  var nativeEvents = jsaction.testing.nativeEvents;
+
+  nativeEvents.fireTapSequence(tree.target, coords(10, 10));
+  mockClock_.tick(200);
+  nativeEvents.fireTapSequence(tree.target, coords(20, 15));
+  assertEquals(1, tree.dispatched.length);
+  var eventInfo = tree.dispatched[0];
+  assertEquals(jsaction.EventType.DOUBLETAP, eventInfo.eventType);
+  assertEquals('map.zoom', eventInfo.action);
+  assertEquals(20, eventInfo.event.detail['clientX']);
+
+  // A third tap starts a new double tap.
+  mockClock_.tick(100);
+  nativeEvents.fireTapSequence(tree.target, coords(20, 15));
+  assertEquals(1, tree.dispatched.length);
+
+  // The taps are too far apart in time, then in space.
+  mockClock_.tick(301);
+  nativeEvents.fireTapSequence(tree.target, coords(20, 15));
+  assertEquals(1, tree.dispatched.length);
+  mockClock_.tick(100);
+  nativeEvents.fireTapSequence(tree.target, coords(41, 15));
+  assertEquals(1, tree.dispatched.length);
+
+  contract_.setGestureOptions({doubleTapDistance: 30});
+  mockClock_.tick(100);
+  nativeEvents.fireTapSequence(tree.target, coords(20, 15));
+  assertEquals(2, tree.dispatched.length);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureOptions() {
+  var tree = createGestureTree('longpress:menu.open');
+  contract_.setGestureOptions({longPressDuration: 1000});
+  jsaction.testing.nativeEvents.fireTouchStartEvent(
+      tree.target, coords(10, 10));
+  mockClock_.tick(999);
+  assertEquals(0, tree.dispatched.length);
+  mockClock_.tick(1);
+  assertEquals(1, tree.dispatched.length);
+  assertEquals(1000, tree.dispatched[0].event.detail['duration']);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGestureInsideFastClickElement() {
+  var tree = createGestureTree('longpress:menu.open');
+  var button = createElement('div');
+  button.setAttribute('jsaction', 'click:menu.select');
+  tree.target.appendChild(button);
+  contract_.addEvent(jsaction.EventType.CLICK);
+
+  // The touch is recognized as a long press, even though the inner element
+  // takes over the touch events for fast clicks.
+  jsaction.testing.nativeEvents.fireTouchStartEvent(button, coords(10, 10));
+  mockClock_.tick(500);
+  assertEquals(1, tree.dispatched.length);
+  assertEquals('menu.open', tree.dispatched[0].action);
+  assertEquals(button, tree.dispatched[0].targetElement);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGesturePointerEvents() {
+  jsaction.EventContract.FAST_CLICK_POINTER_EVENTS = true;
+  var tree = createGestureTree('swipeleft:gallery.next');
+
+  sendPointerEvent(jsaction.EventType.POINTERDOWN, tree.target, tree.container,
+      'mouse', {clientX: 100, clientY: 10});
+  sendPointerEvent(jsaction.EventType.POINTERUP, tree.target, tree.container,
+      'mouse', {clientX: 40, clientY: 10});
+  assertEquals(0, tree.dispatched.length);
+
+  sendPointerEvent(jsaction.EventType.POINTERDOWN, tree.target, tree.container,
+      'touch', {clientX: 100, clientY: 10});
+  sendPointerEvent(jsaction.EventType.POINTERUP, tree.target, tree.container,
+      'touch', {clientX: 40, clientY: 10});
+  assertEquals(1, tree.dispatched.length);
+  assertEquals('gallery.next', tree.dispatched[0].action);
+  document.body.removeChild(tree.container);
+}
+
+
+function testGesturesInstallTouchEvents() {
+  contract_.addEvent(jsaction.EventType.LONGPRESS);
+  assertUndefined(contract_.handler(jsaction.EventType.LONGPRESS));
+
+  jsaction.EventContract.GESTURE_SUPPORT = true;
+  contract_.addEvent(jsaction.EventType.LONGPRESS);
+  contract_.addEvent(jsaction.EventType.DOUBLETAP);
+  assertNotUndefined(contract_.handler(jsaction.EventType.LONGPRESS));
+  assertNotUndefined(contract_.handler(jsaction.EventType.TOUCHSTART));
+  assertNotUndefined(contract_.handler(jsaction.EventType.TOUCHMOVE));
+  assertNotUndefined(contract_.handler(jsaction.EventType.TOUCHEND));
+
+  contract_.removeEvent(jsaction.EventType.LONGPRESS);
+  assertNotUndefined(contract_.handler(jsaction.EventType.TOUCHSTART));
+  contract_.removeEvent(jsaction.EventType.DOUBLETAP);
+  assertUndefined(contract_.handler(jsaction.EventType.TOUCHSTART));
+}
+
+
+/**
+ * Dispatches a drag event to the given target.
+ * @param {string} type The type of the event, e.g. 'dragstart'.
+ * @param {!Element} target The target of the event.
+ * @return {!Event} The event.
+ */
+function fireDragEvent(type, target) {
+  var event = document.createEvent('Event');
+  event.initEvent(type, true, true);
+  event.dataTransfer = {};
+  target.dispatchEvent(event);
+  return event;
+}
+
+
+function testDragSourceAndDropTarget() {
+  jsaction.EventContract.DRAG_DROP_SUPPORT = true;
+  var container = createElement('div');
+  var source = createElement('li');
+  source.setAttribute('jsaction', 'dragstart:list.drag');
+  var handle = createElement('span');
+  source.appendChild(handle);
+  var dropTarget = createElement('div');
+  dropTarget.setAttribute('jsaction', 'drop:board.drop');
+  var slot = createElement('span');
+  dropTarget.appendChild(slot);
+  var other = createElement('div');
+  container.appendChild(source);
+  container.appendChild(dropTarget);
+  container.appendChild(other);
+  document.body.appendChild(container);
+  contract_.addContainer(container);
+  contract_.addEvent(jsaction.EventType.DRAGSTART);
+  contract_.addEvent(jsaction.EventType.DROP);
+  var dispatched = [];
+  contract_.dispatchTo(function(eventInfo, globalDispatch) {
+    if (!globalDispatch) {
+      dispatched.push(eventInfo);
+    }
+  });
+
+  var event = fireDragEvent(jsaction.EventType.DRAGSTART, handle);
+  assertEquals(1, dispatched.length);
+  assertEquals('list.drag', dispatched[0]['action']);
+  var dragSource = jsaction.event.getDragSource(event);
+  assertEquals(source, dragSource['element']);
+  assertEquals('list.drag', dragSource['action']);
+
+  // The drop is allowed over the drop target only.
+  event = fireDragEvent(jsaction.EventType.DRAGOVER, other);
+  assertFalse(event.defaultPrevented);
+  assertEquals(dragSource, jsaction.event.getDragSource(event));
+  event = fireDragEvent(jsaction.EventType.DRAGOVER, slot);
+  assertTrue(event.defaultPrevented);
+  assertEquals(1, dispatched.length);
+
+  event = fireDragEvent(jsaction.EventType.DROP, slot);
+  assertEquals(2, dispatched.length);
+  assertEquals('board.drop', dispatched[1]['action']);
+  assertEquals(dropTarget, dispatched[1]['actionElement']);
+  assertEquals(event, dispatched[1]['event']);
+  assertEquals(dragSource, jsaction.event.getDragSource(event));
+
+  // The drag source is forgotten once it's dropped.
+  event = fireDragEvent(jsaction.EventType.DRAGEND, handle);
+  assertNull(jsaction.event.getDragSource(event));
+
+  // A drag that isn't dropped ends with the drag source.
+  fireDragEvent(jsaction.EventType.DRAGSTART, handle);
+  event = fireDragEvent(jsaction.EventType.DRAGEND, handle);
+  assertEquals(source, jsaction.event.getDragSource(event)['element']);
+
+  // Files dragged into the page have no drag source.
+  event = fireDragEvent(jsaction.EventType.DRAGOVER, slot);
+  assertTrue(event.defaultPrevented);
+  event = fireDragEvent(jsaction.EventType.DROP, slot);
+  assertEquals(3, dispatched.length);
+  assertNull(jsaction.event.getDragSource(event));
+
+  // A drag that starts outside of the drag sources has no drag source
+  // either.
+  fireDragEvent(jsaction.EventType.DRAGSTART, handle);
+  fireDragEvent(jsaction.EventType.DRAGSTART, other);
+  event = fireDragEvent(jsaction.EventType.DROP, slot);
+  assertNull(jsaction.event.getDragSource(event));
+  document.body.removeChild(container);
+}
+
+
+function testDragSourceRemovedFromDocument() {
+  jsaction.EventContract.DRAG_DROP_SUPPORT = true;
+  var container = createElement('div');
+  var source = createElement('li');
+  source.setAttribute('jsaction', 'dragstart:list.drag');
+  var dropTarget = createElement('div');
+  dropTarget.setAttribute('jsaction', 'drop:board.drop');
+  container.appendChild(source);
+  container.appendChild(dropTarget);
+  document.body.appendChild(container);
+  contract_.addContainer(container);
+  contract_.addEvent(jsaction.EventType.DRAGSTART);
+  contract_.addEvent(jsaction.EventType.DROP);
+
+  // The list is rendered again while the source is dragged, so its dragend
+  // event never reaches the container.
+  fireDragEvent(jsaction.EventType.DRAGSTART, source);
+  container.removeChild(source);
+  fireDragEvent(jsaction.EventType.DRAGEND, source);
+
+  // A file dragged into the page later has no drag source.
+  var event = fireDragEvent(jsaction.EventType.DRAGOVER, dropTarget);
+  assertTrue(event.defaultPrevented);
+  assertNull(jsaction.event.getDragSource(event));
+  event = fireDragEvent(jsaction.EventType.DROP, dropTarget);
+  assertNull(jsaction.event.getDragSource(event));
+  document.body.removeChild(container);
+}
+
+
+function testDragDropInstallsCompanionEvents() {
+  contract_.addEvent(jsaction.EventType.DROP);
+  assertUndefined(contract_.handler(jsaction.EventType.DRAGOVER));
+  contract_.removeEvent(jsaction.EventType.DROP);
+
+  jsaction.EventContract.DRAG_DROP_SUPPORT = true;
+  contract_.addEvent(jsaction.EventType.DRAGSTART);
+  contract_.addEvent(jsaction.EventType.DROP);
+  assertNotUndefined(contract_.handler(jsaction.EventType.DRAGEND));
+  assertNotUndefined(contract_.handler(jsaction.EventType.DRAGOVER));
+
+  contract_.removeEvent(jsaction.EventType.DRAGSTART);
+  contract_.removeEvent(jsaction.EventType.DROP);
+  assertUndefined(contract_.handler(jsaction.EventType.DRAGEND));
+  assertUndefined(contract_.handler(jsaction.EventType.DRAGOVER));
+}
+
+
+function testEventContractGetActionKeyCombo() {
+  propertyReplacer_.set(jsaction.event, 'isMac_', false);
+  var element = createElement('div');
+  element.setAttribute('jsaction',
+      'keydown[mod+s]:save;keydown[mod+shift+s]:saveAs;keydown:type');
+
+  var event = createEvent('keydown', element);
+  event.key = 's';
+  event.ctrlKey = true;
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', event, element);
+  assertEquals('save', actionInfo.action);
+  assertEquals(1, actionInfo.additionalActions.length);
+  assertEquals('type', actionInfo.additionalActions[0].action);
+
+  event.shiftKey = true;
+  event.key = 'S';
+  assertEquals('saveAs', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+
+  event.ctrlKey = false;
+  event.shiftKey = false;
+  event.key = 's';
+  actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', event, element);
+  assertEquals('type', actionInfo.action);
+  assertUndefined(actionInfo.additionalActions);
+}
+
+
+function testEventContractGetActionKeyComboWithModifiers() {
+  var tree = createModifierTree('keyup[Escape].self:dialog.close');
+  var event = createEvent('keyup', tree.actionElement);
+  event.key = 'Escape';
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'keyup', event, tree.container);
+  assertEquals('dialog.close', eventInfo.action);
+
+  event = createEvent('keyup', tree.target);
+  event.key = 'Escape';
+  assertEquals('', jsaction.EventContract.createEventInfo_(
+      'keyup', event, tree.container).action);
+}
+
+
+function testEventContractGetActionKeyComboWithNamespace() {
+  var container = createElement('div');
+  container.setAttribute('jsnamespace', 'editor');
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'keydown[ctrl+z]:undo');
+  container.appendChild(element);
+  var event = createEvent('keydown', element);
+  event.key = 'z';
+  event.ctrlKey = true;
+  var outer = createElement('div');
+  outer.appendChild(container);
+  assertEquals('editor.undo', jsaction.EventContract.getAction_(
+      element, 'keydown', event, outer).action);
+
+  event.key = 'y';
+  assertEquals('', jsaction.EventContract.getAction_(
+      element, 'keydown', event, outer).action);
+}
+
+
+function testEventContractGetActionInvalidKeyComboIsReported() {
+  var handler = goog.testing.recordFunction();
+  jsaction.EventContract.setUnknownModifierHandler(handler);
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'keydown[ctlr+s]:save');
+
+  var event = createEvent('keydown', element);
+  event.key = 's';
+  assertEquals('', jsaction.EventContract.getAction_(
+      element, 'keydown', event, element).action);
+  assertArrayEquals(
+      ['[ctlr+s]', 'keydown[ctlr+s]:save'],
+      handler.getLastCall().getArguments());
+}
+
+
+function testUnknownModifierIsReported() {
+  var handler = goog.testing.recordFunction();
+  jsaction.EventContract.setUnknownModifierHandler(handler);
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'click.prvent:foo');
+
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'click', createEvent('click', element), element);
+  assertEquals('foo', actionInfo.action);
+  assertEquals(1, handler.getCallCount());
+  assertArrayEquals(
+      ['prvent', 'click.prvent:foo'], handler.getLastCall().getArguments());
+}
+
+
+function testSelfModifier() {
+  var tree = createModifierTree('click.self:foo');
+
+  var eventInfo = sendEvent('click', tree.target, tree.container);
+  assertEquals('', eventInfo.action);
+  assertNull(eventInfo.actionElement);
+
+  eventInfo = sendEvent('click', tree.actionElement, tree.container);
+  assertEquals('foo', eventInfo.action);
+  assertEquals(tree.actionElement, eventInfo.actionElement);
+}
+
+
+function testSelfModifierKeepsWalkingUp() {
+  var tree = createModifierTree('click.self:foo');
+  tree.container.setAttribute('jsaction', 'click:bar');
+  var outer = createElement('div');
+  outer.appendChild(tree.container);
+
+  var eventInfo = sendEvent('click', tree.target, outer);
+  assertEquals('bar', eventInfo.action);
+  assertEquals(tree.container, eventInfo.actionElement);
+}
+
+
+function testOnceModifier() {
+  var tree = createModifierTree('click.once:foo.bar');
+  var handler = goog.testing.recordFunction();
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {'bar': handler});
+
+  // Receiving the event doesn't use up the jsaction, e.g. since a queued
+  // event may be dropped. Dispatching it does.
+  var first = sendEvent('click', tree.target, tree.container);
+  var second = sendEvent('click', tree.target, tree.container);
+  assertEquals('foo.bar', first.action);
+  assertEquals('foo.bar', second.action);
+  assertTrue(first.once);
+  d.dispatch(first);
+  d.dispatch(second);
+  assertEquals(1, handler.getCallCount());
+
+  var eventInfo = sendEvent('click', tree.target, tree.container);
+  assertEquals('', eventInfo.action);
+  assertNull(eventInfo.actionElement);
+}
+
+
+function testPreventAndStopModifiers() {
+  var tree = createModifierTree('submit.prevent.stop:foo');
+  var event = createEvent('submit', tree.target);
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'submit', event, tree.container);
+  assertEquals('foo', eventInfo.action);
+  assertTrue(event.defaultPrevented);
+  assertTrue(event.propagationStopped_);
+}
+
+
+function testModifiersAreNotAppliedWithoutMatch() {
+  var tree = createModifierTree('keydown.enter.prevent:foo');
+  var event = createEvent('keydown', tree.target);
+  event.key = 'a';
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'keydown', event, tree.container);
+  assertEquals('', eventInfo.action);
+  assertFalse(!!event.defaultPrevented);
+}
+
+
+function testPassiveModifierDoesNotPreventDefaultOnAnchor() {
+  var container = createElement('div');
+  var anchor = createElement('a');
+  anchor.href = '#passive';
+  anchor.setAttribute('jsaction', 'click.passive:foo');
+  container.appendChild(anchor);
+  var event = createEvent('click', anchor);
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'click', event, container);
+  assertEquals('foo', eventInfo.action);
+  assertFalse(!!event.defaultPrevented);
+
+  anchor.setAttribute('jsaction', 'click:foo');
+  jsaction.Cache.clear(anchor);
+  event = createEvent('click', anchor);
+  jsaction.EventContract.createEventInfo_('click', event, container);
+  assertTrue(event.defaultPrevented);
+}
+
+
+function testEventContractGetActionMultipleActions() {
+  var container = createElement('div');
+  container.setAttribute('jsnamespace', 'ns');
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'click:a.x;foo;click:b.y;keydown:bar');
+  container.appendChild(element);
+
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'click', createEvent('click', element), container);
+  assertEquals('a.x', actionInfo.action);
+  assertEquals(2, actionInfo.additionalActions.length);
+  assertEquals('ns.foo', actionInfo.additionalActions[0].action);
+  assertEquals('b.y', actionInfo.additionalActions[1].action);
+
+  actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', createEvent('keydown', element), container);
+  assertEquals('ns.bar', actionInfo.action);
+  assertUndefined(actionInfo.additionalActions);
+}
+
+
+function testEventContractGetActionMultipleActionsWithModifiers() {
+  var element = createElement('div');
+  element.setAttribute('jsaction',
+      'keydown.enter:submit;keydown:track;keydown.esc:cancel');
+
+  var event = createEvent('keydown', element);
+  event.key = 'Escape';
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'keydown', event, element);
+  assertEquals('track', actionInfo.action);
+  assertEquals(1, actionInfo.additionalActions.length);
+  assertEquals('cancel', actionInfo.additionalActions[0].action);
+}
+
+
+function testMultipleActionsAreDispatchedInOrder() {
+  var container = createElement('div');
+  var target = createElement('div');
+  target.setAttribute('jsaction', 'click:a.x;click:b.y');
+  container.appendChild(target);
+  document.body.appendChild(container);
+
+  var actions = [];
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.dispatchTo(function(eventInfo, opt_globalDispatch) {
+    if (!opt_globalDispatch) {
+      actions.push(eventInfo['action']);
+      assertEquals(target, eventInfo['actionElement']);
+    }
+  });
+
+  jsaction.replayEvent({
+    targetElement: target,
+    event: jsaction.createEvent({type: 'click'})
+  });
+  assertArrayEquals(['a.x', 'b.y'], actions);
+
+  document.body.removeChild(container);
+}
+
+
+function testMultipleActionsAreQueuedSeparately() {
+  var container = createElement('div');
+  var target = createElement('div');
+  target.setAttribute('jsaction', 'click:a.x;click:b.y');
+  container.appendChild(target);
+  document.body.appendChild(container);
+
+  var e = new jsaction.EventContract;
+  e.addContainer(container);
+  e.addEvent(jsaction.EventType.CLICK);
+
+  jsaction.replayEvent({
+    targetElement: target,
+    event: jsaction.createEvent({type: 'click'})
+  });
+
+  var queue = null;
+  e.dispatchTo(function(eventInfo) {
+    if (goog.isArray(eventInfo)) {
+      queue = eventInfo;
+    }
+  });
+  assertEquals(2, queue.length);
+  assertEquals('a.x', queue[0]['action']);
+  assertEquals('b.y', queue[1]['action']);
+  assertEquals(queue[0]['event'], queue[1]['event']);
+  assertEquals(queue[0]['timeStamp'], queue[1]['timeStamp']);
+
+  document.body.removeChild(container);
+}
+
+
+/**
+ * Creates a chain of nested elements with the given jsaction attribute values,
+ * from the outermost to the innermost, inside of a container.
+ * @param {!Array.<?string>} jsactions
+ * @return {{container: !Element, elements: !Array.<!Element>}}
+ */
+function createNestedActions(jsactions) {
+  var container = createElement('div');
+  var elements = [];
+  var parent = container;
+  for (var i = 0; i < jsactions.length; i++) {
+    var element = createElement('div');
+    if (jsactions[i]) {
+      element.setAttribute('jsaction', jsactions[i]);
+    }
+    parent.appendChild(element);
+    elements.push(element);
+    parent = element;
+  }
+  return {container: container, elements: elements};
+}
+
+
+function getActions(eventInfo, additionalEventInfos) {
+  var actions = [eventInfo['action']];
+  for (var i = 0; i < additionalEventInfos.length; i++) {
+    actions.push(additionalEventInfos[i]['action']);
+  }
+  return actions;
+}
+
+
+function testEventContractGetActionParsesBubble() {
+  var element = createElement('div');
+  element.setAttribute('jsaction', 'click:ns.track!bubble;ns.other');
+  var actionInfo = jsaction.EventContract.getAction_(
+      element, 'click', createEvent('click', element), element);
+  assertEquals('ns.track', actionInfo.action);
+  assertTrue(actionInfo.modifiers['bubble']);
+  assertEquals('ns.other', actionInfo.additionalActions[0].action);
+}
+
+
+function checkBubbleContinuesToAncestors() {
+  var tree = createNestedActions(
+      ['outer', 'middle', null, 'click:track!bubble']);
+  var target = tree.elements[3];
+  var additionalEventInfos = [];
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'click', createEvent('click', target), tree.container,
+      additionalEventInfos);
+  assertArrayEquals(
+      ['track', 'middle'], getActions(eventInfo, additionalEventInfos));
+  assertEquals(tree.elements[1], additionalEventInfos[0]['actionElement']);
+  assertEquals(target, additionalEventInfos[0]['targetElement']);
+  assertEquals(eventInfo['timeStamp'], additionalEventInfos[0]['timeStamp']);
+}
+
+
+function testBubbleContinuesToAncestors() {
+  checkBubbleContinuesToAncestors();
+}
+
+
+function testBubbleContinuesToAncestors_NoEventPath() {
+  jsaction.EventContract.USE_EVENT_PATH = false;
+  checkBubbleContinuesToAncestors();
+}
+
+
+function testBubbleAcrossSeveralElements() {
+  var tree = createNestedActions(
+      ['outer', 'middle!bubble;click:other!bubble', 'inner!bubble']);
+  var additionalEventInfos = [];
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'click', createEvent('click', tree.elements[2]), tree.container,
+      additionalEventInfos);
+  assertArrayEquals(['inner', 'middle', 'other', 'outer'],
+      getActions(eventInfo, additionalEventInfos));
+}
+
+
+function testBubbleStopsUnlessAllActionsBubble() {
+  var tree = createNestedActions(['outer', 'inner!bubble;click:other']);
+  var additionalEventInfos = [];
+
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      'click', createEvent('click', tree.elements[1]), tree.container,
+      additionalEventInfos);
+  assertArrayEquals(
+      ['inner', 'other'], getActions(eventInfo, additionalEventInfos));
+}
+
+
+function testBubbledActionsAreDispatchedInnerToOuter() {
+  var tree = createNestedActions(['a.outer', 'a.inner!bubble']);
+  document.body.appendChild(tree.container);
+
+  var actions = [];
+  var e = new jsaction.EventContract;
+  e.addContainer(tree.container);
+  e.addEvent(jsaction.EventType.CLICK);
+  e.dispatchTo(function(eventInfo, opt_globalDispatch) {
+    if (!opt_globalDispatch) {
+      actions.push(eventInfo['action']);
+    }
+  });
+
+  jsaction.replayEvent({
+    targetElement: tree.elements[1],
+    event: jsaction.createEvent({type: 'click'})
+  });
+  assertArrayEquals(['a.inner', 'a.outer'], actions);
+
+  document.body.removeChild(tree.container);
+}
+
+
+function testStopBubblingOfMouseenter() {
+  var container = createElement('div');
+  var outer = createElement('div');
+  var inner = createElement('div');
+  var target = createElement('span');
+  outer.setAttribute('jsaction', 'mouseenter:foo.outer');
+  inner.setAttribute('jsaction', 'mouseenter:foo.inner!bubble');
+  container.appendChild(outer);
+  outer.appendChild(inner);
+  inner.appendChild(target);
+
+  // The mouse moves from outside into the inner element, entering both.
+  var event = createEvent(jsaction.EventType.MOUSEOVER, target);
+  event.relatedTarget = container;
+  var eventInfos = [];
+  var eventInfo = jsaction.EventContract.createEventInfo_(
+      jsaction.EventType.MOUSEENTER, event, container, eventInfos);
+  assertEquals(1, eventInfos.length);
+  // Each action element has its own copy of the event.
+  assertNotEquals(eventInfo['event'], eventInfos[0]['event']);
+
+  var outerAction = goog.testing.recordFunction();
+  var d = new jsaction.Dispatcher;
+  d.registerHandlers('foo', null, {
+    'inner': function(flow) {
+      flow.stopBubbling();
+    },
+    'outer': outerAction
+  });
+  d.dispatch(eventInfo);
+  d.dispatch(eventInfos[0]);
+  assertEquals(0, outerAction.getCallCount());
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview An observer that correlates action flows with the Event
+ * Timing entries of the events that triggered them, and records the input
+ * delay, processing time and presentation delay of the events as ticks.
+ */
+
+goog.provide('jsaction.EventTimingObserver');
+
+goog.require('goog.Disposable');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.ActionFlow.EventType');
+goog.require('jsaction.Branch');
+goog.require('jsaction.Tick');
+
+
+
+/**
+ * Observes Event Timing entries and adds the ticks EVENT_START,
+ * EVENT_PROCESSING_START, EVENT_PROCESSING_END and EVENT_PRESENTATION to the
+ * flows that were created for the events of the entries.
+ *
+ * The entries are only reported after the next frame was presented, which is
+ * usually after the flow of a synchronous jsaction finished. Therefore, a
+ * flow whose entry was not reported yet when it is done is kept open in the
+ * EVENT_TIMING branch until the entry is reported, or the timeout passes.
+ * Browsers only report entries for events that took at least 16ms, so the
+ * flows of fast events are reported after the timeout, without the ticks.
+ *
+ * Example:
+ *
+ *   var observer = new jsaction.EventTimingObserver();
+ *   observer.start();
+ *
+ * @param {number=} opt_timeout The time in milliseconds to wait for the
+ *     entry of the event of a flow after the flow is done.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+jsaction.EventTimingObserver = function(opt_timeout) {
+  jsaction.EventTimingObserver.base(this, 'constructor');
+
+  /** @private {number} */
+  this.timeout_ = goog.isDef(opt_timeout) ? opt_timeout :
+      jsaction.EventTimingObserver.DEFAULT_TIMEOUT;
+
+  /**
+   * The recent entries that were not matched with a flow yet, oldest first.
+   * @private {!Array.<!PerformanceEventTiming>}
+   */
+  this.entries_ = [];
+
+  /**
+   * The flows that are kept open until the entry of their event is reported.
+   * @private {!Array.<!jsaction.EventTimingObserver.PendingFlow_>}
+   */
+  this.pending_ = [];
+
+  /**
+   * The ids of the flows that were released from the EVENT_TIMING branch and
+   * must not be kept open again.
+   * @private {!Object.<number, boolean>}
+   */
+  this.released_ = {};
+
+  /** @private {PerformanceObserver} */
+  this.observer_ = null;
+
+  /** @private {!goog.events.EventHandler.<!jsaction.EventTimingObserver>} */
+  this.handler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.handler_);
+};
+goog.inherits(jsaction.EventTimingObserver, goog.Disposable);
+
+
+/**
+ * A flow that waits for the entry of its event, and the id of the timer that
+ * releases it if the entry isn't reported.
+ * @typedef {{flow: !jsaction.ActionFlow, event: !Event, timer: number}}
+ * @private
+ */
+jsaction.EventTimingObserver.PendingFlow_;
+
+
+/**
+ * The default time in milliseconds to wait for the entry of the event of a
+ * flow after the flow is done.
+ * @const {number}
+ */
+jsaction.EventTimingObserver.DEFAULT_TIMEOUT = 1000;
+
+
+/**
+ * The minimum duration of the events that browsers report entries for.
+ * @private @const {number}
+ */
+jsaction.EventTimingObserver.DURATION_THRESHOLD_ = 16;
+
+
+/**
+ * The maximum number of unmatched entries that are kept.
+ * @private @const {number}
+ */
+jsaction.EventTimingObserver.MAX_ENTRIES_ = 50;
+
+
+/**
+ * @return {boolean} Whether the browser reports Event Timing entries.
+ */
+jsaction.EventTimingObserver.isSupported = function() {
+  var observer = goog.global['PerformanceObserver'];
+  var types = observer && observer['supportedEntryTypes'];
+  return !!types && goog.array.contains(types, 'event');
+};
+
+
+/**
+ * Starts observing Event Timing entries and correlating them with flows.
+ * @return {boolean} Whether the entries can be observed in this browser.
+ */
+jsaction.EventTimingObserver.prototype.start = function() {
+  if (!jsaction.EventTimingObserver.isSupported()) {
+    return false;
+  }
+  if (!this.observer_) {
+    var self = this;
+    this.observer_ = new goog.global['PerformanceObserver'](function(list) {
+      self.processEntries(list['getEntries']());
+    });
+    this.observer_['observe']({
+      'type': 'event',
+      'durationThreshold': jsaction.EventTimingObserver.DURATION_THRESHOLD_
+    });
+    this.listen_();
+  }
+  return true;
+};
+
+
+/**
+ * Starts correlating flows with the entries passed to processEntries(), for
+ * applications that observe the Event Timing entries themselves.
+ */
+jsaction.EventTimingObserver.prototype.startWithoutObserver = function() {
+  this.listen_();
+};
+
+
+/**
+ * Listens to the flows that are done.
+ * @private
+ */
+jsaction.EventTimingObserver.prototype.listen_ = function() {
+  this.handler_.removeAll();
+  this.handler_.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.BEFOREDONE, this.handleBeforeDone_);
+};
+
+
+/**
+ * Stops observing entries, and releases the flows that wait for their entry.
+ */
+jsaction.EventTimingObserver.prototype.stop = function() {
+  if (this.observer_) {
+    this.observer_['disconnect']();
+    this.observer_ = null;
+  }
+  this.handler_.removeAll();
+  this.entries_ = [];
+  var pending = this.pending_;
+  this.pending_ = [];
+  goog.array.forEach(pending, this.release_, this);
+  this.released_ = {};
+};
+
+
+/**
+ * Correlates Event Timing entries with the flows of their events. Called with
+ * the entries reported to the observer created by start().
+ * @param {!Array.<!PerformanceEventTiming>} entries The entries.
+ */
+jsaction.EventTimingObserver.prototype.processEntries = function(entries) {
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    var index = goog.array.findIndex(this.pending_, function(pending) {
+      return jsaction.EventTimingObserver.matches_(entry, pending.event);
+    });
+    if (index >= 0) {
+      var pending = this.pending_[index];
+      goog.array.removeAt(this.pending_, index);
+      jsaction.EventTimingObserver.tick_(pending.flow, entry);
+      this.release_(pending);
+    } else {
+      this.entries_.push(entry);
+    }
+  }
+  var excess =
+      this.entries_.length - jsaction.EventTimingObserver.MAX_ENTRIES_;
+  if (excess > 0) {
+    this.entries_.splice(0, excess);
+  }
+};
+
+
+/**
+ * Adds the ticks of the entry of the event of a flow that is done, if the
+ * entry was already reported. Otherwise keeps the flow open until it is.
+ * @param {!jsaction.ActionFlow.Event} e The BEFOREDONE event.
+ * @private
+ */
+jsaction.EventTimingObserver.prototype.handleBeforeDone_ = function(e) {
+  var flow = e.flow;
+  if (this.released_[flow.id()]) {
+    delete this.released_[flow.id()];
+    return;
+  }
+  var event = flow.event();
+  if (!event || !event.timeStamp) {
+    return;
+  }
+
+  var entry = goog.array.find(this.entries_, function(entry) {
+    return jsaction.EventTimingObserver.matches_(entry, event);
+  });
+  if (entry) {
+    goog.array.remove(this.entries_, entry);
+    jsaction.EventTimingObserver.tick_(flow, entry);
+    return;
+  }
+
+  flow.branch(jsaction.Branch.EVENT_TIMING);
+  var pending = {flow: flow, event: event, timer: 0};
+  pending.timer = goog.Timer.callOnce(function() {
+    goog.array.remove(this.pending_, pending);
+    this.release_(pending);
+  }, this.timeout_, this);
+  this.pending_.push(pending);
+  // Cancelling BEFOREDONE keeps the flow open.
+  e.preventDefault();
+};
+
+
+/**
+ * Closes the EVENT_TIMING branch of a flow that waited for its entry.
+ * @param {!jsaction.EventTimingObserver.PendingFlow_} pending
+ * @private
+ */
+jsaction.EventTimingObserver.prototype.release_ = function(pending) {
+  goog.Timer.clear(pending.timer);
+  this.released_[pending.flow.id()] = true;
+  pending.flow.done(jsaction.Branch.EVENT_TIMING);
+};
+
+
+/**
+ * @param {!PerformanceEventTiming} entry An Event Timing entry.
+ * @param {!Event} event An event.
+ * @return {boolean} Whether the entry was reported for the event. Both the
+ *     startTime of the entry and the timeStamp of the event are the time the
+ *     event was created, relative to the time origin.
+ * @private
+ */
+jsaction.EventTimingObserver.matches_ = function(entry, event) {
+  return entry['name'] == event.type &&
+      Math.abs(entry['startTime'] - event.timeStamp) < 1;
+};
+
+
+/**
+ * Adds the ticks of an Event Timing entry to a flow.
+ * @param {!jsaction.ActionFlow} flow The flow.
+ * @param {!PerformanceEventTiming} entry The entry of the event of the flow.
+ * @private
+ */
+jsaction.EventTimingObserver.tick_ = function(flow, entry) {
+  var start = entry['startTime'];
+  var ticks = [
+    [jsaction.Tick.EVENT_START, start],
+    [jsaction.Tick.EVENT_PROCESSING_START, entry['processingStart']],
+    [jsaction.Tick.EVENT_PROCESSING_END, entry['processingEnd']],
+    [jsaction.Tick.EVENT_PRESENTATION, start + entry['duration']]
+  ];
+  for (var i = 0; i < ticks.length; i++) {
+    var time = jsaction.ActionFlow.fromPerformanceTime(ticks[i][1]);
+    if (time != null) {
+      flow.tick(ticks[i][0], {time: time});
+    }
+  }
+};
+
+
+/** @override */
+jsaction.EventTimingObserver.prototype.disposeInternal = function() {
+  this.stop();
+  jsaction.EventTimingObserver.base(this, 'disposeInternal');
+};
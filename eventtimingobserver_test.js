@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Tests for jsaction.EventTimingObserver.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.EventTimingObserverTest');
+goog.setTestOnly('jsaction.EventTimingObserverTest');
+
+goog.require('goog.array');
+goog.require('goog.events');
+goog.require('goog.testing.MockClock');
+goog.require('goog.testing.PropertyReplacer');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.Branch');
+goog.require('jsaction.EventTimingObserver');
+goog.require('jsaction.Tick');
+
+
+var TIME_ORIGIN = 1000;
+var EVENT_TIME = 12.5;
+
+var mockClock_;
+var stubs_ = new goog.testing.PropertyReplacer();
+var doneEvents_;
+var listenerKey_;
+var observer_;
+
+
+function setUp() {
+  mockClock_ = new goog.testing.MockClock;
+  mockClock_.install();
+  stubs_.set(goog.global, 'performance', {
+    timeOrigin: TIME_ORIGIN,
+    now: function() {
+      return goog.now();
+    }
+  });
+  goog.array.clear(jsaction.ActionFlow.instances);
+
+  doneEvents_ = [];
+  listenerKey_ = goog.events.listen(jsaction.ActionFlow.report,
+      jsaction.ActionFlow.EventType.DONE, function(e) {
+        doneEvents_.push(e);
+      });
+  observer_ = new jsaction.EventTimingObserver(100);
+  observer_.startWithoutObserver();
+}
+
+
+function tearDown() {
+  observer_.dispose();
+  goog.events.unlistenByKey(listenerKey_);
+  goog.array.clear(jsaction.ActionFlow.instances);
+  stubs_.reset();
+  mockClock_.uninstall();
+}
+
+
+/**
+ * @return {!jsaction.ActionFlow} A flow for a click at EVENT_TIME.
+ */
+function createFlow() {
+  var event = {type: 'click', timeStamp: EVENT_TIME};
+  return new jsaction.ActionFlow('foo.bar', null, /** @type {!Event} */ (
+      event));
+}
+
+
+/**
+ * @param {string} name The event type.
+ * @return {!PerformanceEventTiming} An entry for an event at EVENT_TIME.
+ */
+function createEntry(name) {
+  return /** @type {!PerformanceEventTiming} */ ({
+    'name': name,
+    'startTime': EVENT_TIME,
+    'processingStart': EVENT_TIME + 10,
+    'processingEnd': EVENT_TIME + 30.25,
+    'duration': 48
+  });
+}
+
+
+/**
+ * @param {!jsaction.ActionFlow} flow
+ */
+function assertEventTicks(flow) {
+  assertEquals(TIME_ORIGIN + EVENT_TIME,
+      flow.getTick(jsaction.Tick.EVENT_START));
+  assertEquals(TIME_ORIGIN + EVENT_TIME + 10,
+      flow.getTick(jsaction.Tick.EVENT_PROCESSING_START));
+  assertEquals(TIME_ORIGIN + EVENT_TIME + 30.25,
+      flow.getTick(jsaction.Tick.EVENT_PROCESSING_END));
+  assertEquals(TIME_ORIGIN + EVENT_TIME + 48,
+      flow.getTick(jsaction.Tick.EVENT_PRESENTATION));
+}
+
+
+function testKeepsFlowOpenUntilEntryIsReported() {
+  var flow = createFlow();
+  flow.done(jsaction.Branch.MAIN);
+  assertEquals(0, doneEvents_.length);
+  assertEquals(1, flow.branches()[jsaction.Branch.EVENT_TIMING]);
+
+  observer_.processEntries([createEntry('keydown'), createEntry('click')]);
+  assertEquals(1, doneEvents_.length);
+  assertEventTicks(flow);
+}
+
+
+function testUsesEntryReportedBeforeFlowIsDone() {
+  var flow = createFlow();
+  observer_.processEntries([createEntry('click')]);
+  flow.done(jsaction.Branch.MAIN);
+  assertEquals(1, doneEvents_.length);
+  assertEventTicks(flow);
+}
+
+
+function testReleasesFlowAfterTimeout() {
+  var flow = createFlow();
+  flow.done(jsaction.Branch.MAIN);
+
+  mockClock_.tick(99);
+  assertEquals(0, doneEvents_.length);
+  mockClock_.tick(1);
+  assertEquals(1, doneEvents_.length);
+  assertUndefined(flow.getTick(jsaction.Tick.EVENT_START));
+
+  // An entry reported later is not used.
+  observer_.processEntries([createEntry('click')]);
+  assertEquals(1, doneEvents_.length);
+}
+
+
+function testIgnoresFlowsWithoutEvent() {
+  var flow = new jsaction.ActionFlow('foo.bar');
+  flow.done(jsaction.Branch.MAIN);
+  assertEquals(1, doneEvents_.length);
+}
+
+
+function testStopReleasesFlows() {
+  createFlow().done(jsaction.Branch.MAIN);
+  observer_.stop();
+  assertEquals(1, doneEvents_.length);
+
+  createFlow().done(jsaction.Branch.MAIN);
+  assertEquals(2, doneEvents_.length);
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Functions to capture and restore the focused element and the
+ * selection of the document. The EventContract captures them when it queues
+ * keyboard, input and focus events, and jsaction.replayEvent restores them
+ * while it replays such an event, so that the replayed event acts on the
+ * element the user interacted with. The captured state is passed between the
+ * eventcontract and the dispatcher jsbinary as part of jsaction.EventInfo,
+ * therefore its fields are referenced by string literals.
+ */
+
+goog.provide('jsaction.focus');
+
+goog.require('jsaction.Property');
+goog.require('jsaction.dom');
+
+
+/**
+ * The focused element, or null if no element other than the body was
+ * focused. For text inputs and textareas, the selection within the control,
+ * otherwise the ranges of the selection of the document, e.g. the caret in a
+ * contenteditable element.
+ *
+ * @typedef {{
+ *   element: Element,
+ *   selectionStart: ?number,
+ *   selectionEnd: ?number,
+ *   selectionDirection: ?string,
+ *   ranges: !Array.<!Range>
+ * }}
+ */
+jsaction.focus.State;
+
+
+/**
+ * Captures the focused element and the selection of the document.
+ * @param {!Document=} opt_doc The document, the current one by default.
+ * @return {!jsaction.focus.State} The state.
+ */
+jsaction.focus.capture = function(opt_doc) {
+  var doc = opt_doc || document;
+  var element = doc.activeElement;
+  if (element == doc.body) {
+    element = null;
+  }
+  var state = /** @type {!jsaction.focus.State} */ ({
+    'element': element,
+    'selectionStart': null,
+    'selectionEnd': null,
+    'selectionDirection': null,
+    'ranges': []
+  });
+
+  if (element && jsaction.focus.hasTextSelection_(element)) {
+    state['selectionStart'] = element.selectionStart;
+    state['selectionEnd'] = element.selectionEnd;
+    state['selectionDirection'] = element.selectionDirection || null;
+    return state;
+  }
+
+  var win = doc.defaultView;
+  var selection = win && win.getSelection ? win.getSelection() : null;
+  for (var i = 0; selection && i < selection.rangeCount; i++) {
+    state['ranges'].push(selection.getRangeAt(i).cloneRange());
+  }
+  return state;
+};
+
+
+/**
+ * Focuses the captured element again, if it's still in the document, and
+ * restores the captured selection. If no element was focused, the focused
+ * element loses the focus. While it does, isRestoring() is true.
+ * @param {!jsaction.focus.State} state The state returned by capture().
+ * @param {!Document=} opt_doc The document, the current one by default.
+ */
+jsaction.focus.restore = function(state, opt_doc) {
+  var doc = opt_doc || document;
+  doc[jsaction.Property.RESTORING_FOCUS] = true;
+  try {
+    jsaction.focus.restoreInternal_(state, doc);
+  } finally {
+    doc[jsaction.Property.RESTORING_FOCUS] = false;
+  }
+};
+
+
+/**
+ * Checks whether restore() is moving the focus, i.e. whether a focus event
+ * was fired by it and not by the user.
+ * @param {!Document=} opt_doc The document, the current one by default.
+ * @return {boolean} Whether the focus is being restored.
+ */
+jsaction.focus.isRestoring = function(opt_doc) {
+  return !!(opt_doc || document)[jsaction.Property.RESTORING_FOCUS];
+};
+
+
+/**
+ * @param {!jsaction.focus.State} state The state returned by capture().
+ * @param {!Document} doc The document.
+ * @private
+ */
+jsaction.focus.restoreInternal_ = function(state, doc) {
+  var element = state['element'];
+  var active = doc.activeElement;
+  if (!element && active && active != doc.body && active.blur) {
+    active.blur();
+  } else if (element && jsaction.dom.isConnected(element)) {
+    if (active != element) {
+      try {
+        element.focus({'preventScroll': true});
+      } catch (e) {
+        // Elements that can't take focus, e.g. in IE if they are hidden,
+        // throw. The selection is restored anyway.
+      }
+    }
+    if (state['selectionStart'] != null &&
+        jsaction.focus.hasTextSelection_(element)) {
+      element.setSelectionRange(state['selectionStart'],
+          state['selectionEnd'], state['selectionDirection'] || undefined);
+      return;
+    }
+  }
+
+  var ranges = state['ranges'];
+  var win = doc.defaultView;
+  var selection = win && win.getSelection ? win.getSelection() : null;
+  if (!selection || !ranges.length) {
+    return;
+  }
+  selection.removeAllRanges();
+  for (var i = 0; i < ranges.length; i++) {
+    selection.addRange(ranges[i]);
+  }
+};
+
+
+/**
+ * @param {!Element} element An element.
+ * @return {boolean} Whether the element has a selection of its own, i.e. is
+ *     a textarea or an input whose type supports selection.
+ * @private
+ */
+jsaction.focus.hasTextSelection_ = function(element) {
+  try {
+    // Reading selectionStart throws for inputs that don't support it, e.g.
+    // of type email or number, and it's null in newer browsers.
+    return typeof element.selectionStart == 'number';
+  } catch (e) {
+    return false;
+  }
+};
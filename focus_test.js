@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Tests for jsaction.focus.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.focusTest');
+goog.setTestOnly('jsaction.focusTest');
+
+goog.require('goog.dom');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.focus');
+
+
+var root_;
+
+
+function setUp() {
+  root_ = document.createElement('div');
+  root_.innerHTML =
+      '<input id="input" value="jsaction">' +
+      '<textarea id="textarea">text</textarea>' +
+      '<div id="editable" contenteditable="true">editable</div>';
+  document.body.appendChild(root_);
+}
+
+
+function tearDown() {
+  if (document.activeElement && document.activeElement != document.body) {
+    document.activeElement.blur();
+  }
+  goog.dom.removeNode(root_);
+}
+
+
+function testCaptureAndRestoreTextSelection() {
+  var input = goog.dom.getElement('input');
+  input.focus();
+  input.setSelectionRange(2, 5, 'backward');
+  var state = jsaction.focus.capture();
+  assertEquals(input, state['element']);
+  assertEquals(2, state['selectionStart']);
+  assertEquals(5, state['selectionEnd']);
+
+  var textarea = goog.dom.getElement('textarea');
+  textarea.focus();
+  textarea.setSelectionRange(0, 0);
+
+  jsaction.focus.restore(state);
+  assertEquals(input, document.activeElement);
+  assertEquals(2, input.selectionStart);
+  assertEquals(5, input.selectionEnd);
+}
+
+
+function testCaptureAndRestoreDocumentSelection() {
+  var editable = goog.dom.getElement('editable');
+  editable.focus();
+  var range = document.createRange();
+  range.setStart(editable.firstChild, 1);
+  range.setEnd(editable.firstChild, 4);
+  window.getSelection().removeAllRanges();
+  window.getSelection().addRange(range);
+  var state = jsaction.focus.capture();
+  assertEquals(editable, state['element']);
+  assertNull(state['selectionStart']);
+  assertEquals(1, state['ranges'].length);
+
+  goog.dom.getElement('input').focus();
+  window.getSelection().removeAllRanges();
+
+  jsaction.focus.restore(state);
+  assertEquals(editable, document.activeElement);
+  assertEquals('dit', window.getSelection().toString());
+}
+
+
+function testRestoreWithoutFocusedElement() {
+  var state = jsaction.focus.capture();
+  assertNull(state['element']);
+
+  goog.dom.getElement('input').focus();
+  jsaction.focus.restore(state);
+  assertEquals(document.body, document.activeElement);
+}
+
+
+function testRestoreIgnoresDisconnectedElement() {
+  var input = goog.dom.getElement('input');
+  input.focus();
+  var state = jsaction.focus.capture();
+  var textarea = goog.dom.getElement('textarea');
+  textarea.focus();
+  goog.dom.removeNode(input);
+
+  jsaction.focus.restore(state);
+  assertEquals(textarea, document.activeElement);
+}
@@ -117,7 +117,11 @@ jsaction.domGenerator.EventPath.prototype.next = function() {
   if (this.idx_ != this.path_.length) {
     var curr = this.path_[this.idx_];
     this.idx_++;
-    if (curr != this.container_) {
+    if (curr == this.container_) {
+      // The path continues past the container up to the window, but the
+      // search for jsactions is limited to the container.
+      this.idx_ = this.path_.length;
+    } else {
       // NOTE(user): The presence of the OWNER property indicates that
       // the user wants to override the browsers expected event path with
       // one of their own. The eventpath generator still needs to respect
@@ -160,6 +164,36 @@ jsaction.domGenerator.eventPath_ =
  * @return {!jsaction.domGenerator.Generator}
  */
 jsaction.domGenerator.getGenerator = function(e, target, container) {
-  return e.path ? jsaction.domGenerator.eventPath_.reset_(e.path, container) :
+  var path = e.path || jsaction.domGenerator.getComposedPath_(e);
+  return path ? jsaction.domGenerator.eventPath_.reset_(path, container) :
       jsaction.domGenerator.ancestors_.reset_(target, container);
 };
+
+
+/**
+ * Returns the composed path of an event, i.e. the path including the nodes
+ * inside of open shadow trees. The path is only available while the event is
+ * being dispatched.
+ * @param {!Event} e the event.
+ * @return {Array.<!Element>} The path or null if it is not available.
+ * @private
+ */
+jsaction.domGenerator.getComposedPath_ = function(e) {
+  var path = e.composedPath ? e.composedPath() : null;
+  return path && path.length ? path : null;
+};
+
+
+/**
+ * Returns the composed path of an event if the event target was retargeted
+ * because the event originated inside of an open shadow tree. In that case
+ * the ancestors of the event target do not contain the element the event
+ * originated at, and the path must be used to find jsaction attributes.
+ * @param {!Event} e the event.
+ * @return {Array.<!Element>} The path or null if the event was not
+ *     retargeted.
+ */
+jsaction.domGenerator.getShadowPath = function(e) {
+  var path = jsaction.domGenerator.getComposedPath_(e);
+  return path && path[0] != e.target ? path : null;
+};
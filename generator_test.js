@@ -65,3 +65,52 @@ function testEventPathGeneratorWithOwnerProperty() {
   g.reset_([owned], container);
   assertExpectedPath(g, expected);
 }
+
+
+function testEventPathGeneratorStopsAtContainer() {
+  var g = jsaction.domGenerator.eventPath_;
+  var container = elem('container');
+  var expected = [
+    elem('target'), elem('host'), elem('innercontainer'), container];
+  g.reset_(expected.concat([document.body, document]), container);
+  assertExpectedPath(g, expected);
+  assertNull(g.next());
+}
+
+
+function testGetGeneratorUsesComposedPath() {
+  var container = elem('container');
+  var target = elem('target');
+  var expected = [target, elem('host'), elem('innercontainer'), container];
+  var event = {
+    target: target,
+    composedPath: function() {
+      return expected;
+    }
+  };
+  assertExpectedPath(
+      jsaction.domGenerator.getGenerator(event, target, container), expected);
+}
+
+
+function testGetShadowPath() {
+  var host = elem('host');
+  var target = elem('target');
+  var path = [target, host];
+  var composedPath = function() {
+    return path;
+  };
+
+  // The event was retargeted to the host.
+  assertEquals(path, jsaction.domGenerator.getShadowPath(
+      {target: host, composedPath: composedPath}));
+  // The event was not retargeted.
+  assertNull(jsaction.domGenerator.getShadowPath(
+      {target: target, composedPath: composedPath}));
+  // The event is not being dispatched.
+  path = [];
+  assertNull(jsaction.domGenerator.getShadowPath(
+      {target: host, composedPath: composedPath}));
+  // The browser does not support composed paths.
+  assertNull(jsaction.domGenerator.getShadowPath({target: host}));
+}
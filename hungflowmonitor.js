@@ -0,0 +1,195 @@
+/**
+ * @fileoverview A monitor that detects hung action flows, i.e. instances of
+ * jsaction.ActionFlow that don't finish within a time threshold, and reports
+ * them through the ERROR event of jsaction.ActionFlow.report.
+ */
+
+goog.provide('jsaction.HungFlowMonitor');
+
+goog.require('goog.Disposable');
+goog.require('goog.array');
+goog.require('jsaction.ActionFlow');
+
+
+
+/**
+ * Periodically checks the open action flows in jsaction.ActionFlow.instances.
+ * A flow that is still open after the threshold for its flow type is reported
+ * once, by firing an ERROR event with the HUNG error and the names of its
+ * pending branches. Optionally, hung flows are abandoned as well, which
+ * finishes them right away.
+ *
+ * Example:
+ *
+ *   var monitor = new jsaction.HungFlowMonitor(10000);
+ *   monitor.setThreshold('upload.start', 60000);
+ *   monitor.start(1000);
+ *
+ * @param {number} threshold The default time in milliseconds after which an
+ *     open flow is considered hung.
+ * @param {jsaction.HungFlowMonitor.Clock=} opt_clock The clock to use,
+ *     defaults to jsaction.ActionFlow.now() and the global timer functions.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+jsaction.HungFlowMonitor = function(threshold, opt_clock) {
+  jsaction.HungFlowMonitor.base(this, 'constructor');
+
+  /**
+   * The default threshold.
+   * @private {number}
+   */
+  this.threshold_ = threshold;
+
+  /**
+   * The thresholds for specific flow types.
+   * @private {!Object.<string, number>}
+   */
+  this.thresholds_ = {};
+
+  /**
+   * The clock.
+   * @private {!jsaction.HungFlowMonitor.Clock}
+   */
+  this.clock_ = opt_clock || jsaction.HungFlowMonitor.DEFAULT_CLOCK_;
+
+  /**
+   * Whether to abandon hung flows.
+   * @private {boolean}
+   */
+  this.abandon_ = false;
+
+  /**
+   * The flows that were already reported as hung, but didn't finish yet.
+   * @private {!Array.<!jsaction.ActionFlow>}
+   */
+  this.reported_ = [];
+
+  /**
+   * The id of the interval timer while the monitor is started.
+   * @private {?number}
+   */
+  this.timer_ = null;
+};
+goog.inherits(jsaction.HungFlowMonitor, goog.Disposable);
+
+
+/**
+ * The clock used by the monitor. 'now' returns the current time in
+ * milliseconds, on the same time base as the start ticks of the action flows.
+ * 'setInterval' and 'clearInterval' behave like their global counterparts.
+ * @typedef {{
+ *   now: function():number,
+ *   setInterval: function(!Function, number):number,
+ *   clearInterval: function(number)
+ * }}
+ */
+jsaction.HungFlowMonitor.Clock;
+
+
+/**
+ * @private @const {!jsaction.HungFlowMonitor.Clock}
+ */
+jsaction.HungFlowMonitor.DEFAULT_CLOCK_ = {
+  now: jsaction.ActionFlow.now,
+  setInterval: function(fn, interval) {
+    return goog.global.setInterval(fn, interval);
+  },
+  clearInterval: function(id) {
+    goog.global.clearInterval(id);
+  }
+};
+
+
+/**
+ * Sets the threshold for flows of the given type.
+ * @param {string} flowType The flow type, i.e. the name of the jsaction
+ *     including the namespace, as returned by ActionFlow#flowType().
+ * @param {number} threshold The time in milliseconds after which an open
+ *     flow of the type is considered hung.
+ */
+jsaction.HungFlowMonitor.prototype.setThreshold = function(
+    flowType, threshold) {
+  this.thresholds_[flowType] = threshold;
+};
+
+
+/**
+ * Sets whether hung flows are abandoned after they are reported. Abandoned
+ * flows finish right away and fire ABANDONED instead of DONE.
+ * @param {boolean} abandon
+ */
+jsaction.HungFlowMonitor.prototype.setAbandonHungFlows = function(abandon) {
+  this.abandon_ = abandon;
+};
+
+
+/**
+ * Starts checking for hung flows periodically.
+ * @param {number} interval The time in milliseconds between checks.
+ */
+jsaction.HungFlowMonitor.prototype.start = function(interval) {
+  this.stop();
+  this.timer_ = this.clock_.setInterval(goog.bind(this.check, this), interval);
+};
+
+
+/**
+ * Stops checking for hung flows.
+ */
+jsaction.HungFlowMonitor.prototype.stop = function() {
+  if (this.timer_ != null) {
+    this.clock_.clearInterval(this.timer_);
+    this.timer_ = null;
+  }
+};
+
+
+/**
+ * Checks the open flows once and reports the ones that are newly hung.
+ * @return {!Array.<!jsaction.ActionFlow>} The flows that were reported.
+ */
+jsaction.HungFlowMonitor.prototype.check = function() {
+  var instances = jsaction.ActionFlow.instances;
+  // Forget about reported flows that finished in the meantime.
+  this.reported_ = goog.array.filter(this.reported_, function(flow) {
+    return goog.array.contains(instances, flow);
+  });
+
+  var now = this.clock_.now();
+  var hung = goog.array.filter(instances, function(flow) {
+    return !goog.array.contains(this.reported_, flow) &&
+        now - flow.getStartTick() >= this.getThreshold_(flow);
+  }, this);
+
+  for (var i = 0; i < hung.length; i++) {
+    var flow = hung[i];
+    flow.reportHung();
+    if (this.abandon_) {
+      flow.abandon(true);
+    } else {
+      this.reported_.push(flow);
+    }
+  }
+  return hung;
+};
+
+
+/**
+ * @param {!jsaction.ActionFlow} flow An action flow.
+ * @return {number} The threshold for the flow.
+ * @private
+ */
+jsaction.HungFlowMonitor.prototype.getThreshold_ = function(flow) {
+  var flowType = flow.flowType();
+  return this.thresholds_.hasOwnProperty(flowType) ?
+      this.thresholds_[flowType] : this.threshold_;
+};
+
+
+/** @override */
+jsaction.HungFlowMonitor.prototype.disposeInternal = function() {
+  this.stop();
+  this.reported_ = [];
+  jsaction.HungFlowMonitor.base(this, 'disposeInternal');
+};
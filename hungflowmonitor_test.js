@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests for jsaction.HungFlowMonitor.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.HungFlowMonitorTest');
+goog.setTestOnly('jsaction.HungFlowMonitorTest');
+
+goog.require('goog.array');
+goog.require('goog.events');
+goog.require('goog.object');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.Branch');
+goog.require('jsaction.HungFlowMonitor');
+
+
+var now_;
+var intervals_;
+var clock_;
+var errorEvents_;
+var abandonedEvents_;
+var listenerKeys_;
+var monitor_;
+
+
+function setUp() {
+  goog.array.clear(jsaction.ActionFlow.instances);
+  now_ = 1000;
+  intervals_ = {};
+  var nextId = 1;
+  clock_ = {
+    now: function() {
+      return now_;
+    },
+    setInterval: function(fn, interval) {
+      intervals_[nextId] = {fn: fn, interval: interval};
+      return nextId++;
+    },
+    clearInterval: function(id) {
+      delete intervals_[id];
+    }
+  };
+
+  errorEvents_ = [];
+  abandonedEvents_ = [];
+  listenerKeys_ = [
+    goog.events.listen(jsaction.ActionFlow.report,
+        jsaction.ActionFlow.EventType.ERROR, function(e) {
+          errorEvents_.push(e);
+        }),
+    goog.events.listen(jsaction.ActionFlow.report,
+        jsaction.ActionFlow.EventType.ABANDONED, function(e) {
+          abandonedEvents_.push(e);
+        })
+  ];
+  monitor_ = new jsaction.HungFlowMonitor(100, clock_);
+}
+
+
+function tearDown() {
+  monitor_.dispose();
+  goog.array.forEach(listenerKeys_, goog.events.unlistenByKey);
+  goog.array.clear(jsaction.ActionFlow.instances);
+}
+
+
+function testReportsFlowsOpenLongerThanThreshold() {
+  var flow = new jsaction.ActionFlow('foo.bar', null, null, now_);
+  flow.branch('load');
+
+  now_ += 99;
+  assertArrayEquals([], monitor_.check());
+  assertEquals(0, errorEvents_.length);
+
+  now_ += 1;
+  assertArrayEquals([flow], monitor_.check());
+  assertEquals(1, errorEvents_.length);
+  var e = errorEvents_[0];
+  assertEquals(flow, e.flow);
+  assertEquals(jsaction.ActionFlow.Error.HUNG, e.error);
+  assertSameElements([jsaction.Branch.MAIN, 'load'], e.pendingBranches);
+  assertFalse(e.finished);
+}
+
+
+function testReportsFlowOnlyOnce() {
+  var flow = new jsaction.ActionFlow('foo.bar', null, null, now_);
+
+  now_ += 200;
+  monitor_.check();
+  monitor_.check();
+  assertEquals(1, errorEvents_.length);
+  assertTrue(goog.array.contains(jsaction.ActionFlow.instances, flow));
+}
+
+
+function testDoesNotReportFinishedFlows() {
+  var flow = new jsaction.ActionFlow('foo.bar', null, null, now_);
+  flow.done(jsaction.Branch.MAIN);
+
+  now_ += 200;
+  assertArrayEquals([], monitor_.check());
+}
+
+
+function testThresholdPerFlowType() {
+  monitor_.setThreshold('upload.start', 1000);
+  var upload = new jsaction.ActionFlow('upload.start', null, null, now_);
+  var other = new jsaction.ActionFlow('foo.bar', null, null, now_);
+
+  now_ += 500;
+  assertArrayEquals([other], monitor_.check());
+
+  now_ += 500;
+  assertArrayEquals([upload], monitor_.check());
+}
+
+
+function testAbandonHungFlows() {
+  monitor_.setAbandonHungFlows(true);
+  var flow = new jsaction.ActionFlow('foo.bar', null, null, now_);
+  flow.branch('load');
+
+  now_ += 100;
+  monitor_.check();
+  assertEquals(1, errorEvents_.length);
+  assertEquals(1, abandonedEvents_.length);
+  assertEquals(flow, abandonedEvents_[0].flow);
+  assertFalse(goog.array.contains(jsaction.ActionFlow.instances, flow));
+}
+
+
+function testStartChecksPeriodically() {
+  monitor_.start(50);
+  var ids = goog.object.getKeys(intervals_);
+  assertEquals(1, ids.length);
+  var interval = intervals_[ids[0]];
+  assertEquals(50, interval.interval);
+
+  new jsaction.ActionFlow('foo.bar', null, null, now_);
+  now_ += 100;
+  interval.fn();
+  assertEquals(1, errorEvents_.length);
+
+  monitor_.stop();
+  assertTrue(goog.object.isEmpty(intervals_));
+}
+
+
+function testDisposeStops() {
+  monitor_.start(50);
+  monitor_.dispose();
+  assertTrue(goog.object.isEmpty(intervals_));
+}
@@ -31,10 +31,15 @@ jsaction.createCustomEvent = function(type, opt_data, opt_triggeringEvent) {
     triggeringEvent: opt_triggeringEvent
   };
   try {
-    // We don't use the CustomEvent constructor directly since it isn't
-    // supported in IE 9 or 10 and initCustomEvent below works just fine.
-    event = document.createEvent('CustomEvent');
-    event.initCustomEvent(jsaction.EventType.CUSTOM, true, false, detail);
+    if (typeof goog.global['CustomEvent'] == 'function') {
+      event = new CustomEvent(jsaction.EventType.CUSTOM,
+          {bubbles: true, cancelable: false, detail: detail});
+    } else {
+      // IE 9 to 11 don't support the CustomEvent constructor, but
+      // initCustomEvent works just fine.
+      event = document.createEvent('CustomEvent');
+      event.initCustomEvent(jsaction.EventType.CUSTOM, true, false, detail);
+    }
   } catch (e) {
     // If custom events aren't supported, fall back to custom-named HTMLEvent.
     // Fallback used by Android Gingerbread, FF4-5.
@@ -255,6 +255,105 @@ jsaction.testing.nativeEvents.fireMouseButtonEvent_ = function(
 };
 
 
+/**
+ * Creates a touch event for a single finger. The touch lists are plain
+ * arrays of plain objects, since not all browsers can create Touch objects.
+ * @param {string} type The event type, e.g. 'touchstart'.
+ * @param {!EventTarget} target The target for the event.
+ * @param {?goog.math.Coordinate=} opt_coords Touch position. Defaults to
+ *     event's target's position (if available), otherwise (0, 0).
+ * @return {!Event} The created event.
+ */
+jsaction.testing.nativeEvents.createTouchEvent = function(
+    type, target, opt_coords) {
+  var e = new goog.testing.events.Event(type, target);
+  jsaction.testing.nativeEvents.setEventClientXY_(e, opt_coords);
+  var touch = {
+    'identifier': 0,
+    'target': target,
+    'clientX': e.clientX,
+    'clientY': e.clientY,
+    'screenX': e.screenX,
+    'screenY': e.screenY
+  };
+  var event = document.createEvent('Event');
+  event.initEvent(type, true, true);
+  // The finger is no longer on the screen at touchend.
+  var isEnd = type == goog.events.EventType.TOUCHEND ||
+      type == goog.events.EventType.TOUCHCANCEL;
+  event['touches'] = isEnd ? [] : [touch];
+  event['targetTouches'] = isEnd ? [] : [touch];
+  event['changedTouches'] = [touch];
+  return event;
+};
+
+
+/**
+ * Simulates a touchstart event on the given target.
+ * @param {!EventTarget} target The target for the event.
+ * @param {?goog.math.Coordinate=} opt_coords Touch position. Defaults to
+ *     event's target's position (if available), otherwise (0, 0).
+ * @return {boolean} The returnValue of the event: false if preventDefault() was
+ *     called on it, true otherwise.
+ */
+jsaction.testing.nativeEvents.fireTouchStartEvent = function(
+    target, opt_coords) {
+  return jsaction.triggerEvent(target,
+      jsaction.testing.nativeEvents.createTouchEvent(
+          goog.events.EventType.TOUCHSTART, target, opt_coords));
+};
+
+
+/**
+ * Simulates a touchmove event on the given target. Note that touchmove
+ * events are targeted at the element the touch started on.
+ * @param {!EventTarget} target The target for the event.
+ * @param {?goog.math.Coordinate=} opt_coords Touch position. Defaults to
+ *     event's target's position (if available), otherwise (0, 0).
+ * @return {boolean} The returnValue of the event: false if preventDefault() was
+ *     called on it, true otherwise.
+ */
+jsaction.testing.nativeEvents.fireTouchMoveEvent = function(
+    target, opt_coords) {
+  return jsaction.triggerEvent(target,
+      jsaction.testing.nativeEvents.createTouchEvent(
+          goog.events.EventType.TOUCHMOVE, target, opt_coords));
+};
+
+
+/**
+ * Simulates a touchend event on the given target. Note that touchend events
+ * are targeted at the element the touch started on.
+ * @param {!EventTarget} target The target for the event.
+ * @param {?goog.math.Coordinate=} opt_coords Touch position. Defaults to
+ *     event's target's position (if available), otherwise (0, 0).
+ * @return {boolean} The returnValue of the event: false if preventDefault() was
+ *     called on it, true otherwise.
+ */
+jsaction.testing.nativeEvents.fireTouchEndEvent = function(
+    target, opt_coords) {
+  return jsaction.triggerEvent(target,
+      jsaction.testing.nativeEvents.createTouchEvent(
+          goog.events.EventType.TOUCHEND, target, opt_coords));
+};
+
+
+/**
+ * Simulates a touchstart and a touchend event on the given target, i.e. a
+ * tap.
+ * @param {!EventTarget} target The target for the event.
+ * @param {?goog.math.Coordinate=} opt_coords Touch position. Defaults to
+ *     event's target's position (if available), otherwise (0, 0).
+ * @return {boolean} The returnValue of the sequence: false if preventDefault()
+ *     was called on any of the events, true otherwise.
+ */
+jsaction.testing.nativeEvents.fireTapSequence = function(target, opt_coords) {
+  return !!(
+      jsaction.testing.nativeEvents.fireTouchStartEvent(target, opt_coords) &
+      jsaction.testing.nativeEvents.fireTouchEndEvent(target, opt_coords));
+};
+
+
 /**
  * Creates and initializes a key event.
  * @param {string} eventType The type of event to create ("keydown", "keyup",
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Marks the action elements of queued events as pending, so
+ * that applications can give feedback, e.g. show a spinner, while the
+ * handlers of the events are loaded. Used by both the EventContract and the
+ * Dispatcher, which may live in different jsbinaries. Therefore, the state
+ * kept on the marked elements is referenced by string literals. Like
+ * jsaction.dom, this deliberately doesn't use the closure equivalents in
+ * order to keep the dependencies of the EventContract small.
+ */
+
+goog.provide('jsaction.pending');
+
+goog.require('jsaction.Property');
+
+
+/**
+ * The options of the pending feedback.
+ *
+ * - className is the CSS class added to the action element of a queued
+ *   event, jsaction.pending.DEFAULT_CLASS_NAME if not given.
+ * - ariaBusy is whether aria-busy="true" is set on the action element as
+ *   well, which is the default.
+ * - timeout is the time in milliseconds after which the mark is removed even
+ *   if the event is still queued. By default, the mark stays until the event
+ *   is replayed or dropped.
+ *
+ * The fields of this Object are unquoted.
+ *
+ * @typedef {{
+ *   className: (string|undefined),
+ *   ariaBusy: (boolean|undefined),
+ *   timeout: (number|undefined)
+ * }}
+ */
+jsaction.pending.Options;
+
+
+/**
+ * The CSS class added to the action elements of queued events by default.
+ * @const {string}
+ */
+jsaction.pending.DEFAULT_CLASS_NAME = 'jsaction-pending';
+
+
+/**
+ * Marks the action element of a queued event as pending. An element stays
+ * marked as long as any of its events is marked.
+ *
+ * @param {!jsaction.EventInfo} eventInfo The queued event.
+ * @param {!jsaction.pending.Options} options The options of the feedback.
+ */
+jsaction.pending.mark = function(eventInfo, options) {
+  var element = eventInfo['actionElement'];
+  if (!element) {
+    return;
+  }
+  var state = element[jsaction.Property.PENDING];
+  if (!state) {
+    state = {
+      'entries': [],
+      'className': options.className || jsaction.pending.DEFAULT_CLASS_NAME,
+      'ariaBusy': options.ariaBusy !== false,
+      'previousAriaBusy': element.getAttribute('aria-busy')
+    };
+    element[jsaction.Property.PENDING] = state;
+    jsaction.pending.addClass_(element, state['className']);
+    if (state['ariaBusy']) {
+      element.setAttribute('aria-busy', 'true');
+    }
+  }
+  if (jsaction.pending.indexOf_(state, eventInfo) >= 0) {
+    return;
+  }
+  var entry = {'eventInfo': eventInfo, 'timer': 0};
+  if (options.timeout != null) {
+    entry['timer'] = setTimeout(function() {
+      jsaction.pending.unmark(eventInfo);
+    }, options.timeout);
+  }
+  state['entries'].push(entry);
+};
+
+
+/**
+ * Removes the mark of a queued event that was replayed, dropped or timed out.
+ * The action element is unmarked once none of its events is marked anymore.
+ * Does nothing if the event isn't marked.
+ *
+ * @param {!jsaction.EventInfo} eventInfo The event.
+ */
+jsaction.pending.unmark = function(eventInfo) {
+  var element = eventInfo['actionElement'];
+  var state = element && element[jsaction.Property.PENDING];
+  if (!state) {
+    return;
+  }
+  var index = jsaction.pending.indexOf_(state, eventInfo);
+  if (index < 0) {
+    return;
+  }
+  var entry = state['entries'].splice(index, 1)[0];
+  clearTimeout(entry['timer']);
+  if (state['entries'].length > 0) {
+    return;
+  }
+
+  delete element[jsaction.Property.PENDING];
+  jsaction.pending.removeClass_(element, state['className']);
+  if (state['ariaBusy']) {
+    if (state['previousAriaBusy'] == null) {
+      element.removeAttribute('aria-busy');
+    } else {
+      element.setAttribute('aria-busy', state['previousAriaBusy']);
+    }
+  }
+};
+
+
+/**
+ * @param {!Element} element An element.
+ * @return {boolean} Whether the element is the action element of a queued
+ *     event that is marked as pending.
+ */
+jsaction.pending.isPending = function(element) {
+  return !!element[jsaction.Property.PENDING];
+};
+
+
+/**
+ * @param {!Object} state The pending state of an element.
+ * @param {!jsaction.EventInfo} eventInfo An event.
+ * @return {number} The index of the entry of the event in the state, or -1.
+ * @private
+ */
+jsaction.pending.indexOf_ = function(state, eventInfo) {
+  var entries = state['entries'];
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i]['eventInfo'] === eventInfo) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+
+/**
+ * @param {!Element} element The element.
+ * @param {string} className The CSS class to add.
+ * @private
+ */
+jsaction.pending.addClass_ = function(element, className) {
+  if (element.classList) {
+    element.classList.add(className);
+  } else if ((' ' + element.className + ' ').indexOf(
+      ' ' + className + ' ') < 0) {
+    element.className += (element.className ? ' ' : '') + className;
+  }
+};
+
+
+/**
+ * @param {!Element} element The element.
+ * @param {string} className The CSS class to remove.
+ * @private
+ */
+jsaction.pending.removeClass_ = function(element, className) {
+  if (element.classList) {
+    element.classList.remove(className);
+  } else {
+    var classes = element.className.split(/\s+/);
+    var kept = [];
+    for (var i = 0; i < classes.length; i++) {
+      if (classes[i] && classes[i] != className) {
+        kept.push(classes[i]);
+      }
+    }
+    element.className = kept.join(' ');
+  }
+};
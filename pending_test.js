@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Tests for jsaction.pending.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.pendingTest');
+goog.setTestOnly('jsaction.pendingTest');
+
+goog.require('goog.testing.MockClock');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.pending');
+
+
+var mockClock_;
+var element_;
+
+
+function setUp() {
+  mockClock_ = new goog.testing.MockClock(true);
+  element_ = document.createElement('div');
+  element_.className = 'button';
+}
+
+
+function tearDown() {
+  mockClock_.dispose();
+}
+
+
+/**
+ * @param {Element} actionElement
+ * @return {!jsaction.EventInfo} An event info for the action element.
+ */
+function createEventInfo(actionElement) {
+  return /** @type {!jsaction.EventInfo} */ ({
+    'eventType': 'click',
+    'action': 'foo.bar',
+    'actionElement': actionElement
+  });
+}
+
+
+function testMarkAndUnmark() {
+  var eventInfo = createEventInfo(element_);
+  jsaction.pending.mark(eventInfo, {});
+  assertTrue(jsaction.pending.isPending(element_));
+  assertEquals('button ' + jsaction.pending.DEFAULT_CLASS_NAME,
+      element_.className);
+  assertEquals('true', element_.getAttribute('aria-busy'));
+
+  jsaction.pending.unmark(eventInfo);
+  assertFalse(jsaction.pending.isPending(element_));
+  assertEquals('button', element_.className);
+  assertFalse(element_.hasAttribute('aria-busy'));
+}
+
+
+function testElementStaysMarkedWhileAnyEventIsMarked() {
+  var first = createEventInfo(element_);
+  var second = createEventInfo(element_);
+  jsaction.pending.mark(first, {});
+  jsaction.pending.mark(second, {});
+  // Marking an event twice has no effect.
+  jsaction.pending.mark(first, {});
+
+  jsaction.pending.unmark(first);
+  assertTrue(jsaction.pending.isPending(element_));
+  jsaction.pending.unmark(first);
+  assertTrue(jsaction.pending.isPending(element_));
+  jsaction.pending.unmark(second);
+  assertFalse(jsaction.pending.isPending(element_));
+}
+
+
+function testOptions() {
+  element_.setAttribute('aria-busy', 'false');
+  var eventInfo = createEventInfo(element_);
+  jsaction.pending.mark(eventInfo, {className: 'loading', ariaBusy: false});
+  assertEquals('button loading', element_.className);
+  assertEquals('false', element_.getAttribute('aria-busy'));
+
+  jsaction.pending.unmark(eventInfo);
+  assertEquals('button', element_.className);
+  assertEquals('false', element_.getAttribute('aria-busy'));
+}
+
+
+function testRestoresPreviousAriaBusy() {
+  element_.setAttribute('aria-busy', 'false');
+  var eventInfo = createEventInfo(element_);
+  jsaction.pending.mark(eventInfo, {});
+  assertEquals('true', element_.getAttribute('aria-busy'));
+  jsaction.pending.unmark(eventInfo);
+  assertEquals('false', element_.getAttribute('aria-busy'));
+}
+
+
+function testTimeout() {
+  var eventInfo = createEventInfo(element_);
+  jsaction.pending.mark(eventInfo, {timeout: 1000});
+  mockClock_.tick(999);
+  assertTrue(jsaction.pending.isPending(element_));
+  mockClock_.tick(1);
+  assertFalse(jsaction.pending.isPending(element_));
+}
+
+
+function testUnmarkClearsTimeout() {
+  var first = createEventInfo(element_);
+  var second = createEventInfo(element_);
+  jsaction.pending.mark(first, {timeout: 1000});
+  jsaction.pending.unmark(first);
+  jsaction.pending.mark(second, {});
+  mockClock_.tick(1000);
+  assertTrue(jsaction.pending.isPending(element_));
+}
+
+
+function testIgnoresEventsWithoutActionElement() {
+  var eventInfo = createEventInfo(null);
+  jsaction.pending.mark(eventInfo, {});
+  jsaction.pending.unmark(eventInfo);
+}
@@ -11,20 +11,40 @@ goog.provide('jsaction.createUiEvent');
 goog.provide('jsaction.replayEvent');
 goog.provide('jsaction.triggerEvent');
 
+goog.require('goog.array');
 goog.require('goog.asserts');
 goog.require('goog.functions');
 goog.require('jsaction');
 goog.require('jsaction.EventType');
 goog.require('jsaction.event');
+goog.require('jsaction.focus');
 
 
 /**
- * Replays an event.
+ * Replays an event. If the focus state was captured when the event was
+ * queued, the focus and selection of that time are restored while the event
+ * is replayed, and the current focus and selection of the user afterwards,
+ * unless the handlers moved the focus elsewhere.
  * @param {!jsaction.EventInfo} eventInfo The event info record.
  */
 jsaction.replayEvent = function(eventInfo) {
   var event = jsaction.createEvent(eventInfo['event'], eventInfo['eventType']);
-  jsaction.triggerEvent(eventInfo['targetElement'], event);
+  var focusState = eventInfo['focusState'];
+  if (!focusState) {
+    jsaction.triggerEvent(eventInfo['targetElement'], event);
+    return;
+  }
+
+  var userState = jsaction.focus.capture();
+  jsaction.focus.restore(focusState);
+  var restoredElement = document.activeElement;
+  try {
+    jsaction.triggerEvent(eventInfo['targetElement'], event);
+  } finally {
+    if (document.activeElement == restoredElement) {
+      jsaction.focus.restore(userState);
+    }
+  }
 };
 
 
@@ -48,12 +68,14 @@ jsaction.isKeyboardEvent_ = function(eventType) {
  * @private
  */
 jsaction.isMouseEvent_ = function(eventType) {
-  // TODO(ruilopes): Verify if Drag events should be bound here.
   return eventType == jsaction.EventType.CLICK ||
       eventType == jsaction.EventType.DBLCLICK ||
       eventType == jsaction.EventType.MOUSEDOWN ||
+      eventType == jsaction.EventType.MOUSEUP ||
       eventType == jsaction.EventType.MOUSEOVER ||
       eventType == jsaction.EventType.MOUSEOUT ||
+      eventType == jsaction.EventType.MOUSEENTER ||
+      eventType == jsaction.EventType.MOUSELEAVE ||
       eventType == jsaction.EventType.MOUSEMOVE;
 };
 
@@ -71,10 +93,246 @@ jsaction.isUiEvent_ = function(eventType) {
       eventType == jsaction.EventType.BLUR ||
       eventType == jsaction.EventType.FOCUSIN ||
       eventType == jsaction.EventType.FOCUSOUT ||
+      eventType == jsaction.EventType.FOCUSWITHIN ||
+      eventType == jsaction.EventType.FOCUSOUTSIDE ||
       eventType == jsaction.EventType.SCROLL;
 };
 
 
+/**
+ * The event interfaces whose constructors recreate the events of the given
+ * types. Events of other types are recreated as plain Events.
+ * @private @const {!Object<string, string>}
+ */
+jsaction.EVENT_INTERFACES_ = {
+  'auxclick': 'MouseEvent',
+  'click': 'MouseEvent',
+  'contextmenu': 'MouseEvent',
+  'dblclick': 'MouseEvent',
+  'mousedown': 'MouseEvent',
+  'mouseenter': 'MouseEvent',
+  'mouseleave': 'MouseEvent',
+  'mousemove': 'MouseEvent',
+  'mouseout': 'MouseEvent',
+  'mouseover': 'MouseEvent',
+  'mouseup': 'MouseEvent',
+  'gotpointercapture': 'PointerEvent',
+  'lostpointercapture': 'PointerEvent',
+  'pointercancel': 'PointerEvent',
+  'pointerdown': 'PointerEvent',
+  'pointerenter': 'PointerEvent',
+  'pointerleave': 'PointerEvent',
+  'pointermove': 'PointerEvent',
+  'pointerout': 'PointerEvent',
+  'pointerover': 'PointerEvent',
+  'pointerup': 'PointerEvent',
+  'wheel': 'WheelEvent',
+  'drag': 'DragEvent',
+  'dragend': 'DragEvent',
+  'dragenter': 'DragEvent',
+  'dragleave': 'DragEvent',
+  'dragover': 'DragEvent',
+  'dragstart': 'DragEvent',
+  'drop': 'DragEvent',
+  'keydown': 'KeyboardEvent',
+  'keypress': 'KeyboardEvent',
+  'keyup': 'KeyboardEvent',
+  'touchcancel': 'TouchEvent',
+  'touchend': 'TouchEvent',
+  'touchmove': 'TouchEvent',
+  'touchstart': 'TouchEvent',
+  'beforeinput': 'InputEvent',
+  'input': 'InputEvent',
+  'blur': 'FocusEvent',
+  'focus': 'FocusEvent',
+  'focusin': 'FocusEvent',
+  'focusout': 'FocusEvent',
+  'focuswithin': 'FocusEvent',
+  'focusoutside': 'FocusEvent',
+  'scroll': 'UIEvent',
+  'copy': 'ClipboardEvent',
+  'cut': 'ClipboardEvent',
+  'paste': 'ClipboardEvent',
+  'doubletap': 'CustomEvent',
+  'longpress': 'CustomEvent',
+  'swipeleft': 'CustomEvent',
+  'swiperight': 'CustomEvent'
+};
+
+
+/**
+ * The members of the init dictionaries of the event constructors, by the
+ * name of the dictionary, and the dictionary each one inherits from. See
+ * https://w3c.github.io/uievents/ and the specifications of the other event
+ * interfaces.
+ * @private @const {!Object<string, {parent: ?string, members: !Array<string>}>}
+ */
+jsaction.EVENT_INIT_DICTIONARIES_ = {
+  'EventInit': {
+    parent: null,
+    members: ['bubbles', 'cancelable', 'composed']
+  },
+  'CustomEventInit': {
+    parent: 'EventInit',
+    members: ['detail']
+  },
+  'ClipboardEventInit': {
+    parent: 'EventInit',
+    members: ['clipboardData']
+  },
+  'UIEventInit': {
+    parent: 'EventInit',
+    members: ['view', 'detail']
+  },
+  'FocusEventInit': {
+    parent: 'UIEventInit',
+    members: ['relatedTarget']
+  },
+  'InputEventInit': {
+    parent: 'UIEventInit',
+    members: ['data', 'isComposing', 'inputType', 'dataTransfer']
+  },
+  'EventModifierInit': {
+    parent: 'UIEventInit',
+    members: ['ctrlKey', 'shiftKey', 'altKey', 'metaKey']
+  },
+  'KeyboardEventInit': {
+    parent: 'EventModifierInit',
+    members: ['key', 'code', 'location', 'repeat', 'isComposing', 'charCode',
+              'keyCode']
+  },
+  'TouchEventInit': {
+    parent: 'EventModifierInit',
+    members: ['touches', 'targetTouches', 'changedTouches']
+  },
+  'MouseEventInit': {
+    parent: 'EventModifierInit',
+    members: ['screenX', 'screenY', 'clientX', 'clientY', 'movementX',
+              'movementY', 'button', 'buttons', 'relatedTarget']
+  },
+  'DragEventInit': {
+    parent: 'MouseEventInit',
+    members: ['dataTransfer']
+  },
+  'WheelEventInit': {
+    parent: 'MouseEventInit',
+    members: ['deltaX', 'deltaY', 'deltaZ', 'deltaMode']
+  },
+  'PointerEventInit': {
+    parent: 'MouseEventInit',
+    members: ['pointerId', 'width', 'height', 'pressure',
+              'tangentialPressure', 'tiltX', 'tiltY', 'twist',
+              'altitudeAngle', 'azimuthAngle', 'pointerType', 'isPrimary']
+  }
+};
+
+
+/**
+ * Returns the event interface events of the given type are recreated as.
+ * @param {string} eventType The event type.
+ * @return {string} The name of the event interface.
+ * @private
+ */
+jsaction.getEventInterface_ = function(eventType) {
+  return jsaction.EVENT_INTERFACES_[eventType] || 'Event';
+};
+
+
+/**
+ * Checks whether an event interface is or inherits from MouseEvent, in which
+ * case the legacy fallback recreates its events as MouseEvents.
+ * @param {string} interfaceName The name of the event interface.
+ * @return {boolean} Whether it's a mouse event interface.
+ * @private
+ */
+jsaction.isMouseEventInterface_ = function(interfaceName) {
+  for (var name = interfaceName + 'Init'; name;
+       name = jsaction.EVENT_INIT_DICTIONARIES_[name].parent) {
+    if (name == 'MouseEventInit') {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Creates the init dictionary for the constructor of an event interface, with
+ * the members of the dictionary and the ones it inherits copied from the
+ * original event. Like the legacy init*Event() calls, events bubble and are
+ * cancelable unless the original event says otherwise.
+ * @param {string} interfaceName The name of the event interface.
+ * @param {!Event} original The event to copy the members from.
+ * @return {!Object<string, *>} The init dictionary.
+ * @private
+ */
+jsaction.createEventInit_ = function(interfaceName, original) {
+  var init = {'bubbles': true, 'cancelable': true, 'view': window};
+  var dictionary = jsaction.EVENT_INIT_DICTIONARIES_[interfaceName + 'Init'] ||
+      jsaction.EVENT_INIT_DICTIONARIES_['EventInit'];
+  for (; dictionary;
+       dictionary = dictionary.parent ?
+           jsaction.EVENT_INIT_DICTIONARIES_[dictionary.parent] : null) {
+    for (var i = 0; i < dictionary.members.length; i++) {
+      var member = dictionary.members[i];
+      var value = original[member];
+      if (goog.isDefAndNotNull(value)) {
+        // Touch lists are passed to the constructor as arrays.
+        init[member] = goog.isArrayLike(value) ?
+            goog.array.toArray(/** @type {!IArrayLike} */ (value)) : value;
+      }
+    }
+  }
+  return init;
+};
+
+
+/**
+ * Creates an event object for replaying through the DOM with the constructor
+ * of an event interface, e.g. new PointerEvent(type, init).
+ * @param {string} interfaceName The name of the event interface.
+ * @param {!Event} original The event to create a new event from.
+ * @param {string=} opt_eventType The type this event is being handled as by
+ *     jsaction.
+ * @return {Event} The event object, or null if the browser doesn't support
+ *     the constructor, in which case the legacy functions have to be used.
+ * @private
+ */
+jsaction.constructEvent_ = function(interfaceName, original, opt_eventType) {
+  var ctor = goog.global[interfaceName];
+  if (typeof ctor != 'function') {
+    return null;
+  }
+  var event;
+  try {
+    event = new /** @type {function(new:Event, string, !Object)} */ (ctor)(
+        opt_eventType || original.type,
+        jsaction.createEventInit_(interfaceName, original));
+  } catch (e) {
+    // Older browsers expose the interfaces but throw when they are used as
+    // constructors. The constructors also throw if a member has the wrong
+    // type, e.g. a touch list of plain objects.
+    return null;
+  }
+
+  // Not all browsers support the legacy keyCode and charCode members of the
+  // init dictionary, and the properties are readonly, see
+  // createKeyboardEvent().
+  if (interfaceName == 'KeyboardEvent' && goog.isDef(original.keyCode) &&
+      event.keyCode != original.keyCode) {
+    var keyCodeGetter = goog.functions.constant(original.keyCode);
+    Object.defineProperty(event, 'keyCode', {
+      get: keyCodeGetter
+    });
+    Object.defineProperty(event, 'which', {
+      get: keyCodeGetter
+    });
+  }
+  event.originalTimestamp = original.timeStamp;
+  return event;
+};
+
+
 /**
  * Create a whitespace-delineated list of modifier keys that should be
  * considered to be active on the event's key. See details at
@@ -112,7 +370,13 @@ jsaction.createKeyboardModifiersList_ = function(alt, ctrl, meta, shift) {
  * @return {!Event} The event object.
  */
 jsaction.createUiEvent = function(original, opt_eventType) {
-  var event;
+  var interfaceName = jsaction.getEventInterface_(
+      opt_eventType || original.type) == 'FocusEvent' ? 'FocusEvent' :
+      'UIEvent';
+  var event = jsaction.constructEvent_(interfaceName, original, opt_eventType);
+  if (event) {
+    return event;
+  }
   if (document.createEvent) {
     // Event creation as per W3C event model specification.  This codepath
     // is used by most non-IE browsers and also by IE 9 and later.
@@ -152,7 +416,11 @@ jsaction.createUiEvent = function(original, opt_eventType) {
  * @return {!Event} The event object.
  */
 jsaction.createKeyboardEvent = function(original, opt_eventType) {
-  var event;
+  var event = jsaction.constructEvent_(
+      'KeyboardEvent', original, opt_eventType);
+  if (event) {
+    return event;
+  }
   if (jsaction.event.isSafari) {
     // We have to fall back to a generic event for Safari, which has the WebKit
     // keyCode bug noted below, but is also incapable of fixing it with
@@ -248,7 +516,10 @@ jsaction.createKeyboardEvent = function(original, opt_eventType) {
  * @return {!MouseEvent} The event object.
  */
 jsaction.createMouseEvent = function(original, opt_eventType) {
-  var event;
+  var event = jsaction.constructEvent_('MouseEvent', original, opt_eventType);
+  if (event) {
+    return /** @type {!MouseEvent} */ (event);
+  }
   if (document.createEvent) {
     // Event creation as per W3C event model specification.  This codepath
     // is used by most non-IE browsers and also by IE 9 and later.
@@ -323,10 +594,13 @@ jsaction.createGenericEvent_ = function(original, opt_eventType) {
 
 
 /**
- * Creates an event object for replaying through the DOM.
+ * Creates an event object for replaying through the DOM. The event is
+ * created with the constructor of its event interface, e.g. PointerEvent or
+ * DragEvent, which copies all standard properties of the original event.
+ * Browsers without the constructors get a keyboard, mouse, UI or generic
+ * event created the legacy way.
  * NOTE(ruilopes): This function is visible just for testing.  Please don't use
  * it outside JsAction internal testing.
- * TODO(ruilopes): Add support for FocusEvent and WheelEvent.
  * @param {!Event} original The event to create a new event from.
  * @param {string=} opt_eventType The type this event is being handled as by
  *     jsaction. E.g. a keypress is handled as click in some cases.
@@ -334,26 +608,30 @@ jsaction.createGenericEvent_ = function(original, opt_eventType) {
  */
 jsaction.createEvent = function(original, opt_eventType) {
   var event;
-  var eventType;
   if (original.type == jsaction.EventType.CUSTOM) {
-    eventType = jsaction.EventType.CUSTOM;
-  } else {
-    eventType = opt_eventType || original.type;
+    goog.asserts.assert(opt_eventType);
+    event = jsaction.createCustomEvent(
+        opt_eventType,
+        original['detail']['data'],
+        original['detail']['triggeringEvent']);
+    event.originalTimestamp = original.timeStamp;
+    return event;
+  }
+
+  var eventType = opt_eventType || original.type;
+  var interfaceName = jsaction.getEventInterface_(eventType);
+  event = jsaction.constructEvent_(interfaceName, original, opt_eventType);
+  if (event) {
+    return event;
   }
 
   if (jsaction.isKeyboardEvent_(eventType)) {
     event = jsaction.createKeyboardEvent(original, opt_eventType);
-  } else if (jsaction.isMouseEvent_(eventType)) {
+  } else if (jsaction.isMouseEvent_(eventType) ||
+      jsaction.isMouseEventInterface_(interfaceName)) {
     event = jsaction.createMouseEvent(original, opt_eventType);
   } else if (jsaction.isUiEvent_(eventType)) {
     event = jsaction.createUiEvent(original, opt_eventType);
-  } else if (eventType == jsaction.EventType.CUSTOM) {
-    goog.asserts.assert(opt_eventType);
-    event = jsaction.createCustomEvent(
-        opt_eventType,
-        original['detail']['data'],
-        original['detail']['triggeringEvent']);
-    event.originalTimestamp = original.timeStamp;
   } else {
     // This ensures we don't send an undefined event object to the replayer.
     event = jsaction.createGenericEvent_(original, opt_eventType);
@@ -5,8 +5,12 @@
 goog.provide('jsaction.replayEventTest');
 goog.setTestOnly('jsaction.replayEventTest');
 
+goog.require('goog.dom');
+goog.require('goog.testing.PropertyReplacer');
 goog.require('goog.testing.jsunit');
 goog.require('jsaction.EventType');
+goog.require('jsaction.event');
+goog.require('jsaction.focus');
 goog.require('jsaction.replayEvent');
 
 
@@ -27,6 +31,14 @@ var mockEvent = {
 };
 
 
+var propertyReplacer_ = new goog.testing.PropertyReplacer;
+
+
+function tearDown() {
+  propertyReplacer_.reset();
+}
+
+
 function createEventArrayForTypes(eventTypes) {
   var events = [];
   for (var i = 0; i < eventTypes.length; ++i) {
@@ -42,6 +54,8 @@ function testIsUiEvent() {
     jsaction.EventType.FOCUS,
     jsaction.EventType.FOCUSIN,
     jsaction.EventType.FOCUSOUT,
+    jsaction.EventType.FOCUSWITHIN,
+    jsaction.EventType.FOCUSOUTSIDE,
     jsaction.EventType.SCROLL
   ];
   var uiEvents = createEventArrayForTypes(uiEventTypes);
@@ -72,8 +86,11 @@ function testIsMouseEvent() {
     jsaction.EventType.CLICK,
     jsaction.EventType.DBLCLICK,
     jsaction.EventType.MOUSEDOWN,
+    jsaction.EventType.MOUSEUP,
     jsaction.EventType.MOUSEOVER,
     jsaction.EventType.MOUSEOUT,
+    jsaction.EventType.MOUSEENTER,
+    jsaction.EventType.MOUSELEAVE,
     jsaction.EventType.MOUSEMOVE
   ];
   var mouseEvents = createEventArrayForTypes(mouseEventTypes);
@@ -195,6 +212,212 @@ function testCreateEvent() {
 }
 
 
+function testCreateEventWithPointerEventConstructor() {
+  var event = {
+    'type': 'pointerdown',
+    'bubbles': true,
+    'cancelable': true,
+    'clientX': 10,
+    'clientY': 20,
+    'ctrlKey': true,
+    'button': 0,
+    'buttons': 1,
+    'pointerId': 3,
+    'width': 2,
+    'height': 4,
+    'pressure': 0.5,
+    'tiltX': 15,
+    'pointerType': 'pen',
+    'isPrimary': true,
+    'timeStamp': 1234
+  };
+  var nativeEvent = jsaction.createEvent(event);
+  assertTrue(nativeEvent instanceof PointerEvent);
+  assertEquals('pointerdown', nativeEvent.type);
+  assertEquals(10, nativeEvent.clientX);
+  assertEquals(20, nativeEvent.clientY);
+  assertTrue(nativeEvent.ctrlKey);
+  assertEquals(1, nativeEvent.buttons);
+  assertEquals(3, nativeEvent.pointerId);
+  assertEquals(2, nativeEvent.width);
+  assertEquals(4, nativeEvent.height);
+  assertEquals(0.5, nativeEvent.pressure);
+  assertEquals(15, nativeEvent.tiltX);
+  assertEquals('pen', nativeEvent.pointerType);
+  assertTrue(nativeEvent.isPrimary);
+  assertEquals(event.timeStamp, nativeEvent.originalTimestamp);
+}
+
+
+function testCreateEventWithWheelEventConstructor() {
+  var nativeEvent = jsaction.createEvent({
+    'type': 'wheel',
+    'deltaX': 1,
+    'deltaY': -120,
+    'deltaMode': 1,
+    'shiftKey': true
+  });
+  assertTrue(nativeEvent instanceof WheelEvent);
+  assertEquals(1, nativeEvent.deltaX);
+  assertEquals(-120, nativeEvent.deltaY);
+  assertEquals(1, nativeEvent.deltaMode);
+  assertTrue(nativeEvent.shiftKey);
+}
+
+
+function testCreateEventWithInputEventConstructor() {
+  var nativeEvent = jsaction.createEvent({
+    'type': jsaction.EventType.INPUT,
+    'data': 'a',
+    'inputType': 'insertText',
+    'isComposing': true
+  });
+  assertTrue(nativeEvent instanceof InputEvent);
+  assertEquals('a', nativeEvent.data);
+  assertEquals('insertText', nativeEvent.inputType);
+  assertTrue(nativeEvent.isComposing);
+}
+
+
+function testCreateEventWithDragEventConstructor() {
+  var dataTransfer = new DataTransfer;
+  var nativeEvent = jsaction.createEvent({
+    'type': 'drop',
+    'clientX': 5,
+    'dataTransfer': dataTransfer
+  });
+  assertTrue(nativeEvent instanceof DragEvent);
+  assertEquals(5, nativeEvent.clientX);
+  assertEquals(dataTransfer, nativeEvent.dataTransfer);
+}
+
+
+function testCreateEventWithFocusEventConstructor() {
+  var relatedTarget = document.createElement('div');
+  var nativeEvent = jsaction.createEvent({
+    'type': jsaction.EventType.BLUR,
+    'bubbles': false,
+    'relatedTarget': relatedTarget
+  }, jsaction.EventType.FOCUSOUT);
+  assertTrue(nativeEvent instanceof FocusEvent);
+  assertEquals(jsaction.EventType.FOCUSOUT, nativeEvent.type);
+  assertFalse(nativeEvent.bubbles);
+  assertEquals(relatedTarget, nativeEvent.relatedTarget);
+}
+
+
+function testCreateEventWithKeyboardEventConstructor() {
+  var nativeEvent = jsaction.createEvent({
+    'type': jsaction.EventType.KEYDOWN,
+    'key': 'Enter',
+    'code': 'NumpadEnter',
+    'location': 3,
+    'repeat': true,
+    'keyCode': 13,
+    'altKey': true
+  });
+  assertTrue(nativeEvent instanceof KeyboardEvent);
+  assertEquals('Enter', nativeEvent.key);
+  assertEquals('NumpadEnter', nativeEvent.code);
+  assertEquals(3, nativeEvent.location);
+  assertTrue(nativeEvent.repeat);
+  assertEquals(13, nativeEvent.keyCode);
+  assertEquals(13, nativeEvent.which);
+  assertTrue(nativeEvent.altKey);
+}
+
+
+function testCreateEventWithMouseEventConstructor() {
+  var nativeEvent = jsaction.createEvent({
+    'type': jsaction.EventType.MOUSEUP,
+    'button': 2,
+    'buttons': 0,
+    'screenX': 7
+  });
+  assertTrue(nativeEvent instanceof MouseEvent);
+  assertEquals(jsaction.EventType.MOUSEUP, nativeEvent.type);
+  assertEquals(2, nativeEvent.button);
+  assertEquals(7, nativeEvent.screenX);
+}
+
+
+function testCreateEventFallsBackWithoutConstructor() {
+  propertyReplacer_.set(goog.global, 'PointerEvent', undefined);
+  var nativeEvent = jsaction.createEvent({
+    'type': 'pointerup',
+    'clientX': 10,
+    'timeStamp': 1234
+  });
+  assertTrue(nativeEvent instanceof MouseEvent);
+  assertEquals('pointerup', nativeEvent.type);
+  assertEquals(10, nativeEvent.clientX);
+  assertEquals(1234, nativeEvent.originalTimestamp);
+}
+
+
+function testCreateEventFallsBackWhenConstructorThrows() {
+  propertyReplacer_.set(goog.global, 'TouchEvent', function() {
+    throw new TypeError('Not a Touch');
+  });
+  var nativeEvent = jsaction.createEvent({
+    'type': jsaction.EventType.TOUCHSTART,
+    'touches': [{'identifier': 1}],
+    'timeStamp': 1234
+  });
+  assertEquals(jsaction.EventType.TOUCHSTART, nativeEvent.type);
+  assertEquals(1234, nativeEvent.originalTimestamp);
+}
+
+
+function testCreateEventInitCopiesTouchListsAsArrays() {
+  var touch = {'identifier': 1};
+  var touches = {'length': 1, 0: touch};
+  var init = jsaction.createEventInit_('TouchEvent', /** @type {!Event} */ ({
+    'type': jsaction.EventType.TOUCHMOVE,
+    'touches': touches,
+    'changedTouches': touches,
+    'metaKey': true
+  }));
+  assertArrayEquals([touch], init['touches']);
+  assertArrayEquals([touch], init['changedTouches']);
+  assertUndefined(init['targetTouches']);
+  assertTrue(init['metaKey']);
+  assertTrue(init['bubbles']);
+  assertEquals(window, init['view']);
+}
+
+
+function testCreateEventWithCustomEventConstructor() {
+  var triggeringEvent = jsaction.createEvent(mockEvent);
+  var original = jsaction.createCustomEvent(
+      'foo', {'x': 1}, triggeringEvent);
+  var nativeEvent = jsaction.createEvent(original, 'foo');
+  assertTrue(nativeEvent instanceof CustomEvent);
+  assertEquals(jsaction.EventType.CUSTOM, nativeEvent.type);
+  assertEquals('foo', nativeEvent.detail['_type']);
+  assertObjectEquals({'x': 1}, nativeEvent.detail.data);
+  assertEquals(triggeringEvent, nativeEvent.detail.triggeringEvent);
+}
+
+
+function testCreateEventForGestureEvent() {
+  var data = {
+    'direction': 'left',
+    'duration': 120,
+    'distance': 80,
+    'clientX': 100,
+    'clientY': 50
+  };
+  var original = jsaction.event.createGestureEvent(
+      jsaction.EventType.SWIPELEFT, data);
+  var nativeEvent = jsaction.createEvent(original);
+  assertTrue(nativeEvent instanceof CustomEvent);
+  assertEquals(jsaction.EventType.SWIPELEFT, nativeEvent.type);
+  assertTrue(nativeEvent.bubbles);
+  assertEquals(data, nativeEvent.detail);
+}
+
+
 function testTriggerEventWithDispatchEvent() {
   var dispatchEventCalled = false;
   var eventPassed = {'type': 'FOOBAR'};
@@ -238,3 +461,71 @@ function testReplayEvent() {
   assertTrue(onclickCalled);
   document.body.onclick = null;
 }
+
+
+function testReplayEventRestoresFocusState() {
+  var input = document.createElement('input');
+  input.value = 'jsaction';
+  var other = document.createElement('input');
+  document.body.appendChild(input);
+  document.body.appendChild(other);
+
+  input.focus();
+  input.setSelectionRange(1, 3);
+  var focusState = jsaction.focus.capture();
+  other.focus();
+  other.value = 'user';
+  other.setSelectionRange(4, 4);
+
+  var activeElement = null;
+  var selection = null;
+  input.onkeydown = function() {
+    activeElement = document.activeElement;
+    selection = [input.selectionStart, input.selectionEnd];
+  };
+  jsaction.replayEvent({
+    'eventType': 'keydown',
+    'event': {type: 'keydown', keyCode: 65},
+    'targetElement': input,
+    'focusState': focusState
+  });
+
+  // The event sees the focus of the time it was queued, and the user's focus
+  // is restored afterwards.
+  assertEquals(input, activeElement);
+  assertArrayEquals([1, 3], selection);
+  assertEquals(other, document.activeElement);
+  assertEquals(4, other.selectionStart);
+
+  goog.dom.removeNode(input);
+  goog.dom.removeNode(other);
+}
+
+
+function testReplayEventKeepsFocusMovedByHandler() {
+  var input = document.createElement('input');
+  var other = document.createElement('input');
+  var moved = document.createElement('input');
+  document.body.appendChild(input);
+  document.body.appendChild(other);
+  document.body.appendChild(moved);
+
+  input.focus();
+  var focusState = jsaction.focus.capture();
+  other.focus();
+
+  input.onkeydown = function() {
+    moved.focus();
+  };
+  jsaction.replayEvent({
+    'eventType': 'keydown',
+    'event': {type: 'keydown', keyCode: 65},
+    'targetElement': input,
+    'focusState': focusState
+  });
+  assertEquals(moved, document.activeElement);
+
+  goog.dom.removeNode(input);
+  goog.dom.removeNode(other);
+  goog.dom.removeNode(moved);
+}
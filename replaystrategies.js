@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Ready-made event replayers for
+ * jsaction.Dispatcher#setEventReplayer. Each function returns a replayer
+ * that replays the queued events the dispatcher can dispatch, removes them
+ * from the queue, and leaves the others queued until their handlers are
+ * loaded.
+ *
+ * Example:
+ *
+ *   dispatcher.setEventReplayer(jsaction.replayStrategies.dropDisconnected({
+ *     onReplay: function(counts) {
+ *       log('replayed', counts.replayed, 'dropped', counts.dropped);
+ *     }
+ *   }));
+ */
+
+goog.provide('jsaction.replayStrategies');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('jsaction.Dispatcher');
+goog.require('jsaction.EventContract');
+goog.require('jsaction.EventType');
+goog.require('jsaction.dom');
+goog.require('jsaction.replayEvent');
+
+
+/**
+ * The number of events one run of a replayer replayed, and the number of
+ * events it dropped from the queue without replaying them.
+ * @typedef {{replayed: number, dropped: number}}
+ */
+jsaction.replayStrategies.Counts;
+
+
+/**
+ * The options of the replayers.
+ *
+ * - replay replays one event. By default, jsaction.replayEvent() re-fires
+ *   the DOM event on its target element, see dispatchDirectly() for an
+ *   alternative. An element that binds several actions to an event queues
+ *   an event for each of them, which all share the DOM event. The default
+ *   replay re-fires such a DOM event only once, since that triggers all of
+ *   the actions again. A replay passed in is called for each event.
+ * - onReplay is called after each run of the replayer with its counts, e.g.
+ *   to report how many interactions were replayed and dropped.
+ *
+ * @typedef {{
+ *   replay: (function(!jsaction.EventInfo, !jsaction.Dispatcher)|undefined),
+ *   onReplay: (function(!jsaction.replayStrategies.Counts)|undefined)
+ * }}
+ */
+jsaction.replayStrategies.Options;
+
+
+/**
+ * An event replayer, as expected by jsaction.Dispatcher#setEventReplayer.
+ * @typedef {function(!Array.<jsaction.EventInfo>, !jsaction.Dispatcher):void}
+ */
+jsaction.replayStrategies.Replayer;
+
+
+/**
+ * Decides whether a queued event is kept. It's passed the event, the index
+ * of the event and all events of the run, and may update the event.
+ * @typedef {function(!jsaction.EventInfo, number,
+ *     !Array.<!jsaction.EventInfo>):boolean}
+ * @private
+ */
+jsaction.replayStrategies.Filter_;
+
+
+/**
+ * Set on a DOM event once some of the queued events that share it were
+ * dispatched directly instead of re-firing it. The others are then
+ * dispatched directly as well.
+ * @private @const {string}
+ */
+jsaction.replayStrategies.DISPATCHED_ = '__jsreplaydispatched';
+
+
+/**
+ * Returns a replayer that replays all events that can be dispatched, in the
+ * order they were queued.
+ * @param {jsaction.replayStrategies.Options=} opt_options
+ * @return {jsaction.replayStrategies.Replayer}
+ */
+jsaction.replayStrategies.replayAll = function(opt_options) {
+  return jsaction.replayStrategies.create_(null, opt_options || {});
+};
+
+
+/**
+ * Returns a replayer that replays only the last queued click of each action,
+ * and drops the earlier ones, e.g. the repeated clicks of impatient users.
+ * Other events are replayed like by replayAll().
+ * @param {jsaction.replayStrategies.Options=} opt_options
+ * @return {jsaction.replayStrategies.Replayer}
+ */
+jsaction.replayStrategies.replayLastClickPerAction = function(opt_options) {
+  return jsaction.replayStrategies.create_(function(eventInfo, index, events) {
+    if (!jsaction.replayStrategies.isClick_(eventInfo)) {
+      return true;
+    }
+    for (var i = index + 1; i < events.length; i++) {
+      if (jsaction.replayStrategies.isClick_(events[i]) &&
+          events[i]['action'] == eventInfo['action']) {
+        return false;
+      }
+    }
+    return true;
+  }, opt_options || {});
+};
+
+
+/**
+ * Returns a replayer that passes the events directly to the dispatcher,
+ * instead of re-firing the DOM events. The handlers get the original event
+ * info, but the default action of the browser, e.g. following a link, isn't
+ * performed again, and listeners outside of jsaction don't see the events.
+ * @param {jsaction.replayStrategies.Options=} opt_options The replay option
+ *     is ignored.
+ * @return {jsaction.replayStrategies.Replayer}
+ */
+jsaction.replayStrategies.dispatchDirectly = function(opt_options) {
+  var options = goog.object.clone(opt_options || {});
+  options.replay = function(eventInfo, dispatcher) {
+    dispatcher.dispatch(eventInfo);
+  };
+  return jsaction.replayStrategies.create_(null, options);
+};
+
+
+/**
+ * Returns a replayer that drops the events whose action element is no
+ * longer connected to the document, e.g. because the part of the page was
+ * rendered again while the handlers were loaded.
+ * @param {jsaction.replayStrategies.Options=} opt_options
+ * @return {jsaction.replayStrategies.Replayer}
+ */
+jsaction.replayStrategies.dropDisconnected = function(opt_options) {
+  return jsaction.replayStrategies.create_(function(eventInfo) {
+    var actionElement = eventInfo['actionElement'];
+    return !!actionElement && jsaction.dom.isConnected(actionElement);
+  }, opt_options || {});
+};
+
+
+/**
+ * Returns a replayer that resolves the action of each event again against
+ * the jsaction attributes in the current DOM, the way the EventContract
+ * resolves the actions of the events it receives, before it decides whether
+ * the event can be dispatched. An event whose action is still bound keeps it,
+ * otherwise it gets the first action the event is now mapped to. Events that
+ * are no longer mapped to an action are dropped.
+ * @param {jsaction.replayStrategies.Options=} opt_options
+ * @return {jsaction.replayStrategies.Replayer}
+ */
+jsaction.replayStrategies.reResolveAction = function(opt_options) {
+  return jsaction.replayStrategies.create_(function(eventInfo) {
+    var target = eventInfo['targetElement'];
+    var resolved = target && jsaction.dom.isConnected(target) ?
+        jsaction.EventContract.resolveActions(eventInfo) : [];
+    var match = goog.array.find(resolved, function(candidate) {
+      return candidate.action == eventInfo['action'];
+    }) || resolved[0];
+    if (!match) {
+      return false;
+    }
+    eventInfo['eventType'] = match.eventType;
+    eventInfo['action'] = match.action;
+    eventInfo['actionElement'] = match.actionElement;
+    return true;
+  }, opt_options || {});
+};
+
+
+/**
+ * Creates a replayer. The events are taken from the queue, and the ones the
+ * filter doesn't keep are dropped. The others are replayed if the
+ * dispatcher can dispatch them, or else put back into the queue in order.
+ * @param {?jsaction.replayStrategies.Filter_} filter The filter, or null to
+ *     keep all events.
+ * @param {!jsaction.replayStrategies.Options} options
+ * @return {jsaction.replayStrategies.Replayer}
+ * @private
+ */
+jsaction.replayStrategies.create_ = function(filter, options) {
+  return function(queue, dispatcher) {
+    var counts = {replayed: 0, dropped: 0};
+    var events = /** @type {!Array.<!jsaction.EventInfo>} */ (
+        goog.array.splice(queue, 0, queue.length));
+    var kept = [];
+    var replayable = [];
+    for (var i = 0; i < events.length; i++) {
+      var eventInfo = events[i];
+      if (filter && !filter(eventInfo, i, events)) {
+        counts.dropped++;
+      } else if (dispatcher.canDispatch(eventInfo)) {
+        replayable.push(eventInfo);
+      } else {
+        kept.push(eventInfo);
+      }
+    }
+
+    var refired = [];
+    for (var i = 0; i < replayable.length; i++) {
+      var eventInfo = replayable[i];
+      var event = eventInfo['event'];
+      if (options.replay) {
+        options.replay(eventInfo, dispatcher);
+      } else if (event[jsaction.replayStrategies.DISPATCHED_] ||
+          jsaction.replayStrategies.countSharing_(event, replayable) <
+          jsaction.replayStrategies.countSharing_(event, events)) {
+        // Re-firing the DOM event would also trigger the actions of the
+        // events that were dropped or stay queued, or were dispatched by an
+        // earlier run.
+        event[jsaction.replayStrategies.DISPATCHED_] = true;
+        dispatcher.dispatch(eventInfo);
+      } else if (!goog.array.contains(refired, event)) {
+        refired.push(event);
+        jsaction.replayEvent(eventInfo);
+      }
+      counts.replayed++;
+    }
+
+    // Events queued while replaying stay behind the ones queued before.
+    goog.array.insertArrayAt(queue, kept, 0);
+    if (options.onReplay) {
+      options.onReplay(counts);
+    }
+  };
+};
+
+
+/**
+ * @param {!Event} event A DOM event.
+ * @param {!Array.<!jsaction.EventInfo>} events Queued events.
+ * @return {number} The number of the events that share the DOM event.
+ * @private
+ */
+jsaction.replayStrategies.countSharing_ = function(event, events) {
+  var count = 0;
+  for (var i = 0; i < events.length; i++) {
+    if (events[i]['event'] == event) {
+      count++;
+    }
+  }
+  return count;
+};
+
+
+/**
+ * @param {!jsaction.EventInfo} eventInfo An event.
+ * @return {boolean} Whether the event is a click.
+ * @private
+ */
+jsaction.replayStrategies.isClick_ = function(eventInfo) {
+  var eventType = eventInfo['eventType'];
+  return eventType == jsaction.EventType.CLICK ||
+      eventType == jsaction.EventType.CLICKONLY;
+};
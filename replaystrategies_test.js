@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Tests for jsaction.replayStrategies.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.replayStrategiesTest');
+goog.setTestOnly('jsaction.replayStrategiesTest');
+
+goog.require('goog.dom');
+goog.require('goog.testing.jsunit');
+goog.require('goog.testing.recordFunction');
+goog.require('jsaction.Dispatcher');
+goog.require('jsaction.EventContract');
+goog.require('jsaction.Property');
+goog.require('jsaction.replayStrategies');
+/** @suppress {extraRequire} */
+goog.require('jsaction.replayEvent');
+
+
+var dispatcher_;
+var root_;
+var replay_;
+var counts_;
+
+
+function setUp() {
+  dispatcher_ = new jsaction.Dispatcher;
+  dispatcher_.registerHandlers('foo', null, {
+    'a': goog.nullFunction,
+    'b': goog.nullFunction
+  });
+  root_ = document.createElement('div');
+  document.body.appendChild(root_);
+  replay_ = goog.testing.recordFunction();
+  counts_ = [];
+}
+
+
+function tearDown() {
+  goog.dom.removeNode(root_);
+  jsaction.EventContract.A11Y_CLICK_SUPPORT = false;
+}
+
+
+/**
+ * @return {!jsaction.replayStrategies.Options} Options that record the
+ *     replayed events and the counts.
+ */
+function createOptions() {
+  return {
+    replay: replay_,
+    onReplay: function(counts) {
+      counts_.push(counts);
+    }
+  };
+}
+
+
+/**
+ * @param {string} eventType
+ * @param {string} action
+ * @param {Element=} opt_element The target and action element, a new element
+ *     attached to the document by default.
+ * @return {!jsaction.EventInfo}
+ */
+function createEventInfo(eventType, action, opt_element) {
+  var element = opt_element || root_.appendChild(
+      document.createElement('div'));
+  return /** @type {!jsaction.EventInfo} */ ({
+    'eventType': eventType,
+    'event': jsaction.createEvent({type: eventType}),
+    'targetElement': element,
+    'action': action,
+    'actionElement': element,
+    'timeStamp': 0
+  });
+}
+
+
+/**
+ * @return {!Array.<string>} The actions of the replayed events.
+ */
+function getReplayedActions() {
+  var actions = [];
+  var calls = replay_.getCalls();
+  for (var i = 0; i < calls.length; i++) {
+    actions.push(calls[i].getArgument(0)['action']);
+  }
+  return actions;
+}
+
+
+function testReplayAll() {
+  var unloaded = createEventInfo('click', 'bar.x');
+  var queue = [
+    createEventInfo('click', 'foo.a'),
+    unloaded,
+    createEventInfo('keydown', 'foo.b')
+  ];
+  jsaction.replayStrategies.replayAll(createOptions())(queue, dispatcher_);
+
+  assertArrayEquals(['foo.a', 'foo.b'], getReplayedActions());
+  assertEquals(dispatcher_, replay_.getCalls()[0].getArgument(1));
+  assertArrayEquals([unloaded], queue);
+  assertObjectEquals([{replayed: 2, dropped: 0}], counts_);
+}
+
+
+function testReplayAllKeepsEventsQueuedWhileReplaying() {
+  var unloaded = createEventInfo('click', 'bar.x');
+  var queuedWhileReplaying = createEventInfo('click', 'bar.y');
+  var queue = [createEventInfo('click', 'foo.a'), unloaded];
+  jsaction.replayStrategies.replayAll({
+    replay: function() {
+      queue.push(queuedWhileReplaying);
+    }
+  })(queue, dispatcher_);
+  assertArrayEquals([unloaded, queuedWhileReplaying], queue);
+}
+
+
+function testReplayLastClickPerAction() {
+  var lastClick = createEventInfo('click', 'foo.a');
+  var queue = [
+    createEventInfo('click', 'foo.a'),
+    createEventInfo('click', 'foo.b'),
+    createEventInfo('keydown', 'foo.a'),
+    createEventInfo('clickonly', 'foo.a'),
+    lastClick
+  ];
+  jsaction.replayStrategies.replayLastClickPerAction(createOptions())(
+      queue, dispatcher_);
+
+  assertArrayEquals(['foo.b', 'foo.a', 'foo.a'], getReplayedActions());
+  assertEquals(lastClick, replay_.getLastCall().getArgument(0));
+  assertArrayEquals([], queue);
+  assertObjectEquals([{replayed: 3, dropped: 2}], counts_);
+}
+
+
+function testDispatchDirectly() {
+  var handler = goog.testing.recordFunction();
+  dispatcher_.registerHandlers('baz', null, {'c': handler});
+  var eventInfo = createEventInfo('click', 'baz.c');
+  var queue = [eventInfo];
+  var options = createOptions();
+  jsaction.replayStrategies.dispatchDirectly(options)(queue, dispatcher_);
+
+  assertEquals(1, handler.getCallCount());
+  var flow = handler.getLastCall().getArgument(0);
+  assertEquals(eventInfo['event'], flow.event());
+  assertEquals(0, replay_.getCallCount());
+  assertArrayEquals([], queue);
+  assertObjectEquals([{replayed: 1, dropped: 0}], counts_);
+  // The options passed in are not changed.
+  assertEquals(replay_, options.replay);
+}
+
+
+function testDropDisconnected() {
+  var disconnected = createEventInfo(
+      'click', 'foo.a', document.createElement('div'));
+  var queue = [disconnected, createEventInfo('click', 'foo.b')];
+  jsaction.replayStrategies.dropDisconnected(createOptions())(
+      queue, dispatcher_);
+
+  assertArrayEquals(['foo.b'], getReplayedActions());
+  assertArrayEquals([], queue);
+  assertObjectEquals([{replayed: 1, dropped: 1}], counts_);
+}
+
+
+function testReResolveAction() {
+  root_.innerHTML =
+      '<div id="outer" jsnamespace="foo" jsaction="keydown.enter:b">' +
+      '  <div id="inner" jsaction="mouseover:x.y; a!bubble">' +
+      '    <span id="target"></span>' +
+      '  </div>' +
+      '</div>';
+  var target = goog.dom.getElement('target');
+  var click = createEventInfo('click', 'foo.old', target);
+  var keydown = createEventInfo('keydown', 'foo.old', target);
+  keydown['event'] = jsaction.createEvent({type: 'keydown', keyCode: 13});
+  var unbound = createEventInfo('focus', 'foo.old', target);
+  var queue = [click, keydown, unbound];
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      queue, dispatcher_);
+
+  assertArrayEquals(['foo.a', 'foo.b'], getReplayedActions());
+  assertEquals(goog.dom.getElement('inner'), click['actionElement']);
+  assertEquals(goog.dom.getElement('outer'), keydown['actionElement']);
+  assertArrayEquals([], queue);
+  assertObjectEquals([{replayed: 2, dropped: 1}], counts_);
+}
+
+
+function testReResolveActionMatchesClickonly() {
+  jsaction.EventContract.A11Y_CLICK_SUPPORT = true;
+  root_.innerHTML =
+      '<div id="outer" jsaction="clickonly:foo.a">' +
+      '  <span id="target"></span>' +
+      '</div>';
+  var click = createEventInfo('click', 'foo.old',
+      goog.dom.getElement('target'));
+  var clickonly = createEventInfo('clickonly', 'foo.old',
+      goog.dom.getElement('target'));
+  var queue = [click, clickonly];
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      queue, dispatcher_);
+
+  assertArrayEquals(['foo.a', 'foo.a'], getReplayedActions());
+  assertEquals(goog.dom.getElement('outer'), click['actionElement']);
+}
+
+
+function testReResolveActionMatchesKeyCombosAndModifiers() {
+  root_.innerHTML =
+      '<div jsaction="keydown[ctrl+s]:foo.a; keydown.esc:foo.b">' +
+      '  <div id="inner" jsaction="click.self:foo.a">' +
+      '    <span id="target"></span>' +
+      '  </div>' +
+      '</div>';
+  var target = goog.dom.getElement('target');
+  var keydown = createEventInfo('keydown', 'foo.old', target);
+  keydown['event'] = jsaction.createEvent({type: 'keydown', keyCode: 65});
+  var click = createEventInfo('click', 'foo.old', target);
+  var queue = [keydown, click];
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      queue, dispatcher_);
+
+  // A plain keydown matches neither the key combination nor the key
+  // modifier, and the click isn't on the element itself.
+  assertArrayEquals([], getReplayedActions());
+  assertObjectEquals([{replayed: 0, dropped: 2}], counts_);
+
+  var escape = createEventInfo('keydown', 'foo.old', target);
+  escape['event'] = jsaction.createEvent({type: 'keydown', keyCode: 27});
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      [escape], dispatcher_);
+  assertArrayEquals(['foo.b'], getReplayedActions());
+}
+
+
+function testReResolveActionFollowsOwner() {
+  root_.innerHTML = '<div id="owner" jsaction="foo.a"></div>';
+  var target = document.createElement('span');
+  document.body.appendChild(target);
+  target[jsaction.Property.OWNER] = goog.dom.getElement('owner');
+  var click = createEventInfo('click', 'foo.old', target);
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      [click], dispatcher_);
+
+  assertArrayEquals(['foo.a'], getReplayedActions());
+  assertEquals(goog.dom.getElement('owner'), click['actionElement']);
+  goog.dom.removeNode(target);
+}
+
+
+function testReResolveActionKeepsStillBoundActions() {
+  root_.innerHTML = '<div id="target" jsaction="foo.a; foo.b"></div>';
+  var target = goog.dom.getElement('target');
+  var queue = [
+    createEventInfo('click', 'foo.b', target),
+    createEventInfo('click', 'foo.a', target)
+  ];
+  jsaction.replayStrategies.reResolveAction(createOptions())(
+      queue, dispatcher_);
+
+  assertArrayEquals(['foo.b', 'foo.a'], getReplayedActions());
+}
+
+
+function testWorksAsEventReplayer() {
+  var queue = [createEventInfo('click', 'foo.a')];
+  dispatcher_.setEventReplayer(
+      jsaction.replayStrategies.replayAll(createOptions()));
+  dispatcher_.dispatch(queue);
+  dispatcher_.replayNow();
+  assertArrayEquals(['foo.a'], getReplayedActions());
+}
+
+
+/**
+ * Queues a click on an element that binds the given actions in a contract,
+ * and hands the queue to the dispatcher.
+ * @param {string} jsaction The jsaction attribute of the element.
+ * @return {!jsaction.EventContract} The contract.
+ */
+function queueClick(jsaction) {
+  var element = root_.appendChild(document.createElement('div'));
+  element.setAttribute('jsaction', jsaction);
+  var contract = new jsaction.EventContract;
+  contract.addContainer(root_);
+  contract.addEvent('click');
+  jsaction.triggerEvent(
+      element, jsaction.createMouseEvent(
+          /** @type {!Event} */ ({type: 'click'})));
+  contract.dispatchTo(goog.bind(dispatcher_.dispatch, dispatcher_));
+  return contract;
+}
+
+
+function testReplayAllRefiresSharedEventOnce() {
+  var x = goog.testing.recordFunction();
+  var y = goog.testing.recordFunction();
+  dispatcher_.registerHandlers('a', null, {'x': x});
+  dispatcher_.registerHandlers('b', null, {'y': y});
+  var contract = queueClick('click:a.x;click:b.y');
+  dispatcher_.setEventReplayer(
+      jsaction.replayStrategies.replayAll(createOptionsWithoutReplay()));
+  dispatcher_.replayNow();
+
+  assertEquals(1, x.getCallCount());
+  assertEquals(1, y.getCallCount());
+  assertObjectEquals([{replayed: 2, dropped: 0}], counts_);
+  contract.dispose();
+}
+
+
+function testReplayAllDispatchesSharedEventWhenPartlyReplayable() {
+  var x = goog.testing.recordFunction();
+  dispatcher_.registerHandlers('a', null, {'x': x});
+  var contract = queueClick('click:a.x;click:b.y');
+  dispatcher_.setEventReplayer(
+      jsaction.replayStrategies.replayAll(createOptionsWithoutReplay()));
+  dispatcher_.replayNow();
+
+  // The handler of b.y isn't loaded yet, so its event stays queued instead
+  // of being queued again by a re-fired click.
+  assertEquals(1, x.getCallCount());
+  assertObjectEquals([{replayed: 1, dropped: 0}], counts_);
+
+  var y = goog.testing.recordFunction();
+  dispatcher_.registerHandlers('b', null, {'y': y});
+  dispatcher_.replayNow();
+  assertEquals(1, x.getCallCount());
+  assertEquals(1, y.getCallCount());
+  contract.dispose();
+}
+
+
+/**
+ * @return {!jsaction.replayStrategies.Options} Options that record the counts
+ *     and replay the events with the default replay.
+ */
+function createOptionsWithoutReplay() {
+  return {
+    onReplay: function(counts) {
+      counts_.push(counts);
+    }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Encoders that serialize the action flows collected by
+ * jsaction.reporting.Reporter into the payloads sent by its transport.
+ */
+
+goog.provide('jsaction.reporting.CsiEncoder');
+goog.provide('jsaction.reporting.Encoder');
+goog.provide('jsaction.reporting.Entry');
+goog.provide('jsaction.reporting.JsonEncoder');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.object');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.ActionFlow.EventType');
+goog.require('jsaction.UrlParam');
+
+
+/**
+ * A snapshot of an action flow at the time it was reported. 'type' is the
+ * type of the report event, i.e. DONE, ABANDONED or ERROR. 'timers' holds
+ * the ticks of the flow as pairs of tick name and time relative to 'start'.
+ * 'error', 'branch' and 'pendingBranches' are only set for ERROR events, see
+ * jsaction.ActionFlow.Event.
+ *
+ * @typedef {{
+ *   type: jsaction.ActionFlow.EventType,
+ *   flowType: string,
+ *   start: number,
+ *   timers: !Array.<!Array>,
+ *   actionData: !Object.<string, *>,
+ *   extraData: !Object.<string, jsaction.ActionFlow.ExtraDataValue>,
+ *   error: (string|undefined),
+ *   branch: (string|undefined),
+ *   pendingBranches: (!Array.<string>|undefined)
+ * }}
+ */
+jsaction.reporting.Entry;
+
+
+
+/**
+ * Serializes a batch of reported action flows.
+ * @interface
+ */
+jsaction.reporting.Encoder = function() {};
+
+
+/**
+ * @param {!Array.<!jsaction.reporting.Entry>} entries The batch of entries,
+ *     in the order in which they were reported.
+ * @return {!Array.<string>} The payloads to send.
+ */
+jsaction.reporting.Encoder.prototype.encode = function(entries) {};
+
+
+
+/**
+ * Encodes each entry as a CSI style query string, as used by the legacy
+ * reports, e.g. "action=foo.bar&rt=start.0,done.12&ct=foo.bar&ei=x&cad=k:v".
+ * Besides the action data of the flow ('ct', 'cd', 'ei', 'ved', 'vet'), the
+ * folded extra data is sent as 'cad'. Abandoned flows are marked with
+ * 'abandoned=1', errors with 'error' and, if known, 'branch'.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Encoder}
+ */
+jsaction.reporting.CsiEncoder = function() {};
+
+
+/** @override */
+jsaction.reporting.CsiEncoder.prototype.encode = function(entries) {
+  return goog.array.map(entries, jsaction.reporting.CsiEncoder.encodeEntry_);
+};
+
+
+/**
+ * @param {!jsaction.reporting.Entry} entry
+ * @return {string} The query string.
+ * @private
+ */
+jsaction.reporting.CsiEncoder.encodeEntry_ = function(entry) {
+  var params = [];
+  var add = function(key, value) {
+    params.push(key + '=' + encodeURIComponent(String(value)));
+  };
+
+  add('action', entry.flowType);
+  add('rt', goog.array.map(entry.timers, function(timer) {
+    return timer[0] + '.' + timer[1];
+  }).join(','));
+  goog.object.forEach(entry.actionData, function(value, key) {
+    if (key != jsaction.UrlParam.CLICK_ADDITIONAL_DATA) {
+      add(key, value);
+    }
+  });
+  var cad = jsaction.ActionFlow.foldCadObject(entry.extraData);
+  if (cad) {
+    add(jsaction.UrlParam.CLICK_ADDITIONAL_DATA, cad);
+  }
+
+  if (entry.type == jsaction.ActionFlow.EventType.ABANDONED) {
+    add('abandoned', 1);
+  } else if (entry.type == jsaction.ActionFlow.EventType.ERROR) {
+    add('error', entry.error);
+    if (entry.branch) {
+      add('branch', entry.branch);
+    }
+  }
+  return params.join('&');
+};
+
+
+
+/**
+ * Encodes a batch of entries as a single JSON array of objects, with the
+ * fields of jsaction.reporting.Entry as their properties.
+ * Unlike the 'cad' parameter of the CsiEncoder, the extra data keeps the
+ * values as they were added to the flow.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Encoder}
+ */
+jsaction.reporting.JsonEncoder = function() {};
+
+
+/** @override */
+jsaction.reporting.JsonEncoder.prototype.encode = function(entries) {
+  return [goog.json.serialize(goog.array.map(entries, function(entry) {
+    // The properties are quoted so that they survive compilation.
+    var object = {
+      'type': entry.type,
+      'flowType': entry.flowType,
+      'start': entry.start,
+      'timers': entry.timers,
+      'actionData': entry.actionData,
+      'extraData': entry.extraData
+    };
+    if (entry.type == jsaction.ActionFlow.EventType.ERROR) {
+      object['error'] = entry.error;
+      object['branch'] = entry.branch;
+      object['pendingBranches'] = entry.pendingBranches;
+    }
+    return object;
+  }))];
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Tests for the encoders of jsaction.reporting.Reporter.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.reporting.EncodersTest');
+goog.setTestOnly('jsaction.reporting.EncodersTest');
+
+goog.require('goog.json');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.reporting.CsiEncoder');
+goog.require('jsaction.reporting.JsonEncoder');
+
+
+/**
+ * @param {jsaction.ActionFlow.EventType} type
+ * @return {!jsaction.reporting.Entry}
+ */
+function createEntry(type) {
+  return {
+    type: type,
+    flowType: 'foo.bar',
+    start: 1000,
+    timers: [['start', 0], ['done', 12]],
+    actionData: {'ct': 'foo.bar'},
+    extraData: {'k': 'v'},
+    error: undefined,
+    branch: undefined,
+    pendingBranches: undefined
+  };
+}
+
+
+function testCsiEncoder() {
+  var payloads = new jsaction.reporting.CsiEncoder().encode([
+    createEntry(jsaction.ActionFlow.EventType.DONE),
+    createEntry(jsaction.ActionFlow.EventType.ABANDONED)
+  ]);
+  assertEquals(2, payloads.length);
+  assertEquals('action=foo.bar&rt=start.0%2Cdone.12&ct=foo.bar&cad=k%3Av',
+      payloads[0]);
+  assertEquals(payloads[0] + '&abandoned=1', payloads[1]);
+}
+
+
+function testCsiEncoderKeepsFractionalTimes() {
+  var entry = createEntry(jsaction.ActionFlow.EventType.DONE);
+  entry.timers = [['start', 0], ['load', 3.4], ['done', 12.345]];
+  var payload = new jsaction.reporting.CsiEncoder().encode([entry])[0];
+  assertContains('&rt=start.0%2Cload.3.4%2Cdone.12.345&', payload);
+}
+
+
+function testCsiEncoderError() {
+  var entry = createEntry(jsaction.ActionFlow.EventType.ERROR);
+  entry.error = jsaction.ActionFlow.Error.HUNG;
+  entry.branch = 'load';
+  var payload = new jsaction.reporting.CsiEncoder().encode([entry])[0];
+  assertContains('&error=hung&branch=load', payload);
+}
+
+
+function testJsonEncoder() {
+  var error = createEntry(jsaction.ActionFlow.EventType.ERROR);
+  error.error = jsaction.ActionFlow.Error.HUNG;
+  error.pendingBranches = ['main'];
+  var payloads = new jsaction.reporting.JsonEncoder().encode(
+      [createEntry(jsaction.ActionFlow.EventType.DONE), error]);
+  assertEquals(1, payloads.length);
+
+  var objects = goog.json.parse(payloads[0]);
+  assertEquals(2, objects.length);
+  assertEquals('foo.bar', objects[0]['flowType']);
+  assertArrayEquals(['done', 12], objects[0]['timers'][1]);
+  assertEquals('v', objects[0]['extraData']['k']);
+  assertUndefined(objects[0]['error']);
+  assertEquals(jsaction.ActionFlow.Error.HUNG, objects[1]['error']);
+  assertArrayEquals(['main'], objects[1]['pendingBranches']);
+}
+
+
+function testStructuredExtraData() {
+  var entry = createEntry(jsaction.ActionFlow.EventType.DONE);
+  entry.extraData = {'n': 1.5, 'list': ['a b', true]};
+
+  var csi = new jsaction.reporting.CsiEncoder().encode([entry])[0];
+  assertContains('&cad=' + encodeURIComponent(
+      'n:1.5,list:' + encodeURIComponent('["a_b"_true]')), csi);
+
+  var json = new jsaction.reporting.JsonEncoder().encode([entry])[0];
+  assertObjectEquals(entry.extraData, goog.json.parse(json)[0]['extraData']);
+}
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview A reporter that sends the reports of action flows to a
+ * server. It collects the DONE, ABANDONED and ERROR events fired on
+ * jsaction.ActionFlow.report in batches, serializes them with a
+ * jsaction.reporting.Encoder and sends them with a
+ * jsaction.reporting.Transport.
+ */
+
+goog.provide('jsaction.reporting.Reporter');
+
+goog.require('goog.Disposable');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('goog.object');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.ActionFlow.EventType');
+goog.require('jsaction.reporting.Encoder');
+goog.require('jsaction.reporting.Entry');
+goog.require('jsaction.reporting.Transport');
+
+
+
+/**
+ * Reports the action flows as they finish. A batch is sent when it reaches
+ * the maximum batch size, when the flush delay after its first entry has
+ * passed, when the page is hidden, or when flush() is called.
+ *
+ * Example: Send CSI style reports with sendBeacon().
+ *
+ *   var reporter = new jsaction.reporting.Reporter('/csi',
+ *       new jsaction.reporting.CsiEncoder(),
+ *       new jsaction.reporting.BeaconTransport());
+ *
+ * @param {string} url The URL to send the reports to.
+ * @param {!jsaction.reporting.Encoder} encoder The encoder of the batches.
+ * @param {!jsaction.reporting.Transport} transport The transport that sends
+ *     the encoded batches.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+jsaction.reporting.Reporter = function(url, encoder, transport) {
+  jsaction.reporting.Reporter.base(this, 'constructor');
+
+  /** @private {string} */
+  this.url_ = url;
+
+  /** @private {!jsaction.reporting.Encoder} */
+  this.encoder_ = encoder;
+
+  /** @private {!jsaction.reporting.Transport} */
+  this.transport_ = transport;
+
+  /** @private {number} */
+  this.maxBatchSize_ = jsaction.reporting.Reporter.DEFAULT_MAX_BATCH_SIZE;
+
+  /** @private {number} */
+  this.flushDelay_ = jsaction.reporting.Reporter.DEFAULT_FLUSH_DELAY;
+
+  /**
+   * The entries that were not sent yet.
+   * @private {!Array.<!jsaction.reporting.Entry>}
+   */
+  this.batch_ = [];
+
+  /**
+   * The id of the timer that flushes the current batch, if any.
+   * @private {?number}
+   */
+  this.timer_ = null;
+
+  /** @private {!goog.events.EventHandler.<!jsaction.reporting.Reporter>} */
+  this.handler_ = new goog.events.EventHandler(this);
+  this.registerDisposable(this.handler_);
+
+  this.handler_.listen(jsaction.ActionFlow.report, [
+    jsaction.ActionFlow.EventType.DONE,
+    jsaction.ActionFlow.EventType.ABANDONED,
+    jsaction.ActionFlow.EventType.ERROR
+  ], this.handleReport_);
+  // Reports that are still pending when the page goes away would be lost.
+  if (goog.global['addEventListener']) {
+    this.handler_.listen(goog.global, 'pagehide', this.flush);
+  }
+};
+goog.inherits(jsaction.reporting.Reporter, goog.Disposable);
+
+
+/**
+ * The default maximum number of entries in a batch.
+ * @const {number}
+ */
+jsaction.reporting.Reporter.DEFAULT_MAX_BATCH_SIZE = 20;
+
+
+/**
+ * The default time in milliseconds after which a batch is sent.
+ * @const {number}
+ */
+jsaction.reporting.Reporter.DEFAULT_FLUSH_DELAY = 5000;
+
+
+/**
+ * Sets the maximum number of entries in a batch. Use 1 to send every report
+ * right away.
+ * @param {number} maxBatchSize
+ */
+jsaction.reporting.Reporter.prototype.setMaxBatchSize = function(
+    maxBatchSize) {
+  this.maxBatchSize_ = maxBatchSize;
+};
+
+
+/**
+ * Sets the time in milliseconds after which a batch is sent, counted from the
+ * time of its first entry.
+ * @param {number} flushDelay
+ */
+jsaction.reporting.Reporter.prototype.setFlushDelay = function(flushDelay) {
+  this.flushDelay_ = flushDelay;
+};
+
+
+/**
+ * Sends the entries that were not sent yet.
+ */
+jsaction.reporting.Reporter.prototype.flush = function() {
+  if (this.timer_ != null) {
+    goog.Timer.clear(this.timer_);
+    this.timer_ = null;
+  }
+  if (goog.array.isEmpty(this.batch_)) {
+    return;
+  }
+  var payloads = this.encoder_.encode(this.batch_);
+  this.batch_ = [];
+  for (var i = 0; i < payloads.length; i++) {
+    this.transport_.send(this.url_, payloads[i]);
+  }
+};
+
+
+/**
+ * Adds the flow of a report event to the batch.
+ * @param {!jsaction.ActionFlow.Event} e The report event.
+ * @private
+ */
+jsaction.reporting.Reporter.prototype.handleReport_ = function(e) {
+  this.batch_.push(jsaction.reporting.Reporter.createEntry_(e));
+  if (this.batch_.length >= this.maxBatchSize_) {
+    this.flush();
+  } else if (this.timer_ == null) {
+    this.timer_ = goog.Timer.callOnce(this.flush, this.flushDelay_, this);
+  }
+};
+
+
+/**
+ * Takes a snapshot of the flow of a report event. The flow is disposed of
+ * right after it fires DONE or ABANDONED, so its data must be copied.
+ * @param {!jsaction.ActionFlow.Event} e The report event.
+ * @return {!jsaction.reporting.Entry}
+ * @private
+ */
+jsaction.reporting.Reporter.createEntry_ = function(e) {
+  var flow = e.flow;
+  var entry = {
+    type: /** @type {jsaction.ActionFlow.EventType} */ (e.type),
+    flowType: flow.flowType(),
+    start: flow.getStartTick(),
+    timers: jsaction.reporting.Reporter.getReportedTimers_(flow),
+    actionData: goog.object.clone(flow.getActionData()),
+    extraData: goog.object.unsafeClone(flow.getExtraData()),
+    error: undefined,
+    branch: undefined,
+    pendingBranches: undefined
+  };
+  if (e.type == jsaction.ActionFlow.EventType.ERROR) {
+    entry.error = e.error;
+    entry.branch = e.branch;
+    entry.pendingBranches = e.pendingBranches;
+  }
+  return entry;
+};
+
+
+/**
+ * @param {!jsaction.ActionFlow} flow An action flow.
+ * @return {!Array.<!Array>} The ticks of the flow that are reported to the
+ *     server, as pairs of tick name and time relative to the start.
+ * @private
+ */
+jsaction.reporting.Reporter.getReportedTimers_ = function(flow) {
+  var timers = goog.array.filter(flow.timers(), function(timer) {
+    return !timer[2];
+  });
+  return goog.array.map(timers, function(timer) {
+    return [timer[0], timer[1]];
+  });
+};
+
+
+/** @override */
+jsaction.reporting.Reporter.prototype.disposeInternal = function() {
+  this.flush();
+  jsaction.reporting.Reporter.base(this, 'disposeInternal');
+};
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests for jsaction.reporting.Reporter.
+ */
+
+/** @suppress {extraProvide} */
+goog.provide('jsaction.reporting.ReporterTest');
+goog.setTestOnly('jsaction.reporting.ReporterTest');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.testing.MockClock');
+goog.require('goog.testing.jsunit');
+goog.require('jsaction.ActionFlow');
+goog.require('jsaction.Branch');
+goog.require('jsaction.reporting.JsonEncoder');
+goog.require('jsaction.reporting.MemoryTransport');
+goog.require('jsaction.reporting.Reporter');
+
+
+var mockClock_;
+var transport_;
+var reporter_;
+
+
+function setUp() {
+  mockClock_ = new goog.testing.MockClock;
+  mockClock_.install();
+  goog.array.clear(jsaction.ActionFlow.instances);
+  transport_ = new jsaction.reporting.MemoryTransport();
+  reporter_ = new jsaction.reporting.Reporter(
+      '/report', new jsaction.reporting.JsonEncoder(), transport_);
+}
+
+
+function tearDown() {
+  reporter_.dispose();
+  goog.array.clear(jsaction.ActionFlow.instances);
+  mockClock_.uninstall();
+}
+
+
+/**
+ * @param {string} flowType
+ * @return {!jsaction.ActionFlow} A finished flow.
+ */
+function finishFlow(flowType) {
+  var flow = new jsaction.ActionFlow(flowType);
+  flow.done(jsaction.Branch.MAIN);
+  return flow;
+}
+
+
+/**
+ * @param {number} i The index of the payload.
+ * @return {!Array.<!Object>} The entries in the payload.
+ */
+function getEntries(i) {
+  return /** @type {!Array.<!Object>} */ (
+      goog.json.parse(transport_.getPayloads()[i]));
+}
+
+
+function testSendsBatchAfterFlushDelay() {
+  reporter_.setFlushDelay(100);
+  finishFlow('foo.bar');
+  finishFlow('foo.baz');
+
+  mockClock_.tick(99);
+  assertEquals(0, transport_.sent.length);
+
+  mockClock_.tick(1);
+  assertEquals(1, transport_.sent.length);
+  assertEquals('/report', transport_.sent[0].url);
+  var entries = getEntries(0);
+  assertEquals(2, entries.length);
+  assertEquals('foo.bar', entries[0]['flowType']);
+  assertEquals(jsaction.ActionFlow.EventType.DONE, entries[0]['type']);
+  assertEquals('foo.baz', entries[1]['flowType']);
+}
+
+
+function testSendsBatchWhenFull() {
+  reporter_.setMaxBatchSize(2);
+  finishFlow('foo.bar');
+  assertEquals(0, transport_.sent.length);
+
+  finishFlow('foo.baz');
+  assertEquals(1, transport_.sent.length);
+  assertEquals(2, getEntries(0).length);
+
+  // The batch timer was cleared by the flush.
+  mockClock_.tick(jsaction.reporting.Reporter.DEFAULT_FLUSH_DELAY);
+  assertEquals(1, transport_.sent.length);
+}
+
+
+function testFlush() {
+  reporter_.flush();
+  assertEquals(0, transport_.sent.length);
+
+  finishFlow('foo.bar');
+  reporter_.flush();
+  assertEquals(1, transport_.sent.length);
+  assertEquals(1, getEntries(0).length);
+}
+
+
+function testSnapshotsFlowData() {
+  var flow = new jsaction.ActionFlow('foo.bar');
+  flow.addExtraData('key', 'value');
+  flow.tick('hidden', {doNotReportToServer: true});
+  flow.tick('visible');
+  flow.done(jsaction.Branch.MAIN);
+  reporter_.flush();
+
+  var entry = getEntries(0)[0];
+  assertEquals(flow.getStartTick(), entry['start']);
+  assertEquals('value', entry['extraData']['key']);
+  var tickNames = goog.array.map(entry['timers'], function(timer) {
+    return timer[0];
+  });
+  assertContains('visible', tickNames);
+  assertNotContains('hidden', tickNames);
+}
+
+
+function testReportsErrorsAndAbandonedFlows() {
+  var flow = new jsaction.ActionFlow('foo.bar');
+  flow.branch('load');
+  flow.reportHung();
+  flow.abandon(true);
+  reporter_.flush();
+
+  var entries = getEntries(0);
+  assertEquals(2, entries.length);
+  assertEquals(jsaction.ActionFlow.EventType.ERROR, entries[0]['type']);
+  assertEquals(jsaction.ActionFlow.Error.HUNG, entries[0]['error']);
+  assertSameElements(
+      [jsaction.Branch.MAIN, 'load'], entries[0]['pendingBranches']);
+  assertEquals(jsaction.ActionFlow.EventType.ABANDONED, entries[1]['type']);
+}
+
+
+function testDisposeFlushes() {
+  finishFlow('foo.bar');
+  reporter_.dispose();
+  assertEquals(1, transport_.sent.length);
+
+  finishFlow('foo.baz');
+  mockClock_.tick(jsaction.reporting.Reporter.DEFAULT_FLUSH_DELAY);
+  assertEquals(1, transport_.sent.length);
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Transports that deliver the payloads produced by the encoder
+ * of a jsaction.reporting.Reporter to the reporting server.
+ */
+
+goog.provide('jsaction.reporting.BeaconTransport');
+goog.provide('jsaction.reporting.FetchTransport');
+goog.provide('jsaction.reporting.ImageTransport');
+goog.provide('jsaction.reporting.MemoryTransport');
+goog.provide('jsaction.reporting.Transport');
+
+
+
+/**
+ * Sends payloads to a URL.
+ * @interface
+ */
+jsaction.reporting.Transport = function() {};
+
+
+/**
+ * @param {string} url The URL to send the payload to.
+ * @param {string} payload The payload.
+ * @return {boolean} Whether the payload was handed off to the browser.
+ */
+jsaction.reporting.Transport.prototype.send = function(url, payload) {};
+
+
+
+/**
+ * Sends payloads with navigator.sendBeacon(), which delivers them even if the
+ * page is being unloaded.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Transport}
+ */
+jsaction.reporting.BeaconTransport = function() {};
+
+
+/**
+ * @return {boolean} Whether the browser supports navigator.sendBeacon().
+ */
+jsaction.reporting.BeaconTransport.isSupported = function() {
+  var navigator = goog.global['navigator'];
+  return !!navigator && goog.isFunction(navigator['sendBeacon']);
+};
+
+
+/** @override */
+jsaction.reporting.BeaconTransport.prototype.send = function(url, payload) {
+  if (!jsaction.reporting.BeaconTransport.isSupported()) {
+    return false;
+  }
+  // sendBeacon() returns false if the browser refuses to queue the payload,
+  // e.g. because it is too large.
+  return !!goog.global['navigator']['sendBeacon'](url, payload);
+};
+
+
+
+/**
+ * Sends payloads as POST requests with fetch() and the keepalive option,
+ * which delivers them even if the page is being unloaded.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Transport}
+ */
+jsaction.reporting.FetchTransport = function() {};
+
+
+/**
+ * @return {boolean} Whether the browser supports fetch().
+ */
+jsaction.reporting.FetchTransport.isSupported = function() {
+  return goog.isFunction(goog.global['fetch']);
+};
+
+
+/** @override */
+jsaction.reporting.FetchTransport.prototype.send = function(url, payload) {
+  if (!jsaction.reporting.FetchTransport.isSupported()) {
+    return false;
+  }
+  var response = goog.global['fetch'](url, {
+    'method': 'POST',
+    'body': payload,
+    'keepalive': true
+  });
+  // Failed reports are not retried, but they shouldn't show up as unhandled
+  // rejections either.
+  if (response && goog.isFunction(response['catch'])) {
+    response['catch'](goog.nullFunction);
+  }
+  return true;
+};
+
+
+
+/**
+ * Sends payloads as GET requests by loading an image whose URL has the
+ * payload as its query string. This works in every browser, but is only
+ * suited for payloads that are query strings themselves, like those of
+ * jsaction.reporting.CsiEncoder, and not reliable while the page is being
+ * unloaded.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Transport}
+ */
+jsaction.reporting.ImageTransport = function() {};
+
+
+/** @override */
+jsaction.reporting.ImageTransport.prototype.send = function(url, payload) {
+  var image = new Image();
+  image.src = url + (url.indexOf('?') == -1 ? '?' : '&') + payload;
+  return true;
+};
+
+
+
+/**
+ * Keeps the payloads in memory instead of sending them. Meant for tests.
+ *
+ * @constructor
+ * @implements {jsaction.reporting.Transport}
+ */
+jsaction.reporting.MemoryTransport = function() {
+  /**
+   * The payloads sent so far, with the URL they were sent to.
+   * @type {!Array.<{url: string, payload: string}>}
+   */
+  this.sent = [];
+};
+
+
+/** @override */
+jsaction.reporting.MemoryTransport.prototype.send = function(url, payload) {
+  this.sent.push({url: url, payload: payload});
+  return true;
+};
+
+
+/**
+ * @return {!Array.<string>} The payloads sent so far.
+ */
+jsaction.reporting.MemoryTransport.prototype.getPayloads = function() {
+  var payloads = [];
+  for (var i = 0; i < this.sent.length; i++) {
+    payloads.push(this.sent[i].payload);
+  }
+  return payloads;
+};
@@ -12,9 +12,12 @@
 goog.provide('jsaction.Attribute');
 goog.provide('jsaction.Branch');
 goog.provide('jsaction.Char');
+goog.provide('jsaction.DropReason');
 goog.provide('jsaction.EventType');
 goog.provide('jsaction.KeyCodes');
+goog.provide('jsaction.Modifier');
 goog.provide('jsaction.Name');
+goog.provide('jsaction.PointerType');
 goog.provide('jsaction.Property');
 goog.provide('jsaction.TagName');
 goog.provide('jsaction.Tick');
@@ -105,7 +108,13 @@ jsaction.Branch = {
    * The main branch, i.e. the branch the action flow instance starts
    * right at construction.
    */
-  MAIN: 'main-actionflow-branch'
+  MAIN: 'main-actionflow-branch',
+
+  /**
+   * The branch that keeps a flow open until the Event Timing entry of the
+   * event that triggered it is reported. See jsaction.EventTimingObserver.
+   */
+  EVENT_TIMING: 'eventtiming'
 };
 
 
@@ -123,6 +132,32 @@ jsaction.Char = {
    */
   EVENT_ACTION_SEPARATOR: ':',
 
+  /**
+   * The separator between the event name and its modifiers, and between
+   * the modifiers themselves, in the jsaction attribute value, e.g.
+   * "keydown.enter.prevent:ns.submit".
+   */
+  EVENT_MODIFIER_SEPARATOR: '.',
+
+  /**
+   * The separator between the action name and the modifiers that concern
+   * the action in the jsaction attribute value, e.g. "click:ns.track!bubble".
+   */
+  ACTION_FLAG_SEPARATOR: '!',
+
+  /**
+   * The delimiters of the key combination that follows the event name in the
+   * jsaction attribute value, e.g. "keydown[ctrl+s]:editor.save".
+   */
+  KEY_COMBO_START: '[',
+  KEY_COMBO_END: ']',
+
+  /**
+   * The separator between the modifier keys and the key of a key
+   * combination, e.g. "keydown[ctrl+shift+z]:editor.redo".
+   */
+  KEY_COMBO_SEPARATOR: '+',
+
   /**
    * The separator between the logged oi attribute values in the &oi=
    * URL parameter value.
@@ -143,6 +178,24 @@ jsaction.Char = {
 };
 
 
+/**
+ * The reasons for which the EventContract drops events from the queue of
+ * events it receives before a dispatcher is registered. See
+ * jsaction.EventContract#setQueueOptions.
+ * @enum {string}
+ */
+jsaction.DropReason = {
+  /** The queue was full and the event was the one with the least priority. */
+  MAX_SIZE: 'maxsize',
+
+  /** The event was queued for longer than the maximum age. */
+  MAX_AGE: 'maxage',
+
+  /** A later event of the same type was queued for the same action. */
+  COALESCED: 'coalesced'
+};
+
+
 /**
  * Names of events that are special to jsaction. These are not all
  * event types that are legal to use in either HTML or the addEvent()
@@ -206,6 +259,20 @@ jsaction.EventType = {
    */
   FOCUSOUT: 'focusout',
 
+  /**
+   * Focus moved into an element, i.e. the element or one of its descendants
+   * received the focus from outside of it. Like mouseenter, it fires on each
+   * element being entered, and EventContract synthesizes it from focusin.
+   */
+  FOCUSWITHIN: 'focuswithin',
+
+  /**
+   * Focus moved out of an element, i.e. the element or one of its descendants
+   * lost the focus to outside of it, or the focus left the document. Analog
+   * to focuswithin, synthesized from focusout.
+   */
+  FOCUSOUTSIDE: 'focusoutside',
+
   /**
    * Submit doesn't bubble, so it cannot be used with event
    * contract. However, the browser helpfully fires a click event on
@@ -317,6 +384,102 @@ jsaction.EventType = {
    */
   TOUCHMOVE: 'touchmove',
 
+  /**
+   * The pointerdown event. Fires for mouse, pen and touch input in browsers
+   * that support pointer events. In a jsaction attribute, the pointer types
+   * the action handles can be restricted, e.g. "pointerdown.touch:ns.press".
+   */
+  POINTERDOWN: 'pointerdown',
+
+  /**
+   * The pointerup event.
+   */
+  POINTERUP: 'pointerup',
+
+  /**
+   * The pointermove event.
+   */
+  POINTERMOVE: 'pointermove',
+
+  /**
+   * The pointercancel event, fired when the browser takes over the pointer,
+   * e.g. to scroll the page.
+   */
+  POINTERCANCEL: 'pointercancel',
+
+  /**
+   * The pointerover event. Can either be used directly or used implicitly to
+   * capture pointerenter events.
+   */
+  POINTEROVER: 'pointerover',
+
+  /**
+   * The pointerout event. Can either be used directly or used implicitly to
+   * capture pointerleave events.
+   */
+  POINTEROUT: 'pointerout',
+
+  /**
+   * The pointerenter event. Like mouseenter, it does not bubble and is
+   * synthesized from pointerover events by the event contract.
+   */
+  POINTERENTER: 'pointerenter',
+
+  /**
+   * The pointerleave event. Like mouseleave, it does not bubble and is
+   * synthesized from pointerout events by the event contract.
+   */
+  POINTERLEAVE: 'pointerleave',
+
+  /**
+   * A long press gesture, i.e. a touch that stays in place longer than the
+   * long press duration. Like the other gestures, it's recognized from the
+   * touch events, or the pointer events, by the event contract. The gesture
+   * data is the detail of the event, see jsaction.event.GestureData.
+   */
+  LONGPRESS: 'longpress',
+
+  /**
+   * A quick horizontal swipe to the left.
+   */
+  SWIPELEFT: 'swipeleft',
+
+  /**
+   * A quick horizontal swipe to the right.
+   */
+  SWIPERIGHT: 'swiperight',
+
+  /**
+   * Two taps in quick succession on the same element.
+   */
+  DOUBLETAP: 'doubletap',
+
+  /**
+   * The user starts to drag an element. With
+   * jsaction.EventContract.DRAG_DROP_SUPPORT, the element with the dragstart
+   * action is the drag source of the later drag events, see
+   * jsaction.Property.DRAG_SOURCE.
+   */
+  DRAGSTART: 'dragstart',
+
+  /**
+   * A dragged element is moved over an element. With
+   * jsaction.EventContract.DRAG_DROP_SUPPORT, the event is canceled, which
+   * allows the drop, if the element has a drop action.
+   */
+  DRAGOVER: 'dragover',
+
+  /**
+   * A dragged element is dropped on an element.
+   */
+  DROP: 'drop',
+
+  /**
+   * The drag operation ends, whether or not the element was dropped. The
+   * event is fired on the drag source.
+   */
+  DRAGEND: 'dragend',
+
   /**
    * The input event.
    */
@@ -340,7 +503,8 @@ jsaction.EventType = {
 
 
 /**
- * Special keycodes used by jsaction for the generic click action.
+ * Special keycodes used by jsaction for the generic click action and the key
+ * modifiers of keyboard events.
  * @enum {number}
  */
 jsaction.KeyCodes = {
@@ -350,15 +514,111 @@ jsaction.KeyCodes = {
    */
   MAC_ENTER: 3,
 
+  /**
+   * The Tab key.
+   */
+  TAB: 9,
+
   /**
    * The Enter key.
    */
   ENTER: 13,
 
+  /**
+   * The Escape key.
+   */
+  ESC: 27,
+
   /**
    * The Space key.
    */
-  SPACE: 32
+  SPACE: 32,
+
+  /**
+   * The Left arrow key.
+   */
+  LEFT: 37,
+
+  /**
+   * The Up arrow key.
+   */
+  UP: 38,
+
+  /**
+   * The Right arrow key.
+   */
+  RIGHT: 39,
+
+  /**
+   * The Down arrow key.
+   */
+  DOWN: 40,
+
+  /**
+   * The Delete key.
+   */
+  DELETE: 46
+};
+
+
+/**
+ * The event modifiers that can be appended to the event name in the
+ * jsaction attribute value, e.g. "submit.prevent:ns.save". The event
+ * contract applies them before the event is dispatched. Besides these, the
+ * key modifiers listed in jsaction.EventContract restrict keyboard events to
+ * certain keys, e.g. "keydown.enter:ns.submit".
+ * @enum {string}
+ */
+jsaction.Modifier = {
+  /**
+   * Calls preventDefault() on the event when the action is triggered.
+   */
+  PREVENT: 'prevent',
+
+  /**
+   * Calls stopPropagation() on the event when the action is triggered,
+   * even if jsaction.EventContract.STOP_PROPAGATION is off.
+   */
+  STOP: 'stop',
+
+  /**
+   * Only triggers the action if the event target is the element the
+   * action is declared on, not one of its descendants.
+   */
+  SELF: 'self',
+
+  /**
+   * Triggers the action at most once per element.
+   */
+  ONCE: 'once',
+
+  /**
+   * Never calls preventDefault() on the event for this action, not even
+   * for the default behavior event contract otherwise prevents, like
+   * following links or scrolling on Space.
+   */
+  PASSIVE: 'passive',
+
+  /**
+   * Continues the search for jsactions on the ancestors of the element the
+   * action is declared on, so that their jsactions handle the event as well.
+   * Follows the action name, e.g. "click:ns.track!bubble".
+   */
+  BUBBLE: 'bubble'
+};
+
+
+/**
+ * The pointer types that can be used as event modifiers of pointer events in
+ * the jsaction attribute, e.g. "pointerdown.pen.touch:ns.draw". An action
+ * declared with pointer types only handles pointer events of these types.
+ * The values are those of PointerEvent#pointerType.
+ * @enum {string}
+ */
+jsaction.PointerType = {
+  MOUSE: 'mouse',
+  PEN: 'pen',
+  TOUCH: 'touch'
 };
 
 
@@ -426,7 +686,34 @@ jsaction.Tick = {
   /**
    * Tick that indicates that the control flow leaves impression().
    */
-  IMP1: 'imp1'
+  IMP1: 'imp1',
+
+  /**
+   * Tick at the time the event that triggered the flow was created, as
+   * reported by its Event Timing entry. See jsaction.EventTimingObserver.
+   */
+  EVENT_START: 'evs',
+
+  /**
+   * Tick at the time the browser started to run the event handlers of the
+   * event that triggered the flow. The time since EVENT_START is the input
+   * delay.
+   */
+  EVENT_PROCESSING_START: 'evps',
+
+  /**
+   * Tick at the time the browser finished running the event handlers of the
+   * event that triggered the flow. The time since EVENT_PROCESSING_START is
+   * the processing time.
+   */
+  EVENT_PROCESSING_END: 'evpe',
+
+  /**
+   * Tick at the time the next frame after the event that triggered the flow
+   * was presented. The time since EVENT_PROCESSING_END is the presentation
+   * delay. Browsers round the underlying duration to 8ms.
+   */
+  EVENT_PRESENTATION: 'evp'
 };
 
 
@@ -456,6 +743,52 @@ jsaction.Property = {
    */
   OI: '__oi',
 
+  /**
+   * The actions declared with the "once" modifier that were already
+   * dispatched on the DOM node are recorded in this property, see
+   * jsaction.event.triggerOnce(). The value is an Object whose property names
+   * are of the form event:action.
+   */
+  ONCE: '__jsonce',
+
+  /**
+   * Set on an event by jsaction.ActionFlow#stopBubbling to the action element
+   * of the handler that called it. The dispatcher doesn't run the handlers of
+   * the jsactions of other elements the event bubbled to anymore.
+   */
+  STOP_BUBBLING: '__jsstopbubbling',
+
+  /**
+   * The EventContract gives the jsactions of special events like mouseenter
+   * their own copies of the event. When such an event bubbles to the
+   * jsactions of the ancestors, the copies of the ancestors reference the
+   * event of the innermost jsaction in this property, and STOP_BUBBLING is
+   * set on that event, see jsaction.event.getBubblingEvent().
+   */
+  BUBBLING_EVENT: '__jsbubblingevent',
+
+  /**
+   * The queued events whose action element is marked as pending are recorded
+   * in this property of the action element, see jsaction.pending.
+   */
+  PENDING: '__jspending',
+
+  /**
+   * Set on dragstart, dragover and drop events by the EventContract to the
+   * drag source of the drag operation, if the drag started on an element with
+   * a dragstart action, and on the dragend event if it wasn't dropped. The
+   * value is a jsaction.event.DragSource. See
+   * jsaction.EventContract.DRAG_DROP_SUPPORT.
+   */
+  DRAG_SOURCE: '__jsdragsource',
+
+  /**
+   * Set on the document by jsaction.focus.restore while it moves the focus.
+   * The EventContract ignores the focus events this fires, because they come
+   * from replaying an event and not from the user.
+   */
+  RESTORING_FOCUS: '__jsrestoringfocus',
+
   /**
    * The owner property references an a logical owner for a DOM node. JSAction
    * will follow this reference instead of parentNode when traversing the DOM